@@ -0,0 +1,271 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import http                         from 'http';
+import crypto                       from 'crypto';
+import isEqual                      from 'lodash/isEqual.js';
+import {MemoryStore}                from '../../src/data/datasources/Memory/MemoryStore.js';
+import {JsonPatch}                  from '../../src/data/datasources/Socket/JsonPatch.js';
+
+/* Appended to the client's key to compute the handshake response, as specified by RFC 6455 */
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * A minimal server implementing the SocketDataSource protocol (see PROTOCOL.md) on top of an in-memory store.
+ * It is meant for local development and tests, not for production use: it keeps all data in memory, and
+ * implements only the parts of the WebSocket standard that browsers need to talk to it.
+ *
+ * @example
+ * babel-node server/socket/ReferenceServer.js 8080
+ */
+export class ReferenceServer {
+
+    /**
+     * @param {Object} [initialData] Data to populate the store with.
+     * @returns {ReferenceServer} ReferenceServer instance.
+     */
+    constructor(initialData = null) {
+        this.store = new MemoryStore(initialData);
+        this._httpServer = null;
+    }
+
+    /**
+     * Starts accepting WebSocket connections.
+     * @param {Number} port Port to listen on.
+     * @returns {Promise} Resolves when the server is listening.
+     */
+    listen(port) {
+        this._httpServer = http.createServer((request, response) => {
+            response.writeHead(426, {'Content-Type': 'text/plain'});
+            response.end('This server only accepts WebSocket connections');
+        });
+        this._httpServer.on('upgrade', this._onUpgrade.bind(this));
+        return new Promise((resolve) => this._httpServer.listen(port, resolve));
+    }
+
+    /**
+     * Stops accepting connections.
+     * @returns {Promise} Resolves when the server is closed.
+     */
+    close() {
+        return new Promise((resolve) => this._httpServer ? this._httpServer.close(resolve) : resolve());
+    }
+
+    /**
+     * Registers a client. Exposed separately from the WebSocket handling, so clients can be connected without a network in tests.
+     * @param {Function} send Function that sends a text message to the client.
+     * @returns {Object} Client, to pass to handleMessage() and removeClient().
+     */
+    addClient(send) {
+        return {send: (message) => send(JSON.stringify(message)), subscriptions: {}, token: null};
+    }
+
+    /**
+     * Unsubscribes all subscriptions of a client that disconnected.
+     * @param {Object} client Client returned by addClient().
+     * @returns {void}
+     */
+    removeClient(client) {
+        for (let path in client.subscriptions) {
+            this.store.removeListener(client.subscriptions[path]);
+        }
+        client.subscriptions = {};
+    }
+
+    /**
+     * Handles a message received from a client.
+     * @param {Object} client Client returned by addClient().
+     * @param {String} text Message as received.
+     * @returns {void}
+     */
+    handleMessage(client, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            client.send({type: 'error', code: 'bad_request', message: 'Messages must be valid JSON'});
+            return;
+        }
+
+        switch (message.type) {
+            case 'auth':
+                /* Tokens aren't verified, so they're only kept for reference */
+                client.token = message.token;
+                break;
+            case 'subscribe':
+                this._subscribe(client, message.path);
+                break;
+            case 'unsubscribe':
+                if (client.subscriptions[message.path]) {
+                    this.store.removeListener(client.subscriptions[message.path]);
+                    delete client.subscriptions[message.path];
+                }
+                break;
+            case 'write':
+                this._write(client, message);
+                break;
+            default:
+                client.send({type: 'error', id: message.id, code: 'bad_request', message: `Unknown message type '${message.type}'`});
+        }
+    }
+
+    _subscribe(client, path) {
+        if (client.subscriptions[path]) {
+            /* A client that resubscribes expects a new snapshot */
+            this.store.removeListener(client.subscriptions[path]);
+        }
+
+        let isFirstValue = true, previousValue = null;
+        client.subscriptions[path] = this.store.addListener({
+            path, event: 'value', query: {},
+            callback: (event, key, node) => {
+                if (isFirstValue) {
+                    client.send({type: 'snapshot', path, data: node});
+                    isFirstValue = false;
+                } else {
+                    client.send({type: 'patch', path, operations: JsonPatch.create(previousValue, node)});
+                }
+                previousValue = node;
+            }
+        });
+    }
+
+    _write(client, {id, op, path, data, priority, expected}) {
+        if (expected !== undefined && !isEqual(this.store.get(path), MemoryStore.normalize(expected))) {
+            client.send({type: 'error', id, code: 'conflict', message: 'The value was changed by another client', current: this.store.get(path)});
+            return;
+        }
+
+        try {
+            switch (op) {
+                case 'set':
+                    this.store.set(path, data);
+                    break;
+                case 'setWithPriority':
+                    this.store.set(path, data, priority);
+                    break;
+                case 'setPriority':
+                    this.store.setPriority(path, priority);
+                    break;
+                case 'update':
+                    this.store.update(path, data);
+                    break;
+                case 'remove':
+                    this.store.set(path, null);
+                    break;
+                default:
+                    client.send({type: 'error', id, code: 'bad_request', message: `Unknown write operation '${op}'`});
+                    return;
+            }
+        } catch (error) {
+            client.send({type: 'error', id, code: 'invalid', message: error.message});
+            return;
+        }
+        client.send({type: 'ack', id});
+    }
+
+    /**
+     * Completes the WebSocket handshake, and relays the frames of the connection to handleMessage().
+     * @param {http.IncomingMessage} request Upgrade request.
+     * @param {net.Socket} socket Connection to the client.
+     * @returns {void}
+     * @private
+     */
+    _onUpgrade(request, socket) {
+        let accept = crypto.createHash('sha1').update(`${request.headers['sec-websocket-key']}${WEBSOCKET_GUID}`).digest('base64');
+        socket.write(['HTTP/1.1 101 Switching Protocols', 'Upgrade: websocket', 'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`, '', ''].join('\r\n'));
+
+        let client = this.addClient((text) => socket.write(ReferenceServer._encodeFrame(0x1, Buffer.from(text))));
+        let buffer = Buffer.alloc(0);
+
+        socket.on('data', (data) => {
+            buffer = Buffer.concat([buffer, data]);
+            let frame;
+            while ((frame = ReferenceServer._decodeFrame(buffer))) {
+                buffer = buffer.slice(frame.length);
+                if (frame.opcode === 0x1) {
+                    this.handleMessage(client, frame.payload.toString());
+                } else if (frame.opcode === 0x8) {
+                    socket.end(ReferenceServer._encodeFrame(0x8, Buffer.alloc(0)));
+                } else if (frame.opcode === 0x9) {
+                    socket.write(ReferenceServer._encodeFrame(0xA, frame.payload));
+                }
+            }
+        });
+        socket.on('close', () => this.removeClient(client));
+        socket.on('error', () => socket.destroy());
+    }
+
+    /**
+     * Reads a single frame sent by a client. Fragmented messages are not supported.
+     * @param {Buffer} buffer Received data.
+     * @returns {Object|null} {opcode, payload, length}, or null if the frame hasn't been received completely.
+     * @private
+     */
+    static _decodeFrame(buffer) {
+        if (buffer.length < 2) {
+            return null;
+        }
+        let opcode = buffer[0] & 0x0F;
+        let isMasked = (buffer[1] & 0x80) !== 0;
+        let payloadLength = buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (payloadLength === 126) {
+            if (buffer.length < 4) {
+                return null;
+            }
+            payloadLength = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (payloadLength === 127) {
+            if (buffer.length < 10) {
+                return null;
+            }
+            payloadLength = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        let maskOffset = offset;
+        offset += isMasked ? 4 : 0;
+        if (buffer.length < offset + payloadLength) {
+            return null;
+        }
+
+        let payload = Buffer.from(buffer.slice(offset, offset + payloadLength));
+        if (isMasked) {
+            for (let index = 0; index < payload.length; index++) {
+                payload[index] ^= buffer[maskOffset + (index % 4)];
+            }
+        }
+        return {opcode, payload, length: offset + payloadLength};
+    }
+
+    static _encodeFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        return Buffer.concat([header, payload]);
+    }
+}
+
+if (require.main === module) {
+    let port = Number(process.argv[2]) || 8080;
+    new ReferenceServer().listen(port).then(() => console.log(`SocketDataSource reference server listening on ws://localhost:${port}`));
+}
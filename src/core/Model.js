@@ -8,18 +8,33 @@
  */
 
 import difference               from 'lodash/difference.js';
+import cloneDeep                from 'lodash/cloneDeep.js';
+import isEqual                  from 'lodash/isEqual.js';
+import pick                     from 'lodash/pick.js';
 import {Injection}              from '../utils/Injection.js';
 import {ObjectHelper}           from '../utils/ObjectHelper.js';
 import {PrioritisedObject}      from '../data/PrioritisedObject.js';
 import {DataSource}             from '../data/DataSource.js';
+import {Schema}                 from '../data/schema/Schema.js';
+import {Relations}              from '../data/schema/Relations.js';
 
 /**
- * A model that has attributes synced with the database.
+ * A model that has attributes synced with the database. Fields can be given a type, default and constraints with
+ * the field decorators, which are enforced before any data is written to the dataSource. Relations to other models
+ * are declared with the relation decorators.
+ *
+ * Local changes are tracked relative to the data last received from or written to the dataSource, so only the fields
+ * that changed are written. Besides the 'changed' event, a 'changed:<field>' event is emitted with the new and old
+ * value whenever a field changes locally, or remotely while the model receives updates (when it has 'value' or 'changed'
+ * listeners, or is part of a PrioritisedArray).
  *
  * @example
  * export class Box extends Model {
  *  get label() {}
+ *  @field.number({required: true, min: 0})
  *  get articleNumber() {}
+ *  @relation.belongsTo(() => Warehouse)
+ *  get warehouse() {}
  * }
  */
 export class Model extends PrioritisedObject {
@@ -43,11 +58,21 @@ export class Model extends PrioritisedObject {
         let dataSource = options.dataSource || Injection.get(DataSource);
         super();
         this._id = id;
+        let schema = Schema.forPrototype(Object.getPrototypeOf(this));
+        ObjectHelper.addHiddenPropertyToObject(this, '_schema', schema, false);
+        ObjectHelper.addHiddenPropertyToObject(this, '_relations', new Relations(this, schema.relations), false);
+
         /* Replace all stub data fields of any subclass of Model with databinding accessors.
          * This causes changes to be synched to and from the dataSource. */
         this._replaceModelAccessorsWithDatabinding();
 
         ObjectHelper.addHiddenPropertyToObject(this, 'options', options, false);
+        /* The error of the last write that was refused because of invalid data, if any */
+        ObjectHelper.addHiddenPropertyToObject(this, '_validationError', null, true, false);
+        /* The field values as they are in the dataSource, or null if the model isn't stored in the dataSource yet */
+        ObjectHelper.addHiddenPropertyToObject(this, '_syncedData', null, true, false);
+        /* The History recording the changes of this model, if any */
+        ObjectHelper.addHiddenPropertyToObject(this, '_history', null, true, false);
 
         /* Calculate path to model in dataSource, used if no dataSource or path are given.
          *
@@ -59,7 +84,7 @@ export class Model extends PrioritisedObject {
         let pathRoot = modelName + 's';
         if (options.subBranch) { pathRoot += `/${options.subBranch}`; }
 
-        let dataWasPushed = false;
+        let dataWasPushed = false, pushedData = null;
         let onDataSynced, onDataSyncFailed;
         let dataIsSynced = new Promise((resolve, reject) => {
             onDataSynced = resolve;
@@ -73,31 +98,43 @@ export class Model extends PrioritisedObject {
         } else if (options.dataSource) {
             /* No id is present, generate a random one by pushing a new entry to the dataSource. */
             dataWasPushed = true;
-            this._dataSource = options.dataSource.push(data);
+            pushedData = this._prepareNewRecord(data);
+            this._dataSource = options.dataSource.push(pushedData);
         } else if (options.path && id) {
             this._dataSource = dataSource.child(options.path + '/' + id || '', dataSourceOptions);
         } else if (options.dataSnapshot) {
             let { ref } = options.dataSnapshot;
-            /* Getting the path from a snapshot requires some string modifications */
-            this._dataSource = dataSource.child(ref.toString().substring(ref.root.toString().length), dataSourceOptions);
+            /* Getting the path from a snapshot requires some string modifications. Firebase references expose their root
+             * as a property, whereas Arva DataSources (e.g. when the snapshot comes from a MemoryDataSource) expose a root() method. */
+            let root = typeof ref.root === 'function' ? ref.root() : ref.root;
+            this._dataSource = dataSource.child(ref.toString().substring(root.toString().length), dataSourceOptions);
         } else if (id) {
             /* If an id is present, use it to locate our model. */
             this._dataSource = dataSource.child(pathRoot + '/' + id, dataSourceOptions);
         } else {
             dataWasPushed = true;
             /* No id is present, generate a random one by pushing a new entry to the dataSource. */
+            pushedData = this._prepareNewRecord(data);
             if (options.path) {
-                this._dataSource = dataSource.child(options.path).push(data);
+                this._dataSource = dataSource.child(options.path).push(pushedData);
             } else {
-                this._dataSource = dataSource.child(pathRoot).push(data);
+                this._dataSource = dataSource.child(pathRoot).push(pushedData);
             }
             /* Get the last part of the path and set to the ID */
             this._id = dataSource.key();
         }
 
+        if (pushedData) {
+            this._relations.synchronizeIndexes(pushedData, this._dataSource.key());
+        }
+
         /* Re-construct core PrioritisedObject with new dataSource */
         if (options.dataSnapshot) {
             this._buildFromSnapshot(options.dataSnapshot);
+        } else if (dataWasPushed && DataSource.isBatching) {
+            /* The pushed data is only written when the batch is committed, so the model is built once that is done */
+            Promise.resolve(this._dataSource.synced()).catch(() => {
+            }).then(() => this._buildFromDataSource(this._dataSource));
         } else {
             this._buildFromDataSource(this._dataSource);
         }
@@ -124,12 +161,123 @@ export class Model extends PrioritisedObject {
 
     /**
      * Check if the model has been synchonized with the database
-     * @returns {Promise} Resolves when the model has been synchonized with the database
+     * @returns {Promise} Resolves when the model has been synchonized with the database. Rejects with an error with code
+     *                    'validation_failed' if the last change was not written because its data was invalid.
      */
     synced() {
+        if (this._validationError) {
+            return Promise.reject(this._validationError);
+        }
         return this._dataSource.synced();
     }
 
+    /**
+     * Validates the current data of the model against its field declarations.
+     * @returns {Array.<Object>} Validation errors, or an empty array if the model is valid. Each error contains the
+     *                           field, the rule that failed ('required', 'type', 'min', 'max', 'enum' or 'validate'),
+     *                           the value, and a message.
+     */
+    validate() {
+        return this._schema.validate(this);
+    }
+
+    /**
+     * Checks whether any field of the model differs from its value in the dataSource, e.g. because a change was
+     * not written yet, or was refused because it is invalid.
+     * @returns {Boolean} True if the model has unsaved changes.
+     */
+    isDirty() {
+        return Object.keys(this.getChanges()).length > 0;
+    }
+
+    /**
+     * Lists the fields of the model that differ from their value in the dataSource.
+     * @returns {Object} The changed fields, by name, each containing an oldValue (the value in the dataSource) and
+     *                   a newValue (the local value).
+     */
+    getChanges() {
+        let syncedData = this._syncedData || {};
+        let changes = {};
+        for (let name of Object.keys(this)) {
+            let oldValue = syncedData[name], newValue = this[name];
+            if (!Model._isEqualValue(oldValue, newValue)) {
+                changes[name] = {oldValue, newValue};
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Resets all changed fields to their value in the dataSource, without writing anything.
+     * @returns {void}
+     */
+    revert() {
+        let changes = this.getChanges();
+        let changedNames = Object.keys(changes);
+        this.disableChangeListener();
+        for (let name of changedNames) {
+            this[name] = cloneDeep(changes[name].oldValue);
+        }
+        this.enableChangeListener();
+        this._validationError = null;
+        if (changedNames.length) {
+            this.emit('changed', this);
+        }
+    }
+
+    /**
+     * Creates a draft of the model: a local copy that can be edited without syncing, and then committed back to the
+     * model in a single write, or discarded.
+     * @returns {Draft} Draft of the model.
+     */
+    edit() {
+        return Model.draftType.fromModel(this);
+    }
+
+    /**
+     * Removes the model from the dataSource, together with its entries in the indexes of its relations, and the
+     * related models of relations that cascade.
+     * @returns {Promise} Resolves when the model and everything related to it is removed.
+     */
+    remove() {
+        let relationsRemoved = this._relations.remove();
+        return Promise.all([super.remove(), relationsRemoved]).then(([result]) => result);
+    }
+
+    /**
+     * Links another model to a manyToMany relation, or to a hasMany relation with an index.
+     * @param {String} relationName Name of the relation.
+     * @param {Model} model Model to link.
+     * @returns {Promise} Resolves when the link is written.
+     */
+    link(relationName, model) {
+        return this._relations.link(relationName, model);
+    }
+
+    /**
+     * Removes the link to another model from a manyToMany relation, or from a hasMany relation with an index.
+     * The other model itself is not removed.
+     * @param {String} relationName Name of the relation.
+     * @param {Model} model Model to unlink.
+     * @returns {Promise} Resolves when the link is removed.
+     */
+    unlink(relationName, model) {
+        return this._relations.unlink(relationName, model);
+    }
+
+    /**
+     * Changes multiple fields of the model in a single write, which is undone and redone as a single step if the
+     * model is recorded by a History.
+     * @param {Function} method Function that changes the fields.
+     * @returns {Promise} Resolves when the changes are synced.
+     */
+    transaction(method) {
+        if (this._history) {
+            return this._history.group(() => super.transaction(method));
+        }
+        return super.transaction(method);
+    }
+
     /**
      * Updates properties of this model to the values of those of another model, or a normal JS Object.
      * @param {Model|Object} newModelOrData Data to replace old data with
@@ -145,6 +293,7 @@ export class Model extends PrioritisedObject {
 
     /**
      * Replaces all getters/setters defined on the model implementation with properties that trigger update events to the dataSource.
+     * Getters of relations are replaced with accessors that resolve the relation instead.
      * @returns {void}
      * @private
      */
@@ -158,7 +307,7 @@ export class Model extends PrioritisedObject {
         /* If the code is minified, then this.constructor._name is defined, in that case that also goes for the inheriting classes */
         while (prototype && (prototype.constructor._name || (!this.constructor._name && prototype.constructor.name !== 'Model'))) {
             /* Get all properties except the id and constructor of this model */
-            let propNames = difference(Object.getOwnPropertyNames(prototype), ['constructor', 'id']);
+            let propNames = difference(Object.getOwnPropertyNames(prototype), ['constructor', 'id', ...this._relations.names]);
 
             for (let name of propNames) {
                 let descriptor = Object.getOwnPropertyDescriptor(prototype, name);
@@ -171,17 +320,161 @@ export class Model extends PrioritisedObject {
 
             prototype = Object.getPrototypeOf(prototype);
         }
+
+        for (let name of this._relations.names) {
+            Object.defineProperty(this, name, {
+                enumerable: false,
+                configurable: true,
+                get: () => this._relations.get(name),
+                set: (relatedModel) => this._relations.set(name, relatedModel)
+            });
+        }
+        /* The fields containing the ids of related models don't have to be declared separately */
+        for (let key of this._relations.keyFields) {
+            if (!Object.getOwnPropertyDescriptor(this, key)) {
+                ObjectHelper.addPropertyToObject(this, key, undefined, true, true, this._onSetterTriggered);
+            }
+        }
+    }
+
+    /**
+     * Emits the change event of the field that was set, and validates local changes before they are written to the
+     * dataSource. Invalid data is kept locally, so it can be corrected, but is not written.
+     * @param {Object} [change] The propertyName, newValue and oldValue of the field that was set. Absent at the end of a transaction.
+     * @returns {Promise} Resolves when the change is synced, or rejects with an error with code 'validation_failed'.
+     * @private
+     */
+    _onSetterTriggered(change) {
+        if (change && !isEqual(change.newValue, change.oldValue)) {
+            this.emit(`changed:${change.propertyName}`, change.newValue, change.oldValue);
+            if (this._history) {
+                this._history._recordChange({
+                    type: 'set', model: this, field: change.propertyName,
+                    oldValue: cloneDeep(change.oldValue), newValue: cloneDeep(change.newValue)
+                });
+            }
+        }
+        if (!this._isBeingWrittenByDatasource) {
+            let errors = this.validate();
+            if (errors.length) {
+                this._validationError = Schema.createValidationError(errors);
+                let rejection = Promise.reject(this._validationError);
+                /* The error is also reported by synced(), so callers don't have to handle the rejection */
+                rejection.catch(() => {});
+                return rejection;
+            }
+            this._validationError = null;
+            let indexesWritten = this._relations.synchronizeIndexes();
+            return Promise.all([this._writeChanges(), indexesWritten]).then(([result]) => result);
+        }
+    }
+
+    /**
+     * Writes the local changes to the dataSource. Models that are stored already only update the fields that changed,
+     * with null for fields that were cleared.
+     * @returns {Promise} Resolves when the changes are written.
+     * @private
+     */
+    _writeChanges() {
+        this.emit('changed', this);
+        let data = ObjectHelper.getEnumerableProperties(this);
+        let syncedData = this._syncedData;
+        let write, writtenData;
+        if (syncedData) {
+            let changedNames = Object.keys(this.getChanges());
+            if (!changedNames.length) {
+                return Promise.resolve();
+            }
+            writtenData = {};
+            for (let name of changedNames) {
+                writtenData[name] = name in data ? data[name] : null;
+            }
+            write = this._dataSource.update(cloneDeep(writtenData));
+        } else {
+            writtenData = data;
+            write = this._dataSource.setWithPriority(cloneDeep(data), this._priority);
+        }
+        /* Later changes are compared to the data as it will be once written, as writes are performed in order */
+        let newSyncedData = this._syncedData = {...syncedData, ...cloneDeep(writtenData)};
+        return Promise.resolve(write).catch((error) => {
+            /* The written fields aren't synced after all, unless newer data was written or received in the meantime */
+            if (this._syncedData === newSyncedData) {
+                this._syncedData = syncedData;
+            } else if (this._syncedData) {
+                let restoredData = {...this._syncedData};
+                for (let name in writtenData) {
+                    if (isEqual(restoredData[name], writtenData[name])) {
+                        restoredData[name] = (syncedData || {})[name];
+                    }
+                }
+                this._syncedData = restoredData;
+            }
+            throw error;
+        });
+    }
+
+    _buildFromSnapshot(dataSnapshot) {
+        /* Only changes after the initial data are reported per field */
+        let isUpdate = !!(this._dataSource && this._dataSource.ready);
+        let previousValues = pick(this, Object.keys(this));
+        super._buildFromSnapshot(dataSnapshot);
+        this._setSyncedData(dataSnapshot.val());
+        this._relations.onDataReceived();
+
+        if (isUpdate) {
+            for (let name of Object.keys(this)) {
+                if (!isEqual(this[name], previousValues[name])) {
+                    this.emit(`changed:${name}`, this[name], previousValues[name]);
+                    if (this._history) {
+                        this._history._onRemoteChange(this, name);
+                    }
+                }
+            }
+        }
+    }
+
+    _onChildValue(dataSnapshot, previousSiblingID) {
+        /* Local changes that come back from the dataSource don't rebuild the model, but are synced now */
+        this._setSyncedData(dataSnapshot.val());
+        super._onChildValue(dataSnapshot, previousSiblingID);
+    }
+
+    /**
+     * Remembers the field values in the dataSource, to compare the local values with.
+     * @param {Object} data Data of the model in the dataSource, or null if it doesn't exist.
+     * @returns {void}
+     * @private
+     */
+    _setSyncedData(data) {
+        this._syncedData = data ? pick(cloneDeep(data), Object.keys(this)) : null;
+    }
+
+    /**
+     * Fills in the defaults of the data of a record that is about to be pushed, and validates it.
+     * @param {Object} data Data of the new record, can be null.
+     * @returns {Object} Data to push, or null if it is invalid, in which case synced() rejects.
+     * @private
+     */
+    _prepareNewRecord(data) {
+        data = this._schema.applyDefaults(data);
+        let errors = this._schema.validate(data);
+        if (errors.length) {
+            this._validationError = Schema.createValidationError(errors);
+            return null;
+        }
+        return data;
     }
 
     /**
      * Writes data, if present, to the Model's dataSource. Uses a transaction, meaning that only one update is triggered to the dataSource,
-     * even though multiple fields change.
+     * even though multiple fields change. Fields that are neither in the data nor present on the model get their default value.
      * @param {Object} data Data to write, can be null.
-     * @returns {Promise} Resolves when the transaction is complete and synced
+     * @returns {Promise} Resolves when the transaction is complete and synced, or rejects if the data is invalid.
      * @private
      */
     _writeLocalDataToModel(data) {
         if (data) {
+            data = this._schema.applyDefaults(data, this);
             let isDataDifferent = false;
             for (let name in data) {
                 if (Object.getOwnPropertyDescriptor(this, name) && this[name] !== data[name]) {
@@ -206,4 +499,21 @@ export class Model extends PrioritisedObject {
         return Promise.resolve();
     }
 
+    /**
+     * Compares a local value to a value in the dataSource, where an absent value equals null.
+     * @param {*} first First value.
+     * @param {*} second Second value.
+     * @returns {Boolean} Whether the values are equal.
+     * @private
+     */
+    static _isEqualValue(first, second) {
+        if ((first === null || first === undefined) && (second === null || second === undefined)) {
+            return true;
+        }
+        return isEqual(first, second);
+    }
+
 }
+
+/* Set by the Draft module, which can't be imported here because it depends on Model */
+Model.draftType = null;
@@ -0,0 +1,355 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import EventEmitter                 from 'eventemitter3';
+import {ObjectHelper}               from '../utils/ObjectHelper.js';
+import {Query}                      from './query/Query.js';
+import {DerivedArray}               from './DerivedArray.js';
+
+/**
+ * Returns a function reading a value from an item: either a field of the item, or the result of a function.
+ * @param {String|Function} field Name of the field, a path such as 'address/city', 'id', or a function taking the item.
+ * @returns {Function} Function taking the item and its id.
+ */
+function createExtractor(field) {
+    return typeof field === 'function' ? (item) => field(item) : (item, id) => Query.getFieldValue(item, id, field);
+}
+
+/**
+ * Creates an aggregator that keeps the values it contains in order, to find the smallest or largest one.
+ * @param {String|Function} field Field or function to read the value from.
+ * @param {Boolean} isMax Whether the aggregated value is the largest value, rather than the smallest.
+ * @returns {Object} Aggregator.
+ */
+function createExtremeAggregator(field, isMax) {
+    let extract = createExtractor(field);
+    return {
+        extract: (item, id) => {
+            let value = extract(item, id);
+            return value === null || value === undefined ? null : value;
+        },
+        create: () => {
+            let values = [];
+            let findPosition = (value) => {
+                let low = 0, high = values.length;
+                while (low < high) {
+                    let middle = (low + high) >> 1;
+                    if (values[middle] < value) {
+                        low = middle + 1;
+                    } else {
+                        high = middle;
+                    }
+                }
+                return low;
+            };
+            return {
+                add: (value) => value !== null && values.splice(findPosition(value), 0, value),
+                remove: (value) => value !== null && values.splice(findPosition(value), 1),
+                get value() {
+                    return values.length ? values[isMax ? values.length - 1 : 0] : null;
+                }
+            };
+        }
+    };
+}
+
+/**
+ * Aggregators that can be passed to PrioritisedArray.aggregate(). Each aggregator extracts a contribution from every
+ * item, and keeps its value up to date by adding and removing contributions as items are added, changed and removed.
+ * Fields are names of the fields of the models, paths such as 'address/city', or functions taking a model.
+ *
+ * @example
+ * let stats = invoices.aggregate({
+ *  count: aggregator.count(),
+ *  total: aggregator.sum('amount'),
+ *  byStatus: aggregator.groupBy('status', {total: aggregator.sum('amount')})
+ * });
+ */
+export const aggregator = {
+
+    /**
+     * Counts the items.
+     * @returns {Object} Aggregator.
+     */
+    count: function () {
+        return {
+            extract: () => 1,
+            create: () => {
+                let count = 0;
+                return {
+                    add: () => count++,
+                    remove: () => count--,
+                    get value() {
+                        return count;
+                    }
+                };
+            }
+        };
+    },
+
+    /**
+     * Sums the numeric values of a field. Other values are ignored.
+     * @param {String|Function} field Field to sum.
+     * @returns {Object} Aggregator.
+     */
+    sum: function (field) {
+        let extract = createExtractor(field);
+        return {
+            extract: (item, id) => {
+                let value = extract(item, id);
+                return typeof value === 'number' ? value : 0;
+            },
+            create: () => {
+                let total = 0;
+                return {
+                    add: (value) => total += value,
+                    remove: (value) => total -= value,
+                    get value() {
+                        return total;
+                    }
+                };
+            }
+        };
+    },
+
+    /**
+     * Averages the numeric values of a field. Other values are ignored.
+     * @param {String|Function} field Field to average.
+     * @returns {Object} Aggregator, whose value is null if there are no numeric values.
+     */
+    average: function (field) {
+        let extract = createExtractor(field);
+        return {
+            extract: (item, id) => {
+                let value = extract(item, id);
+                return typeof value === 'number' ? value : null;
+            },
+            create: () => {
+                let total = 0, count = 0;
+                return {
+                    add: (value) => value !== null && (total += value, count++),
+                    remove: (value) => value !== null && (total -= value, count--),
+                    get value() {
+                        return count ? total / count : null;
+                    }
+                };
+            }
+        };
+    },
+
+    /**
+     * Finds the smallest value of a field. Empty values are ignored.
+     * @param {String|Function} field Field to find the smallest value of.
+     * @returns {Object} Aggregator, whose value is null if there are no values.
+     */
+    min: function (field) {
+        return createExtremeAggregator(field, false);
+    },
+
+    /**
+     * Finds the largest value of a field. Empty values are ignored.
+     * @param {String|Function} field Field to find the largest value of.
+     * @returns {Object} Aggregator, whose value is null if there are no values.
+     */
+    max: function (field) {
+        return createExtremeAggregator(field, true);
+    },
+
+    /**
+     * Groups the items by the value of a field, and aggregates each group.
+     * @param {String|Function} field Field to group by.
+     * @param {Object} [aggregators] Aggregators to apply to each group. Without aggregators, the items are counted.
+     * @returns {Object} Aggregator, whose value is an object with a property for every value of the field, containing
+     *                   the aggregated values of the group, or the amount of items in it.
+     */
+    groupBy: function (field, aggregators = null) {
+        let extractKey = createExtractor(field);
+        aggregators = aggregators && Aggregation.normalizeAggregators(aggregators);
+        return {
+            extract: (item, id) => ({
+                key: extractKey(item, id),
+                contributions: aggregators && Aggregation.extract(aggregators, item, id)
+            }),
+            create: () => {
+                let groups = {};
+                return {
+                    add: ({key, contributions}) => {
+                        let group = groups[key] || (groups[key] = {
+                            size: 0,
+                            states: aggregators && Aggregation.createStates(aggregators)
+                        });
+                        group.size++;
+                        aggregators && Aggregation.add(group.states, contributions);
+                    },
+                    remove: ({key, contributions}) => {
+                        let group = groups[key];
+                        aggregators && Aggregation.remove(group.states, contributions);
+                        if (--group.size === 0) {
+                            delete groups[key];
+                        }
+                    },
+                    get value() {
+                        let value = {};
+                        for (let key in groups) {
+                            value[key] = aggregators ? Aggregation.getValues(groups[key].states) : groups[key].size;
+                        }
+                        return value;
+                    }
+                };
+            }
+        };
+    }
+};
+
+/**
+ * Live aggregated values of the items of a PrioritisedArray or DerivedArray, created by their aggregate() method.
+ * The values are updated incrementally on every child event of the array, so the array is never iterated again after
+ * the aggregation is created. The current values are in the result property, and a 'changed' event is emitted with
+ * the result whenever they change.
+ *
+ * @example
+ * let stats = todos.aggregate({count: true, open: aggregator.groupBy('done')});
+ * stats.on('changed', ({count, open}) => ...);
+ */
+export class Aggregation extends EventEmitter {
+
+    /**
+     * @param {PrioritisedArray|DerivedArray} source Array to aggregate the items of.
+     * @param {Object} aggregators Aggregators by the name of their value in the result, see aggregator.
+     *                             true is short for aggregator.count().
+     * @returns {Aggregation} Aggregation instance.
+     */
+    constructor(source, aggregators) {
+        super();
+        ObjectHelper.bindAllMethods(this, this);
+
+        this._source = source;
+        this._aggregators = Aggregation.normalizeAggregators(aggregators);
+        this._states = Aggregation.createStates(this._aggregators);
+        /* The contributions of the items to the aggregated values, by id, so they can be removed when the item changes */
+        this._contributions = {};
+        this._sourceCallbacks = this._createSourceCallbacks(source);
+
+        for (let position = 0; position < source.length; position++) {
+            this._onSourceChange(source._getIdAt(position), false);
+        }
+        this.result = Aggregation.getValues(this._states);
+        for (let event in this._sourceCallbacks) {
+            source.on(event, this._sourceCallbacks[event]);
+        }
+    }
+
+    /**
+     * Stops updating the aggregated values, so the aggregation can be garbage collected.
+     * @returns {void}
+     */
+    destroy() {
+        for (let event in this._sourceCallbacks) {
+            this._source.off(event, this._sourceCallbacks[event]);
+        }
+    }
+
+    /**
+     * @param {Object} aggregators Aggregators by name, where true is short for a count.
+     * @returns {Object} Aggregators by name.
+     */
+    static normalizeAggregators(aggregators) {
+        let normalizedAggregators = {};
+        for (let name in aggregators) {
+            normalizedAggregators[name] = aggregators[name] === true ? aggregator.count() : aggregators[name];
+        }
+        return normalizedAggregators;
+    }
+
+    static extract(aggregators, item, id) {
+        let contributions = {};
+        for (let name in aggregators) {
+            contributions[name] = aggregators[name].extract(item, id);
+        }
+        return contributions;
+    }
+
+    static createStates(aggregators) {
+        let states = {};
+        for (let name in aggregators) {
+            states[name] = aggregators[name].create();
+        }
+        return states;
+    }
+
+    static add(states, contributions) {
+        for (let name in states) {
+            states[name].add(contributions[name]);
+        }
+    }
+
+    static remove(states, contributions) {
+        for (let name in states) {
+            states[name].remove(contributions[name]);
+        }
+    }
+
+    static getValues(states) {
+        let values = {};
+        for (let name in states) {
+            values[name] = states[name].value;
+        }
+        return values;
+    }
+
+    _createSourceCallbacks(source) {
+        if (source instanceof DerivedArray) {
+            /* Items of a DerivedArray don't necessarily have an id, so it emits the ids of changed items as well */
+            return {entry_changed: this._onSourceChange, entry_removed: this._onSourceRemoved};
+        }
+        return {
+            /* A PrioritisedArray emits child_added for the models it already contains when subscribing */
+            child_added: (model) => !this._contributions[model.id] && this._onSourceChange(model.id),
+            child_changed: (model) => this._onSourceChange(model.id),
+            child_removed: (model) => this._onSourceRemoved(model.id)
+        };
+    }
+
+    /**
+     * Replaces the contribution of an item that was added or changed.
+     * @param {String} id Id of the item.
+     * @param {Boolean} [emitChange] Set to false to prevent updating the result and emitting 'changed'.
+     * @returns {void}
+     * @private
+     */
+    _onSourceChange(id, emitChange = true) {
+        let position = this._source.findIndexById(id);
+        if (position < 0) {
+            return;
+        }
+        if (this._contributions[id]) {
+            Aggregation.remove(this._states, this._contributions[id]);
+        }
+        let contributions = this._contributions[id] = Aggregation.extract(this._aggregators, this._source[position], id);
+        Aggregation.add(this._states, contributions);
+        if (emitChange) {
+            this._emitChange();
+        }
+    }
+
+    _onSourceRemoved(id) {
+        if (this._contributions[id]) {
+            Aggregation.remove(this._states, this._contributions[id]);
+            delete this._contributions[id];
+            this._emitChange();
+        }
+    }
+
+    _emitChange() {
+        this.result = Aggregation.getValues(this._states);
+        this.emit('changed', this.result);
+    }
+}
+
+/* DerivedArray.aggregate() creates aggregations, but DerivedArray can't import this module itself, because it depends on DerivedArray */
+DerivedArray.aggregationType = Aggregation;
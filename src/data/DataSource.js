@@ -6,9 +6,74 @@
  @copyright Bizboard, 2015
 
  */
+import cloneDeep                    from 'lodash/cloneDeep.js';
+import set                          from 'lodash/set.js';
+import unset                        from 'lodash/unset.js';
+
+/* The batch that writes are collected in while DataSource.batch() runs its method, or null */
+let activeBatch = null;
+
+/* The AuthService of which the credentials are used by all DataSources, or null */
+let authService = null;
+
+/**
+ * Signs in through DataSource.authService with its default provider, on behalf of the auth methods of DataSources.
+ * @param {Object} credentials Provider-specific credentials, e.g. {email, password}.
+ * @param {Function} [onComplete] Optional, callback called with the user once signed in, like FirebaseDataSource does.
+ * @returns {Promise.<Object>} Resolves with the signed in user.
+ */
+function signInWithAuthService(credentials, onComplete) {
+    if (!authService) {
+        return Promise.reject(createNotSupportedError('Signing in requires an AuthService, see DataSource.authService'));
+    }
+    return authService.signIn(authService.defaultProviderName, credentials).then((user) => {
+        if (onComplete) {
+            onComplete(user);
+        }
+        return user;
+    });
+}
+
+function createNotSupportedError(message) {
+    let error = new Error(message);
+    error.code = 'not_supported';
+    return error;
+}
 
 export class DataSource {
 
+    /**
+     * Whether writes are currently collected by batch() instead of being written immediately.
+     * @returns {Boolean} Whether a batch is active.
+     */
+    static get isBatching() {
+        return activeBatch !== null;
+    }
+
+    /**
+     * The AuthService of which the credentials are used by all DataSources. An AuthService sets itself as
+     * this when it is constructed, unless it is constructed with the useForDataSources option set to false.
+     * @returns {AuthService|null} AuthService.
+     */
+    static get authService() {
+        return authService;
+    }
+
+    static set authService(value) {
+        authService = value;
+    }
+
+    /**
+     * Gets the credentials of the user signed in through DataSource.authService, e.g. {token}, refreshing them first
+     * if they are about to expire. DataSources that send credentials with their requests get them from here, so they
+     * use the credentials of the current session.
+     * @returns {Promise.<Object|null>} Resolves with the credentials, or null if no one is signed in or the
+     * credentials couldn't be refreshed.
+     */
+    static getCredentials() {
+        return authService ? authService.getCredentials().catch(() => null) : Promise.resolve(null);
+    }
+
     /**
      * @param {String} path Full path to resource in remote data storage.
      * @return {DataSource} DataSource instance.
@@ -46,6 +111,13 @@ export class DataSource {
     child(childName, options = null) {
     }
 
+    /**
+     * Returns a dataSource reference to the root of the remote storage provider of the current dataSource.
+     * @returns {DataSource} New dataSource instance pointing to the root.
+     */
+    rootDataSource() {
+    }
+
     /**
      * Returns the full URL to the path on the dataSource. Functionally identical to toString().
      * @returns {String} Full resource path.
@@ -141,17 +213,44 @@ export class DataSource {
     limitToLast(amount) {
     }
 
+    /**
+     * Returns a new dataSource reference that only contains the children from a cursor onwards, in the order of the dataSource.
+     * @param {*} value Value of the order key to start at, e.g. the priority, or the value of the child key ordered by.
+     * @param {String} [key] Key of the child to start at, among children with the same value.
+     * @returns {DataSource} New dataSource instance.
+     */
+    startAt(value, key) {
+    }
+
+    /**
+     * Returns a new dataSource reference that only contains the children up to a cursor, in the order of the dataSource.
+     * @param {*} value Value of the order key to end at, e.g. the priority, or the value of the child key ordered by.
+     * @param {String} [key] Key of the child to end at, among children with the same value.
+     * @returns {DataSource} New dataSource instance.
+     */
+    endAt(value, key) {
+    }
+
     /**
      * Authenticates all instances of this DataSource with the given OAuth provider and credentials.
-     * @param {String} provider google, facebook, github, or twitter
+     * @param {String} provider google, facebook, github, or twitter. Signing in through DataSource.authService
+     * supports 'facebook', and 'password' with credentials of the form {email, password}.
      * @param {String|Object} credentials Access token string, or object with key/value pairs with e.g. OAuth 1.1 credentials.
      * @param {Function} onComplete Callback, executed when login is completed either successfully or erroneously.
      * On error, first argument is error message.
      * On success, the first argument is null, and the second argument is an object containing the fields uid, provider, auth, and expires.
      * @param {Object} options Optional, additional client arguments, such as configuring session persistence.
-     * @returns {void}
+     * @returns {Promise} Resolves with the signed in user.
      */
     authWithOAuthToken(provider, credentials, onComplete, options) {
+        switch (provider) {
+            case 'password':
+                return signInWithAuthService({email: credentials.email, password: credentials.password}, onComplete);
+            case 'facebook':
+                return signInWithAuthService({facebookToken: credentials}, onComplete);
+            default:
+                return Promise.reject(createNotSupportedError(`Signing in with a ${provider} token is not supported`));
+        }
     }
 
     /**
@@ -181,9 +280,10 @@ export class DataSource {
      * On error, first argument is error message.
      * On success, the first argument is null, and the second argument is an object containing the fields uid, provider, auth, and expires.
      * @param {Object} options Optional, additional client arguments, such as configuring session persistence.
-     * @returns {void}
+     * @returns {Promise} Resolves with the signed in user.
      */
     authWithCustomToken(authToken, onComplete, options) {
+        return signInWithAuthService({customToken: authToken}, onComplete);
     }
 
     /**
@@ -193,9 +293,10 @@ export class DataSource {
      * On error, first argument is error message.
      * On success, the first argument is null, and the second argument is an object containing the fields uid, provider, auth, and expires.
      * @param {Object} options Optional, additional client arguments, such as configuring session persistence.
-     * @returns {void}
+     * @returns {Promise} Resolves with the signed in user.
      */
     authWithPassword(credentials, onComplete, options) {
+        return signInWithAuthService(credentials, onComplete);
     }
 
 
@@ -216,25 +317,28 @@ export class DataSource {
      * On error, first argument is error message.
      * On success, the first argument is null, and the second argument is an object containing the fields uid, provider, auth, and expires.
      * @param {Object} options Optional, additional client arguments, such as configuring session persistence.
-     * @returns {void}
+     * @returns {Promise} Resolves with the signed in user.
      */
     authAnonymously(onComplete, options) {
+        return signInWithAuthService({anonymous: true}, onComplete);
     }
 
     /**
      * Fetches the current user's authentication state.
      * If the user is authenticated, returns an object containing at least the fields uid, provider, auth, and expires.
      * If the user is not authenticated, returns null.
-     * @returns {Object|null} User auth object.
+     * @returns {Promise.<Object|null>} Resolves with the user auth object.
      */
     getAuth() {
+        return authService ? authService.getAuth() : Promise.resolve(null);
     }
 
     /**
      * Logs out from the datasource, allowing to re-authenticate at a later time.
-     * @returns {void}
+     * @returns {Promise} Resolves when the user is signed out.
      */
     unauth() {
+        return authService ? authService.signOut() : Promise.resolve();
     }
 
     /**
@@ -375,4 +479,177 @@ export class DataSource {
 
     }
 
-}
\ No newline at end of file
+    /**
+     * Collects the writes that a method makes and commits them together. Models and PrioritisedArrays write through
+     * their dataSources, so changes to several models, and to the indexes of their relations, end up in the same batch.
+     * Only writes that are made synchronously by the method are collected, and a batch within a batch joins the outer one.
+     *
+     * The writes are committed per backend, by the _commitBatch() of a dataSource of that backend. The FirebaseDataSource
+     * commits the writes to one database as a single multi-location update, and the MemoryDataSource the writes to one
+     * store as a single update, so either all of them succeed or none do. The SharePointDataSource commits a single
+     * UpdateListItems batch per list. These are independent of each other, and SharePoint stops a batch at the first
+     * record that fails, keeping the records before it, so a failed batch can leave some of the writes done. Writes to
+     * different backends, such as a SharePoint list and a Firebase index, are committed independently as well.
+     * DataSources that don't support batches write immediately.
+     * @param {Function} method Method that makes the writes.
+     * @returns {Promise} Resolves with the return value of the method when all writes are committed. Rejects when the
+     *                    writes to any of the backends fail to commit, or when the method throws, in which case nothing
+     *                    is written.
+     * @example
+     * Injection.get(DataSource).batch(() => {
+     *  order.status = 'shipped';
+     *  customer.lastOrderId = order.id;
+     * }).catch((error) => ...);
+     */
+    batch(method) {
+        if (activeBatch) {
+            let outerBatch = activeBatch;
+            try {
+                let result = method();
+                return outerBatch.completion.then(() => result);
+            } catch (error) {
+                outerBatch.error = error;
+                return Promise.reject(error);
+            }
+        }
+
+        let batch = activeBatch = {operations: [], error: null};
+        let onCommitted, onFailed;
+        batch.completion = new Promise((resolve, reject) => {
+            onCommitted = resolve;
+            onFailed = reject;
+        });
+        let result;
+        try {
+            result = method();
+        } catch (error) {
+            batch.error = error;
+        } finally {
+            activeBatch = null;
+        }
+
+        if (batch.error) {
+            onFailed(batch.error);
+        } else if (batch.operations.length) {
+            Promise.resolve().then(() => DataSource._commitBatchPerBackend(batch.operations)).then(onCommitted, onFailed);
+        } else {
+            onCommitted();
+        }
+        return batch.completion.then(() => result);
+    }
+
+    /**
+     * Determines which part of a query can be evaluated by this DataSource. By default, queries are compiled to the
+     * orderBy, startAt, endAt, and limit options that the Firebase-like DataSources accept.
+     * @param {Query} query Query to compile.
+     * @returns {{options: Object, residual: Query}} Options to pass to child(), and the part of the query that has to be
+     * evaluated on the client.
+     */
+    compileQuery(query) {
+        return query.toDataSourceOptions();
+    }
+
+    /**
+     * Adds a write to the active batch, instead of writing it immediately. Called by the write methods while batching.
+     * @param {String} type Type of write: 'set', 'update' or 'remove'.
+     * @param {*} [data] Data that is written.
+     * @param {String|Number} [priority] Priority that is written with the data.
+     * @returns {Promise} Resolves when the batch is committed.
+     * @protected
+     */
+    _addToBatch(type, data = null, priority = undefined) {
+        let {completion} = activeBatch;
+        activeBatch.operations.push({dataSource: this, type, data, priority});
+        if (this._synced) {
+            /* Keep track of whether this dataSource is still synchronizing. Fail silently, since the returned promise already rejects */
+            this._synced = this._synced.then(() => completion).catch(() => {
+            });
+        }
+        return completion;
+    }
+
+    /**
+     * Identifies the backend that the writes of this dataSource go to. Writes that batch() collects are committed
+     * together per backend. Overridden by DataSources whose instances can write to different backends.
+     * @returns {*} Value that is the same for all dataSources writing to the same backend.
+     * @protected
+     */
+    _getBatchBackend() {
+        return this.constructor;
+    }
+
+    /**
+     * Commits the writes collected by batch(). Implemented by DataSources that collect writes while batching.
+     * @param {Array.<Object>} operations Writes to commit, in order. Each contains the dataSource, the type of the write
+     *                                    ('set', 'update' or 'remove'), and its data and priority.
+     * @returns {Promise} Resolves when all writes are committed.
+     * @protected
+     */
+    _commitBatch(operations) {
+        return Promise.resolve();
+    }
+
+    /**
+     * Commits writes through the _commitBatch() of a dataSource of their own backend.
+     * @param {Array.<Object>} operations Writes to commit, see _commitBatch().
+     * @returns {Promise} Resolves when the writes to all backends are committed.
+     * @private
+     */
+    static _commitBatchPerBackend(operations) {
+        let operationsByBackend = new Map();
+        for (let operation of operations) {
+            let backend = operation.dataSource._getBatchBackend();
+            operationsByBackend.set(backend, (operationsByBackend.get(backend) || []).concat(operation));
+        }
+        return Promise.all([...operationsByBackend.values()].map((backendOperations) =>
+            backendOperations[0].dataSource._commitBatch(backendOperations)));
+    }
+
+    /**
+     * Combines batched writes into a single multi-location update of the root, like Firebase's update(). Writes to a
+     * path within a path that is written as well are merged into the data written to the outer path.
+     * @param {Array.<Object>} operations Writes to combine, see _commitBatch().
+     * @returns {Object} Map of paths, relative to the root, to their new values.
+     * @protected
+     */
+    _createMultiLocationUpdate(operations) {
+        let updates = {};
+        let write = (path, value) => {
+            path = path.split('/').filter((segment) => segment !== '').join('/');
+            let ancestor = Object.keys(updates).find((key) => path.startsWith(`${key}/`));
+            if (ancestor !== undefined) {
+                let ancestorValue = updates[ancestor] !== null && typeof updates[ancestor] === 'object' ? cloneDeep(updates[ancestor]) : {};
+                let segments = path.substring(ancestor.length + 1).split('/');
+                if (value === null) {
+                    unset(ancestorValue, segments);
+                } else {
+                    set(ancestorValue, segments, value);
+                }
+                updates[ancestor] = ancestorValue;
+                return;
+            }
+            for (let key of Object.keys(updates)) {
+                if (key.startsWith(`${path}/`)) {
+                    delete updates[key];
+                }
+            }
+            updates[path] = value;
+        };
+
+        for (let {dataSource, type, data, priority} of operations) {
+            let path = dataSource.path();
+            if (type === 'update') {
+                for (let key of Object.keys(data || {})) {
+                    write(`${path}/${key}`, data[key] === undefined ? null : data[key]);
+                }
+            } else if (type === 'remove' || data === null || data === undefined) {
+                write(path, null);
+            } else if (priority === undefined || priority === null) {
+                write(path, data);
+            } else {
+                write(path, typeof data === 'object' ? {...data, '.priority': priority} : {'.value': data, '.priority': priority});
+            }
+        }
+        return updates;
+    }
+}
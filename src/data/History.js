@@ -0,0 +1,309 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import cloneDeep                    from 'lodash/cloneDeep.js';
+import EventEmitter                 from 'eventemitter3';
+import {ObjectHelper}               from '../utils/ObjectHelper.js';
+
+/**
+ * Records the local changes made to Models and PrioritisedArrays, so they can be undone and redone. Recorded are
+ * assignments to model fields, and models being added, inserted, removed and moved in PrioritisedArrays. Every change
+ * is a step of its own, except for the changes made in a transaction() of a model, or in history.group(), which are
+ * undone and redone together.
+ *
+ * Changes that come in from the dataSource are not recorded. When a field is changed remotely, the recorded changes
+ * of that field are forgotten, so that undoing them never overwrites the remote value. The same goes for all recorded
+ * changes of a model that is removed remotely.
+ *
+ * Emits 'change' whenever the steps that can be undone or redone change, and 'undo' and 'redo' with the changes of
+ * the step that was undone or redone.
+ *
+ * @example
+ * let history = new History();
+ * history.track(todos);
+ * todos[0].done = true;
+ * history.undo();
+ */
+export class History extends EventEmitter {
+
+    /**
+     * @param {Object} [options] Options.
+     * @param {Number} [options.limit] Maximum number of steps that can be undone. Defaults to 100.
+     * @returns {History} History instance.
+     */
+    constructor(options = {}) {
+        super();
+        this.limit = options.limit || 100;
+
+        this._undoSteps = [];
+        this._redoSteps = [];
+        /* The changes recorded during a group(), or null when not grouping */
+        this._group = null;
+        /* Set while undoing or redoing, so the changes that are made aren't recorded */
+        this._isApplying = false;
+        /* Ids of the models that were removed by undoing their addition, whose removal by the dataSource is expected */
+        this._expectedRemovals = {};
+
+        ObjectHelper.bindAllMethods(this, this);
+    }
+
+    /**
+     * Starts recording the changes of a Model or PrioritisedArray. Changes of the models in a PrioritisedArray,
+     * including the ones that are added later on, are recorded as well.
+     * @param {Model|PrioritisedArray} target Model or PrioritisedArray to record.
+     * @returns {void}
+     */
+    track(target) {
+        target._history = this;
+        if (target instanceof Array) {
+            for (let model of target) {
+                this.track(model);
+            }
+        }
+    }
+
+    /**
+     * Stops recording the changes of a Model or PrioritisedArray. The changes that were recorded can still be undone.
+     * @param {Model|PrioritisedArray} target Model or PrioritisedArray to stop recording.
+     * @returns {void}
+     */
+    untrack(target) {
+        if (target._history === this) {
+            target._history = null;
+        }
+        if (target instanceof Array) {
+            for (let model of target) {
+                this.untrack(model);
+            }
+        }
+    }
+
+    /**
+     * Records all changes made by a method as a single step.
+     * @param {Function} method Method making the changes.
+     * @returns {*} The return value of the method.
+     */
+    group(method) {
+        if (this._group) {
+            return method();
+        }
+        this._group = [];
+        let result;
+        try {
+            result = method();
+        } finally {
+            let changes = this._group;
+            this._group = null;
+            this._addStep(changes);
+        }
+        return result;
+    }
+
+    /**
+     * @returns {Boolean} Whether there is a step that can be undone.
+     */
+    canUndo() {
+        return this._undoSteps.length > 0;
+    }
+
+    /**
+     * @returns {Boolean} Whether there is a step that can be redone.
+     */
+    canRedo() {
+        return this._redoSteps.length > 0;
+    }
+
+    /**
+     * Undoes the last recorded step.
+     * @returns {Promise} Resolves when the changes are written to the dataSource.
+     */
+    undo() {
+        let changes = this._undoSteps.pop();
+        if (!changes) {
+            return Promise.resolve();
+        }
+        this._redoSteps.push(changes);
+        let written = this._apply(changes.slice().reverse(), true);
+        this.emit('undo', changes);
+        this.emit('change');
+        return written;
+    }
+
+    /**
+     * Redoes the last undone step.
+     * @returns {Promise} Resolves when the changes are written to the dataSource.
+     */
+    redo() {
+        let changes = this._redoSteps.pop();
+        if (!changes) {
+            return Promise.resolve();
+        }
+        this._undoSteps.push(changes);
+        let written = this._apply(changes, false);
+        this.emit('redo', changes);
+        this.emit('change');
+        return written;
+    }
+
+    /**
+     * Forgets all recorded steps.
+     * @returns {void}
+     */
+    clear() {
+        this._undoSteps = [];
+        this._redoSteps = [];
+        this.emit('change');
+    }
+
+    /**
+     * Records a local change. Called by tracked Models and PrioritisedArrays.
+     * @param {Object} change The change. Contains the type ('set', 'insert', 'remove' or 'move') and the model.
+     *                        A 'set' contains the field, oldValue and newValue. The others contain the array, and
+     *                        the previousSiblingId of the model, as well as the newSiblingId of a 'move'. An 'insert'
+     *                        of a model that was pushed to the dataSource by the array is marked isNew.
+     * @returns {void}
+     * @private
+     */
+    _recordChange(change) {
+        if (this._isApplying) {
+            return;
+        }
+        if (this._group) {
+            this._group.push(change);
+        } else {
+            this._addStep([change]);
+        }
+    }
+
+    /**
+     * Forgets the recorded changes of a field that was changed by the dataSource.
+     * @param {Model} model Model that was changed.
+     * @param {String} field Name of the field that was changed.
+     * @returns {void}
+     * @private
+     */
+    _onRemoteChange(model, field) {
+        this._forgetChanges((change) => change.type === 'set' && change.model.id === model.id && change.field === field);
+    }
+
+    /**
+     * Forgets the recorded changes of a model that was removed by the dataSource, unless it was removed by undoing its addition.
+     * @param {Model} model Model that was removed.
+     * @returns {void}
+     * @private
+     */
+    _onRemoteRemoval(model) {
+        if (this._expectedRemovals[model.id]) {
+            delete this._expectedRemovals[model.id];
+            return;
+        }
+        this._forgetChanges((change) => change.model.id === model.id);
+    }
+
+    _addStep(changes) {
+        if (!changes.length) {
+            return;
+        }
+        this._undoSteps.push(changes);
+        if (this._undoSteps.length > this.limit) {
+            this._undoSteps.shift();
+        }
+        this._redoSteps = [];
+        this.emit('change');
+    }
+
+    _forgetChanges(predicate) {
+        let isForgotten = false;
+        let forget = (steps) => steps
+            .map((changes) => {
+                let remainingChanges = changes.filter((change) => !predicate(change));
+                isForgotten = isForgotten || remainingChanges.length !== changes.length;
+                return remainingChanges;
+            })
+            .filter((changes) => changes.length);
+        this._undoSteps = forget(this._undoSteps);
+        this._redoSteps = forget(this._redoSteps);
+        if (isForgotten) {
+            this.emit('change');
+        }
+    }
+
+    /**
+     * Undoes or redoes changes. Assignments to the same model are written in one transaction.
+     * @param {Array.<Object>} changes Changes to apply, in the order in which to apply them.
+     * @param {Boolean} isUndo Whether to undo the changes, rather than redo them.
+     * @returns {Promise} Resolves when the changes are written to the dataSource.
+     * @private
+     */
+    _apply(changes, isUndo) {
+        let writes = [];
+        let assignments = new Map();
+        this._isApplying = true;
+        try {
+            for (let change of changes) {
+                let {type, model, array} = change;
+                if (type === 'set') {
+                    if (!assignments.has(model)) {
+                        assignments.set(model, []);
+                    }
+                    assignments.get(model).push([change.field, isUndo ? change.oldValue : change.newValue]);
+                } else if (type === 'move') {
+                    let siblingId = isUndo ? change.previousSiblingId : change.newSiblingId;
+                    let position = array.findIndexById(model.id);
+                    if (position >= 0) {
+                        array._moveItem(position, History._getPositionAfter(array, siblingId, position), array[position]);
+                    }
+                } else if ((type === 'insert') === isUndo) {
+                    /* Undoing an insertion, or redoing a removal */
+                    if (change.isNew) {
+                        this._expectedRemovals[model.id] = true;
+                        change.data = cloneDeep(ObjectHelper.getEnumerableProperties(model));
+                        writes.push(model.remove());
+                    } else if (array.findIndexById(model.id) >= 0) {
+                        array.remove(array.findIndexById(model.id));
+                    }
+                } else if (change.isNew) {
+                    /* Redoing an insertion, or undoing a removal. Redoing the addition of a model that was pushed to the dataSource restores it with the same id */
+                    writes.push(model._dataSource.setWithPriority(cloneDeep(change.data), model._priority));
+                } else if (array.findIndexById(model.id) < 0) {
+                    array.insertAt(model, History._getPositionAfter(array, change.previousSiblingId));
+                }
+            }
+            for (let [model, modelAssignments] of assignments) {
+                writes.push(model.transaction(() => {
+                    for (let [field, value] of modelAssignments) {
+                        model[field] = cloneDeep(value);
+                    }
+                }));
+            }
+        } finally {
+            this._isApplying = false;
+        }
+        return Promise.all(writes);
+    }
+
+    /**
+     * Calculates the position of a model that follows a sibling.
+     * @param {PrioritisedArray} array Array containing the sibling.
+     * @param {String} siblingId Id of the sibling, or null to get the first position.
+     * @param {Number} [currentPosition] Current position of the model, if it is moved within the array.
+     * @returns {Number} Position.
+     * @private
+     */
+    static _getPositionAfter(array, siblingId, currentPosition = -1) {
+        let siblingPosition = array.findIndexById(siblingId);
+        if (!siblingId || siblingPosition < 0) {
+            return 0;
+        }
+        /* The model is taken out of the array before it is put at its new position */
+        if (currentPosition >= 0 && siblingPosition > currentPosition) {
+            siblingPosition--;
+        }
+        return siblingPosition + 1;
+    }
+}
@@ -0,0 +1,66 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import {DerivedArray}               from './DerivedArray.js';
+
+/**
+ * A live, read-only union of several PrioritisedArrays or DerivedArrays, which can contain different Model types and
+ * be synced with different DataSources. It is kept up to date with the child events of all of its sources.
+ *
+ * Models are identified by their id, so a model that is contained by more than one source is only included once: the
+ * model of the first source containing it is used. Models are ordered by the compare option, or otherwise by the order
+ * of the sources and their order within each source.
+ *
+ * @example
+ * let allTasks = new MergedArray([firebaseTasks, sharePointTasks], {
+ *  compare: (task, otherTask) => task.dueDate - otherTask.dueDate
+ * });
+ */
+export class MergedArray extends DerivedArray {
+
+    /**
+     * @param {Array.<PrioritisedArray|DerivedArray>} sources Arrays to merge.
+     * @param {Object} [options] Options.
+     * @param {Function} [options.compare] Function comparing two models, like the compare function of Array.sort().
+     * @param {Function} [options.sortBy] Function taking a model, returning the value to order it by.
+     * @param {Boolean} [options.descending] Whether to reverse the order of compare or sortBy.
+     * @param {Function} [options.filter] Function taking a model, returning whether to include it.
+     * @param {Function} [options.map] Function taking a model, returning the item to include instead.
+     * @returns {MergedArray} MergedArray instance.
+     */
+    constructor(sources, options = {}) {
+        super(sources, options);
+    }
+
+    _getSources(sources) {
+        return sources;
+    }
+
+    /**
+     * Finds the model with the given id in the first source containing it.
+     * @param {String} id Id of the model.
+     * @returns {Object} Object containing the model as item, and the position of the source and of the model in it,
+     *                   or null if no source contains the model.
+     * @private
+     */
+    _findSourceItem(id) {
+        for (let sourceIndex = 0; sourceIndex < this._sources.length; sourceIndex++) {
+            let source = this._sources[sourceIndex];
+            let position = source.findIndexById(id);
+            if (position >= 0) {
+                return {item: source[position], sourceIndex, position};
+            }
+        }
+        return null;
+    }
+
+    _compareSourceOrder(id, otherId) {
+        let entry = this._findSourceItem(id), otherEntry = this._findSourceItem(otherId);
+        return (entry.sourceIndex - otherEntry.sourceIndex) || (entry.position - otherEntry.position);
+    }
+}
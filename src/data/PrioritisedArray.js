@@ -16,6 +16,11 @@ import {LocalModel}                 from './local/LocalModel.js';
 import {Injection}                  from '../utils/Injection.js';
 import {Throttler}                  from '../utils/Throttler.js';
 import {ObjectHelper}               from '../utils/ObjectHelper.js';
+import {Query}                      from './query/Query.js';
+import {QueryDataSource}            from './datasources/QueryDataSource.js';
+import {DerivedArray}               from './DerivedArray.js';
+import {Aggregation}                from './Aggregation.js';
+import {Relations}                  from './schema/Relations.js';
 
 /**
  * An array of two-way bound data Models that are automatically synced with the currently used DataSource
@@ -43,6 +48,22 @@ export class PrioritisedArray extends Array {
         return value;
     }
 
+    /**
+     * Whether the dataSource may contain more models after the last one in the array, which can be loaded with loadMore().
+     * @returns {Boolean}
+     */
+    get hasMore() {
+        return this._hasMore;
+    }
+
+    /**
+     * Whether the dataSource may contain more models before the first one in the array, which can be loaded with loadPrevious().
+     * @returns {Boolean}
+     */
+    get hasPrevious() {
+        return this._hasPrevious;
+    }
+
     /**
      *
      * @param {Function} dataType DataType of the models being added to the PrioritisedArray.
@@ -50,6 +71,7 @@ export class PrioritisedArray extends Array {
      * the model's DataType name.
      * @param {Snapshot} [dataSnapshot] snapshot already containing model data. Prevents initial subscription on all values in the DataSource.
      * @param {Object} [options] options to pass to the dataSource if none is provided and a new one is constructed.
+     * @param {Query} [options.query] Query that determines which models are in the array, see PrioritisedArray.query().
      * @param {Object} [modelOptions] options to merge into the construction of every new Model.
      * @returns {PrioritisedArray} PrioritisedArray instance.
      */
@@ -59,6 +81,8 @@ export class PrioritisedArray extends Array {
         this._valueChangedCallback = null;
 
         options = options || {};
+        let pendingQuery = Query.takePendingQuery();
+        let query = options.query || pendingQuery;
 
         /* Bind all local methods to the current object instance, so we can refer to "this"
          * in the methods as expected, even when they're called from event handlers.        */
@@ -74,6 +98,17 @@ export class PrioritisedArray extends Array {
         this._eventEmitter = new EventEmitter();
         this._childAddedThrottler = new Throttler(options.noThrottle || typeof window === 'undefined' ? 0 : 1, true, this, true);
         this._overrideChildAddedForId = null;
+        /* The History recording the changes of this array, if any */
+        this._history = null;
+        /* Larger than zero while changes are made that shouldn't be recorded, such as changes from the dataSource */
+        this._unrecordedChangeDepth = 0;
+        /* The handlers registered on the dataSource, so they can be moved to the dataSource of a newly loaded page */
+        this._dataSourceCallbacks = null;
+        /* The dataSource the pages are taken from, which is the initial dataSource without any cursors */
+        this._pagedDataSource = null;
+        this._pageLoaded = Promise.resolve();
+        this._hasMore = false;
+        this._hasPrevious = false;
 
         /* We do the bindAllMethods before this happens in order to make sure that dataType.prototype isn't modified so
          * that this check would break
@@ -97,9 +132,18 @@ export class PrioritisedArray extends Array {
             let path = this.constructor._name || Object.getPrototypeOf(this).constructor.name;
             /* Retrieve dataSource from the DI context */
             dataSource = Injection.get(DataSource);
-            dataSource = dataSource.child(options.path || path, options);
+            if (query) {
+                /* Let the dataSource evaluate what it can of the query, and evaluate the rest on the client */
+                let {options: queryOptions, residual} = dataSource.compileQuery(query);
+                let {query: omittedQuery, ...otherOptions} = options;
+                dataSource = new QueryDataSource(dataSource.child(options.path || path, {...otherOptions, ...queryOptions}), residual);
+            } else {
+                dataSource = dataSource.child(options.path || path, options);
+            }
 
             this._dataSource = dataSource;
+        } else if (query) {
+            dataSource = this._dataSource = new QueryDataSource(dataSource, query);
         }
 
         /* If a snapshot is present use it, otherwise generate one by subscribing to the dataSource one time. */
@@ -110,9 +154,21 @@ export class PrioritisedArray extends Array {
         }
     }
 
+    /**
+     * Starts a query on the models of this PrioritisedArray subclass. Call build() on the query, with the arguments
+     * of the subclass' constructor, to get a live PrioritisedArray that only contains the matching models.
+     * @example
+     * let openTodos = Todos.query().where('status', '==', 'open').orderBy('createdAt').limit(50).build();
+     * @returns {Query} New query.
+     */
+    static query() {
+        return new Query(this);
+    }
+
     /**
      * Subscribes to events emitted by this PrioritisedArray.
-     * @param {String} event One of the following Event Types: 'value', 'child_changed', 'child_moved', 'child_removed'.
+     * @param {String} event One of the following Event Types: 'value', 'child_changed', 'child_moved', 'child_removed',
+     * 'page_loaded'.
      * @param {Function} handler Function that is called when the given event type is emitted.
      * @param {Object} context Optional: context of 'this' inside the handler function when it is called.
      * @returns {void}
@@ -214,7 +270,8 @@ export class PrioritisedArray extends Array {
             this._overrideChildAddedForId = this.once('local_child_added');
             let newModel = new this._dataType(null, model, extend({}, this._modelOptions, options));
 
-            this.add(newModel, undefined, emitValueEvent);
+            this._withoutRecording(this.add)(newModel, undefined, emitValueEvent);
+            this._recordChange({type: 'insert', model: newModel, isNew: true});
             /* Remove lock */
             this._eventEmitter.emit('local_child_added', newModel);
             this._overrideChildAddedForId = null;
@@ -238,6 +295,10 @@ export class PrioritisedArray extends Array {
      */
     insertAt(model, position) {
         if (model instanceof this._dataType) {
+            this._recordChange({type: 'insert', model, previousSiblingId: this._getIdAt(position - 1)});
+            if (this._history) {
+                this._history.track(model);
+            }
             for (let i = position; i < this.length; i++) {
                 /* Increase the index of items further on in the prio array */
                 this._ids[this[i].id]++;
@@ -269,6 +330,7 @@ export class PrioritisedArray extends Array {
      * @returns {void}
      */
     remove(position) {
+        this._recordChange({type: 'remove', model: this[position], previousSiblingId: this._getIdAt(position - 1)});
         /*
          * TODO: Beware, there might be hard to reproduce prone to errors going on sometimes when deleting many things at once
          * Sometimes, there is an inconsistent state, but I haven't been able to figure out how that happens. /Karl
@@ -314,6 +376,73 @@ export class PrioritisedArray extends Array {
         return this._dataSource.path();
     }
 
+    /**
+     * Returns a live, read-only array containing the models of this array that match a filter. The filter is
+     * evaluated again whenever a model is added or changed. See DerivedArray.
+     * @param {Function} filter Function taking a model, returning whether to include it.
+     * @returns {DerivedArray} New DerivedArray.
+     */
+    liveFilter(filter) {
+        return new DerivedArray(this, {filter});
+    }
+
+    /**
+     * Returns a live, read-only array containing the models of this array, ordered by a value derived from each model.
+     * Models with the same value keep the order of this array.
+     * @param {Function} sortBy Function taking a model, returning the value to order it by.
+     * @param {String} [direction] 'asc' (default) or 'desc'.
+     * @returns {DerivedArray} New DerivedArray.
+     */
+    liveSortBy(sortBy, direction = 'asc') {
+        return new DerivedArray(this, {sortBy, descending: direction === 'desc'});
+    }
+
+    /**
+     * Returns a live, read-only array containing the results of calling a function on each model of this array. The
+     * function is called again whenever the model changes.
+     * @param {Function} map Function taking a model, returning the item to include instead.
+     * @returns {DerivedArray} New DerivedArray.
+     */
+    liveMap(map) {
+        return new DerivedArray(this, {map});
+    }
+
+    /**
+     * Returns live aggregated values of the models of this array, such as counts, sums and groups, which are updated
+     * incrementally as models are added, changed and removed. See Aggregation.
+     * @example
+     * let stats = invoices.aggregate({count: true, total: aggregator.sum('amount'), byStatus: aggregator.groupBy('status')});
+     * @param {Object} aggregators Aggregators by the name of their value in the result, see aggregator.
+     * @returns {Aggregation} New Aggregation.
+     */
+    aggregate(aggregators) {
+        return new Aggregation(this, aggregators);
+    }
+
+    /**
+     * Loads more models after the last one in the array. The array keeps receiving updates of all of its models,
+     * including the loaded ones. Models are loaded in the order of the dataSource (its orderBy option), starting from
+     * the current models, so this works with arrays whose dataSource has a limitToFirst option.
+     * Emits 'page_loaded' with the loaded models.
+     * @param {Number} count Maximum amount of models to load.
+     * @returns {Promise} Resolves with the loaded models, or rejects with an error with code 'not_supported' if the
+     *                   dataSource doesn't support cursors.
+     */
+    loadMore(count) {
+        return this._loadPage(count, true);
+    }
+
+    /**
+     * Loads more models before the first one in the array, e.g. for arrays whose dataSource has a limitToLast option.
+     * Emits 'page_loaded' with the loaded models.
+     * @param {Number} count Maximum amount of models to load.
+     * @returns {Promise} Resolves with the loaded models, or rejects with an error with code 'not_supported' if the
+     *                   dataSource doesn't support cursors.
+     */
+    loadPrevious(count) {
+        return this._loadPage(count, false);
+    }
+
     /**
      * Replaces all items in this PrioritisedArray with items from newContents.
      * @param {PrioritisedArray} newContents PrioritisedArray to take elements from.
@@ -365,7 +494,7 @@ export class PrioritisedArray extends Array {
                 }
 
                 let newModel = new this._dataType(child.key, child.val(), extend({}, this._modelOptions, options));
-                this.add(newModel, undefined, false);
+                this._withoutRecording(this.add)(newModel, undefined, false);
 
                 /* If this is the last child, fire a ready event */
                 if (currentChild++ === numChildren) {
@@ -388,6 +517,7 @@ export class PrioritisedArray extends Array {
     _buildFromDataSource(dataSource) {
         dataSource.once('value', (dataSnapshot) => {
             this._buildFromSnapshot(dataSnapshot);
+            this._updatePagingState(dataSource, dataSnapshot.numChildren());
             this._registerCallbacks(dataSource);
         });
     }
@@ -399,10 +529,161 @@ export class PrioritisedArray extends Array {
      * @private
      */
     _registerCallbacks(dataSource) {
-        dataSource.on('child_added', this._doOnceReady(this._onChildAdded));
-        dataSource.on('child_moved', this._doOnceReady(this._onChildMoved));
-        dataSource.on('child_changed', this._doOnceReady(this._onChildChanged));
-        dataSource.on('child_removed', this._doOnceReady(this._onChildRemoved));
+        this._dataSourceCallbacks = {
+            child_added: this._doOnceReady(this._withoutRecording(this._onChildAdded)),
+            child_moved: this._doOnceReady(this._withoutRecording(this._onChildMoved)),
+            child_changed: this._doOnceReady(this._withoutRecording(this._onChildChanged)),
+            child_removed: this._doOnceReady(this._withoutRecording(this._onChildRemoved))
+        };
+        for (let event in this._dataSourceCallbacks) {
+            dataSource.on(event, this._dataSourceCallbacks[event]);
+        }
+    }
+
+    /**
+     * Removes the callbacks registered by _registerCallbacks() from the given DataSource.
+     * @param {DataSource} dataSource DataSource to remove the callbacks from.
+     * @return {void}
+     * @private
+     */
+    _unregisterCallbacks(dataSource) {
+        for (let event in this._dataSourceCallbacks || {}) {
+            dataSource.off(event, this._dataSourceCallbacks[event]);
+        }
+        this._dataSourceCallbacks = null;
+    }
+
+    /**
+     * Replaces the dataSource by one containing the current models and a page of models before or after them, and
+     * adds the models of that page. Pages are loaded one after the other.
+     * @param {Number} count Maximum amount of models to load.
+     * @param {Boolean} isForward Whether to load the models after the current ones, rather than before them.
+     * @returns {Promise} Resolves with the loaded models.
+     * @private
+     */
+    _loadPage(count, isForward) {
+        /* A page that failed to load doesn't prevent loading the next one */
+        this._pageLoaded = this._pageLoaded.catch(() => null).then(() => this.once('ready')).then(() => {
+            if (!this._pagedDataSource) {
+                this._pagedDataSource = this._dataSource;
+            }
+            let pageDataSource = this._createPageDataSource(count, isForward);
+
+            return new Promise((resolve) => pageDataSource.once('value', resolve)).then((dataSnapshot) => {
+                this._unregisterCallbacks(this._dataSource);
+                this._dataSource = pageDataSource;
+                pageDataSource.ready = true;
+                let loadedModels = this._withoutRecording(this._addPage)(dataSnapshot);
+                this._updatePagingState(pageDataSource, dataSnapshot.numChildren());
+                this._registerCallbacks(pageDataSource);
+
+                this._eventEmitter.emit('page_loaded', loadedModels);
+                if (loadedModels.length) {
+                    this._eventEmitter.emit('value', this);
+                }
+                return loadedModels;
+            });
+        });
+        return this._pageLoaded;
+    }
+
+    /**
+     * Creates a dataSource containing the current models and a page of models before or after them.
+     * @param {Number} count Maximum amount of models to load.
+     * @param {Boolean} isForward Whether to load the models after the current ones, rather than before them.
+     * @returns {DataSource} DataSource of the page.
+     * @throws {Error} Error with code 'not_supported' if the dataSource can't be limited from a cursor.
+     * @private
+     */
+    _createPageDataSource(count, isForward) {
+        let pageDataSource = this._pagedDataSource;
+        try {
+            /* The page starts at the first model when loading more, and ends at the last model when loading previous ones */
+            let boundaryModel = this[isForward ? 0 : this.length - 1];
+            if (boundaryModel) {
+                let [value, key] = this._getCursor(boundaryModel);
+                pageDataSource = isForward ? pageDataSource.startAt(value, key) : pageDataSource.endAt(value, key);
+            }
+            let limit = this.length + count;
+            pageDataSource = isForward ? pageDataSource.limitToFirst(limit) : pageDataSource.limitToLast(limit);
+        } catch (exception) {
+            pageDataSource = null;
+        }
+        if (!(pageDataSource instanceof DataSource)) {
+            let error = new Error(`Loading ${isForward ? 'more' : 'previous'} models requires cursors, which ${this._pagedDataSource.constructor.name} doesn't support`);
+            error.code = 'not_supported';
+            throw error;
+        }
+        return pageDataSource;
+    }
+
+    /**
+     * Adds the models of a page that aren't in the array yet, at the position they have in the page.
+     * @param {Snapshot} dataSnapshot Snapshot of the page.
+     * @returns {Array.<Model>} The added models.
+     * @private
+     */
+    _addPage(dataSnapshot) {
+        let addedModels = [];
+        let previousSiblingId = null;
+        dataSnapshot.forEach((child) => {
+            let id = child.key;
+            if (this.findIndexById(id) < 0) {
+                let model = new this._dataType(id, null, extend({}, this._modelOptions, {
+                    noInitialSync: true,
+                    dataSnapshot: child
+                }));
+                this.insertAt(model, previousSiblingId ? this.findIndexById(previousSiblingId) + 1 : 0);
+                this._eventEmitter.emit('child_added', model, previousSiblingId);
+                addedModels.push(model);
+            }
+            previousSiblingId = id;
+        });
+        return addedModels;
+    }
+
+    /**
+     * Determines whether there can be more models before or after the current ones, from the amount of models the
+     * dataSource returned and its limit. If it returned as many as the limit, there may be more.
+     * @param {DataSource} dataSource DataSource of the array.
+     * @param {Number} numChildren Amount of models the dataSource returned.
+     * @returns {void}
+     * @private
+     */
+    _updatePagingState(dataSource, numChildren) {
+        let {limitToFirst, limitToLast, limit} = dataSource.options || {};
+        /* SharePoint has a limit option instead of limitToFirst */
+        if (limitToFirst === undefined) {
+            limitToFirst = limit;
+        }
+        if (limitToFirst !== undefined) {
+            this._hasMore = numChildren >= limitToFirst;
+        }
+        if (limitToLast !== undefined) {
+            this._hasPrevious = numChildren >= limitToLast;
+        }
+    }
+
+    /**
+     * Gets the position of a model in the order of the dataSource, to load a page from.
+     * @param {Model} model Model in the array.
+     * @returns {Array} The value of the field ordered by, and the id of the model, which orders models with the same value.
+     * @private
+     */
+    _getCursor(model) {
+        let {orderBy} = this._dataSource.options || {};
+        switch (orderBy) {
+            case undefined:
+            case '':
+            case '.priority':
+                return [model.priority !== undefined ? model.priority : null, model.id];
+            case 'id':
+            case '.key':
+                /* Ids are unique, so there is no need for a key */
+                return [model.id];
+            default:
+                return [Query.getFieldValue(model, model.id, orderBy), model.id];
+        }
     }
 
     _doOnceReady(callback) {
@@ -430,7 +711,7 @@ export class PrioritisedArray extends Array {
             this._overrideChildAddedForId.then((newModel) => {
                 /* If the override is concerning another id, then go ahead and make the _onChildAdded */
                 if (newModel.id !== id) {
-                    this._onChildAdded(snapshot, prevSiblingId)
+                    this._withoutRecording(this._onChildAdded)(snapshot, prevSiblingId)
                 } else {
                     this._eventEmitter.emit('value', this);
                 }
@@ -511,6 +792,14 @@ export class PrioritisedArray extends Array {
     }
 
     _moveItem(previousPosition, newPosition, modelToMove) {
+        if (previousPosition !== newPosition) {
+            this._recordChange({
+                type: 'move', model: modelToMove,
+                previousSiblingId: this._getIdAt(previousPosition - 1),
+                /* The model is taken out of the array before it is put at its new position */
+                newSiblingId: this._getIdAt(newPosition < previousPosition ? newPosition - 1 : newPosition)
+            });
+        }
         this._ids[modelToMove._id] = newPosition;
         /* Update the positions of things coming inbetween */
         for (let positionAhead = previousPosition; positionAhead < newPosition; positionAhead++) {
@@ -543,10 +832,54 @@ export class PrioritisedArray extends Array {
         if (position !== -1) {
             this.remove(position);
             delete this._ids[id];
+            if (this._history) {
+                this._history._onRemoteRemoval(model);
+            }
 
             this._eventEmitter.emit('child_removed', model);
             this._eventEmitter.emit('value', this);
         }
     }
 
+    /**
+     * Records a local change in the History of this array, if any.
+     * @param {Object} change Change to record, see History.
+     * @returns {void}
+     * @private
+     */
+    _recordChange(change) {
+        if (this._history && !this._unrecordedChangeDepth) {
+            this._history._recordChange({...change, array: this});
+        }
+    }
+
+    /**
+     * Wraps a method, so the changes it makes to this array aren't recorded in its History.
+     * @param {Function} method Method to wrap.
+     * @returns {Function} The wrapped method.
+     * @private
+     */
+    _withoutRecording(method) {
+        return (...args) => {
+            this._unrecordedChangeDepth++;
+            try {
+                return method(...args);
+            } finally {
+                this._unrecordedChangeDepth--;
+            }
+        };
+    }
+
+    /**
+     * @param {Number} position Position in the array.
+     * @returns {String} Id of the model at the position, or null if there is none.
+     * @private
+     */
+    _getIdAt(position) {
+        return position >= 0 && this[position] ? this[position].id : null;
+    }
+
 }
+
+/* Let relations create PrioritisedArrays without importing this module, which would make Model depend on itself */
+Relations.arrayType = PrioritisedArray;
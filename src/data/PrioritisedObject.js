@@ -311,7 +311,7 @@ export class PrioritisedObject extends EventEmitter {
             let ownPropertyDescriptor = Object.getOwnPropertyDescriptor(this, key);
             if (ownPropertyDescriptor && ownPropertyDescriptor.enumerable) {
                 /* If child is a primitive, listen to changes so we can synch with Firebase */
-                ObjectHelper.addPropertyToObject(this, key, data[key], true, true, this._onSetterTriggered.bind(this, key));
+                ObjectHelper.addPropertyToObject(this, key, data[key], true, true, this._onSetterTriggered);
             }
         }
     }
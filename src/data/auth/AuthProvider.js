@@ -0,0 +1,54 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+/**
+ * Signs users in with a backend on behalf of the AuthService. Providers resolve with sessions of the form
+ * {user: {uid, email, displayName, roles, claims}, credentials: {token}, expiresAt, refreshToken}, where expiresAt
+ * is the time in milliseconds at which the credentials expire, or null if they don't.
+ * Sessions are persisted by the AuthService, so they have to be JSON-serializable.
+ */
+export class AuthProvider {
+
+    /**
+     * Signs a user in.
+     * @param {Object} credentials Provider-specific credentials, e.g. {email, password}.
+     * @returns {Promise.<Object>} Resolves with the session.
+     */
+    async signIn(credentials) {
+        throw AuthProvider.createError('not_supported', `${this.constructor.name} does not support signing in`);
+    }
+
+    /**
+     * Renews the credentials of a session before they expire.
+     * @param {Object} session Session to renew.
+     * @returns {Promise.<Object>} Resolves with the renewed session.
+     */
+    async refresh(session) {
+        throw AuthProvider.createError('not_supported', `${this.constructor.name} does not support refreshing sessions`);
+    }
+
+    /**
+     * Ends a session with the backend, if the backend keeps track of sessions.
+     * @param {Object} session Session to end.
+     * @returns {Promise} Resolves when the session has ended.
+     */
+    async signOut(session) {
+    }
+
+    /**
+     * Creates an error with a code, like the errors providers reject with.
+     * @param {String} code Error code, e.g. 'invalid_credentials'.
+     * @param {String} message Error message.
+     * @returns {Error} Error.
+     */
+    static createError(code, message) {
+        let error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
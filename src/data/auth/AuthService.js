@@ -0,0 +1,296 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import EventEmitter                 from 'eventemitter3';
+import {ObjectHelper}               from '../../utils/ObjectHelper.js';
+import {DataSource}                 from '../DataSource.js';
+import {AuthProvider}               from './AuthProvider.js';
+import {createDefaultStorageAdapter}from '../datasources/Offline/StorageAdapters.js';
+
+/* Longest delay setTimeout() accepts */
+const MAX_TIMEOUT = 2147483647;
+
+/**
+ * Keeps track of the signed in user for the whole app, independently of the DataSource that is used. Users are signed
+ * in through pluggable AuthProviders, the session is persisted across reloads, and the credentials are refreshed
+ * before they expire. All DataSources pick up the credentials through DataSource.authService.
+ *
+ * Emits 'authStateChanged' with the user when a user signs in, or with null when the user signs out or the session
+ * ends. Refreshing the credentials of the same user doesn't emit it. Emits 'credentialsChanged' with the credentials,
+ * or null, whenever they change, including when they are refreshed.
+ *
+ * @example
+ * Injection.provide(AuthService, new AuthService({providers: {firebase: new FirebaseAuthProvider()}}));
+ * let authService = Injection.get(AuthService);
+ * authService.onAuthStateChanged((user) => user && authService.hasRole('admin') && this.showAdminMenu());
+ * await authService.signIn('firebase', {email: 'john@example.com', password: 'secret'});
+ */
+export class AuthService extends EventEmitter {
+
+    /**
+     * @param {Object} [options] Options.
+     * @param {Object} [options.providers] AuthProviders by name, e.g. {local: new LocalAuthProvider()}.
+     * @param {String} [options.defaultProvider] Name of the provider that the auth methods of DataSources, such as
+     * authWithPassword(), sign in with. Defaults to the first of the providers.
+     * @param {Boolean} [options.persist] Whether to keep the session across reloads. Defaults to true.
+     * @param {Object} [options.storage] Storage adapter with getItem/setItem/removeItem methods that return promises.
+     * Defaults to IndexedDB, or localStorage if that isn't available.
+     * @param {String} [options.storageKey] Key the session is persisted under. Defaults to 'arva-auth:session'.
+     * @param {Number} [options.refreshMargin] Milliseconds before the credentials expire that they are refreshed. Defaults to 60000.
+     * @param {Boolean} [options.useForDataSources] Whether all DataSources use the credentials of this service. Defaults to true.
+     * @returns {AuthService} AuthService instance.
+     */
+    constructor(options = {}) {
+        super();
+        this.options = {persist: true, storageKey: 'arva-auth:session', refreshMargin: 60000, useForDataSources: true, ...options};
+
+        this._providers = {...options.providers};
+        this._storage = options.storage || createDefaultStorageAdapter();
+        this._session = null;
+        this._refreshTimer = null;
+        this._pendingRefresh = null;
+
+        /* Bind all local methods to the current object instance, so we can refer to "this"
+         * in the methods as expected, even when they're called from event handlers. */
+        ObjectHelper.bindAllMethods(this, this);
+
+        if (this.options.useForDataSources) {
+            DataSource.authService = this;
+        }
+
+        /**
+         * Resolves once the persisted session is restored, if there is one.
+         * @type {Promise}
+         */
+        this.ready = this._restoreSession();
+    }
+
+    /**
+     * The signed in user, e.g. {uid, email, displayName, roles, claims}.
+     * @returns {Object|null} User, or null if no one is signed in.
+     */
+    get currentUser() {
+        return this._session ? this._session.user : null;
+    }
+
+    /**
+     * The credentials of the signed in user, e.g. {token}, which DataSources send along with their requests.
+     * @returns {Object|null} Credentials, or null if no one is signed in.
+     */
+    get credentials() {
+        return this._session ? this._session.credentials : null;
+    }
+
+    /**
+     * The roles of the signed in user.
+     * @returns {Array.<String>} Roles, which is empty if no one is signed in.
+     */
+    get roles() {
+        return (this.currentUser && this.currentUser.roles) || [];
+    }
+
+    /**
+     * @param {String} role Role, e.g. 'admin'.
+     * @returns {Boolean} Whether the signed in user has the role.
+     */
+    hasRole(role) {
+        return this.roles.includes(role);
+    }
+
+    /**
+     * @param {String} name Name of the claim, e.g. 'tenant'.
+     * @returns {*} The value of the claim for the signed in user, or undefined if there is none.
+     */
+    getClaim(name) {
+        let claims = (this.currentUser && this.currentUser.claims) || {};
+        return claims[name];
+    }
+
+    /**
+     * The name of the provider that the auth methods of DataSources sign in with.
+     * @returns {String|undefined} Name of the provider, or undefined if there are no providers.
+     */
+    get defaultProviderName() {
+        return this.options.defaultProvider || Object.keys(this._providers)[0];
+    }
+
+    /**
+     * Adds a provider users can sign in with.
+     * @param {String} name Name to sign in with, e.g. 'firebase'.
+     * @param {AuthProvider} provider Provider.
+     * @returns {void}
+     */
+    registerProvider(name, provider) {
+        this._providers[name] = provider;
+    }
+
+    /**
+     * Signs a user in, replacing the current session if there is one.
+     * @param {String} providerName Name of the provider to sign in with.
+     * @param {Object} credentials Provider-specific credentials, e.g. {email, password}.
+     * @returns {Promise.<Object>} Resolves with the signed in user.
+     */
+    async signIn(providerName, credentials) {
+        await this.ready;
+        let session = await this._getProvider(providerName).signIn(credentials);
+        await this._setSession({...session, provider: providerName});
+        return session.user;
+    }
+
+    /**
+     * Signs the current user out, if there is one.
+     * @returns {Promise} Resolves when the session has ended.
+     */
+    async signOut() {
+        await this.ready;
+        let session = this._session;
+        if (!session) {
+            return;
+        }
+        await this._setSession(null);
+        await this._getProvider(session.provider).signOut(session);
+    }
+
+    /**
+     * @returns {Promise.<Object|null>} Resolves with the signed in user once the persisted session is restored.
+     */
+    async getAuth() {
+        await this.ready;
+        return this.currentUser;
+    }
+
+    /**
+     * Returns credentials that haven't expired, refreshing them first if needed.
+     * @returns {Promise.<Object|null>} Resolves with the credentials, or null if no one is signed in.
+     */
+    async getCredentials() {
+        await this.ready;
+        if (this._session && this._isExpiring(this._session)) {
+            await this.refresh();
+        }
+        return this.credentials;
+    }
+
+    /**
+     * Renews the credentials of the current session. The session ends if they can't be renewed.
+     * @returns {Promise.<Object|null>} Resolves with the renewed credentials, or null if no one is signed in.
+     */
+    refresh() {
+        let session = this._session;
+        if (!session) {
+            return Promise.resolve(null);
+        }
+        if (!this._pendingRefresh) {
+            let clearPendingRefresh = () => this._pendingRefresh = null;
+            this._pendingRefresh = this._getProvider(session.provider).refresh(session).then((renewedSession) => {
+                clearPendingRefresh();
+                /* The user might have signed out while refreshing */
+                if (this._session !== session) {
+                    return this.credentials;
+                }
+                return this._setSession({...renewedSession, provider: session.provider}).then(() => this.credentials);
+            }, (error) => {
+                clearPendingRefresh();
+                let ended = this._session === session ? this._setSession(null) : Promise.resolve();
+                return ended.then(() => {
+                    throw error;
+                });
+            });
+        }
+        return this._pendingRefresh;
+    }
+
+    /**
+     * Calls the handler with the current user once the persisted session is restored, and whenever a user signs in or out.
+     * @param {Function} handler Function called with the user, or null.
+     * @param {Object} [context] Context to call the handler with.
+     * @returns {Function} Function that unsubscribes the handler.
+     */
+    onAuthStateChanged(handler, context) {
+        let isSubscribed = true;
+        /* Subscribes once the session is restored, so restoring it doesn't call the handler a second time */
+        this.ready.then(() => {
+            if (isSubscribed) {
+                this.on('authStateChanged', handler, context);
+                handler.call(context, this.currentUser);
+            }
+        });
+        return () => {
+            isSubscribed = false;
+            this.removeListener('authStateChanged', handler, context);
+        };
+    }
+
+    /**
+     * Stops refreshing the credentials, and stops providing them to DataSources.
+     * @returns {void}
+     */
+    dispose() {
+        clearTimeout(this._refreshTimer);
+        if (DataSource.authService === this) {
+            DataSource.authService = null;
+        }
+    }
+
+    async _restoreSession() {
+        if (!this.options.persist) {
+            return;
+        }
+        let session = await this._storage.getItem(this.options.storageKey).catch(() => null);
+        if (!session || !this._providers[session.provider]) {
+            return;
+        }
+        this._session = session;
+        if (this._isExpiring(session)) {
+            await this.refresh().catch(() => null);
+        } else {
+            this._scheduleRefresh();
+            this.emit('credentialsChanged', this.credentials);
+            this.emit('authStateChanged', this.currentUser);
+        }
+    }
+
+    async _setSession(session) {
+        let previousUser = this.currentUser;
+        this._session = session;
+        this._scheduleRefresh();
+
+        if (this.options.persist) {
+            let {storageKey} = this.options;
+            await (session ? this._storage.setItem(storageKey, session) : this._storage.removeItem(storageKey)).catch(() => null);
+        }
+
+        this.emit('credentialsChanged', this.credentials);
+        let user = this.currentUser;
+        if (!previousUser || !user || previousUser.uid !== user.uid) {
+            this.emit('authStateChanged', user);
+        }
+    }
+
+    _scheduleRefresh() {
+        clearTimeout(this._refreshTimer);
+        this._refreshTimer = null;
+        let session = this._session;
+        if (session && session.expiresAt) {
+            let delay = session.expiresAt - this.options.refreshMargin - Date.now();
+            this._refreshTimer = setTimeout(() => this.refresh().catch(() => null), Math.min(Math.max(delay, 0), MAX_TIMEOUT));
+        }
+    }
+
+    _isExpiring({expiresAt}) {
+        return !!expiresAt && expiresAt - this.options.refreshMargin <= Date.now();
+    }
+
+    _getProvider(name) {
+        let provider = this._providers[name];
+        if (!provider) {
+            throw AuthProvider.createError('invalid_argument', `Unknown auth provider '${name}'`);
+        }
+        return provider;
+    }
+}
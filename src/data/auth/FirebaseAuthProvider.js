@@ -0,0 +1,107 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import firebase                     from 'firebase';
+import {AuthProvider}               from './AuthProvider.js';
+
+/* Firebase ID tokens are valid for an hour */
+const TOKEN_LIFETIME = 3600000;
+
+/**
+ * Signs users in with Firebase Authentication. The credentials are Firebase ID tokens, and the roles and claims of
+ * the user are read from the custom claims in the token, where the roles are expected in a 'roles' claim.
+ */
+export class FirebaseAuthProvider extends AuthProvider {
+
+    /**
+     * @param {Object} [options] Options.
+     * @param {Object} [options.customFirebase] Optional, the firebase instance to use instead of the imported one.
+     * @returns {FirebaseAuthProvider} FirebaseAuthProvider instance.
+     */
+    constructor(options = {}) {
+        super();
+        this._firebase = options.customFirebase || firebase;
+    }
+
+    /**
+     * @param {Object} credentials One of {email, password}, {customToken}, {facebookToken}, or {anonymous: true}.
+     * @returns {Promise.<Object>} Resolves with the session.
+     */
+    async signIn({email, password, customToken, facebookToken, anonymous} = {}) {
+        let auth = this._firebase.auth();
+        let user;
+        if (customToken) {
+            user = await auth.signInWithCustomToken(customToken);
+        } else if (facebookToken) {
+            user = await auth.signInWithCredential(this._firebase.auth.FacebookAuthProvider.credential(facebookToken));
+        } else if (anonymous) {
+            user = await auth.signInAnonymously();
+        } else {
+            user = await auth.signInWithEmailAndPassword(email, password).catch((error) => {
+                if (['auth/wrong-password', 'auth/user-not-found'].includes(error.code)) {
+                    throw AuthProvider.createError('invalid_credentials', error.message);
+                }
+                throw error;
+            });
+        }
+        return this._createSession(user, false);
+    }
+
+    async refresh({user: {uid}}) {
+        let user = await this._getCurrentUser();
+        if (!user || user.uid !== uid) {
+            throw AuthProvider.createError('session_expired', 'The Firebase session has ended');
+        }
+        return this._createSession(user, true);
+    }
+
+    async signOut() {
+        return this._firebase.auth().signOut();
+    }
+
+    async _createSession(user, forceRefresh) {
+        let token = await user.getToken(forceRefresh);
+        let claims = FirebaseAuthProvider._decodeClaims(token);
+        return {
+            user: {
+                uid: user.uid,
+                email: user.email,
+                displayName: user.displayName,
+                roles: Array.isArray(claims.roles) ? claims.roles : [],
+                claims
+            },
+            credentials: {token},
+            expiresAt: claims.exp ? claims.exp * 1000 : Date.now() + TOKEN_LIFETIME,
+            refreshToken: null
+        };
+    }
+
+    /* Firebase restores its own session asynchronously after a reload */
+    _getCurrentUser() {
+        let auth = this._firebase.auth();
+        if (auth.currentUser) {
+            return Promise.resolve(auth.currentUser);
+        }
+        return new Promise((resolve) => {
+            let unsubscribe = auth.onAuthStateChanged((user) => {
+                unsubscribe();
+                resolve(user);
+            });
+        });
+    }
+
+    /* The claims are in the payload of the token, which is base64url encoded JSON */
+    static _decodeClaims(token) {
+        try {
+            let payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            return JSON.parse(decodeURIComponent(escape(atob(payload))));
+        } catch (error) {
+            return {};
+        }
+    }
+}
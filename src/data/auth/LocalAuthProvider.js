@@ -0,0 +1,99 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import {AuthProvider}               from './AuthProvider.js';
+
+/**
+ * Signs in users from a fixed list, without a backend. It issues tokens that expire and can be refreshed like real
+ * ones, which makes it suitable for unit tests and demos of code that depends on the AuthService.
+ *
+ * @example
+ * let authService = new AuthService({providers: {local: new LocalAuthProvider({
+ *     users: [{uid: 'john', email: 'john@example.com', password: 'secret', roles: ['admin']}]
+ * })}});
+ * await authService.signIn('local', {email: 'john@example.com', password: 'secret'});
+ */
+export class LocalAuthProvider extends AuthProvider {
+
+    /**
+     * @param {Object} [options] Options.
+     * @param {Array.<Object>} [options.users] Users that can sign in, e.g. {uid, email, password, displayName, roles, claims}.
+     * @param {Number} [options.tokenLifetime] Milliseconds the issued tokens are valid. Defaults to 3600000.
+     * @returns {LocalAuthProvider} LocalAuthProvider instance.
+     */
+    constructor({users = [], tokenLifetime = 3600000} = {}) {
+        super();
+        this.tokenLifetime = tokenLifetime;
+        this._users = users.slice();
+        /* The uid of the user each token and refresh token was issued to */
+        this._tokens = {};
+        this._refreshTokens = {};
+        this._nextTokenId = 1;
+    }
+
+    /**
+     * Adds a user that can sign in.
+     * @param {Object} user User, e.g. {uid, email, password, displayName, roles, claims}.
+     * @returns {void}
+     */
+    addUser(user) {
+        this._users.push(user);
+    }
+
+    async signIn({email, password} = {}) {
+        let user = this._users.find((candidate) => candidate.email === email && candidate.password === password);
+        if (!user) {
+            throw AuthProvider.createError('invalid_credentials', 'The email address or password is incorrect');
+        }
+        let refreshToken = this._issueToken('refresh', user);
+        this._refreshTokens[refreshToken] = user.uid;
+        return this._createSession(user, refreshToken);
+    }
+
+    async refresh({refreshToken}) {
+        let uid = this._refreshTokens[refreshToken];
+        let user = this._users.find((candidate) => candidate.uid === uid);
+        if (!user) {
+            throw AuthProvider.createError('session_expired', 'The session has ended');
+        }
+        return this._createSession(user, refreshToken);
+    }
+
+    async signOut({refreshToken}) {
+        delete this._refreshTokens[refreshToken];
+    }
+
+    /**
+     * Checks a token, like a backend would do for the requests it receives.
+     * @param {String} token Token from the credentials of a session.
+     * @returns {String|null} The uid of the user the token was issued to, or null if the token is invalid or expired.
+     */
+    verifyToken(token) {
+        let issuedToken = this._tokens[token];
+        if (!issuedToken || issuedToken.expiresAt <= Date.now()) {
+            return null;
+        }
+        return issuedToken.uid;
+    }
+
+    _createSession({uid, email, displayName = null, roles = [], claims = {}}, refreshToken) {
+        let token = this._issueToken('token', {uid});
+        let expiresAt = Date.now() + this.tokenLifetime;
+        this._tokens[token] = {uid, expiresAt};
+        return {
+            user: {uid, email, displayName, roles: roles.slice(), claims: {...claims}},
+            credentials: {token},
+            expiresAt,
+            refreshToken
+        };
+    }
+
+    _issueToken(type, {uid}) {
+        return `local-${type}-${uid}-${this._nextTokenId++}`;
+    }
+}
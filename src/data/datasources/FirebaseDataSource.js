@@ -34,7 +34,9 @@ export class FirebaseDataSource extends DataSource {
      * @param {Number} [options.limitToFirst]   Optional, only subscribe to the first amount of entries.
      * @param {Number} [options.limitToLast]    Optional, only subscribe to the last amount of entries.
      * @param {Number} [options.startAt]        Optional, only subscribe to the entries from a certain value onwards
+     * @param {String} [options.startAtKey]     Optional, the key of the entry to start at, among entries with the startAt value
      * @param {Number} [options.endAt]          Optional, only subscribe to the entries towards a certain value
+     * @param {String} [options.endAtKey]       Optional, the key of the entry to end at, among entries with the endAt value
      * @param {Promise} [options.synced]        Optional, a promise to tell the data source that it is only synchronized after this promise is resolved
      **/
     constructor(path, options = { orderBy: '.priority' }) {
@@ -78,10 +80,10 @@ export class FirebaseDataSource extends DataSource {
         }
 
         if (this.options.startAt !== undefined) {
-            this._orderedDataReference = this._orderedDataReference.startAt(this.options.startAt);
+            this._orderedDataReference = this._orderedDataReference.startAt(this.options.startAt, this.options.startAtKey);
         }
         if (this.options.endAt !== undefined) {
-            this._orderedDataReference = this._orderedDataReference.endAt(this.options.endAt);
+            this._orderedDataReference = this._orderedDataReference.endAt(this.options.endAt, this.options.endAtKey);
         }
 
         if (this.options.limitToFirst !== undefined) {
@@ -133,6 +135,14 @@ export class FirebaseDataSource extends DataSource {
         return new FirebaseDataSource(`${this.path()}/${childName}`, { customFirebase: this.options.customFirebase, ...options });
     }
 
+    /**
+     * Returns a dataSource reference to the root of the Firebase database.
+     * @returns {DataSource} New dataSource instance pointing to the root.
+     */
+    rootDataSource() {
+        return new FirebaseDataSource('/', { customFirebase: this.options.customFirebase });
+    }
+
     /**
      * Returns the full URL to the path on the dataSource. Functionally identical to toString().
      * @returns {String} Full resource path.
@@ -175,6 +185,9 @@ export class FirebaseDataSource extends DataSource {
      * @returns {Promise} Resolves when write to server is complete.
      */
     set(newData) {
+        if (DataSource.isBatching) {
+            return this._addToBatch('set', newData);
+        }
         let completionPromise = this._dataReference.set(newData).catch((error) => this._rethrowFirebaseError(error, newData));
 
         /* Append another promise to the chain to keep track of whether it's still synchronized */
@@ -187,6 +200,9 @@ export class FirebaseDataSource extends DataSource {
      * @returns {Promise}
      */
     remove() {
+        if (DataSource.isBatching) {
+            return this._addToBatch('remove');
+        }
         return this._dataReference.remove().catch((error) => this._rethrowFirebaseError(error, null))
     }
 
@@ -195,6 +211,9 @@ export class FirebaseDataSource extends DataSource {
      * @returns {Promise}
      */
     update(data) {
+        if (DataSource.isBatching) {
+            return this._addToBatch('update', data);
+        }
         return this._dataReference.update(data).catch((error) => this._rethrowFirebaseError(error, data));
     }
 
@@ -206,6 +225,12 @@ export class FirebaseDataSource extends DataSource {
      */
     push(newData = {}) {
         newData = (newData === undefined || newData === null) ? {} : newData;
+        if (DataSource.isBatching) {
+            /* Generate the key locally, and write the data when the batch is committed */
+            let pushedDataSource = this.child(this._dataReference.push().key);
+            pushedDataSource._synced = pushedDataSource.set(newData);
+            return pushedDataSource;
+        }
         let pushResult = this._dataReference.push(newData);
         pushResult.catch((error) => this._rethrowFirebaseError(error, newData));
         return new FirebaseDataSource(`${this.path()}/${pushResult.key}`, {
@@ -221,6 +246,9 @@ export class FirebaseDataSource extends DataSource {
      * @returns {Promise} Resolves when write to server is complete.
      */
     setWithPriority(newData, priority) {
+        if (DataSource.isBatching) {
+            return this._addToBatch('set', newData, priority);
+        }
         /* Rethrow the error in order to be able to catch it higher up */
         let completionPromise = this.dataReference.setWithPriority(newData, priority).catch((error) =>
                 this._rethrowFirebaseError(error, newData)
@@ -281,7 +309,9 @@ export class FirebaseDataSource extends DataSource {
      * @returns {DataSource} New dataSource instance.
      */
     limitToFirst(amount) {
-        return new FirebaseDataSource(this.path(), merge({}, this.options, {
+        /* Firebase doesn't accept both limits on the same query */
+        let {limitToLast, ...options} = this.options;
+        return new FirebaseDataSource(this.path(), merge({}, options, {
             limitToFirst: amount,
             customFirebase: this.options.customFirebase
         }));
@@ -293,7 +323,39 @@ export class FirebaseDataSource extends DataSource {
      * @returns {DataSource} New dataSource instance.
      */
     limitToLast(amount) {
-        return new FirebaseDataSource(this.path(), merge({}, this.options, { limitToLast: amount }));
+        let {limitToFirst, ...options} = this.options;
+        return new FirebaseDataSource(this.path(), merge({}, options, {
+            limitToLast: amount,
+            customFirebase: this.options.customFirebase
+        }));
+    }
+
+    /**
+     * Returns a new dataSource reference that only contains the children from a cursor onwards, in the order of the dataSource.
+     * @param {*} value Value of the order key to start at.
+     * @param {String} [key] Key of the child to start at, among children with the same value.
+     * @returns {DataSource} New dataSource instance.
+     */
+    startAt(value, key) {
+        return new FirebaseDataSource(this.path(), merge({}, this.options, {
+            startAt: value,
+            startAtKey: key,
+            customFirebase: this.options.customFirebase
+        }));
+    }
+
+    /**
+     * Returns a new dataSource reference that only contains the children up to a cursor, in the order of the dataSource.
+     * @param {*} value Value of the order key to end at.
+     * @param {String} [key] Key of the child to end at, among children with the same value.
+     * @returns {DataSource} New dataSource instance.
+     */
+    endAt(value, key) {
+        return new FirebaseDataSource(this.path(), merge({}, this.options, {
+            endAt: value,
+            endAtKey: key,
+            customFirebase: this.options.customFirebase
+        }));
     }
 
     /**
@@ -306,6 +368,10 @@ export class FirebaseDataSource extends DataSource {
      * @returns {Promise} A promise that resolves after successful authentication.
      */
     authWithOAuthToken(provider, credentials, onComplete) {
+        /* With an AuthService, signing in goes through it, so the session is shared by all DataSources */
+        if (DataSource.authService) {
+            return super.authWithOAuthToken(provider, credentials, onComplete);
+        }
         let providerObject = this.createProviderFromCredential(provider, credentials);
         return this._firebase.auth().signInWithCredential(providerObject).then((user) => {
             if (onComplete) {
@@ -355,6 +421,9 @@ export class FirebaseDataSource extends DataSource {
      * @returns {Promise} A promise that resolves after successful authentication.
      */
     authWithCustomToken(authToken, onComplete) {
+        if (DataSource.authService) {
+            return super.authWithCustomToken(authToken, onComplete);
+        }
         return this._firebase.auth().signInWithCustomToken(authToken).then((user) => {
             if (onComplete) {
                 onComplete(user);
@@ -384,6 +453,9 @@ export class FirebaseDataSource extends DataSource {
      * @returns {Promise} A promise that resolves after successful authentication.
      */
     authWithPassword(credentials, onComplete) {
+        if (DataSource.authService) {
+            return super.authWithPassword(credentials, onComplete);
+        }
         return this._firebase.auth().signInWithEmailAndPassword(credentials.email, credentials.password).then((user) => {
             if (onComplete) {
                 onComplete(user);
@@ -400,8 +472,16 @@ export class FirebaseDataSource extends DataSource {
      * @param {Object} options Optional, additional client arguments, such as configuring session persistence.
      * @returns {Promise} A promise that resolves after successful authentication.
      */
-    authAnonymously(options) {
-        return this._firebase.auth().signInAnonymously();
+    authAnonymously(onComplete, options) {
+        if (DataSource.authService) {
+            return super.authAnonymously(onComplete, options);
+        }
+        return this._firebase.auth().signInAnonymously().then((user) => {
+            if (onComplete) {
+                onComplete(user);
+            }
+            return user;
+        });
     }
 
     /**
@@ -420,6 +500,9 @@ export class FirebaseDataSource extends DataSource {
      * @returns {Object|null} User auth object.
      */
     getAuth() {
+        if (DataSource.authService) {
+            return super.getAuth();
+        }
         let firebaseAuth = this._firebase.auth();
         let { currentUser } = firebaseAuth;
         if (!this._authDataPresent) {
@@ -444,6 +527,9 @@ export class FirebaseDataSource extends DataSource {
      * @returns {void}
      */
     unauth() {
+        if (DataSource.authService) {
+            return super.unauth();
+        }
         return this._firebase.auth().signOut();
     }
 
@@ -629,6 +715,26 @@ export class FirebaseDataSource extends DataSource {
         });
     }
 
+    /**
+     * Writes to the same database are committed together.
+     * @returns {String} URL of the root of the database.
+     * @protected
+     */
+    _getBatchBackend() {
+        return this._dataReference.root.toString();
+    }
+
+    /**
+     * Commits the writes collected by batch() as a single multi-location update, which either succeeds or fails as a whole.
+     * @param {Array.<Object>} operations Writes to commit.
+     * @returns {Promise} Resolves when all writes are committed.
+     * @protected
+     */
+    _commitBatch(operations) {
+        let updates = this._createMultiLocationUpdate(operations);
+        return this._dataReference.root.update(updates).catch((error) => this._rethrowFirebaseError(error, updates));
+    }
+
     /**
      * Rethrows a an error in Firebase to contain some more data to better be able to see the cause of the error
      * @param error
@@ -0,0 +1,181 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import {MemoryDataSource}           from './MemoryDataSource.js';
+import {MemoryStore}                from './Memory/MemoryStore.js';
+import {MemorySnapshot}             from './Memory/MemorySnapshot.js';
+
+/**
+ * Combines an index with a collection: it contains the children of the collection whose keys are present in the index,
+ * such as the children of 'Tags' whose keys are in 'OrderTags/<orderId>'. Changes of both the index and the referenced
+ * children are followed, so a PrioritisedArray built on it stays up to date.
+ *
+ * Snapshots refer to the children of the collection, so models created from this DataSource read and write the
+ * collection directly. Pushing adds the new child to the collection and to the index. The join itself can't be
+ * written, since it is a selection of the collection: its children are written, or linked through the index instead.
+ */
+export class JoinDataSource extends MemoryDataSource {
+
+    /**
+     * @param {DataSource} collectionDataSource DataSource containing the referenced children.
+     * @param {DataSource} indexDataSource DataSource whose child keys are the keys of the referenced children.
+     * @param {Object} [options] Options.
+     * @param {Function} [options.link] Called with the key of a pushed child to add it to the index. Sets the key to
+     *                                  true in the index by default.
+     * @returns {JoinDataSource} JoinDataSource instance.
+     */
+    constructor(collectionDataSource, indexDataSource, options = {}) {
+        super('', {store: new MemoryStore()});
+        this._collection = collectionDataSource;
+        this._index = indexDataSource;
+        this._link = options.link || ((key) => this._index.child(key).set(true));
+        this._subscriberCount = 0;
+        this._loaded = null;
+        /* DataSources and value handlers of the referenced children, by key */
+        this._childSubscriptions = {};
+    }
+
+    toString() {
+        return this._collection.toString();
+    }
+
+    path() {
+        return this._collection.path();
+    }
+
+    key() {
+        return this._collection.key();
+    }
+
+    parent() {
+        return this._collection.parent();
+    }
+
+    root() {
+        return this._collection.root();
+    }
+
+    child(childName, options) {
+        return this._collection.child(childName, options);
+    }
+
+    rootDataSource() {
+        return this._collection.rootDataSource();
+    }
+
+    /* The join contains a child for every key in the index */
+    dataExists() {
+        return this._index.dataExists();
+    }
+
+    synced() {
+        return this._collection.synced();
+    }
+
+    set(newData) {
+        throw new Error('A JoinDataSource can not be written, write its children instead');
+    }
+
+    remove(object) {
+        throw new Error('A JoinDataSource can not be removed, remove its children or their index entries instead');
+    }
+
+    update(data) {
+        throw new Error('A JoinDataSource can not be written, write its children instead');
+    }
+
+    setWithPriority(newData, priority) {
+        throw new Error('A JoinDataSource can not be written, write its children instead');
+    }
+
+    setPriority(newPriority) {
+        throw new Error('A JoinDataSource can not be written, write its children instead');
+    }
+
+    atomicTransaction(transactionFunction) {
+        throw new Error('A JoinDataSource can not be written, write its children instead');
+    }
+
+    push(newData) {
+        let pushedDataSource = this._collection.push(newData);
+        this._link(pushedDataSource.key());
+        return pushedDataSource;
+    }
+
+    getTimestampSymbol() {
+        return this._collection.getTimestampSymbol();
+    }
+
+    /* Resolves once the index and all children it refers to are loaded, so subscribers don't see them trickle in */
+    _subscribe() {
+        if (this._subscriberCount++ === 0) {
+            this._loaded = new Promise((resolve) => {
+                this._onIndexValue = (snapshot) => {
+                    this._updateChildSubscriptions(Object.keys(snapshot.val() || {})).then(resolve);
+                };
+            });
+            this._index.on('value', this._onIndexValue);
+        }
+        return this._loaded;
+    }
+
+    _unsubscribe() {
+        if (--this._subscriberCount === 0) {
+            this._index.off('value', this._onIndexValue);
+            this._updateChildSubscriptions([]);
+        }
+    }
+
+    /**
+     * Subscribes to the children that were added to the index, and unsubscribes from the ones that were removed.
+     * @param {Array.<String>} keys Keys currently in the index.
+     * @returns {Promise} Resolves when the values of all newly subscribed children have been received.
+     * @private
+     */
+    _updateChildSubscriptions(keys) {
+        for (let key in this._childSubscriptions) {
+            if (keys.indexOf(key) === -1) {
+                let {dataSource, handler} = this._childSubscriptions[key];
+                dataSource.off('value', handler);
+                delete this._childSubscriptions[key];
+                this._store.set([key], null);
+            }
+        }
+
+        let loads = [];
+        for (let key of keys) {
+            if (!this._childSubscriptions[key]) {
+                loads.push(new Promise((resolve) => {
+                    let dataSource = this._collection.child(key);
+                    let handler = (snapshot) => {
+                        this._store.set([key], MemoryStore.exportSnapshot(snapshot));
+                        resolve();
+                    };
+                    this._childSubscriptions[key] = {dataSource, handler};
+                    dataSource.on('value', handler);
+                }));
+            }
+        }
+        return Promise.all(loads);
+    }
+
+    _createListener(event, handler, context) {
+        return {
+            event, handler,
+            path: [],
+            query: this._getQuery(),
+            callback: (eventType, key, node, previousSiblingId, childKeys) => {
+                if (eventType === 'value') {
+                    handler.call(context, new MemorySnapshot(this.key(), node, this._collection, childKeys));
+                } else {
+                    handler.call(context, new MemorySnapshot(key, node, this._collection.child(key)), previousSiblingId);
+                }
+            }
+        };
+    }
+}
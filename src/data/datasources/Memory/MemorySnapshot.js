@@ -0,0 +1,123 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import {ObjectHelper}               from '../../../utils/ObjectHelper.js';
+import {Snapshot}                   from '../../Snapshot.js';
+import {MemoryStore}                from './MemoryStore.js';
+
+export class MemorySnapshot extends Snapshot {
+
+    /**
+     * @param {String} key Name of the branch this snapshot represents.
+     * @param {*} node Data of the branch, in the internal format of the MemoryStore.
+     * @param {MemoryDataSource} dataSource DataSource pointing to the branch.
+     * @param {Array} [childKeys] Keys of the children in the order they should be iterated in by forEach().
+     * If not given, children are iterated in priority order.
+     * @returns {MemorySnapshot} MemorySnapshot instance.
+     */
+    constructor(key, node, dataSource = null, childKeys = null) {
+        super();
+        this._key = key;
+        this._node = node === undefined ? null : node;
+        this._dataSource = dataSource;
+        this._childKeys = childKeys;
+
+        /* Bind all local methods to the current object instance, so we can refer to "this"
+         * in the methods as expected, even when they're called from event handlers.        */
+        ObjectHelper.bindAllMethods(this, this);
+    }
+
+    get key() {
+        return this._key;
+    }
+
+    /**
+     * Returns the data contained in this snapshot, without priorities.
+     * @returns {*} Data, or null if the snapshot is empty.
+     */
+    val() {
+        return MemoryStore.exportValue(this._node);
+    }
+
+    /**
+     * Returns the data contained in this snapshot, including '.priority' fields.
+     * @returns {*} Data, or null if the snapshot is empty.
+     */
+    exportVal() {
+        return this._node;
+    }
+
+    get ref() {
+        return this._dataSource;
+    }
+
+    getPriority() {
+        return MemoryStore.getPriority(this._node);
+    }
+
+    /**
+     * Returns whether this snapshot contains any data.
+     * @returns {Boolean} True if there is data.
+     */
+    exists() {
+        return this._node !== null;
+    }
+
+    /**
+     * Returns a snapshot of a child branch of this snapshot.
+     * @param {String} childPath Relative path to the child, e.g. 'address/street'.
+     * @returns {MemorySnapshot} Snapshot of the child.
+     */
+    child(childPath) {
+        let node = this._node;
+        let segments = MemoryStore.splitPath(childPath);
+        for (let segment of segments) {
+            node = MemoryStore.childKeys(node).indexOf(segment) !== -1 ? node[segment] : null;
+        }
+        let dataSource = this._dataSource ? this._dataSource.child(segments.join('/')) : null;
+        return new MemorySnapshot(segments[segments.length - 1], node, dataSource);
+    }
+
+    /**
+     * Returns whether the given child branch contains data.
+     * @param {String} childPath Relative path to the child.
+     * @returns {Boolean} True if there is data.
+     */
+    hasChild(childPath) {
+        return this.child(childPath).exists();
+    }
+
+    /**
+     * Calls the given callback with a snapshot of every child. Returning true from the callback stops the iteration.
+     * @param {Function} callback Function to call with each child snapshot.
+     * @returns {Boolean} True if the iteration was cancelled by the callback.
+     */
+    forEach(callback) {
+        for (let key of this._getOrderedChildKeys()) {
+            let childDataSource = this._dataSource ? this._dataSource.child(key) : null;
+            if (callback(new MemorySnapshot(key, this._node[key], childDataSource)) === true) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    numChildren() {
+        return MemoryStore.childKeys(this._node).length;
+    }
+
+    _getOrderedChildKeys() {
+        if (this._childKeys) {
+            return this._childKeys;
+        }
+        let children = MemoryStore.childKeys(this._node).map((key) => [key, this._node[key]]);
+        children.sort(([keyA, nodeA], [keyB, nodeB]) =>
+            MemoryStore.compareValues(MemoryStore.getPriority(nodeA), MemoryStore.getPriority(nodeB)) || MemoryStore.compareKeys(keyA, keyB));
+        return children.map(([key]) => key);
+    }
+}
@@ -0,0 +1,609 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import isEqual                      from 'lodash/isEqual.js';
+import {ObjectHelper}               from '../../../utils/ObjectHelper.js';
+
+/* Characters used in push keys, ordered by their ASCII value so that generated keys sort chronologically. */
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Holds the data tree of one or more MemoryDataSources in memory, and notifies subscribed listeners of any changes
+ * with the same event semantics as Firebase ('value', 'child_added', 'child_changed', 'child_moved', 'child_removed').
+ *
+ * Data is stored as nested plain objects. Priorities are stored in a '.priority' field, and primitive values that
+ * have a priority are wrapped as {'.value': value, '.priority': priority}, which is the same format Firebase uses
+ * for its exported data.
+ */
+export class MemoryStore {
+
+    /**
+     * @param {Object} [initialData] Data to populate the store with.
+     * @returns {MemoryStore} MemoryStore instance.
+     */
+    constructor(initialData = null) {
+        this._root = null;
+        this._listeners = [];
+        this._eventQueue = [];
+        this._isDispatching = false;
+        this._lastPushTime = 0;
+        this._lastRandomChars = [];
+
+        /* Bind all local methods to the current object instance, so we can refer to "this"
+         * in the methods as expected, even when they're called from event handlers. */
+        ObjectHelper.bindAllMethods(this, this);
+
+        if (initialData) {
+            this._root = MemoryStore.normalize(initialData);
+        }
+    }
+
+    /**
+     * Splits a path into its separate branch names, ignoring leading, trailing, and duplicate slashes.
+     * @param {String|Array} path Path such as '/Todos/1', or an array of branch names.
+     * @returns {Array} Branch names.
+     */
+    static splitPath(path = '') {
+        if (path instanceof Array) {
+            return path;
+        }
+        return `${path}`.split('/').filter((segment) => segment !== '');
+    }
+
+    /**
+     * Converts data to the internal storage format: removes null and undefined values, drops empty objects,
+     * converts arrays to objects keyed by index, and resolves server timestamp placeholders.
+     * @param {*} data Data to normalize.
+     * @param {*} [priority] Priority to store with the data.
+     * @returns {*} Normalized data, or null if there is nothing to store.
+     */
+    static normalize(data, priority = undefined) {
+        if (data === null || data === undefined || typeof data === 'function') {
+            return null;
+        }
+
+        if (MemoryStore.isTimestampPlaceholder(data)) {
+            data = Date.now();
+        }
+
+        let result;
+        if (typeof data === 'object') {
+            if ('.value' in data) {
+                return MemoryStore.normalize(data['.value'], priority !== undefined ? priority : data['.priority']);
+            }
+            result = {};
+            for (let key of Object.keys(data)) {
+                if (key === '.priority') {
+                    continue;
+                }
+                let child = MemoryStore.normalize(data[key]);
+                if (child !== null) {
+                    result[key] = child;
+                }
+            }
+            if (!Object.keys(result).length) {
+                return null;
+            }
+            if (priority === undefined) {
+                priority = data['.priority'];
+            }
+        } else {
+            result = data;
+        }
+
+        if (priority !== undefined && priority !== null) {
+            return typeof result === 'object' ? {...result, '.priority': priority} : {'.value': result, '.priority': priority};
+        }
+        return result;
+    }
+
+    /**
+     * Returns whether the given value is a server timestamp placeholder, as returned by MemoryDataSource.getTimestampSymbol().
+     * @param {*} value Value to check.
+     * @returns {Boolean} True if the value should be replaced by the current time when written.
+     */
+    static isTimestampPlaceholder(value) {
+        return !!value && typeof value === 'object' && value['.sv'] === 'timestamp';
+    }
+
+    /**
+     * Returns the data of a node without any priority information, converting objects with only sequential
+     * numeric keys back to arrays.
+     * @param {*} node Node in the internal storage format.
+     * @returns {*} Plain value.
+     */
+    static exportValue(node) {
+        if (node === null || node === undefined) {
+            return null;
+        }
+        if (typeof node !== 'object') {
+            return node;
+        }
+        if ('.value' in node) {
+            return node['.value'];
+        }
+
+        let keys = MemoryStore.childKeys(node);
+        let isArray = keys.length > 0 && keys.every((key, index) => key === `${index}`);
+        let result = isArray ? [] : {};
+        for (let key of keys) {
+            result[isArray ? +key : key] = MemoryStore.exportValue(node[key]);
+        }
+        return result;
+    }
+
+    /**
+     * Converts a snapshot from any DataSource to a plain value that includes priorities where the DataSource supports them.
+     * Snapshots without exportVal() (e.g. SharePoint) that contain arrays are converted to objects keyed by their child keys.
+     * @param {Snapshot} snapshot Snapshot to convert.
+     * @returns {*} Plain value.
+     */
+    static exportSnapshot(snapshot) {
+        if (snapshot.exportVal) {
+            return snapshot.exportVal();
+        }
+        if (!snapshot.numChildren()) {
+            return snapshot.val();
+        }
+        let result = {};
+        snapshot.forEach((child) => {
+            result[child.key] = child.val();
+        });
+        return result;
+    }
+
+    /**
+     * Returns the priority of a node, or null if it has none.
+     * @param {*} node Node in the internal storage format.
+     * @returns {String|Number|null} Priority.
+     */
+    static getPriority(node) {
+        if (node && typeof node === 'object' && node['.priority'] !== undefined) {
+            return node['.priority'];
+        }
+        return null;
+    }
+
+    /**
+     * Returns the names of all children of a node, excluding the priority and value fields.
+     * @param {*} node Node in the internal storage format.
+     * @returns {Array} Child names.
+     */
+    static childKeys(node) {
+        if (!node || typeof node !== 'object' || '.value' in node) {
+            return [];
+        }
+        return Object.keys(node).filter((key) => key !== '.priority');
+    }
+
+    /**
+     * Returns the node stored at the given path.
+     * @param {String|Array} path Path to the node.
+     * @returns {*} Node in the internal storage format, or null if nothing is stored at the path.
+     */
+    get(path) {
+        let node = this._root;
+        for (let segment of MemoryStore.splitPath(path)) {
+            if (!node || typeof node !== 'object' || !(segment in node) || segment === '.priority') {
+                return null;
+            }
+            node = node[segment];
+        }
+        return node === undefined ? null : node;
+    }
+
+    /**
+     * Replaces the data at the given path, including its priority.
+     * @param {String|Array} path Path to write to.
+     * @param {*} data New data. Null removes the node.
+     * @param {String|Number} [priority] Optional priority to store with the data.
+     * @returns {void}
+     */
+    set(path, data, priority = undefined) {
+        let segments = MemoryStore.splitPath(path);
+        this._write(segments, (root) => MemoryStore._setIn(root, segments, MemoryStore.normalize(data, priority)));
+    }
+
+    /**
+     * Writes the given children of the node at path, leaving all other children untouched.
+     * Keys may contain slashes to write deeper paths, like Firebase's multi-location updates.
+     * @param {String|Array} path Path to update.
+     * @param {Object} data Map of (relative) paths to their new values.
+     * @returns {void}
+     */
+    update(path, data = {}) {
+        let segments = MemoryStore.splitPath(path);
+        this._write(segments, (root) => {
+            for (let key of Object.keys(data)) {
+                root = MemoryStore._setIn(root, segments.concat(MemoryStore.splitPath(key)), MemoryStore.normalize(data[key]));
+            }
+            return root;
+        });
+    }
+
+    /**
+     * Changes the priority of the node at path without changing its data.
+     * @param {String|Array} path Path of the node.
+     * @param {String|Number|null} priority New priority.
+     * @returns {void}
+     */
+    setPriority(path, priority) {
+        let segments = MemoryStore.splitPath(path);
+        let node = this.get(segments);
+        if (node === null) {
+            return;
+        }
+        this._write(segments, (root) => MemoryStore._setIn(root, segments, MemoryStore.normalize(MemoryStore.exportValue(node), priority)));
+    }
+
+    /**
+     * Generates a unique key that sorts chronologically, in the same format as Firebase push keys.
+     * @returns {String} New key.
+     */
+    generateKey() {
+        let now = Date.now();
+        let isDuplicateTime = now === this._lastPushTime;
+        this._lastPushTime = now;
+
+        let timeChars = new Array(8);
+        for (let i = 7; i >= 0; i--) {
+            timeChars[i] = PUSH_CHARS.charAt(now % 64);
+            now = Math.floor(now / 64);
+        }
+
+        if (!isDuplicateTime) {
+            for (let i = 0; i < 12; i++) {
+                this._lastRandomChars[i] = Math.floor(Math.random() * 64);
+            }
+        } else {
+            /* Increment the random part, so keys generated within the same millisecond still sort correctly. */
+            let i = 11;
+            for (; i >= 0 && this._lastRandomChars[i] === 63; i--) {
+                this._lastRandomChars[i] = 0;
+            }
+            this._lastRandomChars[i]++;
+        }
+
+        return timeChars.join('') + this._lastRandomChars.map((index) => PUSH_CHARS.charAt(index)).join('');
+    }
+
+    /**
+     * Registers a listener that is notified of changes on a path.
+     * @param {Object} listener Object containing {path, event, query, callback}. The callback is called with the
+     * event type, the key of the changed child (or null for 'value' events), the new node, the key of the previous sibling,
+     * and for 'value' events the keys of all children in query order.
+     * @returns {Object} The same listener, to be passed to removeListener() later.
+     */
+    addListener(listener) {
+        listener.path = MemoryStore.splitPath(listener.path);
+        this._listeners.push(listener);
+
+        /* Present the new listener with the data that is already present, like Firebase does. */
+        let view = this.getView(listener.path, listener.query);
+        if (listener.event === 'value') {
+            this._enqueueValue(listener, view);
+        } else if (listener.event === 'child_added') {
+            view.children.forEach(([key, node], index) => {
+                this._enqueue(listener, 'child_added', key, node, index > 0 ? view.children[index - 1][0] : null);
+            });
+        }
+        this._flush();
+        return listener;
+    }
+
+    /**
+     * Removes a previously registered listener.
+     * @param {Object} listener Listener that was passed to addListener().
+     * @returns {void}
+     */
+    removeListener(listener) {
+        let index = this._listeners.indexOf(listener);
+        if (index !== -1) {
+            this._listeners.splice(index, 1);
+        }
+        listener.removed = true;
+    }
+
+    /**
+     * Returns the data at a path as seen through the given query.
+     * @param {String|Array} path Path to read.
+     * @param {Object} [query] Query options: orderBy, equalTo, startAt, startAtKey, endAt, endAtKey, limitToFirst, limitToLast. Additionally,
+     * filter can be a function taking (value, key) of a child that returns whether to include it, and descending
+     * reverses the order before the limits are applied.
+     * @returns {{node: *, children: Array}} The node containing only the children matching the query, and an array of
+     * [key, node] pairs of those children in query order.
+     */
+    getView(path, query = {}) {
+        let node = this.get(path);
+        let keys = MemoryStore.childKeys(node);
+        if (!keys.length) {
+            return {node, children: []};
+        }
+
+        let {orderBy, equalTo, startAt, startAtKey, endAt, endAtKey, limitToFirst, limitToLast, filter, descending} = query;
+        if (equalTo) {
+            orderBy = equalTo[0];
+        }
+        let indexOf = MemoryStore._getIndexFunction(orderBy);
+        let children = keys.map((key) => [key, node[key]]);
+        children.sort(([keyA, nodeA], [keyB, nodeB]) =>
+            MemoryStore.compareValues(indexOf(keyA, nodeA), indexOf(keyB, nodeB)) || MemoryStore.compareKeys(keyA, keyB));
+
+        children = children.filter(([key, child]) => {
+            let index = indexOf(key, child);
+            /* The keys of the cursors only matter among children with the same value */
+            let compareToCursor = (value, cursorKey) => MemoryStore.compareValues(index, value) ||
+                (cursorKey === undefined ? 0 : MemoryStore.compareKeys(key, cursorKey));
+            return (!equalTo || MemoryStore.compareValues(index, equalTo[1]) === 0) &&
+                (startAt === undefined || compareToCursor(startAt, startAtKey) >= 0) &&
+                (endAt === undefined || compareToCursor(endAt, endAtKey) <= 0) &&
+                (!filter || filter(MemoryStore.exportValue(child), key));
+        });
+
+        if (descending) {
+            children.reverse();
+        }
+
+        if (limitToFirst !== undefined) {
+            children = children.slice(0, limitToFirst);
+        } else if (limitToLast !== undefined) {
+            children = children.slice(Math.max(children.length - limitToLast, 0));
+        }
+
+        let filteredNode = null;
+        if (children.length) {
+            filteredNode = {};
+            for (let [key, child] of children) {
+                filteredNode[key] = child;
+            }
+            if (node['.priority'] !== undefined) {
+                filteredNode['.priority'] = node['.priority'];
+            }
+        }
+        return {node: filteredNode, children};
+    }
+
+    /**
+     * Compares two keys the way Firebase does: integer keys come first in numerical order, then all other keys
+     * in lexicographical order.
+     * @param {String} keyA First key.
+     * @param {String} keyB Second key.
+     * @returns {Number} Negative if keyA comes first, positive if keyB comes first, 0 if equal.
+     */
+    static compareKeys(keyA, keyB) {
+        let isIntegerA = /^-?\d{1,10}$/.test(keyA), isIntegerB = /^-?\d{1,10}$/.test(keyB);
+        if (isIntegerA && isIntegerB) {
+            return (+keyA - +keyB) || (keyA < keyB ? -1 : keyA > keyB ? 1 : 0);
+        } else if (isIntegerA !== isIntegerB) {
+            return isIntegerA ? -1 : 1;
+        }
+        return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+    }
+
+    /**
+     * Compares two values in Firebase ordering: null first, then false, true, numbers, strings, and objects.
+     * @param {*} valueA First value.
+     * @param {*} valueB Second value.
+     * @returns {Number} Negative if valueA comes first, positive if valueB comes first, 0 if equal.
+     */
+    static compareValues(valueA, valueB) {
+        let rankA = MemoryStore._getTypeRank(valueA), rankB = MemoryStore._getTypeRank(valueB);
+        if (rankA !== rankB) {
+            return rankA - rankB;
+        }
+        if (rankA === 3 || rankA === 4) {
+            return valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+        }
+        return 0;
+    }
+
+    static _getTypeRank(value) {
+        if (value === null || value === undefined) {
+            return 0;
+        } else if (value === false) {
+            return 1;
+        } else if (value === true) {
+            return 2;
+        } else if (typeof value === 'number') {
+            return 3;
+        } else if (typeof value === 'string') {
+            return 4;
+        }
+        return 5;
+    }
+
+    /**
+     * Returns a function that determines the value a child is ordered by.
+     * @param {String} [orderBy] '.priority' (default), '.value', '.key' or 'id', or the name of a child field.
+     * @returns {Function} Function taking (key, node) and returning the value to order by.
+     * @private
+     */
+    static _getIndexFunction(orderBy = '.priority') {
+        switch (orderBy) {
+            case '':
+            case '.priority':
+                return (key, node) => MemoryStore.getPriority(node);
+            case '.value':
+                return (key, node) => MemoryStore.exportValue(node);
+            case '.key':
+            case 'id':
+                return (key) => key;
+            default:
+                return (key, node) => {
+                    let child = node;
+                    for (let segment of MemoryStore.splitPath(orderBy)) {
+                        child = child && typeof child === 'object' ? child[segment] : null;
+                    }
+                    return MemoryStore.exportValue(child);
+                };
+        }
+    }
+
+    /**
+     * Returns a copy of root in which the node at the given path is replaced by value. Nodes that are not on the path
+     * are shared with the original, so views that were read before the write stay intact.
+     * @param {*} root Root node.
+     * @param {Array} segments Path to write to.
+     * @param {*} value New (normalized) value, or null to remove.
+     * @returns {*} New root node.
+     * @private
+     */
+    static _setIn(root, segments, value) {
+        if (!segments.length) {
+            return value;
+        }
+        let [segment, ...rest] = segments;
+        let node = root && typeof root === 'object' && !('.value' in root) ? {...root} : {};
+        if (root && typeof root === 'object' && '.value' in root && root['.priority'] !== undefined) {
+            node['.priority'] = root['.priority'];
+        }
+        let child = MemoryStore._setIn(node[segment] === undefined ? null : node[segment], rest, value);
+        if (child === null) {
+            delete node[segment];
+        } else {
+            node[segment] = child;
+        }
+        return MemoryStore.childKeys(node).length ? node : null;
+    }
+
+    /**
+     * Performs a write and emits events to all listeners whose data was affected by it.
+     * @param {Array} segments Path that is written to.
+     * @param {Function} writeFunction Function that takes the current root, and returns the new root.
+     * @returns {void}
+     * @private
+     */
+    _write(segments, writeFunction) {
+        let affectedListeners = this._listeners.filter(({path}) => {
+            let length = Math.min(path.length, segments.length);
+            return isEqual(path.slice(0, length), segments.slice(0, length));
+        });
+        let previousViews = affectedListeners.map((listener) => this.getView(listener.path, listener.query));
+
+        this._root = writeFunction(this._root);
+
+        affectedListeners.forEach((listener, index) => {
+            this._enqueueChanges(listener, previousViews[index], this.getView(listener.path, listener.query));
+        });
+        this._flush();
+    }
+
+    /**
+     * Compares two views of a listener, and queues the events that describe the difference between them.
+     * @param {Object} listener Listener to queue events for.
+     * @param {Object} previousView View before the change.
+     * @param {Object} newView View after the change.
+     * @returns {void}
+     * @private
+     */
+    _enqueueChanges(listener, previousView, newView) {
+        let {event} = listener;
+        if (event === 'value') {
+            if (!isEqual(previousView.node, newView.node)) {
+                this._enqueueValue(listener, newView);
+            }
+            return;
+        }
+
+        let previousNodes = {}, newPositions = {};
+        previousView.children.forEach(([key, node]) => previousNodes[key] = node);
+        newView.children.forEach(([key], index) => newPositions[key] = index);
+        let getPreviousSiblingId = (index) => index > 0 ? newView.children[index - 1][0] : null;
+
+        if (event === 'child_removed') {
+            for (let [key, node] of previousView.children) {
+                if (newPositions[key] === undefined) {
+                    this._enqueue(listener, event, key, node, null);
+                }
+            }
+        } else if (event === 'child_added') {
+            newView.children.forEach(([key, node], index) => {
+                if (!(key in previousNodes)) {
+                    this._enqueue(listener, event, key, node, getPreviousSiblingId(index));
+                }
+            });
+        } else if (event === 'child_changed') {
+            newView.children.forEach(([key, node], index) => {
+                if (key in previousNodes && !isEqual(previousNodes[key], node)) {
+                    this._enqueue(listener, event, key, node, getPreviousSiblingId(index));
+                }
+            });
+        } else if (event === 'child_moved') {
+            /* Children that kept their relative order form the longest increasing subsequence of new positions.
+             * All other children that are still present have been moved. */
+            let remaining = previousView.children.filter(([key]) => newPositions[key] !== undefined);
+            let stationary = MemoryStore._longestIncreasingSubsequence(remaining.map(([key]) => newPositions[key]));
+            remaining.forEach(([key], index) => {
+                if (!stationary[index]) {
+                    let newPosition = newPositions[key];
+                    this._enqueue(listener, event, key, newView.children[newPosition][1], getPreviousSiblingId(newPosition));
+                }
+            });
+        }
+    }
+
+    /**
+     * Determines which entries of a list of numbers are part of its longest increasing subsequence.
+     * @param {Array} values List of numbers.
+     * @returns {Array} Array of booleans, true for each entry that is part of the subsequence.
+     * @private
+     */
+    static _longestIncreasingSubsequence(values) {
+        let tails = [], previous = new Array(values.length);
+        values.forEach((value, index) => {
+            let low = 0, high = tails.length;
+            while (low < high) {
+                let middle = (low + high) >> 1;
+                if (values[tails[middle]] < value) {
+                    low = middle + 1;
+                } else {
+                    high = middle;
+                }
+            }
+            previous[index] = low > 0 ? tails[low - 1] : -1;
+            tails[low] = index;
+        });
+
+        let result = values.map(() => false);
+        for (let index = tails.length ? tails[tails.length - 1] : -1; index !== -1; index = previous[index]) {
+            result[index] = true;
+        }
+        return result;
+    }
+
+    _enqueue(listener, event, key, node, previousSiblingId) {
+        this._eventQueue.push({listener, event, key, node, previousSiblingId});
+    }
+
+    _enqueueValue(listener, view) {
+        this._eventQueue.push({listener, event: 'value', key: null, node: view.node, childKeys: view.children.map(([key]) => key)});
+    }
+
+    /**
+     * Emits all queued events in order. Events caused by writes from within an event handler are queued behind the
+     * events that are currently being emitted, so every listener receives its events in the order the writes happened.
+     * @returns {void}
+     * @private
+     */
+    _flush() {
+        if (this._isDispatching) {
+            return;
+        }
+        this._isDispatching = true;
+        try {
+            while (this._eventQueue.length) {
+                let {listener, event, key, node, previousSiblingId, childKeys} = this._eventQueue.shift();
+                if (!listener.removed) {
+                    listener.callback(event, key, node, previousSiblingId, childKeys);
+                }
+            }
+        } finally {
+            this._isDispatching = false;
+        }
+    }
+}
@@ -0,0 +1,600 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import {DataSource}                 from '../DataSource.js';
+import {ObjectHelper}               from '../../utils/ObjectHelper.js';
+import {provide}                    from '../../utils/di/Decorators.js';
+import {combineOptions}             from '../../utils/CombineOptions.js';
+import {MemoryStore}                from './Memory/MemoryStore.js';
+import {MemorySnapshot}             from './Memory/MemorySnapshot.js';
+
+/* The store used by all MemoryDataSources that aren't given one explicitly. */
+let defaultStore = new MemoryStore();
+
+/**
+ * A DataSource that keeps all of its data in memory. It behaves like the FirebaseDataSource, including ordering,
+ * limits, priorities and child events, which makes it suitable for unit tests and offline demos.
+ *
+ * @example
+ * let dataSource = new MemoryDataSource('/', {store: new MemoryStore({Todos: {a: {title: 'Test'}}})});
+ * Injection.provide(DataSource, dataSource);
+ * let todos = new Todos(); // PrioritisedArray subclass, reads from /Todos
+ */
+@provide(DataSource)
+export class MemoryDataSource extends DataSource {
+
+    /**
+     * Returns the store that is used by MemoryDataSources which aren't constructed with an explicit store.
+     * @returns {MemoryStore} Default store.
+     */
+    static get defaultStore() {
+        return defaultStore;
+    }
+
+    static set defaultStore(value) {
+        defaultStore = value;
+    }
+
+    /**
+     * @param {String} path Path to the resource in the store, e.g. '/Todos'.
+     * @param {Object} options Optional: options to construct the DataSource with.
+     * @param {MemoryStore} [options.store] Optional, the store to read from and write to. Defaults to MemoryDataSource.defaultStore.
+     * @param {String} [options.orderBy] Optional, order all items received through the dataSource.
+     *                                   Options are: '.priority', '.value', '.key', or a string containing the child key to order by (e.g. 'MyModelProperty')
+     * @param {[key: String, value: String]} [options.equalTo] Optional, only subscribe to items with a certain value.
+     * @param {Number} [options.limitToFirst]   Optional, only subscribe to the first amount of entries.
+     * @param {Number} [options.limitToLast]    Optional, only subscribe to the last amount of entries.
+     * @param {Number} [options.startAt]        Optional, only subscribe to the entries from a certain value onwards
+     * @param {String} [options.startAtKey]     Optional, the key of the entry to start at, among entries with the startAt value
+     * @param {Number} [options.endAt]          Optional, only subscribe to the entries towards a certain value
+     * @param {String} [options.endAtKey]       Optional, the key of the entry to end at, among entries with the endAt value
+     * @param {Promise} [options.synced]        Optional, a promise to tell the data source that it is only synchronized after this promise is resolved
+     * @return {MemoryDataSource} MemoryDataSource instance.
+     **/
+    constructor(path = '', options = {orderBy: '.priority'}) {
+        super(path);
+        this._onValueCallback = null;
+        this._onAddCallback = null;
+        this._onChangeCallback = null;
+        this._onMoveCallback = null;
+        this._onRemoveCallback = null;
+        this._listeners = [];
+
+        this.options = combineOptions({synced: Promise.resolve()}, options);
+        this._store = options.store || defaultStore;
+        this._segments = MemoryStore.splitPath(path);
+        this._synced = this.options.synced;
+
+        /* Bind all local methods to the current object instance, so we can refer to "this"
+         * in the methods as expected, even when they're called from event handlers. */
+        ObjectHelper.bindAllMethods(this, this);
+    }
+
+    /**
+     * The store this dataSource reads from and writes to.
+     * @returns {MemoryStore} Store.
+     */
+    get store() {
+        return this._store;
+    }
+
+    dataExists() {
+        return Promise.resolve(this._store.get(this._segments) !== null);
+    }
+
+    /**
+     * Returns the full path to this dataSource's source in the store.
+     * @returns {String} Full resource path.
+     */
+    toString() {
+        return this.path();
+    }
+
+    /**
+     * Resolves when the DataSource is synchronized to the store
+     * @returns {Promise} Resolves when the DataSource is synchronized
+     */
+    synced() {
+        return this._synced;
+    }
+
+    /**
+     * Returns a dataSource reference to the given child branch of the current dataSource.
+     * @param {String} childName Child branch name.
+     * @param {Object} options Optional: additional options to pass to new DataSource instance.
+     * @returns {DataSource} New dataSource instance pointing to the given child branch.
+     */
+    child(childName, options = {}) {
+        return this._createDataSource(`${this.path()}/${childName}`, options);
+    }
+
+    /**
+     * Returns a dataSource reference to the root of the store.
+     * @returns {DataSource} New dataSource instance pointing to the root.
+     */
+    rootDataSource() {
+        return this._createDataSource('', {});
+    }
+
+    /**
+     * Returns the full path on the dataSource. Functionally identical to toString().
+     * @returns {String} Full resource path.
+     */
+    path() {
+        return `/${this._segments.join('/')}`;
+    }
+
+    /**
+     * Returns the name of the current branch in the path on the dataSource.
+     * @returns {String} Current branch name.
+     */
+    key() {
+        return this._segments.length ? this._segments[this._segments.length - 1] : '';
+    }
+
+    /**
+     * Returns the full path to the parent of the current branch on the dataSource.
+     * @returns {String} Full resource path of parent.
+     */
+    parent() {
+        return `/${this._segments.slice(0, -1).join('/')}`;
+    }
+
+    /**
+     * Dummy method that just returns an empty string, since the store has no URL of its own.
+     * @returns {String} Empty string.
+     */
+    root() {
+        return '';
+    }
+
+    /**
+     * Writes newData to the path this dataSource was constructed with.
+     * @param {Object} newData Data to write to dataSource.
+     * @returns {Promise} Resolves when write to the store is complete.
+     */
+    set(newData) {
+        if (DataSource.isBatching) {
+            return this._addToBatch('set', newData);
+        }
+        return this._performWrite(() => this._store.set(this._segments, newData));
+    }
+
+    /**
+     * Removes the object and all underlying children that this dataSource points to.
+     * @returns {Promise}
+     */
+    remove() {
+        if (DataSource.isBatching) {
+            return this._addToBatch('remove');
+        }
+        return this._performWrite(() => this._store.set(this._segments, null));
+    }
+
+    /**
+     * Sets data at the specified path(s) without touching unspecified paths
+     * @param {Object} data Map of (relative) paths to their new values.
+     * @returns {Promise}
+     */
+    update(data) {
+        if (DataSource.isBatching) {
+            return this._addToBatch('update', data);
+        }
+        return this._performWrite(() => this._store.update(this._segments, data));
+    }
+
+    /**
+     * Writes newData to the path this dataSource was constructed with, appended by a random UID generated by
+     * the dataSource.
+     * @param {Object} newData New data to append to dataSource.
+     * @returns {MemoryDataSource} A new MemoryDataSource pointing to the injected data.
+     */
+    push(newData = {}) {
+        newData = (newData === undefined || newData === null) ? {} : newData;
+        let pushedDataSource = this.child(this._store.generateKey());
+        pushedDataSource._synced = pushedDataSource.set(newData);
+        return pushedDataSource;
+    }
+
+    /**
+     * Writes newData with given priority (ordering) to the path this dataSource was constructed with.
+     * @param {Object} newData New data to set.
+     * @param {String|Number} priority Priority value by which the data should be ordered.
+     * @returns {Promise} Resolves when write to the store is complete.
+     */
+    setWithPriority(newData, priority) {
+        if (DataSource.isBatching) {
+            return this._addToBatch('set', newData, priority);
+        }
+        return this._performWrite(() => this._store.set(this._segments, newData, priority));
+    }
+
+    /**
+     * Sets the priority (ordering) of an object on a given dataSource.
+     * @param {String|Number} newPriority New priority value to order data by.
+     * @returns {Promise} Resolves when write to the store is complete.
+     */
+    setPriority(newPriority) {
+        return this._performWrite(() => this._store.setPriority(this._segments, newPriority));
+    }
+
+    /**
+     * Orders the DataSource's childs by the value in child[key].
+     * @param {String} childKey Key of the field to order by.
+     * @returns {DataSource} New dataSource instance.
+     */
+    orderByChild(childKey) {
+        return this._createDataSource(this.path(), {...this.options, orderBy: childKey});
+    }
+
+    /**
+     * Orders the DataSource's childs by their key names, ignoring their priority.
+     * @returns {DataSource} New dataSource instance.
+     */
+    orderByKey() {
+        return this._createDataSource(this.path(), {...this.options, orderBy: '.key'});
+    }
+
+    /**
+     * Orders the DataSource's childs by their values, ignoring their priority.
+     * @returns {DataSource} New dataSource instance.
+     */
+    orderByValue() {
+        return this._createDataSource(this.path(), {...this.options, orderBy: '.value'});
+    }
+
+    /**
+     * Returns a new dataSource reference that will limit the subscription to only the first given amount items.
+     * @param {Number} amount Amount of items to limit the dataSource to.
+     * @returns {DataSource} New dataSource instance.
+     */
+    limitToFirst(amount) {
+        return this._createDataSource(this.path(), {...this.options, limitToFirst: amount, limitToLast: undefined});
+    }
+
+    /**
+     * Returns a new dataSource reference that will limit the subscription to only the last given amount items.
+     * @param {Number} amount Amount of items to limit the dataSource to.
+     * @returns {DataSource} New dataSource instance.
+     */
+    limitToLast(amount) {
+        return this._createDataSource(this.path(), {...this.options, limitToLast: amount, limitToFirst: undefined});
+    }
+
+    /**
+     * Returns a new dataSource reference that only contains the children from a cursor onwards, in the order of the dataSource.
+     * @param {*} value Value of the order key to start at.
+     * @param {String} [key] Key of the child to start at, among children with the same value.
+     * @returns {DataSource} New dataSource instance.
+     */
+    startAt(value, key) {
+        return this._createDataSource(this.path(), {...this.options, startAt: value, startAtKey: key});
+    }
+
+    /**
+     * Returns a new dataSource reference that only contains the children up to a cursor, in the order of the dataSource.
+     * @param {*} value Value of the order key to end at.
+     * @param {String} [key] Key of the child to end at, among children with the same value.
+     * @returns {DataSource} New dataSource instance.
+     */
+    endAt(value, key) {
+        return this._createDataSource(this.path(), {...this.options, endAt: value, endAtKey: key});
+    }
+
+    /**
+     * Subscribe to an event emitted by the DataSource.
+     * @param {String} event Event type to subscribe to. Allowed values are: 'value', 'child_changed', 'child_added', 'child_removed', 'child_moved'.
+     * @param {Function} handler Function to call when the subscribed event is emitted.
+     * @param {Object} context Context to set 'this' to when calling the handler function.
+     * @returns {void}
+     */
+    on(event, handler, context = this) {
+        let listener = this._createListener(event, handler, context);
+        this._listeners.push(listener);
+
+        let loaded = this._subscribe();
+        if (!loaded) {
+            this._store.addListener(listener);
+            return;
+        }
+        /* Only start emitting once the data is available, so subscribers don't see an empty value first */
+        loaded.then(() => {
+            if (!listener.removed) {
+                this._store.addListener(listener);
+            }
+        });
+    }
+
+    /**
+     * Subscribe to an event emitted by the DataSource once, and then immediately unsubscribe again once it has been emitted a single time.
+     * @param {String} event Event type to subscribe to. Allowed values are: 'value', 'child_changed', 'child_added', 'child_removed', 'child_moved'.
+     * @param {Function} handler Function to call when the subscribed event is emitted.
+     * @param {Object} context Context to set 'this' to when calling the handler function.
+     * @returns {Promise}
+     */
+    once(event, handler, context = this) {
+        return new Promise((resolve) => {
+            function onceWrapper() {
+                this.off(event, onceWrapper);
+                handler && handler.call(context, ...arguments);
+                resolve(...arguments);
+            }
+            this.on(event, onceWrapper, this);
+        });
+    }
+
+    /**
+     * Unsubscribe to a previously subscribed event. If no handler or context is given, all handlers for
+     * the given event are removed. If no parameters are given at all, all event types will have their handlers removed.
+     * @param {String} event Event type to unsubscribe from. Allowed values are: 'value', 'child_changed', 'child_added', 'child_removed', 'child_moved'.
+     * @param {Function} handler Optional: Function that was used in previous subscription.
+     * @returns {void}
+     */
+    off(event, handler) {
+        let removedListeners = this._findListeners(event, handler);
+        for (let listener of removedListeners) {
+            /* Mark the listener as removed even if it wasn't added to the store yet */
+            listener.removed = true;
+            this._store.removeListener(listener);
+        }
+        this._listeners = this._listeners.filter((listener) => removedListeners.indexOf(listener) === -1);
+        removedListeners.forEach(() => this._unsubscribe());
+    }
+
+    /**
+     * Called for every listener that is added. Subclasses that load the data of the store from elsewhere start doing
+     * so here, and return a promise that resolves once the data is available.
+     * @returns {Promise|null} Resolves once the listener can be added to the store, or null to add it right away.
+     * @protected
+     */
+    _subscribe() {
+        return null;
+    }
+
+    /**
+     * Called for every listener that is removed, to undo what _subscribe() did for it.
+     * @returns {void}
+     * @protected
+     */
+    _unsubscribe() {
+    }
+
+    /**
+     * Sets the callback triggered when dataSource updates the data.
+     * @param {Function} callback Callback function to call when the subscribed data value changes.
+     * @deprecated Use the on() method instead.
+     * @returns {void}
+     **/
+    setValueChangedCallback(callback) {
+        this._onValueCallback = callback;
+        this.on('value', callback);
+    }
+
+    /**
+     * Removes the callback set to trigger when dataSource updates the data.
+     * @deprecated Use the off() method instead.
+     * @returns {void}
+     **/
+    removeValueChangedCallback() {
+        if (this._onValueCallback) {
+            this.off('value', this._onValueCallback);
+            this._onValueCallback = null;
+        }
+    }
+
+    /**
+     * Set the callback triggered when dataSource adds a data element.
+     * @param {Function} callback Callback function to call when a new data child is added.
+     * @deprecated Use the on() method instead.
+     * @returns {void}
+     **/
+    setChildAddedCallback(callback) {
+        this._onAddCallback = callback;
+        this.on('child_added', callback);
+    }
+
+    /**
+     * Removes the callback set to trigger when dataSource adds a data element.
+     * @deprecated Use the off() method instead.
+     * @returns {void}
+     **/
+    removeChildAddedCallback() {
+        if (this._onAddCallback) {
+            this.off('child_added', this._onAddCallback);
+            this._onAddCallback = null;
+        }
+    }
+
+    /**
+     * Set the callback triggered when dataSource changes a data element.
+     * @param {Function} callback Callback function to call when a child is changed.
+     * @deprecated Use the on() method instead.
+     * @returns {void}
+     **/
+    setChildChangedCallback(callback) {
+        this._onChangeCallback = callback;
+        this.on('child_changed', callback);
+    }
+
+    /**
+     * Removes the callback set to trigger when dataSource changes a data element.
+     * @deprecated Use the off() method instead.
+     * @returns {void}
+     **/
+    removeChildChangedCallback() {
+        if (this._onChangeCallback) {
+            this.off('child_changed', this._onChangeCallback);
+            this._onChangeCallback = null;
+        }
+    }
+
+    /**
+     * Set the callback triggered when dataSource moves a data element.
+     * @param {Function} callback Callback function to call when a child is moved.
+     * @deprecated Use the on() method instead.
+     * @returns {void}
+     **/
+    setChildMovedCallback(callback) {
+        this._onMoveCallback = callback;
+        this.on('child_moved', callback);
+    }
+
+    /**
+     * Removes the callback set to trigger when dataSource moves a data element.
+     * @deprecated Use the off() method instead.
+     * @returns {void}
+     **/
+    removeChildMovedCallback() {
+        if (this._onMoveCallback) {
+            this.off('child_moved', this._onMoveCallback);
+            this._onMoveCallback = null;
+        }
+    }
+
+    /**
+     * Set the callback triggered when dataSource removes a data element.
+     * @param {Function} callback Callback function to call when a child is removed.
+     * @deprecated Use the on() method instead.
+     * @returns {void}
+     **/
+    setChildRemovedCallback(callback) {
+        this._onRemoveCallback = callback;
+        this.on('child_removed', callback);
+    }
+
+    /**
+     * Removes the callback set to trigger when dataSource removes a data element.
+     * @deprecated Use the off() method instead.
+     * @returns {void}
+     **/
+    removeChildRemovedCallback() {
+        if (this._onRemoveCallback) {
+            this.off('child_removed', this._onRemoveCallback);
+            this._onRemoveCallback = null;
+        }
+    }
+
+    /**
+     * Performs an atomic transaction. Since all writes happen synchronously in memory, the transaction function is
+     * only ever called once.
+     * @param {Function} transactionFunction A function that takes the current value as a single argument, and
+     * returns the new value. Returning undefined aborts the transaction.
+     * @returns {Promise} Resolves the new value when the transaction is finished
+     */
+    atomicTransaction(transactionFunction) {
+        let newValue = transactionFunction(MemoryStore.exportValue(this._store.get(this._segments)));
+        if (newValue === undefined) {
+            return Promise.resolve(MemoryStore.exportValue(this._store.get(this._segments)));
+        }
+        return this.set(newValue).then(() => MemoryStore.exportValue(this._store.get(this._segments)));
+    }
+
+    /**
+     * Gets a symbolic representation of a timestamp as being run on the server-side.
+     * The store replaces it with the current time when it is written.
+     * @returns {Object} Timestamp placeholder.
+     */
+    getTimestampSymbol() {
+        return {'.sv': 'timestamp'};
+    }
+
+    _getBatchBackend() {
+        return this._store;
+    }
+
+    /**
+     * Commits the writes collected by batch() as a single update of the store, so listeners only receive events once
+     * all writes are done.
+     * @param {Array.<Object>} operations Writes to commit, all to the store of this dataSource.
+     * @returns {Promise} Resolves when all writes are committed.
+     * @protected
+     */
+    _commitBatch(operations) {
+        return this._performWrite(() => this._store.update([], this._createMultiLocationUpdate(operations)));
+    }
+
+    /**
+     * Creates a new dataSource pointing to the given path in the same store. Subclasses override this to make
+     * child() and the ordering methods return instances of their own type.
+     * @param {String} path Path of the new dataSource.
+     * @param {Object} options Options to construct the new dataSource with.
+     * @returns {MemoryDataSource} New dataSource instance.
+     * @protected
+     */
+    _createDataSource(path, options) {
+        return new MemoryDataSource(path, {...options, store: this._store});
+    }
+
+    /**
+     * Creates the listener object that is registered on the store for a subscription, translating store events to snapshots.
+     * @param {String} event Event type to subscribe to.
+     * @param {Function} handler Function to call when the subscribed event is emitted.
+     * @param {Object} context Context to set 'this' to when calling the handler function.
+     * @returns {Object} Listener to pass to MemoryStore.addListener().
+     * @protected
+     */
+    _createListener(event, handler, context) {
+        return {
+            event, handler,
+            path: this._segments,
+            query: this._getQuery(),
+            callback: (eventType, key, node, previousSiblingId, childKeys) => {
+                if (eventType === 'value') {
+                    handler.call(context, new MemorySnapshot(this.key(), node, this, childKeys));
+                } else {
+                    handler.call(context, new MemorySnapshot(key, node, this.child(key)), previousSiblingId);
+                }
+            }
+        };
+    }
+
+    /**
+     * Returns all active subscriptions matching the given event type and handler.
+     * @param {String} [event] Event type. If not given, subscriptions of all event types match.
+     * @param {Function} [handler] Handler function. If not given, all handlers match.
+     * @returns {Array} Matching listeners.
+     * @protected
+     */
+    _findListeners(event, handler) {
+        return this._listeners.filter((listener) => (!event || listener.event === event) && (!handler || listener.handler === handler));
+    }
+
+    /**
+     * Returns the query options of this dataSource, in the format used by MemoryStore.getView().
+     * @returns {Object} Query options.
+     * @protected
+     */
+    _getQuery() {
+        let {orderBy, equalTo, startAt, startAtKey, endAt, endAtKey, limitToFirst, limitToLast} = this.options;
+        return {orderBy, equalTo, startAt, startAtKey, endAt, endAtKey, limitToFirst, limitToLast};
+    }
+
+    /**
+     * Executes a write on the store, and keeps track of whether this dataSource is still synchronizing.
+     * @param {Function} write Function that writes to the store.
+     * @returns {Promise} Resolves when the write is complete, or rejects if the write threw an error.
+     * @private
+     */
+    _performWrite(write) {
+        let completionPromise;
+        try {
+            write();
+            completionPromise = Promise.resolve();
+        } catch (error) {
+            error.path = this.path();
+            completionPromise = Promise.reject(error);
+        }
+
+        /* Append another promise to the chain to keep track of whether it's still synchronized. Fail silently
+         * since the returned promise already rejects */
+        this._synced = this._synced.then(() => completionPromise).catch(() => {
+        });
+        return completionPromise;
+    }
+
+}
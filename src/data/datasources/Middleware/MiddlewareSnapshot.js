@@ -0,0 +1,95 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import {Snapshot}                   from '../../Snapshot.js';
+
+/**
+ * Snapshot of a MiddlewareDataSource, holding the value that the middleware made of the value of the wrapped
+ * DataSource's snapshot. Children are iterated in the order of the wrapped snapshot, skipping the children that the
+ * middleware removed from the value.
+ */
+export class MiddlewareSnapshot extends Snapshot {
+
+    /**
+     * @param {Snapshot} sourceSnapshot Snapshot of the wrapped DataSource.
+     * @param {*} value Value after the middleware has been applied.
+     * @param {String|Number} priority Priority after the middleware has been applied.
+     * @param {Function} getDataSource Function returning the MiddlewareDataSource pointing to the branch.
+     * @returns {MiddlewareSnapshot} MiddlewareSnapshot instance.
+     */
+    constructor(sourceSnapshot, value, priority, getDataSource) {
+        super();
+        this._source = sourceSnapshot;
+        this._value = value === undefined ? null : value;
+        this._priority = priority;
+        this._getDataSource = getDataSource;
+        this._dataSource = null;
+    }
+
+    get key() {
+        return this._source.key;
+    }
+
+    val() {
+        return this._value;
+    }
+
+    get ref() {
+        return this._dataSource || (this._dataSource = this._getDataSource());
+    }
+
+    getPriority() {
+        return this._priority;
+    }
+
+    /**
+     * Returns whether this snapshot contains any data.
+     * @returns {Boolean} True if there is data.
+     */
+    exists() {
+        return this._value !== null;
+    }
+
+    /**
+     * Returns a snapshot of a child branch of this snapshot.
+     * @param {String} childPath Relative path to the child, e.g. 'address/street'.
+     * @returns {MiddlewareSnapshot} Snapshot of the child.
+     */
+    child(childPath) {
+        let sourceChild = this._source.child(childPath);
+        let value = childPath.split('/').filter((segment) => segment)
+            .reduce((node, segment) => (node && typeof node === 'object' && segment in node) ? node[segment] : null, this._value);
+        return new MiddlewareSnapshot(sourceChild, value, sourceChild.getPriority(), () => this.ref.child(childPath));
+    }
+
+    /**
+     * Calls the callback with a snapshot of every child, in order.
+     * @param {Function} callback Function called with each child snapshot. Returning true stops the iteration.
+     * @returns {Boolean} Whether the iteration was stopped by the callback.
+     */
+    forEach(callback) {
+        let isStopped = false;
+        this._source.forEach((sourceChild) => {
+            let {key} = sourceChild;
+            if (!this._value || typeof this._value !== 'object' || !(key in this._value)) {
+                return false;
+            }
+            isStopped = !!callback(new MiddlewareSnapshot(sourceChild, this._value[key], sourceChild.getPriority(), () => this.ref.child(key)));
+            return isStopped;
+        });
+        return isStopped;
+    }
+
+    numChildren() {
+        let count = 0;
+        this.forEach(() => {
+            count++;
+        });
+        return count;
+    }
+}
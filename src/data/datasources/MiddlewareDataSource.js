@@ -0,0 +1,403 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import {DataSource}                 from '../DataSource.js';
+import {ObjectHelper}               from '../../utils/ObjectHelper.js';
+import {MiddlewareSnapshot}         from './Middleware/MiddlewareSnapshot.js';
+
+/**
+ * Wraps another DataSource to pass all writes and all incoming snapshots through a chain of middleware, for e.g.
+ * audit logging, stamping updatedAt fields, field encryption, or tenant scoping. Children and queries of this
+ * DataSource are wrapped as well, and share its middleware, so the middleware sees everything that the models
+ * created from it read and write.
+ *
+ * Middleware is an object with a write() and/or a read() method, which are called in the order the middleware
+ * was added. Each receives an operation, and returns the operation to pass on, which may be a modified copy.
+ * Returning undefined passes on the operation as it is.
+ *
+ * write() receives {type, data, priority, path, dataSource} for every set(), update(), push(), remove(),
+ * setWithPriority() and setPriority(), where type is the name of the method. It vetoes the write by throwing an
+ * error, which makes the write return a rejected promise, or throw in case of push().
+ *
+ * read() receives {event, key, data, priority, dataSource} for every snapshot emitted to on() and once() subscribers,
+ * where event is e.g. 'value' or 'child_added'. It drops the event by returning null. The children of a 'value'
+ * snapshot are taken from its data, so children that are removed from the data are dropped as well.
+ *
+ * @example
+ * let dataSource = new MiddlewareDataSource(new FirebaseDataSource('/'));
+ * dataSource.use({
+ *     write: (operation) => operation.type === 'remove' ? operation : {...operation, data: {...operation.data, updatedBy: authService.currentUser.uid}}
+ * });
+ * Injection.provide(DataSource, dataSource);
+ */
+export class MiddlewareDataSource extends DataSource {
+
+    /**
+     * @param {DataSource} sourceDataSource DataSource to wrap.
+     * @param {Object} [options] Optional: options to construct the DataSource with.
+     * @param {Array.<Object>} [options.middleware] Optional, middleware to add right away.
+     * @returns {MiddlewareDataSource} MiddlewareDataSource instance.
+     */
+    constructor(sourceDataSource, options = {}) {
+        super();
+        this._source = sourceDataSource;
+        /* Shared by all dataSources derived from this one, so middleware that is added later applies to them as well */
+        this._middleware = (options.middleware || []).slice();
+        this._handlers = [];
+        this._onValueCallback = null;
+        this._onAddCallback = null;
+        this._onChangeCallback = null;
+        this._onMoveCallback = null;
+        this._onRemoveCallback = null;
+
+        /* Bind all local methods to the current object instance, so we can refer to "this"
+         * in the methods as expected, even when they're called from event handlers. */
+        ObjectHelper.bindAllMethods(this, this);
+    }
+
+    /**
+     * The wrapped DataSource.
+     * @returns {DataSource} DataSource.
+     */
+    get source() {
+        return this._source;
+    }
+
+    get inheritable() {
+        return this._source.inheritable;
+    }
+
+    /**
+     * Adds middleware to the end of the chain.
+     * @param {Object} middleware Middleware with a write() and/or read() method.
+     * @returns {Function} Function that removes the middleware again.
+     */
+    use(middleware) {
+        this._middleware.push(middleware);
+        return () => {
+            let index = this._middleware.indexOf(middleware);
+            if (index !== -1) {
+                this._middleware.splice(index, 1);
+            }
+        };
+    }
+
+    toString() {
+        return this._source.toString();
+    }
+
+    path() {
+        return this._source.path();
+    }
+
+    key() {
+        return this._source.key();
+    }
+
+    parent() {
+        return this._source.parent();
+    }
+
+    root() {
+        return this._source.root();
+    }
+
+    child(childName, options) {
+        return this._wrap(this._source.child(childName, options));
+    }
+
+    rootDataSource() {
+        return this._wrap(this._source.rootDataSource());
+    }
+
+    orderByChild(childKey) {
+        return this._wrap(this._source.orderByChild(childKey));
+    }
+
+    orderByKey() {
+        return this._wrap(this._source.orderByKey());
+    }
+
+    orderByValue() {
+        return this._wrap(this._source.orderByValue());
+    }
+
+    limitToFirst(amount) {
+        return this._wrap(this._source.limitToFirst(amount));
+    }
+
+    limitToLast(amount) {
+        return this._wrap(this._source.limitToLast(amount));
+    }
+
+    startAt(value, key) {
+        return this._wrap(this._source.startAt(value, key));
+    }
+
+    endAt(value, key) {
+        return this._wrap(this._source.endAt(value, key));
+    }
+
+    dataExists() {
+        return this._source.dataExists();
+    }
+
+    synced() {
+        return this._source.synced();
+    }
+
+    set(newData) {
+        return this._performWrite('set', newData, undefined, ({data}) => this._source.set(data));
+    }
+
+    /**
+     * Removes the object and all underlying children that this dataSource points to.
+     * @param {Object} [object] Optional, the object to remove, for wrapped DataSources that need it (e.g. SharePoint).
+     * @returns {Promise} Resolves when the wrapped DataSource has removed the data.
+     */
+    remove(object) {
+        return this._performWrite('remove', object, undefined, ({data}) => this._source.remove(data));
+    }
+
+    update(data) {
+        return this._performWrite('update', data, undefined, (operation) => this._source.update(operation.data));
+    }
+
+    /**
+     * Writes newData to a new child of the wrapped DataSource.
+     * @param {Object} newData New data to append to dataSource.
+     * @returns {MiddlewareDataSource} A new MiddlewareDataSource pointing to the new child.
+     */
+    push(newData) {
+        let {data} = this._applyWriteMiddleware('push', newData, undefined);
+        return this._wrap(this._source.push(data));
+    }
+
+    setWithPriority(newData, priority) {
+        return this._performWrite('setWithPriority', newData, priority, (operation) => this._source.setWithPriority(operation.data, operation.priority));
+    }
+
+    setPriority(newPriority) {
+        return this._performWrite('setPriority', undefined, newPriority, ({priority}) => this._source.setPriority(priority));
+    }
+
+    /**
+     * Performs an atomic transaction on the wrapped DataSource. The transaction function receives the current value as
+     * the read middleware makes it, and the value it returns is passed through the write middleware as a set().
+     * @param {Function} transactionFunction A function that takes the current value as a single argument, and returns the new value.
+     * @returns {Promise} Resolves the new value when the transaction is finished.
+     */
+    atomicTransaction(transactionFunction) {
+        return this._source.atomicTransaction((currentValue) => {
+            let operation = this._applyReadMiddleware({event: 'value', key: this.key(), data: currentValue, priority: null, dataSource: this});
+            let newValue = transactionFunction(operation ? operation.data : null);
+            return newValue === undefined ? undefined : this._applyWriteMiddleware('set', newValue, undefined).data;
+        });
+    }
+
+    getTimestampSymbol() {
+        return this._source.getTimestampSymbol();
+    }
+
+    compileQuery(query) {
+        return this._source.compileQuery(query);
+    }
+
+    on(event, handler, context = this) {
+        let listener = (sourceSnapshot, previousSiblingId) => {
+            let isChildEvent = event !== 'value';
+            let key = sourceSnapshot.key;
+            let getDataSource = isChildEvent ? () => this.child(key) : () => this;
+            let operation = this._applyReadMiddleware({
+                event, key,
+                data: sourceSnapshot.val(),
+                priority: sourceSnapshot.getPriority(),
+                get dataSource() {
+                    return getDataSource();
+                }
+            });
+            if (operation) {
+                handler.call(context, new MiddlewareSnapshot(sourceSnapshot, operation.data, operation.priority, getDataSource), previousSiblingId);
+            }
+        };
+        this._handlers.push({event, handler, listener});
+        this._source.on(event, listener);
+    }
+
+    once(event, handler, context = this) {
+        return new Promise((resolve) => {
+            function onceWrapper() {
+                this.off(event, onceWrapper);
+                handler && handler.call(context, ...arguments);
+                resolve(...arguments);
+            }
+            this.on(event, onceWrapper, this);
+        });
+    }
+
+    off(event, handler) {
+        let removedHandlers = this._handlers.filter((entry) => (!event || entry.event === event) && (!handler || entry.handler === handler));
+        for (let {event: removedEvent, listener} of removedHandlers) {
+            this._source.off(removedEvent, listener);
+        }
+        this._handlers = this._handlers.filter((entry) => removedHandlers.indexOf(entry) === -1);
+    }
+
+    /**
+     * @deprecated Use the on() method instead.
+     */
+    setValueChangedCallback(callback) {
+        this._onValueCallback = callback;
+        this.on('value', callback);
+    }
+
+    /**
+     * @deprecated Use the off() method instead.
+     */
+    removeValueChangedCallback() {
+        if (this._onValueCallback) {
+            this.off('value', this._onValueCallback);
+            this._onValueCallback = null;
+        }
+    }
+
+    /**
+     * @deprecated Use the on() method instead.
+     */
+    setChildAddedCallback(callback) {
+        this._onAddCallback = callback;
+        this.on('child_added', callback);
+    }
+
+    /**
+     * @deprecated Use the off() method instead.
+     */
+    removeChildAddedCallback() {
+        if (this._onAddCallback) {
+            this.off('child_added', this._onAddCallback);
+            this._onAddCallback = null;
+        }
+    }
+
+    /**
+     * @deprecated Use the on() method instead.
+     */
+    setChildChangedCallback(callback) {
+        this._onChangeCallback = callback;
+        this.on('child_changed', callback);
+    }
+
+    /**
+     * @deprecated Use the off() method instead.
+     */
+    removeChildChangedCallback() {
+        if (this._onChangeCallback) {
+            this.off('child_changed', this._onChangeCallback);
+            this._onChangeCallback = null;
+        }
+    }
+
+    /**
+     * @deprecated Use the on() method instead.
+     */
+    setChildMovedCallback(callback) {
+        this._onMoveCallback = callback;
+        this.on('child_moved', callback);
+    }
+
+    /**
+     * @deprecated Use the off() method instead.
+     */
+    removeChildMovedCallback() {
+        if (this._onMoveCallback) {
+            this.off('child_moved', this._onMoveCallback);
+            this._onMoveCallback = null;
+        }
+    }
+
+    /**
+     * @deprecated Use the on() method instead.
+     */
+    setChildRemovedCallback(callback) {
+        this._onRemoveCallback = callback;
+        this.on('child_removed', callback);
+    }
+
+    /**
+     * @deprecated Use the off() method instead.
+     */
+    removeChildRemovedCallback() {
+        if (this._onRemoveCallback) {
+            this.off('child_removed', this._onRemoveCallback);
+            this._onRemoveCallback = null;
+        }
+    }
+
+    getAuth(...args) {
+        return this._source.getAuth(...args);
+    }
+
+    unauth(...args) {
+        return this._source.unauth(...args);
+    }
+
+    /* Writes made while batching are collected by the wrapped DataSources, so they commit them as well */
+    _commitBatch(operations) {
+        return this._source._commitBatch(operations);
+    }
+
+    _wrap(sourceDataSource) {
+        let dataSource = new MiddlewareDataSource(sourceDataSource);
+        dataSource._middleware = this._middleware;
+        return dataSource;
+    }
+
+    /**
+     * Passes a write through the middleware, and performs it unless it is vetoed.
+     * @param {String} type Name of the write method.
+     * @param {*} data Data that is written.
+     * @param {String|Number} priority Priority that is written.
+     * @param {Function} write Function performing the write on the wrapped DataSource, given the resulting operation.
+     * @returns {Promise} The result of the write, or a rejected promise if the write is vetoed.
+     * @private
+     */
+    _performWrite(type, data, priority, write) {
+        let operation;
+        try {
+            operation = this._applyWriteMiddleware(type, data, priority);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        return write(operation);
+    }
+
+    _applyWriteMiddleware(type, data, priority) {
+        let operation = {type, data, priority, path: this.path(), dataSource: this};
+        for (let middleware of this._middleware.slice()) {
+            if (middleware.write) {
+                let result = middleware.write(operation);
+                operation = result === undefined ? operation : result;
+            }
+        }
+        return operation;
+    }
+
+    /* Returns null if the event is dropped */
+    _applyReadMiddleware(operation) {
+        for (let middleware of this._middleware.slice()) {
+            if (middleware.read) {
+                let result = middleware.read(operation);
+                if (result === null) {
+                    return null;
+                }
+                operation = result === undefined ? operation : result;
+            }
+        }
+        return operation;
+    }
+}
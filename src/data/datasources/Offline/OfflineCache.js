@@ -0,0 +1,361 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import EventEmitter                 from 'eventemitter3';
+import {ObjectHelper}               from '../../../utils/ObjectHelper.js';
+import {MemoryStore}                from '../Memory/MemoryStore.js';
+import {createDefaultStorageAdapter}from './StorageAdapters.js';
+
+/**
+ * Keeps a local copy of all subscribed paths of a remote DataSource, persists it to storage, and queues writes
+ * until they are confirmed by the remote DataSource. It is shared by all OfflineDataSources derived from the same root.
+ *
+ * Emits 'write_failed' with (error, operation) when the remote DataSource rejects a queued write while online.
+ */
+export class OfflineCache extends EventEmitter {
+
+    /**
+     * @param {DataSource} remoteDataSource Root DataSource to synchronize with, e.g. a FirebaseDataSource.
+     * @param {Object} [options] Options.
+     * @param {Object} [options.storage] Storage adapter with getItem/setItem/removeItem methods that return promises.
+     * Defaults to IndexedDB, or localStorage if that isn't available.
+     * @param {String} [options.storagePrefix] Prefix for all keys written to storage.
+     * @param {Function} [options.isOnline] Function returning whether the remote DataSource is reachable. Defaults to navigator.onLine.
+     * @param {Boolean} [options.remotePushKeys] Set to true if the remote DataSource generates its own keys on push()
+     * (like SharePoint does). Otherwise pushed children are written to the remote with their locally generated key.
+     * @returns {OfflineCache} OfflineCache instance.
+     */
+    constructor(remoteDataSource, options = {}) {
+        super();
+        this.remoteDataSource = remoteDataSource;
+        this.store = new MemoryStore();
+        this.options = options;
+
+        this._storage = options.storage || createDefaultStorageAdapter();
+        this._storagePrefix = options.storagePrefix || 'arva-offline:';
+        this._isOnline = options.isOnline || (() => typeof navigator === 'undefined' || navigator.onLine !== false);
+        this._subscriptions = {};
+        this._queue = [];
+        this._pendingWrites = {};
+        this._isReplaying = false;
+        this._isQueueLoaded = false;
+        this._nextOperationId = Date.now();
+
+        /* Bind all local methods to the current object instance, so we can refer to "this"
+         * in the methods as expected, even when they're called from event handlers. */
+        ObjectHelper.bindAllMethods(this, this);
+
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('online', this.replay);
+        }
+
+        /* Writes that were queued in a previous session are already part of the cached values, so they only need to be replayed. */
+        this._queueLoaded = this._storage.getItem(this._getQueueStorageKey())
+            .catch(() => null)
+            .then((queue) => {
+                this._queue = (queue || []).concat(this._queue);
+                this._isQueueLoaded = true;
+                this.replay();
+            });
+    }
+
+    /**
+     * Starts synchronizing the given path with the remote DataSource, if that isn't done yet.
+     * @param {Array} segments Path to synchronize.
+     * @param {Object} query Query options of the subscription.
+     * @returns {Promise} Resolves once the local store contains data for the path, either from storage or from the remote DataSource.
+     */
+    track(segments, query) {
+        let key = this._getSubscriptionKey(segments, query);
+        let subscription = this._subscriptions[key];
+
+        if (!subscription) {
+            subscription = this._subscriptions[key] = {key, segments, query, referenceCount: 0, lastKeys: [], hasRemoteValue: false};
+
+            let onRemoteLoaded;
+            let remoteLoaded = new Promise((resolve) => onRemoteLoaded = resolve);
+
+            subscription.remoteDataSource = this._getRemoteDataSource(segments, query);
+            subscription.remoteHandler = (snapshot) => {
+                subscription.hasRemoteValue = true;
+                this._applyValue(subscription, MemoryStore.exportSnapshot(snapshot));
+                onRemoteLoaded();
+            };
+            subscription.remoteDataSource.on('value', subscription.remoteHandler);
+
+            subscription.loaded = this._queueLoaded
+                .then(() => this._storage.getItem(this._getValueStorageKey(key)))
+                .catch(() => null)
+                .then((cachedValue) => {
+                    /* Only use the cached value if the remote DataSource didn't beat us to it */
+                    if (cachedValue !== null && !subscription.hasRemoteValue && this.store.get(segments) === null) {
+                        this._applyValue(subscription, cachedValue, false);
+                        return;
+                    }
+                    return remoteLoaded;
+                });
+        }
+
+        subscription.referenceCount++;
+        return subscription.loaded;
+    }
+
+    /**
+     * Stops synchronizing the given path once no subscribers are left.
+     * @param {Array} segments Path that was passed to track().
+     * @param {Object} query Query options that were passed to track().
+     * @returns {void}
+     */
+    untrack(segments, query) {
+        let key = this._getSubscriptionKey(segments, query);
+        let subscription = this._subscriptions[key];
+        if (subscription && --subscription.referenceCount <= 0) {
+            subscription.remoteDataSource.off('value', subscription.remoteHandler);
+            delete this._subscriptions[key];
+        }
+    }
+
+    /**
+     * Applies a write to the local store immediately, and queues it to be written to the remote DataSource.
+     * @param {Object} operation Object containing {operation, path, data, priority, key}. Operation is one of
+     * 'set', 'setWithPriority', 'setPriority', 'update', 'remove', or 'push'.
+     * @returns {Promise} Resolves when the remote DataSource has confirmed the write.
+     */
+    write(operation) {
+        operation = {...JSON.parse(JSON.stringify(operation)), id: this._nextOperationId++};
+        this._applyOperation(this.store, operation);
+        this._queue.push(operation);
+
+        let promise = new Promise((resolve, reject) => this._pendingWrites[operation.id] = {resolve, reject});
+        this._persistSubscriptions(MemoryStore.splitPath(operation.path));
+        if (this._isQueueLoaded) {
+            this._persistQueue();
+            this.replay();
+        } else {
+            /* Persisting now would overwrite the queue of a previous session with only the new writes */
+            this._queueLoaded
+                .then(() => this._persistQueue())
+                .then(() => this.replay());
+        }
+        return promise;
+    }
+
+    /**
+     * Writes all queued operations to the remote DataSource in order, if it is reachable.
+     * @returns {Promise} Resolves when the queue is empty, or when writing is halted because the remote DataSource became unreachable.
+     */
+    async replay() {
+        /* Writes of a previous session go first */
+        await this._queueLoaded;
+        if (this._isReplaying || !this._isOnline()) {
+            return;
+        }
+        this._isReplaying = true;
+
+        try {
+            while (this._queue.length && this._isOnline()) {
+                let operation = this._queue[0];
+                let pendingWrite = this._pendingWrites[operation.id];
+                try {
+                    await this._performRemoteOperation(operation);
+                    pendingWrite && pendingWrite.resolve();
+                } catch (error) {
+                    if (!this._isOnline()) {
+                        /* The connection dropped during the write. Keep it queued so it is retried when we are back online. */
+                        break;
+                    }
+                    pendingWrite && pendingWrite.reject(error);
+                    this.emit('write_failed', error, operation);
+                }
+                delete this._pendingWrites[operation.id];
+                this._queue.shift();
+                await this._persistQueue();
+            }
+        } finally {
+            this._isReplaying = false;
+        }
+    }
+
+    /**
+     * Returns the operations that haven't been confirmed by the remote DataSource yet.
+     * @returns {Array} Queued operations, oldest first.
+     */
+    getQueuedWrites() {
+        return this._queue.slice();
+    }
+
+    /**
+     * Replaces the local data of a subscription with a value from storage or from the remote DataSource.
+     * Writes that are still queued are applied on top of it, so they don't get lost when the remote value doesn't contain them yet.
+     * @param {Object} subscription Subscription the value belongs to.
+     * @param {*} value New value of the subscribed path.
+     * @param {Boolean} [shouldPersist] Whether to write the resulting data to storage.
+     * @returns {void}
+     * @private
+     */
+    _applyValue(subscription, value, shouldPersist = true) {
+        let {segments, query} = subscription;
+        let scratchStore = new MemoryStore();
+        scratchStore.set(segments, this.store.get(segments));
+
+        if (OfflineCache._hasQuery(query)) {
+            /* A query only returns part of the children, so only replace the children that are (or were) part of the result. */
+            let node = MemoryStore.normalize(value);
+            let keys = MemoryStore.childKeys(node);
+            let updates = {};
+            for (let key of subscription.lastKeys) {
+                updates[key] = null;
+            }
+            for (let key of keys) {
+                updates[key] = node[key];
+            }
+            scratchStore.update(segments, updates);
+            subscription.lastKeys = keys;
+        } else {
+            scratchStore.set(segments, value);
+        }
+
+        for (let operation of this._queue) {
+            this._applyOperation(scratchStore, operation);
+        }
+
+        this.store.set(segments, scratchStore.get(segments));
+        if (shouldPersist) {
+            this._persistSubscription(subscription);
+        }
+    }
+
+    /**
+     * Applies a queued operation to a store.
+     * @param {MemoryStore} store Store to apply the operation to.
+     * @param {Object} operation Operation as passed to write().
+     * @returns {void}
+     * @private
+     */
+    _applyOperation(store, {operation, path, data, priority, key}) {
+        switch (operation) {
+            case 'set':
+                store.set(path, data);
+                break;
+            case 'setWithPriority':
+                store.set(path, data, priority);
+                break;
+            case 'setPriority':
+                store.setPriority(path, priority);
+                break;
+            case 'update':
+                store.update(path, data);
+                break;
+            case 'remove':
+                store.set(path, null);
+                break;
+            case 'push':
+                store.set(`${path}/${key}`, data);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Writes an operation to the remote DataSource.
+     * @param {Object} operation Operation as passed to write().
+     * @returns {Promise} Resolves when the remote DataSource has confirmed the write.
+     * @private
+     */
+    _performRemoteOperation({operation, path, data, priority, key}) {
+        let remoteDataSource = this._getRemoteDataSource(MemoryStore.splitPath(path));
+        switch (operation) {
+            case 'set':
+                return Promise.resolve(remoteDataSource.set(data));
+            case 'setWithPriority':
+                return Promise.resolve(remoteDataSource.setWithPriority(data, priority));
+            case 'setPriority':
+                return Promise.resolve(remoteDataSource.setPriority(priority));
+            case 'update':
+                return Promise.resolve(remoteDataSource.update(data));
+            case 'remove':
+                return Promise.resolve(remoteDataSource.remove(data));
+            case 'push':
+                if (this.options.remotePushKeys) {
+                    /* The remote DataSource will emit the child under its own key, so drop the locally generated one. */
+                    let pushedDataSource = remoteDataSource.push(data);
+                    this.store.set(`${path}/${key}`, null);
+                    return Promise.resolve(pushedDataSource.synced());
+                }
+                return Promise.resolve(remoteDataSource.child(key).set(data));
+            default:
+                return Promise.resolve();
+        }
+    }
+
+    /**
+     * Returns a remote DataSource pointing to the given path.
+     * @param {Array} segments Path relative to the root remote DataSource.
+     * @param {Object} [query] Query options to pass to the new DataSource.
+     * @returns {DataSource} Remote DataSource.
+     * @private
+     */
+    _getRemoteDataSource(segments, query = {}) {
+        if (!segments.length) {
+            return this.remoteDataSource;
+        }
+        let options = {};
+        for (let name in query) {
+            if (query[name] !== undefined) {
+                options[name] = query[name];
+            }
+        }
+        return this.remoteDataSource.child(segments.join('/'), options);
+    }
+
+    _persistQueue() {
+        return this._storage.setItem(this._getQueueStorageKey(), this._queue.map((operation) => ({...operation, id: undefined})))
+            .catch((error) => console.log('Failed to persist offline write queue:', error));
+    }
+
+    /**
+     * Writes the local data of all subscriptions that overlap with the given path to storage.
+     * @param {Array} segments Path that was changed.
+     * @returns {void}
+     * @private
+     */
+    _persistSubscriptions(segments) {
+        for (let key in this._subscriptions) {
+            let subscription = this._subscriptions[key];
+            let length = Math.min(subscription.segments.length, segments.length);
+            if (subscription.segments.slice(0, length).join('/') === segments.slice(0, length).join('/')) {
+                this._persistSubscription(subscription);
+            }
+        }
+    }
+
+    _persistSubscription(subscription) {
+        let {node} = this.store.getView(subscription.segments, subscription.query);
+        this._storage.setItem(this._getValueStorageKey(subscription.key), node)
+            .catch((error) => console.log('Failed to persist offline data:', error));
+    }
+
+    _getSubscriptionKey(segments, query = {}) {
+        let path = `/${segments.join('/')}`;
+        return OfflineCache._hasQuery(query) ? `${path}?${JSON.stringify(query)}` : path;
+    }
+
+    _getValueStorageKey(subscriptionKey) {
+        return `${this._storagePrefix}value:${subscriptionKey}`;
+    }
+
+    _getQueueStorageKey() {
+        return `${this._storagePrefix}queue`;
+    }
+
+    static _hasQuery(query = {}) {
+        let {equalTo, startAt, endAt, limitToFirst, limitToLast} = query;
+        return [equalTo, startAt, endAt, limitToFirst, limitToLast].some((value) => value !== undefined);
+    }
+}
@@ -0,0 +1,147 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+/**
+ * Persists JSON-serializable values in memory only. Used when no persistent storage is available, and in tests.
+ */
+export class MemoryStorageAdapter {
+
+    constructor() {
+        this._items = {};
+    }
+
+    /**
+     * Reads a value from storage.
+     * @param {String} key Key under which the value was stored.
+     * @returns {Promise} Resolves with the stored value, or null if there is none.
+     */
+    getItem(key) {
+        return Promise.resolve(key in this._items ? JSON.parse(this._items[key]) : null);
+    }
+
+    /**
+     * Writes a value to storage.
+     * @param {String} key Key to store the value under.
+     * @param {*} value JSON-serializable value.
+     * @returns {Promise} Resolves when the value has been written.
+     */
+    setItem(key, value) {
+        this._items[key] = JSON.stringify(value);
+        return Promise.resolve();
+    }
+
+    /**
+     * Removes a value from storage.
+     * @param {String} key Key of the value to remove.
+     * @returns {Promise} Resolves when the value has been removed.
+     */
+    removeItem(key) {
+        delete this._items[key];
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Persists JSON-serializable values in the browser's localStorage.
+ */
+export class LocalStorageAdapter {
+
+    /**
+     * @param {Storage} [storage] Storage object to use, defaults to window.localStorage.
+     * @returns {LocalStorageAdapter} LocalStorageAdapter instance.
+     */
+    constructor(storage = localStorage) {
+        this._storage = storage;
+    }
+
+    getItem(key) {
+        try {
+            let item = this._storage.getItem(key);
+            return Promise.resolve(item === null ? null : JSON.parse(item));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    setItem(key, value) {
+        try {
+            this._storage.setItem(key, JSON.stringify(value));
+            return Promise.resolve();
+        } catch (error) {
+            /* Most likely the storage quota was exceeded */
+            return Promise.reject(error);
+        }
+    }
+
+    removeItem(key) {
+        this._storage.removeItem(key);
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Persists JSON-serializable values in an IndexedDB object store, which allows for far larger amounts of data than localStorage.
+ */
+export class IndexedDBAdapter {
+
+    /**
+     * @param {String} [databaseName] Name of the IndexedDB database to use.
+     * @param {String} [storeName] Name of the object store within the database.
+     * @returns {IndexedDBAdapter} IndexedDBAdapter instance.
+     */
+    constructor(databaseName = 'arva-offline', storeName = 'cache') {
+        this._storeName = storeName;
+        this._database = new Promise((resolve, reject) => {
+            let request = indexedDB.open(databaseName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    getItem(key) {
+        return this._performRequest('readonly', (objectStore) => objectStore.get(key))
+            .then((value) => value === undefined ? null : value);
+    }
+
+    setItem(key, value) {
+        return this._performRequest('readwrite', (objectStore) => objectStore.put(value, key));
+    }
+
+    removeItem(key) {
+        return this._performRequest('readwrite', (objectStore) => objectStore.delete(key));
+    }
+
+    /**
+     * Opens a transaction on the object store and executes a single request in it.
+     * @param {String} mode 'readonly' or 'readwrite'.
+     * @param {Function} createRequest Function that takes the object store and returns an IDBRequest.
+     * @returns {Promise} Resolves with the result of the request.
+     * @private
+     */
+    _performRequest(mode, createRequest) {
+        return this._database.then((database) => new Promise((resolve, reject) => {
+            let request = createRequest(database.transaction(this._storeName, mode).objectStore(this._storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+    }
+}
+
+/**
+ * Returns the most capable storage adapter that is available in the current environment.
+ * @returns {IndexedDBAdapter|LocalStorageAdapter|MemoryStorageAdapter} Storage adapter.
+ */
+export function createDefaultStorageAdapter() {
+    if (typeof indexedDB !== 'undefined') {
+        return new IndexedDBAdapter();
+    } else if (typeof localStorage !== 'undefined') {
+        return new LocalStorageAdapter();
+    }
+    return new MemoryStorageAdapter();
+}
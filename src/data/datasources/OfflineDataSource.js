@@ -0,0 +1,184 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import {MemoryDataSource}           from './MemoryDataSource.js';
+import {OfflineCache}               from './Offline/OfflineCache.js';
+
+/**
+ * Wraps another DataSource to make it usable while offline. All subscribed data is mirrored in memory and persisted
+ * (in IndexedDB or localStorage), so it is available immediately after an application restart. Writes are applied
+ * locally right away, and queued until the wrapped DataSource has confirmed them, surviving restarts as well.
+ *
+ * Writes that are rejected by the wrapped DataSource while online are dropped from the queue. The promise returned by the
+ * write rejects, and the cache emits 'write_failed', which can be listened to through dataSource.cache.on('write_failed', ...).
+ *
+ * @example
+ * Injection.provide(DataSource, new OfflineDataSource(new FirebaseDataSource('/')));
+ */
+export class OfflineDataSource extends MemoryDataSource {
+
+    /**
+     * @param {DataSource} remoteDataSource DataSource to wrap, pointing to the root of the data.
+     * @param {Object} options Optional: options to construct the DataSource with. Accepts all options of the MemoryDataSource,
+     * and all options of the OfflineCache (storage, storagePrefix, isOnline, remotePushKeys).
+     * @param {String} [options.path] Optional, path relative to the remoteDataSource. Defaults to the root.
+     * @param {OfflineCache} [options.cache] Optional, the cache to share with other OfflineDataSources. Created if not given.
+     * @returns {OfflineDataSource} OfflineDataSource instance.
+     */
+    constructor(remoteDataSource, options = {}) {
+        let cache = options.cache || new OfflineCache(remoteDataSource, options);
+        super(options.path || '', {orderBy: '.priority', ...options, cache, store: cache.store});
+        this._cache = cache;
+    }
+
+    /**
+     * The cache shared by this dataSource and all dataSources derived from it.
+     * @returns {OfflineCache} Cache.
+     */
+    get cache() {
+        return this._cache;
+    }
+
+    /**
+     * Returns the path of the wrapped DataSource.
+     * @returns {String} Root of the wrapped DataSource.
+     */
+    root() {
+        return this._cache.remoteDataSource.root();
+    }
+
+    dataExists() {
+        return this._cache.track(this._segments, {}).then(() => {
+            this._cache.untrack(this._segments, {});
+            return this._store.get(this._segments) !== null;
+        });
+    }
+
+    set(newData) {
+        return this._performOfflineWrite({operation: 'set', data: newData});
+    }
+
+    /**
+     * Removes the object and all underlying children that this dataSource points to.
+     * @param {Object} [object] Optional, the object to remove, for wrapped DataSources that need it (e.g. SharePoint).
+     * @returns {Promise} Resolves when the wrapped DataSource has confirmed the removal.
+     */
+    remove(object) {
+        return this._performOfflineWrite({operation: 'remove', data: object});
+    }
+
+    update(data) {
+        return this._performOfflineWrite({operation: 'update', data});
+    }
+
+    /**
+     * Writes newData to a new child with a locally generated key. If the cache was constructed with remotePushKeys,
+     * the child is replaced by the one created by the wrapped DataSource once it's written.
+     * @param {Object} newData New data to append to dataSource.
+     * @returns {OfflineDataSource} A new OfflineDataSource pointing to the injected data.
+     */
+    push(newData = {}) {
+        newData = (newData === undefined || newData === null) ? {} : newData;
+        let key = this._store.generateKey();
+        let pushedDataSource = this.child(key);
+        pushedDataSource._synced = this._performOfflineWrite({operation: 'push', key, data: newData});
+        return pushedDataSource;
+    }
+
+    setWithPriority(newData, priority) {
+        return this._performOfflineWrite({operation: 'setWithPriority', data: newData, priority});
+    }
+
+    setPriority(newPriority) {
+        return this._performOfflineWrite({operation: 'setPriority', priority: newPriority});
+    }
+
+    /* Resolves once cached or remote data is available */
+    _subscribe() {
+        return this._cache.track(this._segments, this._getQuery());
+    }
+
+    _unsubscribe() {
+        this._cache.untrack(this._segments, this._getQuery());
+    }
+
+    /**
+     * Performs an atomic transaction on the wrapped DataSource. This requires a connection, since the wrapped DataSource decides
+     * on the outcome of the transaction.
+     * @param {Function} transactionFunction A function that takes the current value as a single argument, and returns the new value.
+     * @returns {Promise} Resolves the new value when the transaction is finished.
+     */
+    atomicTransaction(transactionFunction) {
+        return this._getRemoteDataSource().atomicTransaction(transactionFunction);
+    }
+
+    getTimestampSymbol() {
+        return this._cache.remoteDataSource.getTimestampSymbol();
+    }
+
+    authWithOAuthToken(...args) {
+        return this._cache.remoteDataSource.authWithOAuthToken(...args);
+    }
+
+    linkCurrentUserWithProvider(...args) {
+        return this._cache.remoteDataSource.linkCurrentUserWithProvider(...args);
+    }
+
+    createProviderFromCredential(...args) {
+        return this._cache.remoteDataSource.createProviderFromCredential(...args);
+    }
+
+    authWithCustomToken(...args) {
+        return this._cache.remoteDataSource.authWithCustomToken(...args);
+    }
+
+    authWithPassword(...args) {
+        return this._cache.remoteDataSource.authWithPassword(...args);
+    }
+
+    registerWithPassword(...args) {
+        return this._cache.remoteDataSource.registerWithPassword(...args);
+    }
+
+    authAnonymously(...args) {
+        return this._cache.remoteDataSource.authAnonymously(...args);
+    }
+
+    getAuth(...args) {
+        return this._cache.remoteDataSource.getAuth(...args);
+    }
+
+    unauth(...args) {
+        return this._cache.remoteDataSource.unauth(...args);
+    }
+
+    _createDataSource(path, options) {
+        return new OfflineDataSource(this._cache.remoteDataSource, {...options, path, cache: this._cache});
+    }
+
+    _getRemoteDataSource() {
+        let remoteDataSource = this._cache.remoteDataSource;
+        return this._segments.length ? remoteDataSource.child(this._segments.join('/')) : remoteDataSource;
+    }
+
+    /**
+     * Queues a write in the cache, and keeps track of whether this dataSource is still synchronizing.
+     * @param {Object} operation Operation to pass to OfflineCache.write(), without its path.
+     * @returns {Promise} Resolves when the wrapped DataSource has confirmed the write.
+     * @private
+     */
+    _performOfflineWrite(operation) {
+        let completionPromise = this._cache.write({...operation, path: this.path()});
+
+        /* Append another promise to the chain to keep track of whether it's still synchronized. Fail silently
+         * since the returned promise already rejects */
+        this._synced = this._synced.then(() => completionPromise).catch(() => {
+        });
+        return completionPromise;
+    }
+}
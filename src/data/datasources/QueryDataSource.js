@@ -0,0 +1,158 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import {MemoryDataSource}           from './MemoryDataSource.js';
+import {MemoryStore}                from './Memory/MemoryStore.js';
+import {MemorySnapshot}             from './Memory/MemorySnapshot.js';
+
+/**
+ * Evaluates the part of a Query that the backend couldn't evaluate on the client. It mirrors the value of another
+ * DataSource in memory, and emits the child events of the children that match the query, in the order of the query.
+ *
+ * Snapshots refer to the children of the wrapped DataSource, and all writes are passed on to it, so models
+ * created from this DataSource read and write the backend directly.
+ */
+export class QueryDataSource extends MemoryDataSource {
+
+    /**
+     * @param {DataSource} sourceDataSource DataSource with the part of the query that the backend evaluates already applied.
+     * @param {Query} query Part of the query to evaluate on the client.
+     * @returns {QueryDataSource} QueryDataSource instance.
+     */
+    constructor(sourceDataSource, query) {
+        super('', {store: new MemoryStore()});
+        this._source = sourceDataSource;
+        this._query = query;
+        this._subscriberCount = 0;
+        this._loaded = null;
+    }
+
+    toString() {
+        return this._source.toString();
+    }
+
+    path() {
+        return this._source.path();
+    }
+
+    key() {
+        return this._source.key();
+    }
+
+    parent() {
+        return this._source.parent();
+    }
+
+    root() {
+        return this._source.root();
+    }
+
+    child(childName, options) {
+        return this._source.child(childName, options);
+    }
+
+    rootDataSource() {
+        return this._source.rootDataSource();
+    }
+
+    dataExists() {
+        return this._source.dataExists();
+    }
+
+    synced() {
+        return this._source.synced();
+    }
+
+    set(newData) {
+        return this._source.set(newData);
+    }
+
+    remove(object) {
+        return this._source.remove(object);
+    }
+
+    update(data) {
+        return this._source.update(data);
+    }
+
+    push(newData) {
+        return this._source.push(newData);
+    }
+
+    setWithPriority(newData, priority) {
+        return this._source.setWithPriority(newData, priority);
+    }
+
+    setPriority(newPriority) {
+        return this._source.setPriority(newPriority);
+    }
+
+    atomicTransaction(transactionFunction) {
+        return this._source.atomicTransaction(transactionFunction);
+    }
+
+    getTimestampSymbol() {
+        return this._source.getTimestampSymbol();
+    }
+
+    /* The window of a query is determined by its conditions and limit, which are evaluated partly by the backend */
+    limitToFirst(amount) {
+        throw new Error('Queries can not be paged, build a query with another limit instead');
+    }
+
+    limitToLast(amount) {
+        throw new Error('Queries can not be paged, build a query with another limit instead');
+    }
+
+    startAt(value, key) {
+        throw new Error('Queries can not be paged, build a query with another limit instead');
+    }
+
+    endAt(value, key) {
+        throw new Error('Queries can not be paged, build a query with another limit instead');
+    }
+
+    /* Resolves once the wrapped DataSource has emitted its value */
+    _subscribe() {
+        if (this._subscriberCount++ === 0) {
+            this._loaded = new Promise((resolve) => {
+                this._onSourceValue = (snapshot) => {
+                    this._store.set([], MemoryStore.exportSnapshot(snapshot));
+                    resolve();
+                };
+            });
+            this._source.on('value', this._onSourceValue);
+        }
+        return this._loaded;
+    }
+
+    _unsubscribe() {
+        if (--this._subscriberCount === 0) {
+            this._source.off('value', this._onSourceValue);
+        }
+    }
+
+    _createListener(event, handler, context) {
+        return {
+            event, handler,
+            path: [],
+            query: this._getQuery(),
+            callback: (eventType, key, node, previousSiblingId, childKeys) => {
+                if (eventType === 'value') {
+                    handler.call(context, new MemorySnapshot(this.key(), node, this._source, childKeys));
+                } else {
+                    handler.call(context, new MemorySnapshot(key, node, this._source.child(key)), previousSiblingId);
+                }
+            }
+        };
+    }
+
+    _getQuery() {
+        return this._query.toMemoryQuery();
+    }
+}
@@ -0,0 +1,284 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import EventEmitter                 from 'eventemitter3';
+import {ObjectHelper}               from '../../../utils/ObjectHelper.js';
+import {GetRequest, PostRequest}    from '../../../utils/request/RequestClient.js';
+import {MemoryStore}                from '../Memory/MemoryStore.js';
+import {DataSource}                 from '../../DataSource.js';
+
+/**
+ * Talks to a JSON HTTP backend on behalf of one or more RestDataSources. Subscribed paths are fetched by polling
+ * (or long-polling), and the responses are written to a MemoryStore. The store compares them to the previous data,
+ * and emits 'child_added', 'child_changed', 'child_moved' and 'child_removed' events for the differences.
+ *
+ * Emits 'fetch_failed' with (error, path) when polling a subscribed path fails.
+ */
+export class RestConnection extends EventEmitter {
+
+    /**
+     * @param {String} baseUrl URL of the backend, e.g. 'https://example.com/api'.
+     * @param {Object} [options] Options.
+     * @param {Map|Object} [options.headers] Headers to send with every request, e.g. for authorization.
+     * The token of the user signed in through DataSource.authService is sent as a bearer token, unless an Authorization
+     * header is given. The token is refreshed before a request if it is about to expire.
+     * @param {Number} [options.pollInterval] Milliseconds between two polls of a subscribed path. Defaults to 5000.
+     * @param {Boolean} [options.longPolling] If true, a subscribed path is requested again as soon as the previous
+     * request returns. The backend is expected to hold each request until the data changes or a timeout passes.
+     * @param {String} [options.urlSuffix] Appended to every URL, e.g. '.json'.
+     * @param {String} [options.keyProperty] Property that identifies items when the backend returns a collection as an
+     * array, and that is added to pushed items. Defaults to 'id'.
+     * @returns {RestConnection} RestConnection instance.
+     */
+    constructor(baseUrl = '', options = {}) {
+        super();
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.store = new MemoryStore();
+        this.options = {pollInterval: 5000, longPolling: false, urlSuffix: '', keyProperty: 'id', ...options};
+
+        this._subscriptions = {};
+        this._writeCount = 0;
+        this._pendingWriteCount = 0;
+
+        /* Bind all local methods to the current object instance, so we can refer to "this"
+         * in the methods as expected, even when they're called from event handlers. */
+        ObjectHelper.bindAllMethods(this, this);
+    }
+
+    /**
+     * Returns the URL of the resource at the given path.
+     * @param {Array} segments Path relative to the base URL.
+     * @returns {String} URL.
+     */
+    getUrl(segments) {
+        let path = segments.map(encodeURIComponent).join('/');
+        return `${this.baseUrl}${path ? `/${path}` : ''}${this.options.urlSuffix}`;
+    }
+
+    /**
+     * Performs a request on the resource at the given path.
+     * @param {String} method HTTP method, e.g. 'GET' or 'PUT'.
+     * @param {Array} segments Path relative to the base URL.
+     * @param {*} [data] Data to send as JSON in the request body.
+     * @returns {Promise} Resolves with the parsed response body, or null if the response is empty.
+     */
+    async request(method, segments, data = undefined) {
+        let url = this.getUrl(segments);
+        let headers = await this._getHeaders();
+
+        if (method === 'GET') {
+            return this._parseResponse(await GetRequest(url, {headers}));
+        }
+
+        headers.set('Content-Type', 'application/json');
+        let {response} = await PostRequest({url, method, headers, data: data === undefined ? '' : JSON.stringify(data)});
+        return this._parseResponse(response);
+    }
+
+    /**
+     * Fetches the data at the given path, and writes it to the store.
+     * @param {Array} segments Path relative to the base URL.
+     * @returns {Promise} Resolves with the fetched data.
+     */
+    fetch(segments) {
+        let writeCount = this._writeCount;
+        return this.request('GET', segments).then((data) => {
+            data = this._fromResponse(data);
+
+            /* Don't overwrite local writes with data that was requested before they were written to the backend */
+            if (this._pendingWriteCount === 0 && writeCount === this._writeCount) {
+                this.store.set(segments, data);
+            }
+            return data;
+        });
+    }
+
+    /**
+     * Fetches all subscribed paths that overlap with the given path.
+     * @param {Array} [segments] Path that changed. If not given, all subscribed paths are fetched.
+     * @returns {Promise} Resolves when all fetches are done.
+     */
+    refresh(segments = []) {
+        let fetches = [];
+        for (let key in this._subscriptions) {
+            let subscription = this._subscriptions[key];
+            let length = Math.min(subscription.segments.length, segments.length);
+            if (subscription.segments.slice(0, length).join('/') === segments.slice(0, length).join('/')) {
+                fetches.push(this.fetch(subscription.segments).catch(() => null));
+            }
+        }
+        return Promise.all(fetches);
+    }
+
+    /**
+     * Starts polling the given path, if that isn't done yet.
+     * @param {Array} segments Path relative to the base URL.
+     * @returns {Promise} Resolves once the data at the path has been fetched for the first time, or once the first
+     * fetch has failed, so subscribers aren't kept waiting while the backend is unreachable.
+     */
+    track(segments) {
+        let key = `/${segments.join('/')}`;
+        let subscription = this._subscriptions[key];
+
+        if (!subscription) {
+            subscription = this._subscriptions[key] = {segments, referenceCount: 0, timer: null, active: true};
+            subscription.loaded = new Promise((resolve) => subscription.onLoaded = resolve);
+            this._poll(subscription);
+        }
+
+        subscription.referenceCount++;
+        return subscription.loaded;
+    }
+
+    /**
+     * Stops polling the given path once no subscribers are left.
+     * @param {Array} segments Path that was passed to track().
+     * @returns {void}
+     */
+    untrack(segments) {
+        let key = `/${segments.join('/')}`;
+        let subscription = this._subscriptions[key];
+        if (subscription && --subscription.referenceCount <= 0) {
+            subscription.active = false;
+            clearTimeout(subscription.timer);
+            delete this._subscriptions[key];
+        }
+    }
+
+    /**
+     * Applies a write to the store right away, and sends it to the backend. If the backend rejects it, the affected
+     * subscriptions are fetched again to undo the local change.
+     * @param {String} method HTTP method, e.g. 'PUT'.
+     * @param {Array} segments Path relative to the base URL.
+     * @param {*} data Data to send to the backend.
+     * @param {Function} applyLocally Function that takes the store and writes the change to it.
+     * @returns {Promise} Resolves when the backend has accepted the write.
+     */
+    write(method, segments, data, applyLocally) {
+        applyLocally(this.store);
+        this._writeCount++;
+        this._pendingWriteCount++;
+
+        return this.request(method, segments, data).then((response) => {
+            this._pendingWriteCount--;
+            return response;
+        }, (error) => {
+            this._pendingWriteCount--;
+            error.path = `/${segments.join('/')}`;
+            this.refresh(segments);
+            throw error;
+        });
+    }
+
+    /**
+     * Replaces all timestamp placeholders in the data with the current time, since a generic backend won't recognize them.
+     * @param {*} data Data to write.
+     * @returns {*} Data without placeholders.
+     */
+    static resolveTimestamps(data) {
+        if (MemoryStore.isTimestampPlaceholder(data)) {
+            return Date.now();
+        }
+        if (data instanceof Array) {
+            return data.map(RestConnection.resolveTimestamps);
+        }
+        if (data && typeof data === 'object') {
+            let result = {};
+            for (let key in data) {
+                result[key] = RestConnection.resolveTimestamps(data[key]);
+            }
+            return result;
+        }
+        return data;
+    }
+
+    /**
+     * Converts an update containing paths as keys (e.g. {'address/city': 'Utrecht'}) to nested objects, which gives
+     * the same result when the backend merges it as a JSON merge patch.
+     * @param {Object} data Map of (relative) paths to their new values.
+     * @returns {Object} Nested data.
+     */
+    static expandPaths(data) {
+        let result = {};
+        for (let path in data) {
+            let segments = MemoryStore.splitPath(path);
+            let target = result;
+            for (let segment of segments.slice(0, -1)) {
+                target = target[segment] = (target[segment] && typeof target[segment] === 'object') ? target[segment] : {};
+            }
+            target[segments[segments.length - 1]] = data[path];
+        }
+        return result;
+    }
+
+    /**
+     * Fetches a subscribed path, and schedules the next fetch.
+     * @param {Object} subscription Subscription to poll.
+     * @returns {void}
+     * @private
+     */
+    _poll(subscription) {
+        this.fetch(subscription.segments).then(() => true, (error) => {
+            this.emit('fetch_failed', error, `/${subscription.segments.join('/')}`);
+            return false;
+        }).then((succeeded) => {
+            subscription.onLoaded();
+            if (subscription.active) {
+                let delay = (this.options.longPolling && succeeded) ? 0 : this.options.pollInterval;
+                subscription.timer = setTimeout(() => this._poll(subscription), delay);
+            }
+        });
+    }
+
+    /**
+     * Converts collections that the backend returns as arrays of items to objects keyed by the items' keyProperty.
+     * @param {*} data Parsed response.
+     * @returns {*} Data in the format used by the store.
+     * @private
+     */
+    _fromResponse(data) {
+        let {keyProperty} = this.options;
+        if (data instanceof Array && data.every((item) => item && typeof item === 'object' && item[keyProperty] !== undefined)) {
+            let result = {};
+            for (let item of data) {
+                result[item[keyProperty]] = this._fromResponse(item);
+            }
+            return result;
+        }
+        if (data && typeof data === 'object' && !(data instanceof Array)) {
+            let result = {};
+            for (let key in data) {
+                result[key] = this._fromResponse(data[key]);
+            }
+            return result;
+        }
+        return data;
+    }
+
+    _parseResponse(response) {
+        if (typeof response !== 'string') {
+            return response === undefined ? null : response;
+        }
+        return response ? JSON.parse(response) : null;
+    }
+
+    async _getHeaders() {
+        let {headers} = this.options;
+        headers = headers instanceof Map ? new Map(headers) : new Map(Object.keys(headers || {}).map((name) => [name, headers[name]]));
+
+        /* Send the token of the signed in user, unless the Authorization header is given explicitly */
+        if (headers.has('Authorization')) {
+            return headers;
+        }
+        let credentials = await DataSource.getCredentials();
+        if (credentials && credentials.token) {
+            headers.set('Authorization', `Bearer ${credentials.token}`);
+        }
+        return headers;
+    }
+}
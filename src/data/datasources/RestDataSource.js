@@ -0,0 +1,160 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import {MemoryDataSource}           from './MemoryDataSource.js';
+import {MemoryStore}                from './Memory/MemoryStore.js';
+import {RestConnection}             from './Rest/RestConnection.js';
+
+/**
+ * A DataSource for conventional JSON HTTP backends. Every path maps to a URL below the base URL, and writes are sent
+ * as set() => PUT, update() => PATCH, push() => POST and remove() => DELETE. Subscriptions poll the URL of the subscribed
+ * path, and emit child events for the differences between two responses.
+ *
+ * Ordering and limits are applied client-side on the fetched data. Priorities are sent to the backend in a '.priority'
+ * property of the written objects, so the backend can store them and return them as-is.
+ *
+ * @example
+ * Injection.provide(DataSource, new RestDataSource('/', {baseUrl: 'https://example.com/api', headers: {Authorization: 'Bearer ...'}}));
+ * let todos = new Todos(); // PrioritisedArray subclass, polls https://example.com/api/Todos
+ */
+export class RestDataSource extends MemoryDataSource {
+
+    /**
+     * @param {String} path Path to the resource below the base URL, e.g. '/Todos'.
+     * @param {Object} options Optional: options to construct the DataSource with. Accepts all options of the MemoryDataSource,
+     * and all options of the RestConnection (headers, pollInterval, longPolling, urlSuffix, keyProperty).
+     * @param {String} [options.baseUrl] URL of the backend. Not needed if a connection is given.
+     * @param {RestConnection} [options.connection] Optional, the connection to share with other RestDataSources. Created if not given.
+     * @returns {RestDataSource} RestDataSource instance.
+     */
+    constructor(path = '', options = {}) {
+        let connection = options.connection || new RestConnection(options.baseUrl, options);
+        super(path, {orderBy: '.priority', ...options, connection, store: connection.store});
+        this._connection = connection;
+    }
+
+    /**
+     * The connection shared by this dataSource and all dataSources derived from it.
+     * @returns {RestConnection} Connection.
+     */
+    get connection() {
+        return this._connection;
+    }
+
+    /**
+     * Returns the full URL of this dataSource's resource.
+     * @returns {String} Full resource URL.
+     */
+    toString() {
+        return `${this.root()}${this.path()}`;
+    }
+
+    /**
+     * Returns the base URL of the backend.
+     * @returns {String} Base URL.
+     */
+    root() {
+        return this._connection.baseUrl;
+    }
+
+    dataExists() {
+        return this._connection.fetch(this._segments).then((data) => data !== null, () => false);
+    }
+
+    set(newData) {
+        let data = RestConnection.resolveTimestamps(newData);
+        return this._performRestWrite('PUT', data, (store) => store.set(this._segments, data));
+    }
+
+    remove() {
+        return this._performRestWrite('DELETE', undefined, (store) => store.set(this._segments, null));
+    }
+
+    update(data) {
+        data = RestConnection.resolveTimestamps(data);
+        return this._performRestWrite('PATCH', RestConnection.expandPaths(data), (store) => store.update(this._segments, data));
+    }
+
+    /**
+     * Posts newData to the collection this dataSource points to. The key of the new item is generated locally and sent
+     * along in the keyProperty (defaults to 'id'), so the returned dataSource can be used right away.
+     * @param {Object} newData New data to append to dataSource.
+     * @returns {RestDataSource} A new RestDataSource pointing to the injected data.
+     */
+    push(newData = {}) {
+        newData = (newData === undefined || newData === null) ? {} : newData;
+        let key = this._store.generateKey();
+        let data = RestConnection.resolveTimestamps(newData);
+        if (typeof data === 'object') {
+            data = {...data, [this._connection.options.keyProperty]: key};
+        }
+
+        let pushedDataSource = this.child(key);
+        pushedDataSource._synced = this._performRestWrite('POST', data, (store) => store.set([...this._segments, key], data));
+        return pushedDataSource;
+    }
+
+    setWithPriority(newData, priority) {
+        let data = RestConnection.resolveTimestamps(newData);
+        let body = (data && typeof data === 'object') ? {...data, '.priority': priority} : {'.value': data, '.priority': priority};
+        return this._performRestWrite('PUT', body, (store) => store.set(this._segments, data, priority));
+    }
+
+    setPriority(newPriority) {
+        return this._performRestWrite('PATCH', {'.priority': newPriority}, (store) => store.setPriority(this._segments, newPriority));
+    }
+
+    /* Resolves once the data has been fetched */
+    _subscribe() {
+        return this._connection.track(this._segments);
+    }
+
+    _unsubscribe() {
+        this._connection.untrack(this._segments);
+    }
+
+    /**
+     * Fetches the current value, and writes the value returned by transactionFunction. A generic backend offers no
+     * locking, so concurrent writes by other clients between the fetch and the write are overwritten.
+     * @param {Function} transactionFunction A function that takes the current value as a single argument, and
+     * returns the new value. Returning undefined aborts the transaction.
+     * @returns {Promise} Resolves the new value when the transaction is finished.
+     */
+    atomicTransaction(transactionFunction) {
+        return this._connection.fetch(this._segments).then(() => {
+            let currentValue = MemoryStore.exportValue(this._store.get(this._segments));
+            let newValue = transactionFunction(currentValue);
+            if (newValue === undefined) {
+                return currentValue;
+            }
+            return this.set(newValue).then(() => MemoryStore.exportValue(this._store.get(this._segments)));
+        });
+    }
+
+    _createDataSource(path, options) {
+        return new RestDataSource(path, {...options, connection: this._connection});
+    }
+
+    /**
+     * Sends a write to the backend, and keeps track of whether this dataSource is still synchronizing.
+     * @param {String} method HTTP method.
+     * @param {*} data Request body.
+     * @param {Function} applyLocally Function that takes the store and writes the change to it.
+     * @returns {Promise} Resolves when the backend has accepted the write.
+     * @private
+     */
+    _performRestWrite(method, data, applyLocally) {
+        let completionPromise = this._connection.write(method, this._segments, data, applyLocally);
+
+        /* Append another promise to the chain to keep track of whether it's still synchronized. Fail silently
+         * since the returned promise already rejects */
+        this._synced = this._synced.then(() => completionPromise).catch(() => {
+        });
+        return completionPromise;
+    }
+}
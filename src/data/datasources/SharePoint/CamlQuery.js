@@ -0,0 +1,161 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+/* CAML elements for each Query operator */
+const COMPARISON_ELEMENTS = {'==': 'Eq', '!=': 'Neq', '<': 'Lt', '<=': 'Leq', '>': 'Gt', '>=': 'Geq'};
+
+/**
+ * Compiles queries to CAML, in the JSON notation that the SharePoint SOAP client serializes to XML
+ * (attributes are prefixed with '_', text content is stored in '__text').
+ */
+export class CamlQuery {
+
+    /**
+     * Compiles a query to the options of a SharePointDataSource. CAML supports all conditions, orderings and limits,
+     * so nothing is left to evaluate on the client apart from ordering the received items.
+     * @param {Query} query Query to compile.
+     * @returns {{options: Object, residual: Query}} Options for SharePointDataSource.child(), and the part of the query to evaluate on the client.
+     */
+    static compile(query) {
+        let camlQuery = {};
+        if (query.conditions.length) {
+            camlQuery.Where = CamlQuery._combine(query.conditions.map(CamlQuery._compileCondition));
+        }
+        if (query.order) {
+            camlQuery.OrderBy = {
+                FieldRef: {_Name: CamlQuery._getFieldName(query.order.field), _Ascending: query.order.descending ? 'FALSE' : 'TRUE'}
+            };
+        }
+
+        let options = {};
+        if (Object.keys(camlQuery).length) {
+            options.query = {Query: camlQuery};
+        }
+        if (query.amount !== undefined) {
+            options.limit = query.amount;
+        }
+        return {options, residual: query.withConditions([])};
+    }
+
+    /**
+     * Adds a cursor to the options of a SharePointDataSource, so that only the items from or up to the cursor are
+     * retrieved. The cursor applies to the field the items are ordered by, either through the orderBy option or
+     * the OrderBy of the CAML query, and to their ID if they aren't ordered.
+     * @param {Object} options Options of a SharePointDataSource.
+     * @param {Boolean} isStart Whether the cursor is where the items start, rather than where they end.
+     * @param {*} value Value of the ordered field at the cursor.
+     * @param {String} [key] ID of the item at the cursor, to order items with the same value by.
+     * @returns {Object} New options, in which the cursor is combined with the conditions of the CAML query.
+     */
+    static withCursor(options, isStart, value, key) {
+        let camlQuery = (options.query && options.query.Query) || {};
+        let fieldRef = options.orderBy ? {_Name: options.orderBy} : (camlQuery.OrderBy && camlQuery.OrderBy.FieldRef);
+        let isForward = isStart !== !!(fieldRef && fieldRef._Ascending === 'FALSE');
+        let operator = isForward ? '>=' : '<=';
+
+        let cursor;
+        if (!fieldRef || fieldRef._Name === 'ID') {
+            let id = key !== undefined ? key : value;
+            cursor = {[COMPARISON_ELEMENTS[operator]]: {FieldRef: {_Name: 'ID'}, Value: {_Type: 'Counter', __text: `${id}`}}};
+        } else if (key === undefined) {
+            cursor = CamlQuery._compileCondition({field: fieldRef._Name, operator, value});
+        } else {
+            /* Items with the same value as the cursor are ordered by their ID */
+            let idCursor = {[COMPARISON_ELEMENTS[operator]]: {FieldRef: {_Name: 'ID'}, Value: {_Type: 'Counter', __text: `${key}`}}};
+            cursor = {
+                Or: {
+                    ...CamlQuery._compileCondition({field: fieldRef._Name, operator: isForward ? '>' : '<', value}),
+                    And: {...CamlQuery._compileCondition({field: fieldRef._Name, operator: '==', value}), ...idCursor}
+                }
+            };
+        }
+
+        let Where = camlQuery.Where ? CamlQuery._combine([camlQuery.Where, cursor]) : cursor;
+        return {...options, query: {...options.query, Query: {...camlQuery, Where}}};
+    }
+
+    /**
+     * Serializes CAML in JSON notation to XML, the way the SOAP client does, e.g. to build the ViewXml of a REST request.
+     * @param {Object} caml CAML in JSON notation, e.g. {Query: {Where: ...}}.
+     * @returns {String} XML.
+     */
+    static toXml(caml) {
+        let escape = (text) => `${text}`.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        let xml = '';
+        for (let name of Object.keys(caml)) {
+            if (name.startsWith('_')) {
+                continue;
+            }
+            for (let element of [].concat(caml[name])) {
+                if (element === null || typeof element !== 'object') {
+                    xml += `<${name}>${escape(element)}</${name}>`;
+                    continue;
+                }
+                let attributes = Object.keys(element)
+                    .filter((key) => key.startsWith('_') && key !== '__text')
+                    .map((key) => ` ${key.substring(1)}="${escape(element[key])}"`)
+                    .join('');
+                let content = element.__text !== undefined ? escape(element.__text) : CamlQuery.toXml(element);
+                xml += `<${name}${attributes}>${content}</${name}>`;
+            }
+        }
+        return xml;
+    }
+
+    /**
+     * Compiles a single condition, e.g. {field: 'Status', operator: '==', value: 'open'}, to a CAML comparison.
+     * @param {Object} condition Condition of a Query.
+     * @returns {Object} CAML element, e.g. {Eq: {FieldRef: {_Name: 'Status'}, Value: {_Type: 'Text', __text: 'open'}}}.
+     * @private
+     */
+    static _compileCondition({field, operator, value}) {
+        let fieldRef = {_Name: CamlQuery._getFieldName(field)};
+        if (operator === 'in') {
+            return {In: {FieldRef: fieldRef, Values: {Value: value.map(CamlQuery._compileValue)}}};
+        }
+        if (value === null || value === undefined) {
+            return operator === '==' ? {IsNull: {FieldRef: fieldRef}} : {IsNotNull: {FieldRef: fieldRef}};
+        }
+        return {[COMPARISON_ELEMENTS[operator]]: {FieldRef: fieldRef, Value: CamlQuery._compileValue(value)}};
+    }
+
+    static _compileValue(value) {
+        if (value instanceof Date) {
+            return {_Type: 'DateTime', _IncludeTimeValue: 'TRUE', __text: value.toISOString()};
+        } else if (typeof value === 'number') {
+            return {_Type: 'Number', __text: `${value}`};
+        } else if (typeof value === 'boolean') {
+            return {_Type: 'Boolean', __text: value ? '1' : '0'};
+        }
+        return {_Type: 'Text', __text: `${value}`};
+    }
+
+    /**
+     * Combines CAML elements with nested And elements, since a CAML And element takes exactly two operands.
+     * @param {Array} elements CAML elements.
+     * @returns {Object} Combined CAML element.
+     * @private
+     */
+    static _combine(elements) {
+        if (elements.length === 1) {
+            return elements[0];
+        }
+        let [first, ...rest] = elements;
+        let second = CamlQuery._combine(rest);
+        let operands = {...first};
+        for (let name in second) {
+            /* Two operands of the same type are serialized as repeated elements */
+            operands[name] = name in operands ? [operands[name], second[name]] : second[name];
+        }
+        return {And: operands};
+    }
+
+    static _getFieldName(field) {
+        return field === 'id' ? 'ID' : field;
+    }
+}
@@ -15,8 +15,22 @@ import {UrlParser}          from '../../../utils/request/UrlParser.js';
 import {ParseStringToXml}   from '../../../utils/request/XmlParser.js';
 
 
+/* Error code of a successful method in the results of UpdateListItems */
+const NO_ERROR = '0x00000000';
+/* Amount of items read per request when going through all items of a list */
+const PAGE_SIZE = 1000;
+
 export class DataModelGenerator {
 
+    /**
+     * @param {String} originalPath URL of the SharePoint site to deploy to.
+     * @param {Object} schema Specification of the data model. Its Schema contains the fields of every list by list
+     *                        name, each with a name and type, and a source and optional showField for Lookup and
+     *                        LookupMulti fields. A field renamed since the schema was last deployed has renamedFrom set
+     *                        to its previous name. Seed contains the initial items of lists by list name. Version is
+     *                        recorded when migrating, and Prefix is prepended to the names of the fields.
+     * @returns {DataModelGenerator} DataModelGenerator instance.
+     */
     constructor(originalPath, schema) {
 
         // initialize the arguments
@@ -29,6 +43,7 @@ export class DataModelGenerator {
         this._originalPath = originalPath;
         this._Schema = schema.Schema;
         this._Seed = schema.Seed;
+        this._Version = schema.Version;
 
         // if the dataspec contains an instruction 'hidden' have this setting override the default
         if (schema &&
@@ -46,62 +61,514 @@ export class DataModelGenerator {
     }
 
 
-    Deploy() {
+    /**
+     * Creates the lists and fields of the schema that don't exist yet, and shows the fields in the default views.
+     * In migration mode, the existing lists are first brought in line with the schema: renamed fields are recreated
+     * with their values, fields of which the type or lookup target changed are updated, and fields that were removed
+     * from the schema are deleted. Only fields that were created for the schema are deleted: fields with the Prefix,
+     * or fields in the schema that was applied before. The applied schema is recorded in a hidden list.
+     *
+     * The operations are planned before any of them is executed, see _PlanDeployment(). In a dry run, the planned
+     * operations are returned without executing them. Otherwise, all operations are executed, and the report tells
+     * which ones failed. The remaining operations on a list that couldn't be created are skipped, and so is recording
+     * the schema version when any operation failed, so a next migration tries again.
+     * @param {Object} [options] Options.
+     * @param {Boolean} [options.migrate] Whether to migrate the existing lists. Defaults to false.
+     * @param {Boolean} [options.dryRun] Whether to only plan the operations. Defaults to false.
+     * @returns {Promise} Resolves with a report of every operation, containing the operation, its status ('planned',
+     *                    'succeeded', 'failed' or 'skipped'), and the error of a failed operation.
+     */
+    Deploy(options = {}) {
         if (!this._Schema) throw 'There is no schema to deploy.';
-        //var listOfPromisesToFullfill = [];
 
         return new Promise(async function (resolve, reject) {
 
-            // iterate through all tables listed.
-            for (let table in this._Schema) {
+            let operations;
+            try {
+                operations = await this._PlanDeployment(options);
+            } catch (ex) {
+                reject(ex);
+                return;
+            }
 
-                try {
-                    let listCreated = await this._GetOrCreateList(table);
-                    var fields = this._Schema[table];
-                    if (fields && fields.length > 0) {
-                        let modelCreated = await this._GetOrCreateModel(table, fields, listCreated);
-                        let viewCreated = await this._UpdateDefaultView(table, fields, listCreated);
-                    }
+            if (options.dryRun) {
+                resolve(operations.map((operation) => ({operation, status: 'planned'})));
+                return;
+            }
 
+            let report = [];
+            let failedLists = [];
+            for (let operation of operations) {
+                let hasFailures = report.some(({status}) => status === 'failed');
+                if (failedLists.includes(operation.list) || (operation.type === 'recordSchemaVersion' && hasFailures)) {
+                    report.push({operation, status: 'skipped'});
+                    continue;
+                }
+                try {
+                    await this._ExecuteOperation(operation);
+                    report.push({operation, status: 'succeeded'});
                 } catch (ex) {
-                    console.log(ex);
+                    if (operation.type === 'createList') {
+                        failedLists.push(operation.list);
+                    }
+                    report.push({operation, status: 'failed', error: ex});
                 }
             }
-
-            resolve();
+            resolve(report);
 
         }.bind(this));
     }
 
+    /**
+     * Adds the items of the Seed section to their lists, e.g. {Seed: {Colors: [{Title: 'Red'}, {Title: 'Blue'}]}}.
+     * Lists that already contain items are skipped, so seeding again doesn't duplicate them. Field names are the
+     * names of the columns, including the Prefix. Lookup values are written as {id} objects, or arrays of them.
+     * @returns {Promise} Resolves with the amount of items added to each list, by list name.
+     */
     Seed() {
         if (!this._Seed) throw 'There is no seed to deploy.';
 
+        return new Promise(async function (resolve, reject) {
+
+            try {
+                let seeded = {};
+                for (let listName in this._Seed) {
+                    let items = this._Seed[listName] || [];
+                    let existingItems = await this._GetListItems(listName, ['ID'], 0, 1);
+                    if (existingItems.length || !items.length) {
+                        seeded[listName] = 0;
+                        continue;
+                    }
 
+                    let methods = items.map((item, index) => ({
+                        '_ID': index + 1,
+                        '_Cmd': 'New',
+                        Field: [{'_Name': 'ID', '__text': 'New'}].concat(Object.keys(item).map((fieldName) => ({
+                            '_Name': fieldName,
+                            '__text': this._GetFieldValue(item[fieldName])
+                        })))
+                    }));
+                    await this._UpdateListItems(listName, methods);
+                    seeded[listName] = items.length;
+                }
+                resolve(seeded);
+            }
+            catch (ex) {
+                reject(ex);
+            }
+        }.bind(this));
     }
 
+    /**
+     * Plans the operations of a deployment. Every operation has a type and the list it applies to:
+     * - 'createList' creates the list.
+     * - 'updateList' applies the list settings, such as whether it is hidden, and adds the __id field when missing.
+     * - 'addField' and 'createLookup' add the field with the internal name in field, as declared in definition.
+     * - 'updateDefaultView' shows the declared fields in the default view of the list.
+     * When migrating, the changes of _PlanMigration() come first, and 'recordSchemaVersion' comes last.
+     * @param {Object} options Options of Deploy().
+     * @returns {Promise} Resolves with the operations.
+     * @private
+     */
+    async _PlanDeployment(options) {
+        let operations = [];
+        let appliedSchema = null;
+        if (options.migrate) {
+            appliedSchema = await this._GetAppliedSchema();
+            operations = await this._PlanMigration(appliedSchema);
+        }
 
-    _UpdateDefaultView(listName, fields, listCreated) {
+        for (let listName in this._Schema) {
+            let existingFields = await this._GetExistingFields(listName);
+            if (!existingFields) {
+                operations.push({type: 'createList', list: listName});
+            }
+            let fields = this._Schema[listName];
+            if (!fields || !fields.length) {
+                continue;
+            }
 
-        return new Promise(async function (resolve, reject) {
+            operations.push({type: 'updateList', list: listName, hidden: this.hidden, addIdField: !existingFields || !existingFields.__id});
+            for (let definition of this._GetDeclaredFields(fields)) {
+                let field = this._GetInternalName(definition.name);
+                let isRenamed = operations.some((operation) => operation.type === 'renameField' && operation.list === listName && operation.field === field);
+                if ((!existingFields || !existingFields[field]) && !isRenamed) {
+                    operations.push({type: this._IsLookup(definition.type) ? 'createLookup' : 'addField', list: listName, field, definition});
+                }
+            }
+            operations.push({type: 'updateDefaultView', list: listName, fields: fields.map(({name}) => name)});
+        }
 
-            try {
+        if (options.migrate) {
+            operations.push({type: 'recordSchemaVersion', list: this._GetVersionListName(), version: this._Version, appliedSchema});
+        }
+        return operations;
+    }
 
-                // resolve correct info
-                let firstRequest = this._getDefaultViewRequest(listName);
-                let viewResult = await PostRequest(firstRequest);
+    /**
+     * Executes an operation planned by _PlanDeployment().
+     * @param {Object} operation Operation to execute.
+     * @returns {Promise} Resolves when the operation is executed.
+     * @private
+     */
+    async _ExecuteOperation(operation) {
+        let {type, list, field, definition} = operation;
+        switch (type) {
+            case 'createList':
+                await PostRequest(this._getListCreationRequest(list, ''));
+                break;
+            case 'updateList':
+                await this._UpdateListSettings(list, operation.addIdField);
+                break;
+            case 'addField':
+            case 'createLookup':
+                await this._AddField(list, field, definition);
+                break;
+            case 'updateDefaultView':
+                await this._UpdateDefaultView(list, operation.fields.map((name) => ({name})));
+                break;
+            case 'recordSchemaVersion':
+                await this._RecordSchemaVersion(operation.appliedSchema);
+                break;
+            default:
+                await this._ApplyChange(operation);
+        }
+    }
 
-                // update
-                let viewId = this._ResolveViewID(viewResult.response);
-                let updateRequest = this._getUpdateViewRequest(listName, viewId, fields);
-                let updateResult = await PostRequest(updateRequest);
+    /**
+     * Compares the declared schema with the existing lists. Lists that don't exist yet, and fields that were added,
+     * are left to Deploy(), which creates them regardless of migrating.
+     * @param {Object} appliedSchema The schema applied by the previous migration, see _GetAppliedSchema().
+     * @returns {Promise} Resolves with the changes to make. Each change has a type ('renameField', 'changeField',
+     *                    'changeLookup' or 'removeField'), the list, the internal name of the field, and the
+     *                    declared definition of the field. A renamed field has the internal name it had in from,
+     *                    and a changed field has its current type in from.
+     * @private
+     */
+    async _PlanMigration(appliedSchema) {
+        let changes = [];
+        for (let listName in this._Schema) {
+            let existingFields = await this._GetExistingFields(listName);
+            if (!existingFields) {
+                continue;
+            }
+            let declaredFields = this._GetDeclaredFields(this._Schema[listName]);
+            let previousFields = this._GetDeclaredFields(appliedSchema && appliedSchema.schema[listName]);
+            let declaredNames = declaredFields.map(({name}) => this._GetInternalName(name));
+            let previousNames = previousFields.map(({name}) => this._GetInternalName(name));
+            let renamedNames = [];
+
+            for (let definition of declaredFields) {
+                let field = this._GetInternalName(definition.name);
+                let existingField = existingFields[field];
+                if (!existingField) {
+                    let from = definition.renamedFrom && this._GetInternalName(definition.renamedFrom);
+                    if (from && existingFields[from]) {
+                        renamedNames.push(from);
+                        changes.push({type: 'renameField', list: listName, field, from, definition});
+                    }
+                    continue;
+                }
 
-                resolve(updateResult.response);
+                if (this._IsLookup(definition.type) || this._IsLookup(existingField.type)) {
+                    let sourceId = this._IsLookup(definition.type) ? await this._GetListID(definition.source) : '';
+                    let hasOtherShowField = existingField.showField && existingField.showField !== (definition.showField || 'ID');
+                    if (existingField.type !== definition.type || this._NormalizeID(existingField.list) !== this._NormalizeID(sourceId) || hasOtherShowField) {
+                        changes.push({type: 'changeLookup', list: listName, field, definition});
+                    }
+                } else if (existingField.type !== definition.type) {
+                    changes.push({type: 'changeField', list: listName, field, from: existingField.type, definition});
+                }
             }
-            catch (ex) {
-                console.log(ex);
-                reject(ex);
+
+            for (let field in existingFields) {
+                let isOwnField = (this._applicationId && field.indexOf(`${this._applicationId}_`) === 0) || previousNames.includes(field);
+                if (isOwnField && !declaredNames.includes(field) && !renamedNames.includes(field)) {
+                    changes.push({type: 'removeField', list: listName, field, definition: null});
+                }
             }
-        }.bind(this));
+        }
+        return changes;
+    }
+
+    /**
+     * Makes a change planned by _PlanMigration(). The values of a field are lost when its lookup target changes,
+     * since they refer to items of the previous target.
+     * @param {Object} change Change to make.
+     * @returns {Promise} Resolves when the change is made.
+     * @private
+     */
+    async _ApplyChange(change) {
+        let {type, list, field, from, definition} = change;
+        switch (type) {
+            case 'renameField':
+                await this._AddField(list, field, definition);
+                await this._CopyFieldValues(list, from, field);
+                await this._DeleteField(list, from);
+                break;
+            case 'changeField':
+                await this._UpdateList({
+                    listName: list,
+                    updateFields: {
+                        Fields: {
+                            Method: [{
+                                '_ID': 1,
+                                Field: {'_Name': field, '_Type': definition.type, '_DisplayName': field}
+                            }]
+                        }
+                    }
+                });
+                break;
+            case 'changeLookup':
+                await this._DeleteField(list, field);
+                await this._AddField(list, field, definition);
+                break;
+            case 'removeField':
+                await this._DeleteField(list, field);
+                break;
+        }
+    }
+
+    async _AddField(listName, fieldName, definition) {
+        if (this._IsLookup(definition.type)) {
+            return this._CreateLookup(listName, fieldName, definition.type, definition.source, definition.showField);
+        }
+        return this._UpdateList({
+            listName: listName,
+            newFields: {
+                Fields: {
+                    Method: [{
+                        '_ID': 1,
+                        Field: {'_Type': definition.type, '_DisplayName': fieldName, '_FromBaseType': 'TRUE'}
+                    }]
+                }
+            }
+        });
+    }
+
+    _DeleteField(listName, fieldName) {
+        return this._UpdateList({
+            listName: listName,
+            deleteFields: {
+                Fields: {
+                    Method: [{'_ID': 1, Field: {'_Name': fieldName}}]
+                }
+            }
+        });
+    }
+
+    /**
+     * Copies the values of a field to another field, for all items of a list, a page of items at a time.
+     * @param {String} listName Name of the list.
+     * @param {String} from Internal name of the field to copy from.
+     * @param {String} to Internal name of the field to copy to.
+     * @returns {Promise} Resolves when all values are copied.
+     * @private
+     */
+    async _CopyFieldValues(listName, from, to) {
+        let lastId = 0;
+        let items;
+        do {
+            items = await this._GetListItems(listName, ['ID', from], lastId, PAGE_SIZE);
+            let methods = items
+                .filter((item) => item[from] !== undefined)
+                .map((item, index) => ({
+                    '_ID': index + 1,
+                    '_Cmd': 'Update',
+                    Field: [{'_Name': 'ID', '__text': item.ID}, {'_Name': to, '__text': item[from]}]
+                }));
+            if (methods.length) {
+                await this._UpdateListItems(listName, methods);
+            }
+            lastId = items.length ? items[items.length - 1].ID : lastId;
+        } while (items.length === PAGE_SIZE);
+    }
+
+    /**
+     * Reads the schema applied by the last migration from the hidden list of schema versions.
+     * @returns {Promise} Resolves with the version and schema, or null if no schema was applied yet.
+     * @private
+     */
+    async _GetAppliedSchema() {
+        let listName = this._GetVersionListName();
+        if (!await this._GetExistingFields(listName)) {
+            return null;
+        }
+        let [lastVersion] = await this._GetListItems(listName, ['ID', 'Title', 'Schema'], 0, 1, true);
+        return lastVersion ? {version: lastVersion.Title, schema: JSON.parse(lastVersion.Schema || '{}')} : null;
+    }
+
+    /**
+     * Records the schema in the hidden list of schema versions, unless it is the schema that was applied already.
+     * @param {Object} appliedSchema The schema applied by the previous migration.
+     * @returns {Promise} Resolves when the schema is recorded.
+     * @private
+     */
+    async _RecordSchemaVersion(appliedSchema) {
+        let version = this._Version === undefined ? '' : `${this._Version}`;
+        let schema = JSON.stringify(this._Schema);
+        if (appliedSchema && appliedSchema.version === version && JSON.stringify(appliedSchema.schema) === schema) {
+            return;
+        }
+
+        let listName = this._GetVersionListName();
+        await this._GetOrCreateList(listName, 'Schema versions applied by the DataModelGenerator');
+        let existingFields = await this._GetExistingFields(listName);
+        if (!existingFields.Schema) {
+            await this._UpdateList({
+                listName: listName,
+                newFields: {
+                    Fields: {
+                        Method: [{
+                            '_ID': 1,
+                            Field: {'_Type': 'Note', '_DisplayName': 'Schema', '_FromBaseType': 'TRUE'}
+                        }]
+                    }
+                },
+                listProperties: {
+                    List: {_Hidden: 'TRUE', _EnableAttachments: 'FALSE'}
+                }
+            });
+        }
+        await this._UpdateListItems(listName, [{
+            '_ID': 1,
+            '_Cmd': 'New',
+            Field: [{'_Name': 'ID', '__text': 'New'}, {'_Name': 'Title', '__text': version}, {'_Name': 'Schema', '__text': schema}]
+        }]);
+    }
+
+    _GetVersionListName() {
+        return this._GetInternalName('SchemaVersions');
+    }
+
+    _GetInternalName(name) {
+        return this._applicationId ? `${this._applicationId}_${name}` : name;
+    }
+
+    /**
+     * @param {Array.<Object>} fields Fields of a list in the schema.
+     * @returns {Array.<Object>} The fields that are added to the list. The first field describes the Title column
+     *                           that every list has, see _UpdateListSettings().
+     * @private
+     */
+    _GetDeclaredFields(fields) {
+        return fields ? fields.slice(1) : [];
+    }
+
+    _IsLookup(type) {
+        return type === 'Lookup' || type === 'LookupMulti';
+    }
+
+    _NormalizeID(id) {
+        return `${id || ''}`.replace(/[{}]/g, '').toLowerCase();
+    }
+
+    /**
+     * Converts a value to the text SharePoint expects in UpdateListItems, like the SharePointClient does.
+     * @param {*} value Value of a field. Lookup values are {id} objects, or arrays of them.
+     * @returns {String} Text.
+     * @private
+     */
+    _GetFieldValue(value) {
+        if (value instanceof Array) {
+            return value.map(({id}) => id).join(';#;#');
+        } else if (value && typeof value === 'object') {
+            return `${value.id};#`;
+        }
+        return value;
+    }
+
+    /**
+     * Reads the fields of a list.
+     * @param {String} listName Name of the list.
+     * @returns {Promise} Resolves with the type, list and showField of the fields by internal name, or null if the
+     *                    list doesn't exist.
+     * @private
+     */
+    async _GetExistingFields(listName) {
+        let listResult;
+        try {
+            listResult = await PostRequest(this._getListExistRequest(listName));
+        } catch (ex) {
+            return null;
+        }
+        return this._ResolveFields(listResult.response);
+    }
+
+    async _GetListID(listName) {
+        let listResult = await PostRequest(this._getListExistRequest(listName));
+        return this._ResolveListID(listResult.response);
+    }
+
+    /**
+     * Reads a page of items of a list, ordered by their ID.
+     * @param {String} listName Name of the list.
+     * @param {Array.<String>} fieldNames Internal names of the fields to read.
+     * @param {Number} afterId Only items with a higher ID are read, unless descending is set.
+     * @param {Number} rowLimit Maximum amount of items to read.
+     * @param {Boolean} [descending] Whether to read the items with the highest IDs first.
+     * @returns {Promise} Resolves with the items, of which the fields are strings.
+     * @private
+     */
+    async _GetListItems(listName, fieldNames, afterId, rowLimit, descending = false) {
+        let query = {
+            OrderBy: {FieldRef: {'_Name': 'ID', '_Ascending': descending ? 'FALSE' : 'TRUE'}}
+        };
+        if (!descending) {
+            query.Where = {Gt: {FieldRef: {'_Name': 'ID'}, Value: {'_Type': 'Counter', '__text': afterId}}};
+        }
+        let itemsResult = await PostRequest(this._getListItemsRequest({
+            listName: listName,
+            viewFields: {ViewFields: {FieldRef: fieldNames.map((fieldName) => ({'_Name': fieldName}))}},
+            query: {Query: query},
+            rowLimit: rowLimit,
+            queryOptions: {QueryOptions: {IncludeMandatoryColumns: 'FALSE'}}
+        }));
+        return this._ResolveItems(itemsResult.response);
+    }
+
+    /**
+     * Performs UpdateListItems methods in a single batch.
+     * @param {String} listName Name of the list.
+     * @param {Array.<Object>} methods Methods to perform.
+     * @returns {Promise} Resolves when all methods succeeded, or rejects with an error with code 'update_failed'.
+     * @private
+     */
+    async _UpdateListItems(listName, methods) {
+        let updateResult = await PostRequest(this._getUpdateListItemsRequest(listName, methods));
+        let errorCodes = this._ResolveErrorCodes(updateResult.response);
+        if (errorCodes.some((errorCode) => errorCode !== NO_ERROR)) {
+            let error = new Error(`Updating the items of ${listName} failed with error codes ${errorCodes.join(', ')}`);
+            error.code = 'update_failed';
+            throw error;
+        }
+    }
+
+    /**
+     * Performs an UpdateList request. SharePoint reports the fields it couldn't add, update or delete in the response
+     * rather than failing the request, so these are checked as well.
+     * @param {Object} params Parameters of the request, see _getListUpdateRequest().
+     * @returns {Promise} Resolves with the result of the request when all fields were updated, or rejects with an
+     *                    error with code 'update_failed'.
+     * @private
+     */
+    async _UpdateList(params) {
+        let updateResult = await PostRequest(this._getListUpdateRequest(params));
+        let errorCodes = this._ResolveErrorCodes(updateResult.response);
+        if (errorCodes.some((errorCode) => errorCode !== NO_ERROR)) {
+            let error = new Error(`Updating the list ${params.listName} failed with error codes ${errorCodes.join(', ')}`);
+            error.code = 'update_failed';
+            throw error;
+        }
+        return updateResult;
+    }
+
+
+    async _UpdateDefaultView(listName, fields, listCreated) {
+        let viewResult = await PostRequest(this._getDefaultViewRequest(listName));
+        let viewId = this._ResolveViewID(viewResult.response);
+        let updateResult = await PostRequest(this._getUpdateViewRequest(listName, viewId, fields));
+        return updateResult.response;
     }
 
 
@@ -213,6 +680,48 @@ export class DataModelGenerator {
         };
     }
 
+    _getListItemsRequest(params) {
+
+        return {
+            url: this._ParsePath(this._originalPath, this._GetListService),
+            headers: new Map([
+                ['SOAPAction', 'http://schemas.microsoft.com/sharepoint/soap/GetListItems'],
+                ['Content-Type', 'text/xml']
+            ]),
+            data: this._applySoapTemplate({
+                method: 'GetListItems',
+                params: this._serializeParams(params)
+            })
+        };
+    }
+
+    _getUpdateListItemsRequest(listName, methods) {
+        // rough configuration object
+        let params = {
+            listName: listName,
+            updates: {
+                Batch: {
+                    Method: methods,
+                    '_OnError': 'Continue',
+                    '_ListVersion': '1',
+                    '_ViewName': ''
+                }
+            }
+        };
+
+        return {
+            url: this._ParsePath(this._originalPath, this._GetListService),
+            headers: new Map([
+                ['SOAPAction', 'http://schemas.microsoft.com/sharepoint/soap/UpdateListItems'],
+                ['Content-Type', 'text/xml']
+            ]),
+            data: this._applySoapTemplate({
+                method: 'UpdateListItems',
+                params: this._serializeParams(params)
+            })
+        };
+    }
+
     _getListUpdateRequest(params) {
 
         return {
@@ -252,17 +761,22 @@ export class DataModelGenerator {
         }.bind(this));
     }
 
-    async _GetOrCreateModel(listName, modelDescription, listData) {
-
-        let listOfLookups = [];
-        let fieldsAdded = 0;
+    /**
+     * Applies the settings of a list: whether it is hidden, and no attachments. The Title field every list has is
+     * made optional, and the __id field is added if needed.
+     * @param {String} listName Name of the list.
+     * @param {Boolean} addIdField Whether to add the __id field.
+     * @returns {Promise} Resolves with the result of the list update.
+     * @private
+     */
+    _UpdateListSettings(listName, addIdField) {
         // rough configuration object
         let params = {
             listName: listName,
             updateFields: {
                 Fields: {
                     Method: [{
-                        '_ID': 0, /* We automatically add an id field of our own, so we can push our own IDs to SharePoint. */
+                        '_ID': 0,
                         Field: {
                             '_Type': 'Text',
                             '_Name': 'Title',
@@ -280,7 +794,7 @@ export class DataModelGenerator {
             }
         };
 
-        if (listData.indexOf(`StaticName="__id"`)) {
+        if (addIdField) {
             params.newFields = {
                 Fields: {
                     Method: [{
@@ -296,56 +810,21 @@ export class DataModelGenerator {
             };
         }
 
-        for (let i = 1; i < modelDescription.length; i++) {
-            let internalName = modelDescription[i].name;
-            if (this._applicationId) internalName = this._applicationId + '_' + internalName;
-            if (listData.indexOf(`StaticName="${internalName}"`) != -1) continue;
-
-            // handle Lookups differently
-            if (modelDescription[i].type == 'Lookup' || modelDescription[i].type == 'LookupMulti') {
-                listOfLookups.push([listName, internalName, modelDescription[i].type, modelDescription[i].source, modelDescription[i].showField]);
-            }
-            else {
-                // handle primitives
-
-                var modelData = {
-                    '_ID': i,
-                    Field: {
-                        '_Type': modelDescription[i].type,
-                        '_DisplayName': internalName,
-                        '_FromBaseType': 'TRUE'
-                    }
-                };
-                params.newFields.Fields.Method.push(modelData);
-            }
-        }
-
-        return new Promise(async function (resolve, reject) {
-
-            try {
-                // update list with settings and simple fields
-                let updateListRequest = this._getListUpdateRequest(params);
-                let updateResult = await PostRequest(updateListRequest);
-
-                // go add lookups
-                for (let lf = 0; lf < listOfLookups.length; lf++) {
-                    try {
-                        let lookupResult = await this._CreateLookup(...listOfLookups[lf]);
-                    }
-                    catch (ex) {
-                        console.error('Error creating lookup field');
-                    }
-                }
-                resolve(updateResult.response);
-            }
-            catch (ex) {
-                reject(ex);
-            }
-
-        }.bind(this));
+        return this._UpdateList(params);
     }
 
-
+    /**
+     * Adds a lookup column to a list, referring to the items of another list. Models can resolve these columns with
+     * relation.belongsTo() or relation.hasOne() for Lookup columns, and relation.manyToMany() for LookupMulti columns,
+     * using the lookup option, e.g. @relation.belongsTo(() => Customer, {key: 'Customer', lookup: true}).
+     * @param {String} listName Name of the list to add the column to.
+     * @param {String} fieldName Name of the column.
+     * @param {String} type Either 'Lookup' or 'LookupMulti'.
+     * @param {String} sourceName Name of the list that is referred to.
+     * @param {String} [showField] Column of the referred list to show. Defaults to 'ID'.
+     * @returns {Promise} Resolves with the result of the list update.
+     * @private
+     */
     async _CreateLookup(listName, fieldName, type, sourceName, showField) {
 
         let listResult = await this._GetOrCreateList(sourceName);
@@ -372,14 +851,7 @@ export class DataModelGenerator {
             }
         };
 
-        let updateListRequest = this._getListUpdateRequest(params);
-        try {
-            let updateListResult = await PostRequest(updateListRequest);
-            return updateListResult;
-        }
-        catch (ex) {
-            return '';
-        }
+        return this._UpdateList(params);
     }
 
 
@@ -401,6 +873,63 @@ export class DataModelGenerator {
     }
 
 
+    _ResolveFields(response) {
+
+        let data = ParseStringToXml(response);
+        let fields = {};
+
+        let fieldNodes = data.getElementsByTagName('Field');
+        for (let i = 0; i < fieldNodes.length; i++) {
+            let fieldNode = fieldNodes[i];
+            let staticName = fieldNode.getAttribute('StaticName');
+            if (staticName) {
+                fields[staticName] = {
+                    type: fieldNode.getAttribute('Type'),
+                    list: fieldNode.getAttribute('List'),
+                    showField: fieldNode.getAttribute('ShowField')
+                };
+            }
+        }
+
+        return fields;
+    }
+
+
+    _ResolveItems(response) {
+
+        let data = ParseStringToXml(response);
+        let items = [];
+
+        let rowNodes = data.getElementsByTagName('z:row');
+        for (let i = 0; i < rowNodes.length; i++) {
+            let item = {};
+            let attributes = rowNodes[i].attributes;
+            for (let a = 0; a < attributes.length; a++) {
+                if (attributes[a].name.indexOf('ows_') === 0) {
+                    item[attributes[a].name.substring(4)] = attributes[a].value;
+                }
+            }
+            items.push(item);
+        }
+
+        return items;
+    }
+
+
+    _ResolveErrorCodes(response) {
+
+        let data = ParseStringToXml(response);
+        let errorCodes = [];
+
+        let errorCodeNodes = data.getElementsByTagName('ErrorCode');
+        for (let i = 0; i < errorCodeNodes.length; i++) {
+            errorCodes.push(errorCodeNodes[i].textContent || errorCodeNodes[i].text);
+        }
+
+        return errorCodes;
+    }
+
+
     _applySoapTemplate(properties) {
         return `<?xml version="1.0" encoding="utf-8"?>
               <soap:Envelope
@@ -0,0 +1,188 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+/**
+ * Strategies deciding how long the SharePoint worker waits between refreshes of a list. A strategy is a function
+ * taking the polling options, which returns an object with a getDelay(hasChanges) method, returning the delay before
+ * the next refresh given whether the last refresh found changes, and a reset() method, which is called when the
+ * list is refreshed outside of the schedule, e.g. after a local write. Strategies run in the worker, so custom
+ * strategies are added to this object in the worker bundle, and selected by name in the polling options.
+ */
+export const pollingStrategies = {
+
+    /**
+     * Refreshes at a fixed interval.
+     * @param {Object} options Polling options.
+     * @param {Number} [options.interval] Milliseconds between refreshes. Defaults to 3000.
+     * @returns {Object} Strategy.
+     */
+    fixed: function ({interval = 3000}) {
+        return {
+            getDelay: () => interval,
+            reset: () => {}
+        };
+    },
+
+    /**
+     * Starts at the interval, and multiplies the delay by the backoff after every refresh that finds no changes,
+     * up to the maximum interval. A refresh that finds changes brings the delay back to the interval.
+     * @param {Object} options Polling options.
+     * @param {Number} [options.interval] Milliseconds between refreshes while the list changes. Defaults to 3000.
+     * @param {Number} [options.maxInterval] Maximum milliseconds between refreshes. Defaults to 60000.
+     * @param {Number} [options.backoff] Factor to multiply the delay by. Defaults to 2.
+     * @returns {Object} Strategy.
+     */
+    adaptive: function ({interval = 3000, maxInterval = 60000, backoff = 2}) {
+        let delay = interval;
+        return {
+            getDelay: (hasChanges) => {
+                if (hasChanges) {
+                    delay = interval;
+                }
+                let currentDelay = delay;
+                if (!hasChanges) {
+                    delay = Math.min(delay * backoff, maxInterval);
+                }
+                return currentDelay;
+            },
+            reset: () => delay = interval
+        };
+    }
+};
+
+/**
+ * Schedules the refreshes of a SharePoint list in the worker, using one of the pollingStrategies. Refreshes stop when
+ * the list has no subscribers anymore, pause while the app is hidden, and happen right away after a local write to
+ * the list. Refreshes never overlap: a refresh requested while another one runs is done when that one completes.
+ *
+ * The polling options are passed as the polling option of a SharePointDataSource, and are inherited by its children:
+ *
+ * @example
+ * new SharePointDataSource('https://example.com/sites/app', {
+ *  polling: {strategy: 'adaptive', maxInterval: 120000, lists: {Messages: {interval: 1000}}}
+ * });
+ */
+export class PollingScheduler {
+
+    /**
+     * @param {Function} refresh Function refreshing the list, returning a promise that resolves with whether any
+     *                           changes were found.
+     * @param {Object} [options] Polling options.
+     * @param {String} [options.strategy] Name of the strategy in pollingStrategies. Defaults to 'fixed'.
+     * @param {Boolean} [options.refreshAfterWrite] Whether to refresh right after a local write. Defaults to true.
+     * @param {Boolean} [options.pauseWhenHidden] Whether to pause while the app is hidden. Defaults to true.
+     * @param {Object} [options.lists] Polling options by list name, overriding the other options for that list.
+     * @param {String} [listName] Name of the list that is refreshed.
+     * @returns {PollingScheduler} PollingScheduler instance.
+     */
+    constructor(refresh, options = {}, listName = '') {
+        let {lists = {}, ...listOptions} = options;
+        this.options = {strategy: 'fixed', refreshAfterWrite: true, pauseWhenHidden: true, ...listOptions, ...lists[listName]};
+
+        let createStrategy = pollingStrategies[this.options.strategy];
+        if (!createStrategy) {
+            let error = new Error(`Unknown polling strategy '${this.options.strategy}'`);
+            error.code = 'invalid_argument';
+            throw error;
+        }
+        this.strategy = createStrategy(this.options);
+        this.isRunning = false;
+        this.isPaused = false;
+
+        this._refresh = refresh;
+        this._timer = null;
+        this._isRefreshing = false;
+        /* Set when a refresh is requested during another refresh */
+        this._isRefreshPending = false;
+    }
+
+    /**
+     * Refreshes the list, and keeps refreshing it until stop() is called.
+     * @returns {void}
+     */
+    start() {
+        if (!this.isRunning) {
+            this.isRunning = true;
+            this._refreshNow();
+        }
+    }
+
+    /**
+     * Stops refreshing the list, e.g. because no subscribers remain.
+     * @returns {void}
+     */
+    stop() {
+        this.isRunning = false;
+        this._isRefreshPending = false;
+        this._clearTimer();
+    }
+
+    /**
+     * Pauses or resumes refreshing when the app is hidden or shown again, unless pauseWhenHidden is disabled.
+     * The list is refreshed right away when the app is shown.
+     * @param {Boolean} isHidden Whether the app is hidden.
+     * @returns {void}
+     */
+    setHidden(isHidden) {
+        if (isHidden && this.options.pauseWhenHidden && !this.isPaused) {
+            this.isPaused = true;
+            this._clearTimer();
+        } else if (!isHidden && this.isPaused) {
+            this.isPaused = false;
+            this._refreshNow();
+        }
+    }
+
+    /**
+     * Refreshes the list right away after a local write, unless refreshAfterWrite is disabled.
+     * @returns {void}
+     */
+    onWrite() {
+        if (this.options.refreshAfterWrite) {
+            this._refreshNow();
+        }
+    }
+
+    _refreshNow() {
+        if (!this.isRunning || this.isPaused) {
+            return;
+        }
+        this.strategy.reset();
+        if (this._isRefreshing) {
+            this._isRefreshPending = true;
+        } else {
+            this._run();
+        }
+    }
+
+    _run() {
+        this._clearTimer();
+        this._isRefreshing = true;
+        Promise.resolve()
+            .then(() => this._refresh())
+            /* Errors are reported by the refresh itself, and count as a refresh without changes */
+            .catch(() => false)
+            .then((hasChanges) => {
+                this._isRefreshing = false;
+                if (!this.isRunning || this.isPaused) {
+                    return;
+                }
+                if (this._isRefreshPending) {
+                    this._isRefreshPending = false;
+                    this._run();
+                } else {
+                    this._timer = setTimeout(this._run.bind(this), this.strategy.getDelay(!!hasChanges));
+                }
+            });
+    }
+
+    _clearTimer() {
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+}
@@ -0,0 +1,484 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import isEqual                      from 'lodash/isEqual.js';
+import EventEmitter                 from 'eventemitter3';
+import {UrlParser}                  from '../../../../utils/request/UrlParser.js';
+import {Settings}                   from '../SPSoapAdapter/Settings.js';
+import {CamlQuery}                  from '../CamlQuery.js';
+import {PollingScheduler}           from '../Polling.js';
+
+/* Mappings of the temporary ids of records created in this session to the ids SharePoint assigned to them */
+let tempKeys = [];
+/* Form digests by site URL, which SharePoint requires to be sent with every request that changes data */
+let formDigests = {};
+/* Entity type names of the items of each list, which SharePoint requires to be sent with every item that is written */
+let entityTypes = {};
+/* Difference between the clock of the SharePoint server and the local clock, in milliseconds */
+let serverTimeOffset = 0;
+
+/**
+ * Talks to the SharePoint REST (OData) API, as an alternative to the SOAP based SharePointClient. It handles the same
+ * messages of the worker (init, subscribe, set, remove, etc.), and emits the same 'message' events, so the
+ * SharePointDataSource can use either of them through the adapter option.
+ *
+ * Lists are refreshed by polling all of their items, since the REST API doesn't report deleted items the way
+ * GetListItemChangesSinceToken does. Queries of the dataSource are in CAML, so items are requested through the
+ * GetItems method of the list. Requests are done with fetch(), which is available in web workers.
+ */
+export class SharePointRestClient extends EventEmitter {
+
+    /**
+     * @param {Object} options Options of the SharePoint adapter, containing the endPoint, and optionally the query,
+     *                         orderBy and limit of the dataSource.
+     * @returns {SharePointRestClient} SharePointRestClient instance.
+     */
+    constructor(options) {
+        super();
+
+        this.settings = options;
+        this.cache = [];
+        this.hasNoServerResponse = true;
+        /* Schedules the refreshes of the list, created when subscribing to its changes */
+        this.poller = null;
+    }
+
+    /**
+     * Batches are written with a single UpdateListItems request by the SOAP client, which the REST API doesn't have.
+     * @returns {Promise} Rejects with an error with code 'not_supported'.
+     */
+    static batch() {
+        let error = new Error('Batches are only supported by the SOAP adapter of SharePoint');
+        error.code = 'not_supported';
+        return Promise.reject(error);
+    }
+
+    init() {
+        try {
+            this._ensureSettings();
+        } catch (exception) {
+            this.dispose();
+        }
+    }
+
+    subscribeToChanges() {
+        if (!this.isChild) {
+            /* Don't monitor child item updates/removes. We only do that on parent arrays. */
+            if (!this.poller) {
+                this.poller = new PollingScheduler(this._refresh.bind(this), this.settings.polling, this.settings.listName);
+            }
+            this.poller.start();
+        }
+    }
+
+    dispose() {
+        if (this.poller) {
+            this.poller.stop();
+        }
+    }
+
+    /**
+     * Adds or updates a record. Records without an id are created.
+     * @param {Object} newData Data of the record.
+     * @returns {Promise} Resolves when the record is written, or rejects with the error of the request. The error is
+     *                    emitted as well.
+     */
+    set(newData) {
+        this._ensureSettings();
+        let remoteId = this._getRemoteId(newData.id || this.childID);
+        let write = remoteId ?
+            this._writeItem(remoteId, newData, '*') :
+            this._createItem(newData);
+
+        return write.then((remoteRecord) => {
+            let record = remoteRecord || {...this._formatRecord(newData), id: remoteId};
+            /* Push the ID mapping for this session to the collection of temp keys */
+            if (!remoteId && newData['_temporary-identifier']) {
+                tempKeys.push({localId: newData['_temporary-identifier'], remoteId: record.id, client: this});
+            }
+
+            /* Fire a value/child_changed event with the now available remoteId present */
+            let model = {...newData, id: newData['_temporary-identifier'] || newData.id || record.id, remoteId: record.id};
+            if (!this.isChild) {
+                this.emit('message', {event: 'child_changed', result: model});
+                this.emit('message', {event: 'value', result: this.cache});
+            }
+        }).catch((error) => {
+            this.emit('error', error);
+            throw error;
+        });
+    }
+
+    /**
+     * Removes a record.
+     * @param {Object} record Record to remove.
+     * @returns {Promise} Resolves when the record is removed, or rejects with the error of the request. The error is
+     *                    emitted as well.
+     */
+    remove(record) {
+        this._ensureSettings();
+        let remoteId = this._getRemoteId(record.id || this.childID);
+        return this._request('POST', `${this._getListUrl()}/items(${remoteId})`, null, {
+            'X-HTTP-Method': 'DELETE',
+            'IF-MATCH': '*'
+        }).then(() => {
+            this.emit('message', {event: 'child_removed', result: record});
+        }).catch((error) => {
+            this.emit('error', error);
+            throw error;
+        });
+    }
+
+    getAuth() {
+        this._ensureSettings();
+        return this._request('GET', `${this.settings.endPoint}/_api/web/currentuser`).then(({d: user}) => ({
+            uid: user.Id,
+            name: user.Title,
+            email: user.Email
+        }));
+    }
+
+    /**
+     * Reads the list item this client points to.
+     * @returns {Promise} Resolves with the item, and its etag as the version property, or with a null item if it doesn't exist.
+     */
+    getItem() {
+        this._ensureSettings();
+        if (!this.isChild) {
+            let error = new Error(`${this.settings.listName} is a list rather than a list item`);
+            error.code = 'not_supported';
+            return Promise.reject(error);
+        }
+        return this._request('GET', `${this._getListUrl()}/items(${this._getRemoteId(this.childID)})`)
+            .then(({d: item}) => ({item: this._formatRecord(item), version: item.__metadata.etag}))
+            .catch((error) => {
+                if (error.status === 404) {
+                    return {item: null, version: null};
+                }
+                throw error;
+            });
+    }
+
+    /**
+     * Writes the list item this client points to, if its etag is still the same. Used for optimistic concurrency.
+     * @param {Object} newData Data to write.
+     * @param {String} version Etag of the item when it was read, or null to write it regardless of its version.
+     * @returns {Promise} Resolves with isConflict set if the item changed, or otherwise with the item as it was written.
+     */
+    setWithVersion(newData, version) {
+        this._ensureSettings();
+        let remoteId = this._getRemoteId(this.childID);
+        return this._writeItem(remoteId, newData, version || '*')
+            .then(() => this.getItem())
+            .then(({item}) => ({isConflict: false, item}))
+            .catch((error) => {
+                /* SharePoint answers with 412 Precondition Failed if the etag doesn't match */
+                if (error.status === 412) {
+                    return {isConflict: true};
+                }
+                throw error;
+            });
+    }
+
+    /**
+     * Parses the endPoint into the URL of the site, the name of the list, and the id of the item, if it points to one.
+     * The last part of the path is the name of the list, or the id of an item if it is numeric, or a temporary id.
+     * @returns {void}
+     * @private
+     */
+    _ensureSettings() {
+        if (this.hasParsedSettings) {
+            return;
+        }
+        let url = UrlParser(this.settings.endPoint);
+        if (!url) {
+            throw new Error('Invalid DataSource path provided!');
+        }
+        let pathParts = url.path.split('/').filter((part) => part !== '');
+        let lastPart = pathParts[pathParts.length - 1] || '';
+        this.isChild = (!isNaN(parseFloat(lastPart)) && isFinite(lastPart)) || lastPart.indexOf(Settings.localKeyPrefix) === 0;
+        if (this.isChild) {
+            this.childID = pathParts.pop();
+        }
+        let listName = pathParts.pop();
+
+        this.settings = {
+            ...this.settings,
+            endPoint: `${url.protocol}://${url.host}${pathParts.length ? `/${pathParts.join('/')}` : ''}`,
+            listName: decodeURIComponent(listName),
+            itemId: this.childID
+        };
+        this.hasParsedSettings = true;
+    }
+
+    /**
+     * Requests the items of the list, and emits the differences with the items that were received before.
+     * @returns {Promise} Resolves with whether any changes were found.
+     * @private
+     */
+    _refresh() {
+        return this._request('POST', `${this._getListUrl()}/GetItems`, {
+            query: {
+                __metadata: {type: 'SP.CamlQuery'},
+                ViewXml: this._getViewXml()
+            }
+        }).then(({d}) => {
+            let data = d.results.map((item) => this._formatRecord(item));
+            let {messages, hasChanges} = this._updateCache(data);
+
+            /* If any data is new, modified or removed, emit a 'value' event. */
+            if (hasChanges) {
+                this.emit('message', {event: 'value', result: this.cache});
+            } else if (this.hasNoServerResponse) {
+                /* If there is no data, and this is the first time we get a response from the server,
+                 * emit a value event that shows subscribers that there is no data at this path. */
+                this.emit('message', {event: 'value', result: null});
+            }
+
+            if (!this.hasNoServerResponse) {
+                /* Emit any added/changed/removed events. */
+                for (let message of messages) {
+                    this.emit('message', message);
+                }
+            }
+            this.hasNoServerResponse = false;
+            return hasChanges;
+        }).catch((error) => {
+            this.emit('error', error);
+            return false;
+        });
+    }
+
+    /**
+     * Replaces the cache by the received items, and creates the child events that describe the differences.
+     * @param {Array} data Received items.
+     * @returns {{messages: Array, hasChanges: Boolean}} Events to emit, and whether anything changed.
+     * @private
+     */
+    _updateCache(data) {
+        let messages = [];
+        for (let model of data) {
+            let tempKey = tempKeys.find((key) => key.remoteId == model.id);
+            model.remoteId = model.id;
+            if (tempKey) {
+                /* If this client created the temp ID, we need to use it in our events.
+                 * Otherwise, we should use the remote ID that SharePoint generated. */
+                model.id = tempKey.client === this ? tempKey.localId : tempKey.remoteId;
+            }
+        }
+
+        let ids = data.map((model) => `${model.id}`);
+        for (let cachedModel of this.cache) {
+            if (!ids.includes(`${cachedModel.id}`)) {
+                messages.push({event: 'child_removed', result: cachedModel});
+            }
+        }
+
+        data.forEach((model, index) => {
+            let cachedModel = this.cache.find((item) => item.id == model.id);
+            let previousSiblingId = index > 0 ? data[index - 1].id : null;
+            if (!cachedModel) {
+                messages.push({event: 'child_added', result: model, previousSiblingId});
+            } else if (!isEqual(model, cachedModel)) {
+                messages.push({event: 'child_changed', result: model, previousSiblingId});
+            }
+        });
+
+        this.cache = data;
+        return {messages, hasChanges: messages.length > 0};
+    }
+
+    /**
+     * Builds the CAML view of the items to request, from the query, orderBy and limit of the dataSource.
+     * @returns {String} ViewXml.
+     * @private
+     */
+    _getViewXml() {
+        let {query, orderBy, limit} = this.settings;
+        let camlQuery = {...((query && query.Query) || {})};
+        if (orderBy) {
+            camlQuery.OrderBy = {FieldRef: {_Ascending: 'TRUE', _Name: orderBy}};
+        }
+        let view = {_Scope: 'RecursiveAll', Query: camlQuery};
+        if (limit !== undefined) {
+            view.RowLimit = {__text: limit};
+        }
+        return CamlQuery.toXml({View: view});
+    }
+
+    _createItem(newData) {
+        return this._getEntityType().then((type) =>
+            this._request('POST', `${this._getListUrl()}/items`, {__metadata: {type}, ...this._getFields(newData)})
+        ).then(({d: item}) => this._formatRecord(item));
+    }
+
+    _writeItem(remoteId, newData, etag) {
+        return this._getEntityType().then((type) =>
+            this._request('POST', `${this._getListUrl()}/items(${remoteId})`, {__metadata: {type}, ...this._getFields(newData)}, {
+                'X-HTTP-Method': 'MERGE',
+                'IF-MATCH': etag
+            })
+        ).then(() => null);
+    }
+
+    /**
+     * Converts data of a model to the fields of a list item, as the REST API expects them.
+     * @param {Object} newData Data of the model.
+     * @returns {Object} Fields.
+     * @private
+     */
+    _getFields(newData) {
+        let fields = {};
+        for (let name in newData) {
+            let fieldValue = newData[name];
+            if (name === 'id' || name === 'priority' || name === '_temporary-identifier' || name === 'remoteId' ||
+                name === 'owshiddenversion' || fieldValue === undefined) {
+                continue;
+            }
+            if (Settings.isTimestampSymbol(fieldValue)) {
+                /* Server timestamps are written as the current time of the SharePoint server */
+                fields[name] = new Date(Date.now() + serverTimeOffset).toISOString();
+            } else if (fieldValue && typeof fieldValue === 'object') {
+                if (fieldValue.id && fieldValue.value) {
+                    /* This is a SharePoint lookup field, which is written through the field containing its id */
+                    fields[`${name}Id`] = +this._getRemoteId(fieldValue.id);
+                } else if (fieldValue.length !== undefined && fieldValue[0] && fieldValue[0].id && fieldValue[0].value) {
+                    /* This is a SharePoint LookupMulti field */
+                    fields[`${name}Id`] = {results: Array.from(fieldValue, ({id}) => +this._getRemoteId(id))};
+                }
+            } else {
+                fields[name] = fieldValue;
+            }
+        }
+        return fields;
+    }
+
+    /**
+     * Strips a list item from the REST API of its metadata.
+     * @param {Object} item List item.
+     * @returns {Object} Record.
+     * @private
+     */
+    _formatRecord(item) {
+        let record = {};
+        for (let name in item) {
+            let value = item[name];
+            if (name === '__metadata' || name === 'Id' || value === null || value === undefined || value === '') {
+                continue;
+            }
+            if (typeof value === 'object' && value.__deferred) {
+                /* Related entities that aren't expanded */
+                continue;
+            }
+            if (name === 'ID') {
+                record.id = `${value}`;
+            } else if (typeof value === 'object' && value.results) {
+                record[name] = value.results;
+            } else {
+                record[name] = value;
+            }
+        }
+        return record;
+    }
+
+    _getEntityType() {
+        let listUrl = this._getListUrl();
+        if (!entityTypes[listUrl]) {
+            entityTypes[listUrl] = this._request('GET', `${listUrl}?$select=ListItemEntityTypeFullName`)
+                .then(({d}) => d.ListItemEntityTypeFullName)
+                .catch((error) => {
+                    delete entityTypes[listUrl];
+                    throw error;
+                });
+        }
+        return entityTypes[listUrl];
+    }
+
+    /**
+     * Gets a form digest of the site, which is valid until the timeout that SharePoint returns along with it.
+     * @returns {Promise} Resolves with the form digest.
+     * @private
+     */
+    _getFormDigest() {
+        let site = this.settings.endPoint;
+        let formDigest = formDigests[site];
+        if (formDigest && formDigest.expires > Date.now()) {
+            return formDigest.value;
+        }
+        let value = this._fetch('POST', `${site}/_api/contextinfo`).then(({d}) => {
+            let {FormDigestValue, FormDigestTimeoutSeconds} = d.GetContextWebInformation;
+            /* Refresh the digest a minute before it times out */
+            formDigests[site].expires = Date.now() + (FormDigestTimeoutSeconds - 60) * 1000;
+            return FormDigestValue;
+        }).catch((error) => {
+            delete formDigests[site];
+            throw error;
+        });
+        formDigests[site] = {value, expires: Infinity};
+        return value;
+    }
+
+    /**
+     * Performs a request on the REST API, along with the form digest if it changes data.
+     * @param {String} method 'GET' or 'POST'.
+     * @param {String} url URL of the request.
+     * @param {Object} [data] Data to send as JSON.
+     * @param {Object} [headers] Additional headers.
+     * @returns {Promise} Resolves with the parsed response, or null if it is empty. Rejects with an error with code
+     *                    'request_failed' and the HTTP status in its status property.
+     * @private
+     */
+    _request(method, url, data = null, headers = {}) {
+        if (method === 'GET') {
+            return this._fetch(method, url, data, headers);
+        }
+        return this._getFormDigest().then((formDigest) =>
+            this._fetch(method, url, data, {...headers, 'X-RequestDigest': formDigest})
+        );
+    }
+
+    _fetch(method, url, data = null, headers = {}) {
+        return fetch(url, {
+            method,
+            credentials: 'same-origin',
+            headers: {
+                'Accept': 'application/json;odata=verbose',
+                'Content-Type': 'application/json;odata=verbose',
+                ...headers
+            },
+            body: data === null ? undefined : JSON.stringify(data)
+        }).then((response) => {
+            let serverTime = Date.parse(response.headers.get('Date'));
+            if (!isNaN(serverTime)) {
+                serverTimeOffset = serverTime - Date.now();
+            }
+            if (!response.ok) {
+                let error = new Error(`${method} ${url} failed: ${response.status} ${response.statusText}`);
+                error.code = 'request_failed';
+                error.status = response.status;
+                throw error;
+            }
+            return response.text();
+        }).then((text) => text ? JSON.parse(text) : null);
+    }
+
+    _getListUrl() {
+        return `${this.settings.endPoint}/_api/web/lists/getbytitle('${encodeURIComponent(this.settings.listName.replace(/'/g, "''"))}')`;
+    }
+
+    /**
+     * Translates a temporary id of a record created in this session to the id SharePoint assigned to it.
+     * @param {String} id Id of the record.
+     * @returns {String} Id of the record in SharePoint.
+     * @private
+     */
+    _getRemoteId(id) {
+        let tempKey = tempKeys.find((key) => key.localId == id);
+        return tempKey ? tempKey.remoteId : id;
+    }
+}
@@ -0,0 +1,97 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import {Settings}           from './Settings.js';
+import {UrlParser}          from '../../../../utils/request/UrlParser.js';
+import {ExistsRequest}      from '../../../../utils/request/RequestClient.js';
+
+/**
+ * Finds out which SharePoint site, list and list item a path refers to, such as the path of a SharePointDataSource.
+ */
+export class EndPoint {
+
+    static get listService() {
+        return '_vti_bin/Lists.asmx';
+    }
+
+    /**
+     * Parses a path. A path ending in a numeric or temporary id refers to a list item, and the part before it to its
+     * list. Otherwise, the site is found by going up the path until a SharePoint site answers, which means the
+     * first part after the site is the name of the list, and any parts after it e.g. a folder in the list.
+     * @param {String} path Full path of a list or list item.
+     * @returns {{endPoint: String, listName: String, itemId: String, isChild: Boolean, parts: Array.<String>}} The URL
+     *          of the site, the name of the list, the id of the item, whether the path refers to an item, and all parts
+     *          of the path after the site.
+     */
+    static parse(path) {
+
+        // rebuild endpoint from polling server and interpreting response
+        let url = UrlParser(path);
+        if (!url) throw new Error('Invalid DataSource path provided!');
+
+        let newPath = url.protocol + '://' + url.host + '/';
+        let pathParts = url.path.split('/');
+        let identifiedParts = [];
+
+        let isChild = EndPoint.isChildItem(url.path);
+
+        if (!isChild) {
+            /* We can always remove the last part of the path, since it will be a list name (which we don't need in the sharepoint URL). */
+            identifiedParts.unshift(pathParts.splice(pathParts.length - 1, 1)[0]);
+
+            try {
+                while (!ExistsRequest(newPath + pathParts.join('/') + '/' + EndPoint.listService)) {
+                    identifiedParts.unshift(pathParts.splice(pathParts.length - 1, 1)[0]);
+                }
+            } catch (error) {
+                console.log('SharePoint URL detection error:', error);
+            }
+        } else {
+            /* We're initializing a child element that has an array-based parent.
+             * This means we can't automatically find the correct SharePoint path, and we'll have to assume the listName and itemId. */
+            identifiedParts[0] = pathParts[pathParts.length - 2];
+            identifiedParts[1] = pathParts[pathParts.length - 1];
+            pathParts.splice(pathParts.length - 2, 2);
+            /* Remove the child ID from the endpoint so we can modify its value through the parent endpoint. */
+        }
+
+        if (identifiedParts.length < 1) {
+            throw {
+                endPoint: pathParts.join('/') + '/' + identifiedParts[0],
+                message: 'Parameters could not be correctly extracted for polling. Assuming invalid state.'
+            }
+        }
+
+        return {
+            endPoint: newPath + pathParts.join('/'),
+            listName: identifiedParts[0],
+            itemId: identifiedParts[1],
+            isChild: isChild,
+            parts: identifiedParts
+        };
+    }
+
+    /* Ignores all paths ending in a numeric value. These paths don't contain an array, but rather a specific child.
+     * Binding to specific children is not supported by the SharePoint interface, and shouldn't be necessary either
+     * because there is a subscription to child_changed events on the parent array containing this child. */
+    static isChildItem(path) {
+        if (path[path.length - 1] === '/') {
+            path = path.substring(0, path.length - 2);
+        }
+
+        let parts = path.split('/');
+        if (parts.length) {
+            let lastArgument = parts[parts.length - 1];
+
+            let isNumeric = (n) => !isNaN(parseFloat(n)) && isFinite(n);
+
+            return isNumeric(lastArgument) || lastArgument.indexOf(Settings.localKeyPrefix) === 0;
+        }
+        return true;
+    }
+}
@@ -6,4 +6,20 @@ export class Settings {
     static get localKeyPrefix() {
         return '_local_';
     }
+
+    /**
+     * Placeholder for the current time of the SharePoint server, which the worker resolves when the data is written.
+     * @returns {Object} Timestamp placeholder.
+     */
+    static get timestampSymbol() {
+        return {'.sv': 'timestamp'};
+    }
+
+    /**
+     * @param {*} value Value to check.
+     * @returns {Boolean} Whether the value is a timestamp placeholder.
+     */
+    static isTimestampSymbol(value) {
+        return !!value && typeof value === 'object' && value['.sv'] === 'timestamp';
+    }
 }
\ No newline at end of file
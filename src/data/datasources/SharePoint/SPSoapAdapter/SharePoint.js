@@ -16,6 +16,15 @@ SPWorker.onmessage = (messageEvent) => {
     workerEvents.emit('message', messageEvent);
 };
 
+/* Let the worker pause polling while the app is hidden, see PollingScheduler */
+if (typeof document !== 'undefined' && document.addEventListener) {
+    let postVisibility = (isHidden) => SPWorker.postMessage({operation: 'visibility', isHidden});
+    document.addEventListener('visibilitychange', () => postVisibility(document.hidden));
+    /* Cordova apps moving to the background and back */
+    document.addEventListener('pause', () => postVisibility(true));
+    document.addEventListener('resume', () => postVisibility(false));
+}
+
 /**
  * The SharePoint class will utilize a Web Worker to perform data operations. Running the data interfacing in a
  * seperate thread from the UI thread will ensure there is minimal interruption of the user interaction.
@@ -31,7 +40,8 @@ export class SharePoint extends EventEmitter {
         let endpoint = UrlParser(options.endPoint);
         if (!endpoint) throw Error('Invalid configuration.');
 
-        this.subscriberID = SharePoint.hashCode(endpoint.path + JSON.stringify(options.query) + options.orderBy + options.limit);
+        /* The adapter is part of the hash, so dataSources using different adapters on the same path don't share a client */
+        this.subscriberID = SharePoint.hashCode(endpoint.path + JSON.stringify(options.query) + options.orderBy + options.limit + (options.adapter || ''));
         this.options = options;
         this.cache = null;
 
@@ -118,13 +128,14 @@ export class SharePoint extends EventEmitter {
         /* If there is no ID, make a temporary ID for reference in the main thread for the session scope. */
         let modelId = model.id;
         if (!modelId || modelId === 0) {
-            model['_temporary-identifier'] = `${Settings.localKeyPrefix}${Math.floor((Math.random() * 2000000000))}`;
+            model['_temporary-identifier'] = SharePoint.createTemporaryIdentifier();
         }
 
         SPWorker.postMessage({
             subscriberID: this.subscriberID,
             endPoint: this.options.endPoint,
             listName: this.options.listName,
+            adapter: this.options.adapter,
             operation: 'set',
             model: model
         });
@@ -150,11 +161,40 @@ export class SharePoint extends EventEmitter {
             subscriberID: this.subscriberID,
             endPoint: this.options.endPoint,
             listName: this.options.listName,
+            adapter: this.options.adapter,
             operation: 'remove',
             model: model
         });
     }
 
+    /**
+     * Writes records to one or more lists in a single UpdateListItems batch per list.
+     * @param {Array.<Object>} operations Writes to perform. Each contains the endPoint and listName of the dataSource
+     *                                    that is written to, the operation ('set' or 'remove'), and the model.
+     * @returns {Promise} Resolves when all records are written, or rejects with an error with code 'batch_failed'.
+     */
+    batch(operations) {
+        return this._request({operation: 'batch', operations});
+    }
+
+    /**
+     * Reads the list item this instance points to, along with its version.
+     * @returns {Promise} Resolves with the item and its version, or with a null item if it doesn't exist.
+     */
+    getItem() {
+        return this._request({operation: 'get_item'});
+    }
+
+    /**
+     * Writes the list item this instance points to, if it still has the given version.
+     * @param {Object} model Data to write.
+     * @param {Number} version Version the item had when it was read, or null to write regardless of its version.
+     * @returns {Promise} Resolves with isConflict set if the item has another version, or otherwise with the written item.
+     */
+    setWithVersion(model, version) {
+        return this._request({operation: 'set_with_version', model, version});
+    }
+
     _initialise() {
 
         super.once('value', () => {
@@ -168,6 +208,44 @@ export class SharePoint extends EventEmitter {
         }));
     }
 
+    /**
+     * Sends a request to the worker, and waits for its result.
+     * @param {Object} request Request, containing the operation to perform and its arguments.
+     * @returns {Promise} Resolves with the result of the request, or rejects with the error the worker reported.
+     * @private
+     */
+    _request(request) {
+        let requestID = SharePoint.createTemporaryIdentifier();
+        let onResult;
+        let result = new Promise((resolve, reject) => {
+            onResult = (message) => {
+                if (message.requestID !== requestID) {
+                    return;
+                }
+                this.removeListener('request_result', onResult);
+                if (message.error) {
+                    let error = new Error(message.error.message);
+                    error.code = message.error.code;
+                    reject(error);
+                } else {
+                    resolve(message.result);
+                }
+            };
+        });
+        /* Listen without subscribing to data changes, which this.on() would do */
+        super.on('request_result', onResult);
+
+        SPWorker.postMessage({
+            subscriberID: this.subscriberID,
+            endPoint: this.options.endPoint,
+            listName: this.options.listName,
+            adapter: this.options.adapter,
+            requestID: requestID,
+            ...request
+        });
+        return result;
+    }
+
     _onMessage(messageEvent) {
         let message = messageEvent.data;
         /* Ignore messages not meant for this SharePoint instance. */
@@ -179,6 +257,8 @@ export class SharePoint extends EventEmitter {
             this.emit('cache_data', message.cache);
         } else if (message.event === 'auth_result') {
             this.emit('auth_result', message.auth);
+        } else if (message.event === 'request_result') {
+            this.emit('request_result', message);
         } else if (message.event !== 'INVALIDSTATE') {
             this.emit(message.event, message.result, message.previousSiblingId);
         } else {
@@ -211,6 +291,14 @@ export class SharePoint extends EventEmitter {
 
     }
 
+    /**
+     * Creates an id for a new record, which is used until SharePoint has assigned an id to it.
+     * @returns {String} Temporary id.
+     */
+    static createTemporaryIdentifier() {
+        return `${Settings.localKeyPrefix}${Math.floor((Math.random() * 2000000000))}`;
+    }
+
     static hashCode(s) {
         return s.split("").reduce(function (a, b) {
             a = ((a << 5) - a) + b.charCodeAt(0);
@@ -5,12 +5,70 @@ import '../../../../../utils/hotfixes/polyfills/FunctionName.js';
 import '../../../../../utils/hotfixes/polyfills/ObjectKeys.js';
 import '../../../../../utils/hotfixes/polyfills/StartsWith.js';
 import {SharePointClient}               from './SharePointClient.js';
+import {SharePointRestClient}           from '../../SPRestAdapter/SharePointRestClient.js';
 
 let clients = {};
 
+/**
+ * Returns the client class of the adapter that a dataSource uses to talk to SharePoint.
+ * @param {Object} message Message of the dataSource, containing the adapter option.
+ * @returns {Function} SharePointRestClient for the 'rest' adapter, or SharePointClient for the default 'soap' adapter.
+ */
+function getClientType(message) {
+    return message.adapter === 'rest' ? SharePointRestClient : SharePointClient;
+}
+
+/**
+ * Lets the clients that poll the lists written to refresh them once the write is done, so that the changes show up
+ * right away in all dataSources on those lists.
+ * @param {Array.<String>} endPoints Paths of the dataSources that are written to.
+ * @param {Promise} write Promise that resolves when the write is done.
+ * @returns {void}
+ */
+function refreshAfterWrite(endPoints, write) {
+    let trimPath = (path) => `${path}`.replace(/\/+$/, '');
+    Promise.resolve(write).catch(() => {}).then(() => {
+        for (let subscriberID in clients) {
+            let {poller, path} = clients[subscriberID];
+            let listPath = trimPath(path);
+            /* Writes to the list itself, or to one of its items */
+            if (poller && endPoints.some((endPoint) => trimPath(endPoint) === listPath || `${endPoint}`.startsWith(`${listPath}/`))) {
+                poller.onWrite();
+            }
+        }
+    });
+}
+
+/**
+ * Performs a request of which the main thread awaits the result, and posts the result or error back.
+ * @param {Object} message Message containing the request.
+ * @param {Function} request Function performing the request, returning a promise.
+ * @returns {Promise} Resolves when the result is posted.
+ */
+async function respond(message, request) {
+    let {subscriberID, requestID} = message;
+    try {
+        let result = await request();
+        postMessage({subscriberID, requestID, event: 'request_result', result});
+    } catch (error) {
+        postMessage({subscriberID, requestID, event: 'request_result', error: {message: error.message, code: error.code}});
+    }
+}
+
 onmessage = async function (messageEvent) {
     let message = messageEvent.data;
     let {subscriberID, operation} = message;
+
+    /* The app was hidden or shown again, which is sent to all clients rather than to a single subscriber */
+    if (operation === 'visibility') {
+        for (let id in clients) {
+            if (clients[id].poller) {
+                clients[id].poller.setHidden(message.isHidden);
+            }
+        }
+        return;
+    }
+
     let client = clients[subscriberID];
     let clientExisted = !!client;
 
@@ -18,8 +76,9 @@ onmessage = async function (messageEvent) {
     if (!clientExisted) {
         /* This automatically subscribes to changes, so for a set/remove operation that
          * isn't interested in listening to changes we'll need to unsubscribe again after the operation. */
-        client = clients[subscriberID] = new SharePointClient(message);
+        client = clients[subscriberID] = new (getClientType(message))(message);
         client.referenceCount = 0;
+        client.path = message.endPoint;
     }
 
     switch (operation) {
@@ -44,7 +103,7 @@ onmessage = async function (messageEvent) {
             }
             break;
         case 'set':
-            client.set(message.model);
+            refreshAfterWrite([message.endPoint], client.set(message.model));
             /* If the client was created for this set operation,
              * cancel all subscriptions that were automatically created on instantiation. */
             if (!clientExisted) {
@@ -52,13 +111,36 @@ onmessage = async function (messageEvent) {
             }
             break;
         case 'remove':
-            client.remove(message.model);
+            refreshAfterWrite([message.endPoint], client.remove(message.model));
             /* If the client was created for this remove operation,
              * cancel all subscriptions that were automatically created on instantiation. */
             if (!clientExisted) {
                 client.dispose();
             }
             break;
+        case 'batch':
+            let batch = getClientType(message).batch(message.operations);
+            refreshAfterWrite(message.operations.map(({endPoint}) => endPoint), batch);
+            await respond(message, () => batch);
+            /* The client was created for this batch only, the batch created clients of its own for the lists it wrote to. */
+            if (!clientExisted) {
+                client.dispose();
+            }
+            break;
+        case 'get_item':
+            await respond(message, () => client.getItem());
+            if (!clientExisted) {
+                client.dispose();
+            }
+            break;
+        case 'set_with_version':
+            let write = client.setWithVersion(message.model, message.version);
+            refreshAfterWrite([message.endPoint], write);
+            await respond(message, () => write);
+            if (!clientExisted) {
+                client.dispose();
+            }
+            break;
         case 'get_cache':
             let cacheData = client.cache;
             postMessage({
@@ -8,8 +8,13 @@ import findIndex        from 'lodash/findIndex.js';
 import EventEmitter     from 'eventemitter3';
 import {SoapClient}     from './SoapClient.js';
 import {Settings}       from '../Settings.js';
-import {ExistsRequest}  from '../../../../../utils/request/RequestClient.js';
+import {PollingScheduler} from '../../Polling.js';
 import {UrlParser}      from '../../../../../utils/request/UrlParser.js';
+import {EndPoint}       from '../EndPoint.js';
+
+/* Error codes in the results of UpdateListItems */
+const NO_ERROR = '0x00000000';
+const VERSION_CONFLICT = '0x81020015';
 
 // setup the soapClient.
 var soapClient = new SoapClient();
@@ -19,31 +24,20 @@ var tempKeys = [];
 
 export class SharePointClient extends EventEmitter {
 
-    get refreshTimer() {
-        return this._refreshTimer;
-    }
-
-    set refreshTimer(value) {
-        this._refreshTimer = value;
-    }
-
     constructor(options) {
         super();
 
         this.settings = options;
-        this.interval = 3000;
         this.retriever = null;
         this.cache = [];
         this.hasNoServerResponse = true;
-        this._active = false;
+        /* Schedules the refreshes of the list, created when subscribing to its changes */
+        this.poller = null;
     }
 
     init() {
         try {
-            let {settings, isChild} = this._initializeSettings(this.settings);
-            this.settings = settings;
-            this.isChild = isChild;
-
+            this._ensureSettings();
             this._handleInit(this.settings);
         } catch (exception) {
             this.dispose();
@@ -58,10 +52,108 @@ export class SharePointClient extends EventEmitter {
         return this._handleRemove(options);
     }
 
+    /**
+     * Writes records to several lists, with a single UpdateListItems batch per list. SharePoint stops processing a
+     * batch at the first record that fails.
+     * @param {Array.<Object>} operations Writes to perform. Each contains the endPoint and listName of the dataSource
+     *                                    that is written to, the operation ('set' or 'remove'), and the model.
+     * @returns {Promise} Resolves when all records are written, or rejects with the first error that occurred.
+     */
+    static batch(operations) {
+        let batches = new Map();
+        for (let {endPoint, listName, operation, model} of operations) {
+            let client = new SharePointClient({endPoint, listName});
+            client._ensureSettings();
+            let {settings} = client;
+
+            let batchKey = `${settings.endPoint}/${settings.listName}`;
+            if (!batches.has(batchKey)) {
+                batches.set(batchKey, {client, models: [], methods: []});
+            }
+            let batch = batches.get(batchKey);
+            let method = operation === 'remove' ? client._getRemoveMethod(model) : client._getSetMethod(model);
+            batch.models.push(model);
+            batch.methods.push(extend(method, {"_ID": `${batch.methods.length + 1}`}));
+        }
+        return Promise.all([...batches.values()].map(({client, models, methods}) => client._handleBatch(models, methods)));
+    }
+
+    /**
+     * Reads the list item this client points to.
+     * @returns {Promise} Resolves with the item, and its version as the version property, or with a null item if it doesn't exist.
+     */
+    getItem() {
+        this._ensureSettings();
+        if (!this.isChild) {
+            let error = new Error(`${this.settings.listName} is a list rather than a list item`);
+            error.code = 'not_supported';
+            return Promise.reject(error);
+        }
+        let configuration = this._getListItemsDefaultConfiguration();
+        /* Append the listName to the URL for easy debugging */
+        configuration.url = this._parsePath(this.settings.endPoint, this._getListService()) + `?item=${this.settings.listName}`;
+        configuration.params = {
+            'listName': this.settings.listName,
+            'viewFields': {
+                'ViewFields': ''
+            },
+            'query': {
+                'Query': {
+                    'Where': {
+                        'Eq': {
+                            'FieldRef': {'_Name': 'ID'},
+                            'Value': {'_Type': 'Counter', '__text': this._getRemoteId(this.childID)}
+                        }
+                    }
+                }
+            },
+            'rowLimit': 1
+        };
+
+        return soapClient.call(configuration, tempKeys).then((result) => {
+            let [item = null] = this._getResults(result.data);
+            let version = item ? item.owshiddenversion : null;
+            if (item) {
+                delete item.owshiddenversion;
+            }
+            return {item, version};
+        });
+    }
+
+    /**
+     * Writes the list item this client points to, if its version is still the same. Used for optimistic concurrency.
+     * @param {Object} newData Data to write.
+     * @param {Number} version Version of the item when it was read, or null to write it regardless of its version.
+     * @returns {Promise} Resolves with isConflict set if the version of the item changed, or otherwise with the item
+     *                    as it was written. Rejects with an error with code 'write_failed' if the item couldn't be written.
+     */
+    setWithVersion(newData, version) {
+        this._ensureSettings();
+        delete newData.owshiddenversion;
+        let method = this._getSetMethod(newData);
+        if (version !== null && version !== undefined) {
+            /* SharePoint refuses to update an item whose owshiddenversion differs from the one written */
+            method.Field.push({"_Name": "owshiddenversion", "__text": version});
+        }
+
+        return this._updateListItems([extend(method, {"_ID": "1"})], 'transaction').then(([methodResult]) => {
+            let errorCode = methodResult.ErrorCode[0];
+            if (errorCode === VERSION_CONFLICT) {
+                return {isConflict: true};
+            }
+            if (errorCode !== NO_ERROR) {
+                let error = new Error(`Update of ${this.settings.listName} failed: ${methodResult.ErrorText ? methodResult.ErrorText[0] : errorCode}`);
+                error.code = 'write_failed';
+                throw error;
+            }
+            return {isConflict: false, item: this._formatRecord(methodResult["z:row"][0].$)};
+        });
+    }
+
     dispose() {
-        clearTimeout(this.refreshTimer);
-        this.refreshTimer = null;
-        this._active = false;
+        if (this.poller) {
+            this.poller.stop();
+        }
     }
 
     getAuth() {
@@ -87,63 +179,31 @@ export class SharePointClient extends EventEmitter {
     subscribeToChanges() {
         if (!this.isChild) {
             /* Don't monitor child item updates/removes. We only do that on parent arrays. */
-            if (!this._active) {
-                this._active = true;
-                this._refresh();
+            if (!this.poller) {
+                this.poller = new PollingScheduler(this._refresh.bind(this), this.settings.polling, this.settings.listName);
             }
+            this.poller.start();
         }
     }
 
     _initializeSettings(args) {
 
-        // rebuild endpoint from polling server and interpreting response
-        let url = UrlParser(args.endPoint);
-        if (!url) throw new Error('Invalid DataSource path provided!');
-
-        let newPath = url.protocol + '://' + url.host + '/';
-        let pathParts = url.path.split('/');
-        let identifiedParts = [];
-
-        let isChild = this._isChildItem(url.path);
-
-        if (!isChild) {
-            /* We can always remove the last part of the path, since it will be a list name (which we don't need in the sharepoint URL). */
-            identifiedParts.unshift(pathParts.splice(pathParts.length - 1, 1)[0]);
-
-            try {
-                while (!ExistsRequest(newPath + pathParts.join('/') + '/' + this._getListService())) {
-                    identifiedParts.unshift(pathParts.splice(pathParts.length - 1, 1)[0]);
-                }
-            } catch (error) {
-                console.log('SharePoint URL detection error:', error);
-            }
-        } else {
-            /* We're initializing a child element that has an array-based parent.
-             * This means we can't automatically find the correct SharePoint path, and we'll have to assume the listName and itemId. */
-            identifiedParts[0] = pathParts[pathParts.length - 2];
-            identifiedParts[1] = pathParts[pathParts.length - 1];
-            pathParts.splice(pathParts.length - 2, 2);
-            /* Remove the child ID from the endpoint so we can modify its value through the parent endpoint. */
+        /* Throws if the path is invalid */
+        let {endPoint, listName, itemId, isChild} = EndPoint.parse(args.endPoint);
+        if (isChild) {
+            this.childID = itemId;
         }
 
-        if (identifiedParts.length < 1) {
-            throw {
-                endPoint: pathParts.join('/') + '/' + identifiedParts[0],
-                message: 'Parameters could not be correctly extracted for polling. Assuming invalid state.'
-            }
-        }
-        else {
-            let resultconfig = {
-                endPoint: newPath + pathParts.join('/'),
-                listName: identifiedParts[0],
-                itemId: identifiedParts[1]
-            };
+        let resultconfig = {
+            endPoint: endPoint,
+            listName: listName,
+            itemId: itemId
+        };
 
 
-            extend(resultconfig, pick(args, ['query', 'limit', 'orderBy', 'pageSize']));
+        extend(resultconfig, pick(args, ['query', 'limit', 'orderBy', 'pageSize', 'polling']));
 
-            return {settings: resultconfig, isChild: isChild};
-        }
+        return {settings: resultconfig, isChild: isChild};
     }
 
     /**
@@ -182,7 +242,7 @@ export class SharePointClient extends EventEmitter {
 
         if (args.orderBy) {
             if (this.retriever.params.query) {
-                this.retriever.params.query.OrderBy = {
+                this.retriever.params.query.Query.OrderBy = {
                     "FieldRef": {
                         "_Ascending": "TRUE",
                         "_Name": args.orderBy
@@ -226,7 +286,7 @@ export class SharePointClient extends EventEmitter {
     /**
      *
      * Refresh SharePoint with latest changes.
-     * @param {Boolean} calledManually If set to false, ignores any existing timer in this.refreshTimer and executes the refresh regardless.
+     * @returns {Promise} Resolves with whether any changes were found.
      * @private
      */
     _refresh() {
@@ -234,7 +294,7 @@ export class SharePointClient extends EventEmitter {
             if (this._isLimitExceeded()) {
                 this.retriever.params.rowLimit = this.explicitRowLimit;
             }
-            soapClient.call(this.retriever, tempKeys)
+            return soapClient.call(this.retriever, tempKeys)
                 .then((result) => {
 
 
@@ -267,98 +327,32 @@ export class SharePointClient extends EventEmitter {
                         }
                     }
                     this.hasNoServerResponse = false;
-                    if (this._active) {
-                        this.refreshTimer = setTimeout(this._refresh.bind(this), this.interval);
-                    }
+                    return hasDeletions || data.length > 0;
 
                 }).catch((err) => {
                 this.emit('error', err);
-                if (this._active) {
-
-                    this.refreshTimer = setTimeout(this._refresh.bind(this), this.interval);
-                }
-
+                return false;
             });
         }
+        return Promise.resolve(false);
     }
 
 
     /**
      * Add or Update a data record.
+     * @returns {Promise} Resolves when the record is written.
      * @private
      */
     _handleSet(newData) {
         var configuration = this._updateListItemsDefaultConfiguration();
         /* Append the listName to the URL for easy debugging */
         configuration.url = this._parsePath(this.settings.endPoint, this._getListService()) + `?update=${this.settings.listName}`;
-        var fieldCollection = [];
-        var method = '';
-
-        let isLocal = findIndex(tempKeys, function (key) {
-            return key.localId == newData.id;
-        });
-
-        if (isLocal > -1) {
-            newData.id = tempKeys[isLocal].remoteId;
-        }
-
-        if (!newData.id && this.childID) {
-            newData.id = this.childID;
-        }
-
-        // assume existing record to be updated.
-        if (newData.id) {
-
-            fieldCollection.push({
-                "_Name": "ID",
-                "__text": newData.id
-            });
-
-            method = "Update";
-        }
-        // create a new record, because there is no id.
-        else {
-            fieldCollection.push({
-                "_Name": "ID",
-                "__text": 'New'
-            });
-            method = 'New';
-        }
-
-        for (var prop in newData) {
-            let fieldValue = newData[prop];
-            if (prop == "id" || typeof(fieldValue) == "undefined") continue;
-            if (prop == "priority" || prop == "_temporary-identifier" || prop == "remoteId") continue;
-            if (typeof fieldValue === 'object') {
-                if (fieldValue.id && fieldValue.value) {
-                    /* This is a SharePoint lookup type field. We must write it as a specially formatted value instead of an id/value object. */
-                    fieldValue = `${fieldValue.id};#`;
-                } else if (fieldValue.length !== undefined && fieldValue[0] && fieldValue[0].id && fieldValue[0].value) {
-                    /* This is a SharePoint LookupMulti field. It is specially formatted like above. */
-                    let IDs = pluck(fieldValue, 'id');
-                    fieldValue = IDs.join(';#;#');
-                } else {
-                    continue;
-                }
-            }
-
-
-            fieldCollection.push({
-                "_Name": prop,
-                "__text": fieldValue
-            });
-        }
 
         configuration.params = {
             "listName": this.settings.listName,
             "updates": {
                 "Batch": {
-                    "Method": {
-                        "Field": fieldCollection,
-
-                        "_ID": "1",
-                        "_Cmd": method
-                    },
+                    "Method": extend(this._getSetMethod(newData), {"_ID": "1"}),
 
                     "_OnError": "Continue",
                     "_ListVersion": "1",
@@ -368,8 +362,8 @@ export class SharePointClient extends EventEmitter {
         };
 
         // initial initialisation of the datasource
-        (function (newData) {
-            soapClient.call(configuration, tempKeys)
+        return (function (newData) {
+            return soapClient.call(configuration, tempKeys)
                 .then((result)=> {
 
                     let data = this._getResults(result.data);
@@ -410,39 +404,19 @@ export class SharePointClient extends EventEmitter {
     /**
      * Remove a record from SharePoint
      * @param record
+     * @returns {Promise} Resolves when the record is removed.
      * @private
      */
     _handleRemove(record) {
         var configuration = this._updateListItemsDefaultConfiguration();
         /* Append the listName to the URL for easy debugging */
         configuration.url = this._parsePath(this.settings.endPoint, this._getListService()) + `?remove=${this.settings.listName}`;
-        var fieldCollection = [];
-
-        record.remoteId = record.id;
-
-        let isLocal = findIndex(tempKeys, function (key) {
-            return key.localId == record.id;
-        });
-
-        if (isLocal > -1) {
-            record.id = tempKeys[isLocal].remoteId;
-        }
-
-        fieldCollection.push({
-            "_Name": "ID",
-            "__text": record.id
-        });
 
         configuration.params = {
             "listName": this.settings.listName,
             "updates": {
                 "Batch": {
-                    "Method": {
-                        "Field": fieldCollection,
-
-                        "_ID": '1',
-                        "_Cmd": 'Delete'
-                    },
+                    "Method": extend(this._getRemoveMethod(record), {"_ID": '1'}),
 
                     "_OnError": 'Continue',
                     "_ListVersion": '1',
@@ -452,7 +426,7 @@ export class SharePointClient extends EventEmitter {
         };
 
         // initial initialisation of the datasource
-        soapClient.call(configuration, tempKeys)
+        return soapClient.call(configuration, tempKeys)
             .then(()=> {
                 this.emit('message', {event: 'child_removed', result: record});
             }, (error) => {
@@ -461,6 +435,192 @@ export class SharePointClient extends EventEmitter {
     }
 
 
+    /**
+     * Performs several UpdateListItems methods in a single batch.
+     * @param {Array.<Object>} models Models that are written by the methods.
+     * @param {Array.<Object>} methods Methods to perform.
+     * @returns {Promise} Resolves when all methods succeeded, or rejects with an error with code 'batch_failed'.
+     * @private
+     */
+    _handleBatch(models, methods) {
+        return this._updateListItems(methods, 'batch').then((results) => {
+            let failedResult = results.find((methodResult) => methodResult.ErrorCode[0] !== NO_ERROR);
+            if (failedResult || results.length < methods.length) {
+                let error = new Error(`Batch update of ${this.settings.listName} failed: ${failedResult && failedResult.ErrorText ? failedResult.ErrorText[0] : 'not all items were written'}`);
+                error.code = 'batch_failed';
+                throw error;
+            }
+
+            results.forEach((methodResult, index) => {
+                let model = models[index];
+                /* Push ID mappings of the created records to the collection of temp keys, like a regular set does */
+                if (model['_temporary-identifier'] && methodResult["z:row"]) {
+                    tempKeys.push({
+                        localId: model['_temporary-identifier'],
+                        remoteId: methodResult["z:row"][0].$.ows_ID,
+                        client: this
+                    });
+                }
+            });
+        });
+    }
+
+    /**
+     * Performs UpdateListItems methods in a single batch, which SharePoint stops processing at the first method that fails.
+     * @param {Array.<Object>} methods Methods to perform.
+     * @param {String} description Description of the update, appended to the URL for easy debugging.
+     * @returns {Promise} Resolves with the results of the methods that were processed.
+     * @private
+     */
+    _updateListItems(methods, description) {
+        var configuration = this._updateListItemsDefaultConfiguration();
+        /* Append the listName to the URL for easy debugging */
+        configuration.url = this._parsePath(this.settings.endPoint, this._getListService()) + `?${description}=${this.settings.listName}`;
+
+        configuration.params = {
+            "listName": this.settings.listName,
+            "updates": {
+                "Batch": {
+                    "Method": methods,
+
+                    "_OnError": "Return",
+                    "_ListVersion": "1",
+                    "_ViewName": ""
+                }
+            }
+        };
+
+        return soapClient.call(configuration, tempKeys).then((result) =>
+            result.data["soap:Envelope"]["soap:Body"][0].UpdateListItemsResponse[0].UpdateListItemsResult[0].Results[0].Result
+        );
+    }
+
+    /**
+     * Parses the settings the client was constructed with, unless init() already did.
+     * @returns {void}
+     * @private
+     */
+    _ensureSettings() {
+        if (!this.hasParsedSettings) {
+            let {settings, isChild} = this._initializeSettings(this.settings);
+            this.settings = settings;
+            this.isChild = isChild;
+            this.hasParsedSettings = true;
+        }
+    }
+
+    /**
+     * Translates a temporary id of a record created in this session to the id SharePoint assigned to it.
+     * @param {String} id Id of the record.
+     * @returns {String} Id of the record in SharePoint.
+     * @private
+     */
+    _getRemoteId(id) {
+        let tempKey = tempKeys.find((key) => key.localId == id);
+        return tempKey ? tempKey.remoteId : id;
+    }
+
+    /**
+     * Creates the UpdateListItems method that adds or updates a data record.
+     * @param {Object} newData Data of the record. Records without an id are created.
+     * @returns {Object} Method, without its _ID.
+     * @private
+     */
+    _getSetMethod(newData) {
+        var fieldCollection = [];
+        var method = '';
+
+        let isLocal = findIndex(tempKeys, function (key) {
+            return key.localId == newData.id;
+        });
+
+        if (isLocal > -1) {
+            newData.id = tempKeys[isLocal].remoteId;
+        }
+
+        if (!newData.id && this.childID) {
+            newData.id = this.childID;
+        }
+
+        // assume existing record to be updated.
+        if (newData.id) {
+
+            fieldCollection.push({
+                "_Name": "ID",
+                "__text": newData.id
+            });
+
+            method = "Update";
+        }
+        // create a new record, because there is no id.
+        else {
+            fieldCollection.push({
+                "_Name": "ID",
+                "__text": 'New'
+            });
+            method = 'New';
+        }
+
+        for (var prop in newData) {
+            let fieldValue = newData[prop];
+            if (prop == "id" || typeof(fieldValue) == "undefined") continue;
+            if (prop == "priority" || prop == "_temporary-identifier" || prop == "remoteId") continue;
+            if (Settings.isTimestampSymbol(fieldValue)) {
+                /* Server timestamps are written as the current time of the SharePoint server */
+                fieldValue = soapClient.getServerTime().toISOString();
+            } else if (typeof fieldValue === 'object') {
+                if (fieldValue.id && fieldValue.value) {
+                    /* This is a SharePoint lookup type field. We must write it as a specially formatted value instead of an id/value object. */
+                    fieldValue = `${fieldValue.id};#`;
+                } else if (fieldValue.length !== undefined && fieldValue[0] && fieldValue[0].id && fieldValue[0].value) {
+                    /* This is a SharePoint LookupMulti field. It is specially formatted like above. */
+                    let IDs = pluck(fieldValue, 'id');
+                    fieldValue = IDs.join(';#;#');
+                } else {
+                    continue;
+                }
+            }
+
+
+            fieldCollection.push({
+                "_Name": prop,
+                "__text": fieldValue
+            });
+        }
+
+
+        return {
+            "Field": fieldCollection,
+            "_Cmd": method
+        };
+    }
+
+    /**
+     * Creates the UpdateListItems method that removes a data record.
+     * @param {Object} record Record to remove.
+     * @returns {Object} Method, without its _ID.
+     * @private
+     */
+    _getRemoveMethod(record) {
+        record.remoteId = record.id;
+
+        let isLocal = findIndex(tempKeys, function (key) {
+            return key.localId == record.id;
+        });
+
+        if (isLocal > -1) {
+            record.id = tempKeys[isLocal].remoteId;
+        }
+
+        return {
+            "Field": [{
+                "_Name": "ID",
+                "__text": record.id
+            }],
+            "_Cmd": 'Delete'
+        };
+    }
+
     /**
      * Update our cache and bubble child_added or child_changed events
      * @param data
@@ -789,28 +949,4 @@ export class SharePointClient extends EventEmitter {
     _getUserGroupService() {
         return '_vti_bin/UserGroup.asmx';
     }
-
-    /* Ignores all paths ending in a numeric value. These paths don't contain an array, but rather a specific child.
-     * Binding to specific children is not supported by the SharePoint interface, and shouldn't be necessary either
-     * because there is a subscription to child_changed events on the parent array containing this child. */
-    _isChildItem(path) {
-        if (path[path.length - 1] === '/') {
-            path = path.substring(0, path.length - 2);
-        }
-
-        let parts = path.split('/');
-        if (parts.length) {
-            let lastArgument = parts[parts.length - 1];
-
-            let isNumeric = (n) => !isNaN(parseFloat(n)) && isFinite(n);
-
-            if (isNumeric(lastArgument) || lastArgument.indexOf(Settings.localKeyPrefix) === 0) {
-                this.childID = lastArgument;
-                return true;
-            } else {
-                return false;
-            }
-        }
-        return true;
-    }
 }
@@ -19,6 +19,8 @@ import {ParseStringToXml}   from '../../../../../utils/request/XmlParser';
 export class SoapClient {
 
     constructor() {
+        /* Difference between the clock of the SharePoint server and the local clock, in milliseconds */
+        this.serverTimeOffset = 0;
 
         /* Bind all local methods to the current object instance, so we can refer to "this"
          * in the methods as expected, even when they're called from event handlers.        */
@@ -78,6 +80,14 @@ export class SoapClient {
         return text;
     }
 
+    /**
+     * Estimates the current time of the SharePoint server, from the Date header of the last response.
+     * @returns {Date} Current server time.
+     */
+    getServerTime() {
+        return new Date(Date.now() + this.serverTimeOffset);
+    }
+
     call(config, tempKeys = []) {
 
         var request;
@@ -98,6 +108,10 @@ export class SoapClient {
 
             PostRequest(request)
                 .then(function (soapresult) {
+                    let serverTime = Date.parse(soapresult.timestamp);
+                    if (!isNaN(serverTime)) {
+                        context.serverTimeOffset = serverTime - Date.now();
+                    }
 
                     var parseString = xmljs.parseString;
                     parseString(soapresult.response, function (err, result) {
@@ -13,13 +13,23 @@ import {ObjectHelper}               from '../../utils/ObjectHelper.js';
 import {UrlParser}                  from '../../utils/request/UrlParser.js';
 import {DataSource}                 from '../DataSource.js';
 import {SharePoint}                 from './SharePoint/SPSoapAdapter/SharePoint.js';
+import {Settings}                   from './SharePoint/SPSoapAdapter/Settings.js';
 import {SharePointSnapshot}         from './SharePoint/SharePointSnapshot.js';
+import {CamlQuery}                  from './SharePoint/CamlQuery.js';
 
 let _currentUser;
 
 @provide(DataSource)
 export class SharePointDataSource extends DataSource {
 
+    /**
+     * The number of times atomicTransaction() tries to write an item that is changed by someone else in the meantime.
+     * @returns {Number} Maximum number of attempts.
+     */
+    static get maxTransactionAttempts() {
+        return 25;
+    }
+
     static get currentUser() {
         return _currentUser;
     }
@@ -30,6 +40,10 @@ export class SharePointDataSource extends DataSource {
 
     /**
      * @param {String} path Full path to resource in remote data storage.
+     * @param {Object} [options] Options.
+     * @param {String} [options.adapter] API to talk to SharePoint with: 'soap' (default) for its SOAP web services, or
+     *                                   'rest' for its REST (OData) API.
+     * @param {Object} [options.polling] How often lists are refreshed, see PollingScheduler. Inherited by children.
      * @return {SharePointDataSource} SharePointDataSource instance.
      **/
     constructor(path, options = {}) {
@@ -58,7 +72,7 @@ export class SharePointDataSource extends DataSource {
 
             let sharePointOptions = _.merge({}, this.options, configuration);
 
-            /* Bind the soap adapter against the datasource with given configuration */
+            /* Bind the SharePoint adapter against the datasource with given configuration */
             this._dataReference = new SharePoint(sharePointOptions);
         }
     }
@@ -139,6 +153,9 @@ export class SharePointDataSource extends DataSource {
      * @returns {Promise} Resolves when write to server is complete.
      */
     set(newData) {
+        if (DataSource.isBatching) {
+            return this._addToBatch('set', newData);
+        }
         this._dataReference.set(newData);
         /* For now, we return a resolved promise in lack of better knowledge of when the data is synchronized */
         return Promise.resolve();
@@ -150,6 +167,9 @@ export class SharePointDataSource extends DataSource {
      * @returns {Promise}
      */
     remove(object) {
+        if (DataSource.isBatching) {
+            return this._addToBatch('remove', object);
+        }
         return this._dataReference.remove(object);
     }
 
@@ -160,8 +180,16 @@ export class SharePointDataSource extends DataSource {
      * @returns {SharePointDataSource}
      */
     push(newData) {
+        if (DataSource.isBatching) {
+            /* The record is created when the batch is committed, so it is referred to by a temporary id until then */
+            let temporaryId = SharePoint.createTemporaryIdentifier();
+            this._addToBatch('set', {...newData, '_temporary-identifier': temporaryId});
+            let batchedDataReference = SharePointDataSource.createFromChild(this._originalPath, temporaryId, this.options);
+            batchedDataReference._dataReference.cache = {...newData, id: temporaryId};
+            return batchedDataReference;
+        }
         let pushedData = this._dataReference.set(newData);
-        let newDataReference = SharePointDataSource.createFromChild(this._originalPath, `${pushedData['_temporary-identifier']}`);
+        let newDataReference = SharePointDataSource.createFromChild(this._originalPath, `${pushedData['_temporary-identifier']}`, this.options);
 
         /* We need to set the SharePoint data reference's cache to the data we just pushed, so it can immediately emit a value
          * once the newly created model subscribes to its own changes. This is needed to make Arva-ds' PrioArray.add() method work. */
@@ -177,9 +205,7 @@ export class SharePointDataSource extends DataSource {
      */
     setWithPriority(newData, priority) {
         newData.priority = priority;
-        this.set(newData);
-        /* For now, we return a resolved promise in lack of better knowledge of when the data is synchronized */
-        return Promise.resolve();
+        return this.set(newData);
     }
 
     /**
@@ -193,12 +219,13 @@ export class SharePointDataSource extends DataSource {
 
 
     /**
-     * Sets data at the specified path(s) without touching unspecified paths
+     * Sets data at the specified path(s) without touching unspecified paths. SharePoint only writes the columns
+     * present in the data, so this is equal to set().
      * @param {JSON} data The object to push
      * @returns {Promise}
      **/
     update(data) {
-        return Promise.reject('Not implemented');
+        return this.set(data);
     }
 
     /**
@@ -207,7 +234,7 @@ export class SharePointDataSource extends DataSource {
      * @returns {DataSource} New dataSource instance.
      */
     limitToFirst(amount) {
-        throw new Error('Not implemented');
+        return new SharePointDataSource(this._originalPath, {...this.options, limit: amount});
     }
 
     /**
@@ -220,64 +247,38 @@ export class SharePointDataSource extends DataSource {
     }
 
     /**
-     * Authenticates all instances of this DataSource with the given OAuth provider and credentials.
-     * @param {String} provider google, facebook, github, or twitter
-     * @param {String|Object} credentials Access token string, or object with key/value pairs with e.g. OAuth 1.1 credentials.
-     * @param {Function} onComplete Callback, executed when login is completed either successfully or erroneously.
-     * On error, first argument is error message.
-     * On success, the first argument is null, and the second argument is an object containing the fields uid, provider, auth, and expires.
-     * @param {Object} options Optional, additional client arguments, such as configuring session persistence.
-     * @returns {void}
-     */
-    authWithOAuthToken(provider, credentials, onComplete, options) {
-        throw new Error('Not implemented');
-    }
-
-    /**
-     * Authenticates all instances of this DataSource with a custom auth token or secret.
-     * @param {String} authToken Authentication token or secret.
-     * @param {Function} onComplete Callback, executed when login is completed either successfully or erroneously.
-     * On error, first argument is error message.
-     * On success, the first argument is null, and the second argument is an object containing the fields uid, provider, auth, and expires.
-     * @param {Object} options Optional, additional client arguments, such as configuring session persistence.
-     * @returns {void}
-     */
-    authWithCustomToken(authToken, onComplete, options) {
-        throw new Error('Not implemented');
-    }
-
-    /**
-     * Authenticates all instances of this DataSource with the given email/password credentials.
-     * @param {String|Object} credentials Object with key/value pairs {email: 'value', password:'value'}.
-     * @param {Function} onComplete Callback, executed when login is completed either successfully or erroneously.
-     * On error, first argument is error message.
-     * On success, the first argument is null, and the second argument is an object containing the fields uid, provider, auth, and expires.
-     * @param {Object} options Optional, additional client arguments, such as configuring session persistence.
-     * @returns {void}
+     * Returns a new dataSource reference that only contains the items from a cursor onwards, in the order of the
+     * dataSource. Without an order, items are ordered by their ID, so only the key of the cursor is used.
+     * @param {*} value Value of the field ordered by to start at.
+     * @param {String} [key] ID of the item to start at, among items with the same value.
+     * @returns {DataSource} New dataSource instance.
      */
-    authWithPassword(credentials, onComplete, options) {
-        throw new Error('Not implemented');
+    startAt(value, key) {
+        return new SharePointDataSource(this._originalPath, CamlQuery.withCursor(this.options, true, value, key));
     }
 
     /**
-     * Authenticates all instances of this DataSource as an anonymous user.
-     * @param {Function} onComplete Callback, executed when login is completed either successfully or erroneously.
-     * On error, first argument is error message.
-     * On success, the first argument is null, and the second argument is an object containing the fields uid, provider, auth, and expires.
-     * @param {Object} options Optional, additional client arguments, such as configuring session persistence.
-     * @returns {void}
+     * Returns a new dataSource reference that only contains the items up to a cursor, in the order of the dataSource.
+     * Without an order, items are ordered by their ID, so only the key of the cursor is used.
+     * @param {*} value Value of the field ordered by to end at.
+     * @param {String} [key] ID of the item to end at, among items with the same value.
+     * @returns {DataSource} New dataSource instance.
      */
-    authAnonymously(onComplete, options) {
-        throw new Error('Not implemented');
+    endAt(value, key) {
+        return new SharePointDataSource(this._originalPath, CamlQuery.withCursor(this.options, false, value, key));
     }
 
     /**
      * Fetches the current user's authentication state.
      * If the user is authenticated, returns an object containing at least the fields uid, provider, auth, and expires.
-     * If the user is not authenticated, returns null.
-     * @returns {Object|null} User auth object.
+     * If the user is not authenticated, returns null. Without DataSource.authService, this is the SharePoint user that
+     * the browser is signed in as.
+     * @returns {Promise.<Object|null>} Resolves with the user auth object.
      */
     getAuth() {
+        if (DataSource.authService) {
+            return super.getAuth();
+        }
         return new Promise((resolve)=> {
             if (!SharePointDataSource.currentUser) {
                 this._dataReference.getAuth((authData) => {
@@ -290,14 +291,6 @@ export class SharePointDataSource extends DataSource {
         });
     }
 
-    /**
-     * Logs out from the datasource, allowing to re-authenticate at a later time.
-     * @returns {void}
-     */
-    unauth() {
-        throw new Error('Not implemented');
-    }
-
     /**
      * Subscribe to an event emitted by the DataSource.
      * @param {String} event Event type to subscribe to. Allowed values are: 'value', 'child_changed', 'child_added', 'child_removed'.
@@ -476,6 +469,33 @@ export class SharePointDataSource extends DataSource {
         }
     }
 
+    /**
+     * Reads the item, applies the transaction function, and writes the result if the item wasn't changed in between.
+     * @param {Function} transactionFunction Transaction function, see atomicTransaction().
+     * @param {Number} attempt Number of the current attempt.
+     * @returns {Promise} Resolves the new value when the transaction is finished.
+     * @private
+     */
+    _performTransaction(transactionFunction, attempt) {
+        return this._dataReference.getItem().then(({item, version}) => {
+            let newValue = transactionFunction(item);
+            if (newValue === undefined) {
+                return item;
+            }
+            return this._dataReference.setWithVersion(newValue, version).then(({isConflict, item}) => {
+                if (!isConflict) {
+                    return item;
+                }
+                if (attempt >= SharePointDataSource.maxTransactionAttempts) {
+                    let error = new Error(`Transaction on ${this.path()} failed after ${attempt} attempts, because the item kept changing`);
+                    error.code = 'transaction_failed';
+                    throw error;
+                }
+                return this._performTransaction(transactionFunction, attempt + 1);
+            });
+        });
+    }
+
     _ParseSelector(path, endPoint) {
 
     }
@@ -496,13 +516,34 @@ export class SharePointDataSource extends DataSource {
         return newPath;
     }
     /**
-     * Performs an atomic transaction
-     * @param {Function} transactionFunction A function that takes the current value as a single argument, and
-     * returns the new value.
-     * @returns {Promise} Resolves the new value when the transaction is finished
+     * Commits the writes collected by batch() through the worker, in a single UpdateListItems batch per list. The batches
+     * of different lists are committed independently, and SharePoint keeps the records of a batch that were written
+     * before a record failed.
+     * @param {Array.<Object>} operations Writes to commit.
+     * @returns {Promise} Resolves when all writes are committed.
+     * @protected
+     */
+    _commitBatch(operations) {
+        let [{dataSource}] = operations;
+        return dataSource._dataReference.batch(operations.map(({dataSource, type, data}) => ({
+            endPoint: dataSource._originalPath,
+            listName: dataSource.key(),
+            operation: type === 'remove' ? 'remove' : 'set',
+            model: data
+        })));
+    }
+
+    /**
+     * Performs an atomic transaction on the list item this dataSource points to. The item is written along with the
+     * version it had when it was read, and if SharePoint reports that it was changed in the meantime, the transaction
+     * is retried with the new data of the item.
+     * @param {Function} transactionFunction A function that takes the current fields of the item, or null if it
+     * doesn't exist, and returns the new fields. Returning undefined aborts the transaction.
+     * @returns {Promise} Resolves the new value when the transaction is finished. Rejects with an error with code
+     * 'transaction_failed' if the item kept changing, or 'not_supported' if the dataSource points to a list.
      */
     atomicTransaction(transactionFunction) {
-        throw new Error("Not supported");
+        return this._performTransaction(transactionFunction, 1);
     }
 
     /**
@@ -531,10 +572,20 @@ export class SharePointDataSource extends DataSource {
     }
 
     /**
-     * Gets a symbolic representation of a timestamp as being run on the server-side
-     * @returns {*}
+     * Gets a symbolic representation of a timestamp as being run on the server-side. The worker replaces it with the
+     * current time of the SharePoint server when it is written, formatted as an ISO 8601 date.
+     * @returns {Object} Timestamp placeholder.
      */
     getTimestampSymbol() {
-        throw new Error("Not Supported")
+        return Settings.timestampSymbol;
+    }
+
+    /**
+     * Compiles a query to a CAML query, so that SharePoint evaluates all of its conditions, its order and its limit.
+     * @param {Query} query Query to compile.
+     * @returns {{options: Object, residual: Query}} Options for child(), and the part of the query to evaluate on the client.
+     */
+    compileQuery(query) {
+        return CamlQuery.compile(query);
     }
 }
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import isEqual                      from 'lodash/isEqual.js';
+
+/**
+ * Helpers for the subset of JSON patch (RFC 6902) that is used by the SocketDataSource protocol: 'add', 'replace'
+ * and 'remove' operations, with JSON pointer paths (RFC 6901) relative to a subscribed path.
+ */
+export class JsonPatch {
+
+    /**
+     * Creates the operations that turn one value into another.
+     * @param {*} previous Old value, or null if there was none.
+     * @param {*} next New value, or null if it was removed.
+     * @param {String} [pointer] JSON pointer of the values, used when recursing.
+     * @returns {Array} Operations, e.g. [{op: 'replace', path: '/a/title', value: 'New title'}].
+     */
+    static create(previous, next, pointer = '') {
+        if (isEqual(previous, next)) {
+            return [];
+        }
+        if (!JsonPatch._isObject(previous) || !JsonPatch._isObject(next)) {
+            if (next === null || next === undefined) {
+                return [{op: 'remove', path: pointer}];
+            }
+            return [{op: (previous === null || previous === undefined) ? 'add' : 'replace', path: pointer, value: next}];
+        }
+
+        let operations = [];
+        for (let key in previous) {
+            if (!(key in next)) {
+                operations.push({op: 'remove', path: `${pointer}/${JsonPatch.escape(key)}`});
+            }
+        }
+        for (let key in next) {
+            let childPointer = `${pointer}/${JsonPatch.escape(key)}`;
+            if (!(key in previous)) {
+                operations.push({op: 'add', path: childPointer, value: next[key]});
+            } else {
+                operations.push(...JsonPatch.create(previous[key], next[key], childPointer));
+            }
+        }
+        return operations;
+    }
+
+    /**
+     * Applies operations to a value, without modifying the original.
+     * @param {*} document Value to apply the operations to.
+     * @param {Array} operations Operations as created by JsonPatch.create().
+     * @returns {*} The new value, or null if the value was removed.
+     */
+    static apply(document, operations) {
+        for (let {op, path, value} of operations) {
+            let segments = JsonPatch.parsePointer(path);
+            if (op === 'remove') {
+                document = JsonPatch._setIn(document, segments, null);
+            } else if (op === 'add' || op === 'replace') {
+                document = JsonPatch._setIn(document, segments, value);
+            } else {
+                throw new Error(`Unsupported JSON patch operation '${op}'`);
+            }
+        }
+        return document === undefined ? null : document;
+    }
+
+    /**
+     * Splits a JSON pointer into its unescaped keys.
+     * @param {String} pointer JSON pointer, e.g. '/a/b~1c'.
+     * @returns {Array} Keys, e.g. ['a', 'b/c'].
+     */
+    static parsePointer(pointer) {
+        if (!pointer) {
+            return [];
+        }
+        return pointer.split('/').slice(1).map((key) => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+    }
+
+    /**
+     * Escapes a key for use in a JSON pointer.
+     * @param {String} key Key to escape.
+     * @returns {String} Escaped key.
+     */
+    static escape(key) {
+        return `${key}`.replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    static _isObject(value) {
+        return !!value && typeof value === 'object' && !(value instanceof Array);
+    }
+
+    static _setIn(document, segments, value) {
+        if (!segments.length) {
+            return value;
+        }
+        let [key, ...remainingSegments] = segments;
+        let result = JsonPatch._isObject(document) ? {...document} : {};
+        let childValue = JsonPatch._setIn(result[key], remainingSegments, value);
+        if (childValue === null || childValue === undefined) {
+            delete result[key];
+        } else {
+            result[key] = childValue;
+        }
+        return result;
+    }
+}
@@ -0,0 +1,281 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import EventEmitter                 from 'eventemitter3';
+import {ObjectHelper}               from '../../../utils/ObjectHelper.js';
+import {MemoryStore}                from '../Memory/MemoryStore.js';
+import {JsonPatch}                  from './JsonPatch.js';
+import {DataSource}                 from '../../DataSource.js';
+
+/**
+ * Keeps a single WebSocket connection on behalf of one or more SocketDataSources. Subscribed paths are mirrored in a
+ * MemoryStore, which emits the child events for every snapshot or patch received from the server.
+ * The messages that are exchanged are described in server/socket/PROTOCOL.md.
+ *
+ * The token of the user signed in through DataSource.authService is sent when the connection opens, before any
+ * other message, and again whenever it changes.
+ *
+ * Emits 'connected' and 'disconnected' when the connection state changes, and 'server_error' for errors
+ * that don't belong to a write.
+ */
+export class SocketConnection extends EventEmitter {
+
+    /**
+     * @param {String} url URL of the WebSocket server, e.g. 'wss://example.com/realtime'.
+     * @param {Object} [options] Options.
+     * @param {Number} [options.reconnectInterval] Milliseconds to wait before reconnecting after the connection was lost. Defaults to 2000.
+     * @param {Function} [options.WebSocket] WebSocket implementation to use. Defaults to the browser's WebSocket.
+     * @returns {SocketConnection} SocketConnection instance.
+     */
+    constructor(url = '', options = {}) {
+        super();
+        this.url = url;
+        this.store = new MemoryStore();
+        this.options = {reconnectInterval: 2000, WebSocket: typeof WebSocket !== 'undefined' ? WebSocket : null, ...options};
+
+        this._socket = null;
+        this._isOpen = false;
+        this._isClosed = false;
+        this._reconnectTimer = null;
+        this._outbox = [];
+        this._subscriptions = {};
+        this._pendingWrites = [];
+        this._nextMessageId = 1;
+        this._authService = null;
+
+        /* Bind all local methods to the current object instance, so we can refer to "this"
+         * in the methods as expected, even when they're called from event handlers. */
+        ObjectHelper.bindAllMethods(this, this);
+    }
+
+    /**
+     * Whether the WebSocket connection is currently open.
+     * @returns {Boolean} True if connected.
+     */
+    get isConnected() {
+        return this._isOpen;
+    }
+
+    /**
+     * Subscribes to the given path on the server, if that isn't done yet.
+     * @param {Array} segments Path to subscribe to.
+     * @returns {Promise} Resolves once the first snapshot of the path has been received.
+     */
+    track(segments) {
+        let path = `/${segments.join('/')}`;
+        let subscription = this._subscriptions[path];
+
+        if (!subscription) {
+            subscription = this._subscriptions[path] = {path, segments, referenceCount: 0, value: null};
+            subscription.loaded = new Promise((resolve) => subscription.onLoaded = resolve);
+            this._send({type: 'subscribe', path});
+        }
+
+        subscription.referenceCount++;
+        return subscription.loaded;
+    }
+
+    /**
+     * Unsubscribes from the given path once no subscribers are left.
+     * @param {Array} segments Path that was passed to track().
+     * @returns {void}
+     */
+    untrack(segments) {
+        let path = `/${segments.join('/')}`;
+        let subscription = this._subscriptions[path];
+        if (subscription && --subscription.referenceCount <= 0) {
+            delete this._subscriptions[path];
+            this._send({type: 'unsubscribe', path});
+        }
+    }
+
+    /**
+     * Applies a write to the store right away, and sends it to the server. Until the server acknowledges the write,
+     * it is re-applied on top of every snapshot or patch that is received.
+     * @param {Object} message Write message without its type and id, e.g. {op: 'set', path: '/Todos/a', data: {...}}.
+     * @param {Function} [applyLocally] Function that takes a store and writes the change to it.
+     * @returns {Promise} Resolves when the server has acknowledged the write. Rejects with an error that has the
+     * code and current value sent by the server if the server refused it.
+     */
+    write(message, applyLocally = () => {}) {
+        let id = this._nextMessageId++;
+        applyLocally(this.store);
+
+        return new Promise((resolve, reject) => {
+            this._pendingWrites.push({id, applyLocally, resolve, reject, isSent: false});
+            this._send({...message, type: 'write', id});
+        });
+    }
+
+    /**
+     * Closes the connection, and stops reconnecting.
+     * @returns {void}
+     */
+    close() {
+        this._isClosed = true;
+        this._watchAuthService(null);
+        clearTimeout(this._reconnectTimer);
+        if (this._socket) {
+            this._socket.close();
+        }
+    }
+
+    _send(message) {
+        this._connect();
+        if (this._isOpen) {
+            this._transmit(message);
+        } else if (message.type === 'write') {
+            /* Subscriptions are sent again anyway when the connection opens */
+            this._outbox.push(message);
+        }
+    }
+
+    _transmit(message) {
+        if (message.type === 'write') {
+            let pendingWrite = this._pendingWrites.find(({id}) => id === message.id);
+            pendingWrite && (pendingWrite.isSent = true);
+        }
+        this._socket.send(JSON.stringify(message));
+    }
+
+    _connect() {
+        if (this._socket || this._isClosed) {
+            return;
+        }
+        let socket = this._socket = new this.options.WebSocket(this.url);
+        socket.onopen = this._onOpen;
+        socket.onclose = this._onClose;
+        socket.onerror = () => {
+            /* A close event always follows */
+        };
+        socket.onmessage = (event) => this._onMessage(JSON.parse(event.data));
+    }
+
+    async _onOpen() {
+        let socket = this._socket;
+        this._watchAuthService(DataSource.authService);
+        let credentials = await DataSource.getCredentials();
+        /* The connection might have been lost while refreshing the credentials */
+        if (socket !== this._socket) {
+            return;
+        }
+
+        this._isOpen = true;
+        if (credentials && credentials.token) {
+            this._transmit({type: 'auth', token: credentials.token});
+        }
+        for (let path in this._subscriptions) {
+            this._transmit({type: 'subscribe', path});
+        }
+        let outbox = this._outbox;
+        this._outbox = [];
+        outbox.forEach(this._transmit);
+        this.emit('connected');
+    }
+
+    _watchAuthService(authService) {
+        if (authService === this._authService) {
+            return;
+        }
+        if (this._authService) {
+            this._authService.removeListener('credentialsChanged', this._onCredentialsChanged);
+        }
+        if (authService) {
+            authService.on('credentialsChanged', this._onCredentialsChanged);
+        }
+        this._authService = authService;
+    }
+
+    _onCredentialsChanged(credentials) {
+        if (this._isOpen) {
+            this._transmit({type: 'auth', token: credentials ? credentials.token : null});
+        }
+    }
+
+    _onClose() {
+        this._isOpen = false;
+        this._socket = null;
+
+        /* It is unknown whether writes that were sent have been applied by the server, so let their callers decide */
+        let lostWrites = this._pendingWrites.filter(({isSent}) => isSent);
+        this._pendingWrites = this._pendingWrites.filter(({isSent}) => !isSent);
+        for (let {reject} of lostWrites) {
+            let error = new Error('Connection lost before the write was acknowledged');
+            error.code = 'disconnected';
+            reject(error);
+        }
+        this.emit('disconnected');
+
+        if (!this._isClosed && (Object.keys(this._subscriptions).length || this._outbox.length)) {
+            this._reconnectTimer = setTimeout(this._connect, this.options.reconnectInterval);
+        }
+    }
+
+    _onMessage(message) {
+        let subscription = this._subscriptions[message.path];
+        switch (message.type) {
+            case 'snapshot':
+                if (subscription) {
+                    subscription.value = message.data;
+                    this._applyServerValue(subscription);
+                    subscription.onLoaded();
+                }
+                break;
+            case 'patch':
+                if (subscription) {
+                    subscription.value = JsonPatch.apply(subscription.value, message.operations);
+                    this._applyServerValue(subscription);
+                }
+                break;
+            case 'ack':
+                this._settleWrite(message.id, (pendingWrite) => pendingWrite.resolve());
+                break;
+            case 'error': {
+                let error = new Error(message.message);
+                error.code = message.code;
+                error.current = message.current;
+                if (message.id === undefined) {
+                    this.emit('server_error', error);
+                } else {
+                    this._settleWrite(message.id, (pendingWrite) => pendingWrite.reject(error));
+
+                    /* Undo the local change of the refused write */
+                    for (let path in this._subscriptions) {
+                        this._applyServerValue(this._subscriptions[path]);
+                    }
+                }
+                break;
+            }
+            default:
+                break;
+        }
+    }
+
+    _settleWrite(id, settle) {
+        let index = this._pendingWrites.findIndex((pendingWrite) => pendingWrite.id === id);
+        if (index !== -1) {
+            let [pendingWrite] = this._pendingWrites.splice(index, 1);
+            settle(pendingWrite);
+        }
+    }
+
+    /**
+     * Writes the value received from the server to the store, with all writes that haven't been acknowledged yet applied on top of it.
+     * @param {Object} subscription Subscription that received a new value.
+     * @returns {void}
+     * @private
+     */
+    _applyServerValue(subscription) {
+        let scratchStore = new MemoryStore();
+        scratchStore.set(subscription.segments, subscription.value);
+        for (let {applyLocally} of this._pendingWrites) {
+            applyLocally(scratchStore);
+        }
+        this.store.set(subscription.segments, scratchStore.get(subscription.segments));
+    }
+}
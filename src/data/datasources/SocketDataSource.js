@@ -0,0 +1,147 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import {MemoryDataSource}           from './MemoryDataSource.js';
+import {MemoryStore}                from './Memory/MemoryStore.js';
+import {SocketConnection}           from './Socket/SocketConnection.js';
+
+/**
+ * A realtime DataSource that synchronizes with a server over a single WebSocket connection. The server pushes a
+ * snapshot of every subscribed path, followed by JSON patches whenever it changes. These are translated into the
+ * same 'value' and child events that the FirebaseDataSource emits.
+ *
+ * The protocol is described in server/socket/PROTOCOL.md, and a reference server can be started with
+ * 'npm run socket-server'.
+ *
+ * @example
+ * Injection.provide(DataSource, new SocketDataSource('/', {url: 'wss://example.com/realtime'}));
+ */
+export class SocketDataSource extends MemoryDataSource {
+
+    /**
+     * @param {String} path Path to the resource on the server, e.g. '/Todos'.
+     * @param {Object} options Optional: options to construct the DataSource with. Accepts all options of the MemoryDataSource,
+     * and all options of the SocketConnection (reconnectInterval, WebSocket).
+     * @param {String} [options.url] URL of the WebSocket server. Not needed if a connection is given.
+     * @param {SocketConnection} [options.connection] Optional, the connection to share with other SocketDataSources. Created if not given.
+     * @param {Number} [options.maxTransactionRetries] Optional, how often atomicTransaction() retries when the value was changed by another client. Defaults to 10.
+     * @returns {SocketDataSource} SocketDataSource instance.
+     */
+    constructor(path = '', options = {}) {
+        let connection = options.connection || new SocketConnection(options.url, options);
+        super(path, {orderBy: '.priority', maxTransactionRetries: 10, ...options, connection, store: connection.store});
+        this._connection = connection;
+    }
+
+    /**
+     * The connection shared by this dataSource and all dataSources derived from it.
+     * @returns {SocketConnection} Connection.
+     */
+    get connection() {
+        return this._connection;
+    }
+
+    /**
+     * Returns the URL of the server followed by the path of this dataSource.
+     * @returns {String} Full resource path.
+     */
+    toString() {
+        return `${this.root()}${this.path()}`;
+    }
+
+    /**
+     * Returns the URL of the server.
+     * @returns {String} Server URL.
+     */
+    root() {
+        return this._connection.url;
+    }
+
+    dataExists() {
+        return this._connection.track(this._segments).then(() => {
+            this._connection.untrack(this._segments);
+            return this._store.get(this._segments) !== null;
+        });
+    }
+
+    set(newData) {
+        return this._performSocketWrite({op: 'set', data: newData}, (store) => store.set(this._segments, newData));
+    }
+
+    remove() {
+        return this._performSocketWrite({op: 'remove'}, (store) => store.set(this._segments, null));
+    }
+
+    update(data) {
+        return this._performSocketWrite({op: 'update', data}, (store) => store.update(this._segments, data));
+    }
+
+    setWithPriority(newData, priority) {
+        return this._performSocketWrite({op: 'setWithPriority', data: newData, priority}, (store) => store.set(this._segments, newData, priority));
+    }
+
+    setPriority(newPriority) {
+        return this._performSocketWrite({op: 'setPriority', priority: newPriority}, (store) => store.setPriority(this._segments, newPriority));
+    }
+
+    /* Resolves once the server has sent the data */
+    _subscribe() {
+        return this._connection.track(this._segments);
+    }
+
+    _unsubscribe() {
+        this._connection.untrack(this._segments);
+    }
+
+    /**
+     * Performs an atomic transaction. The new value is sent along with the value it was based on, and the server only
+     * writes it if that is still the current value. Otherwise the transaction is retried with the value the server sent back.
+     * @param {Function} transactionFunction A function that takes the current value as a single argument, and
+     * returns the new value. Returning undefined aborts the transaction.
+     * @returns {Promise} Resolves the new value when the transaction is finished.
+     */
+    atomicTransaction(transactionFunction) {
+        let attempt = (currentNode, retriesLeft) => {
+            let newValue = transactionFunction(MemoryStore.exportValue(currentNode));
+            if (newValue === undefined) {
+                return Promise.resolve(MemoryStore.exportValue(currentNode));
+            }
+            let newNode = MemoryStore.normalize(newValue);
+            return this._performSocketWrite({op: 'set', data: newNode, expected: currentNode}).then(
+                () => MemoryStore.exportValue(newNode),
+                (error) => {
+                    if (error.code === 'conflict' && retriesLeft > 0) {
+                        return attempt(error.current === undefined ? null : error.current, retriesLeft - 1);
+                    }
+                    throw error;
+                });
+        };
+        return attempt(this._store.get(this._segments), this.options.maxTransactionRetries);
+    }
+
+    _createDataSource(path, options) {
+        return new SocketDataSource(path, {...options, connection: this._connection});
+    }
+
+    /**
+     * Sends a write to the server, and keeps track of whether this dataSource is still synchronizing.
+     * @param {Object} message Write message without its path.
+     * @param {Function} [applyLocally] Function that takes a store and writes the change to it.
+     * @returns {Promise} Resolves when the server has acknowledged the write.
+     * @private
+     */
+    _performSocketWrite(message, applyLocally) {
+        let completionPromise = this._connection.write({...message, path: this.path()}, applyLocally);
+
+        /* Append another promise to the chain to keep track of whether it's still synchronized. Fail silently
+         * since the returned promise already rejects */
+        this._synced = this._synced.then(() => completionPromise).catch(() => {
+        });
+        return completionPromise;
+    }
+}
@@ -0,0 +1,197 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import cloneDeep                    from 'lodash/cloneDeep.js';
+import {Model}                      from '../../core/Model.js';
+import {Schema}                     from '../schema/Schema.js';
+import {ObjectHelper}               from '../../utils/ObjectHelper.js';
+import {LocalModel}                 from './LocalModel.js';
+
+/* The draft classes created by Draft.fromModel(), by the model class they are drafts of */
+let draftClasses = new Map();
+
+/**
+ * A local copy of a model that is edited without syncing, and that can be merged back into the model in one write.
+ * Drafts are created with model.edit(). Field values are deep copies, so nested objects can be edited as well, and a
+ * draft can be edited in turn by a draft of its own, which is committed into the draft it was taken from.
+ * Relations are not resolved on drafts, but the fields containing their ids can be edited.
+ *
+ * @example
+ * let draft = box.edit();
+ * draft.label = 'Fragile';
+ * draft.commit().catch((error) => {
+ *  if (error.code === 'conflict') {
+ *      // error.conflicts lists the fields that were changed in the dataSource since the draft was taken
+ *  }
+ * });
+ */
+export class Draft extends LocalModel {
+
+    /**
+     * Creates a draft of a model, containing copies of its field values.
+     * @param {Model} model Model to create a draft of.
+     * @returns {Draft} A draft of the same model class, which validates its fields in the same way.
+     */
+    static fromModel(model) {
+        let modelClass = model.constructor;
+        let DraftOfModel = draftClasses.get(modelClass);
+        if (!DraftOfModel) {
+            DraftOfModel = this.createClassFromModel(modelClass);
+            let {fields} = Schema.forPrototype(modelClass.prototype);
+            for (let name in fields) {
+                Schema.defineField(DraftOfModel.prototype, name, fields[name]);
+            }
+            draftClasses.set(modelClass, DraftOfModel);
+        }
+        return new DraftOfModel(model);
+    }
+
+    /**
+     * @param {Model} source Model that the draft is taken from.
+     * @returns {Draft} Draft instance.
+     */
+    constructor(source) {
+        super(source.id, null);
+        ObjectHelper.addHiddenPropertyToObject(this, '_source', source, false);
+        /* The data of the source in the dataSource when the draft was taken, to detect conflicting changes */
+        ObjectHelper.addHiddenPropertyToObject(this, '_baseData', cloneDeep(source._syncedData) || {}, true, false);
+
+        let data = LocalModel.cloneModelProperties(source);
+        this.disableChangeListener();
+        for (let name of Object.keys(source)) {
+            /* Fields that aren't declared on the model class, such as the ids of relations, are copied as well */
+            if (!Object.getOwnPropertyDescriptor(this, name)) {
+                ObjectHelper.addPropertyToObject(this, name, undefined, true, true, this._onSetterTriggered);
+            }
+            this[name] = data[name];
+        }
+        this.enableChangeListener();
+        /* Changes of the draft are relative to the data it was taken with */
+        this._syncedData = cloneDeep(data);
+    }
+
+    /**
+     * Writes the fields that were changed in the draft to the model it was taken from, in a single atomic transaction.
+     * If any of these fields was changed in the dataSource since the draft was taken, nothing is written, unless forced.
+     * @param {Object} [options] Options.
+     * @param {Boolean} [options.force] Overwrite conflicting changes in the dataSource.
+     * @returns {Promise} Resolves with the model when the changes are written. Rejects with an error with code
+     *                    'validation_failed' if the draft is invalid, or code 'conflict' if a changed field was changed
+     *                    in the dataSource as well. The conflicts property of the error lists the field, baseValue,
+     *                    serverValue and draftValue of each conflicting field.
+     */
+    commit(options = {}) {
+        let errors = this.validate();
+        if (errors.length) {
+            return Promise.reject(Schema.createValidationError(errors));
+        }
+        let changes = this.getChanges();
+        let changedNames = Object.keys(changes);
+        if (!changedNames.length) {
+            return Promise.resolve(this._source);
+        }
+
+        let writtenData = {};
+        for (let name of changedNames) {
+            writtenData[name] = cloneDeep(changes[name].newValue);
+        }
+
+        let sourceData, conflicts;
+        /* Called with the current data of the source, possibly more than once if it changes during the transaction */
+        let checkConflicts = (currentData) => {
+            sourceData = currentData || {};
+            conflicts = changedNames
+                .filter((name) => !Draft._isEqualValue(sourceData[name], this._baseData[name]) &&
+                !Draft._isEqualValue(sourceData[name], changes[name].newValue))
+                .map((name) => ({
+                    field: name,
+                    baseValue: this._baseData[name],
+                    serverValue: sourceData[name],
+                    draftValue: changes[name].newValue
+                }));
+            return !conflicts.length || !!options.force;
+        };
+
+        return this._writeToSource(writtenData, checkConflicts).then(() => {
+            if (conflicts.length && !options.force) {
+                let error = new Error(`Conflicting changes: ${conflicts.map(({field}) => field).join(', ')}`);
+                error.code = 'conflict';
+                error.conflicts = conflicts;
+                throw error;
+            }
+            this._baseData = {...sourceData, ...cloneDeep(writtenData)};
+            this._syncedData = {...this._syncedData, ...cloneDeep(writtenData)};
+            return this._source;
+        });
+    }
+
+    /**
+     * Discards the changes of the draft, resetting its fields to the values it was taken with.
+     * @returns {void}
+     */
+    discard() {
+        this.revert();
+    }
+
+    /**
+     * Drafts aren't synced, so changes are only announced.
+     * @returns {Promise} Resolves immediately.
+     * @private
+     */
+    _writeChanges() {
+        this.emit('changed', this);
+        return Promise.resolve();
+    }
+
+    /**
+     * Writes data to the model that the draft was taken from, if checkConflicts allows it given the current data of
+     * the model. For models in a dataSource, the check and the write are done in one atomic transaction, so changes
+     * made by others in the meantime are never overwritten unnoticed.
+     * @param {Object} writtenData The fields to write.
+     * @param {Function} checkConflicts Function that takes the current data of the model, or null if it doesn't exist,
+     *                                  and returns whether to write.
+     * @returns {Promise} Resolves when the data is written, or when nothing is written because checkConflicts returned false.
+     * @private
+     */
+    _writeToSource(writtenData, checkConflicts) {
+        let source = this._source;
+        if (source instanceof LocalModel) {
+            if (!checkConflicts(source._syncedData)) {
+                return Promise.resolve();
+            }
+            return source.transaction(() => {
+                for (let name in writtenData) {
+                    source[name] = cloneDeep(writtenData[name]);
+                }
+            });
+        }
+        let isWritten = false;
+        return source._dataSource.atomicTransaction((currentData) => {
+            isWritten = checkConflicts(currentData);
+            /* The current data is written back unchanged rather than aborting the transaction, which dataSources may retry */
+            return isWritten ? {...currentData, ...cloneDeep(writtenData)} : currentData;
+        }).then(() => {
+            if (!isWritten) {
+                return;
+            }
+            /* The model doesn't necessarily listen to its dataSource, so it is updated without writing it again */
+            let assignFields = () => {
+                source.disableChangeListener();
+                for (let name in writtenData) {
+                    source[name] = cloneDeep(writtenData[name]);
+                }
+                source.enableChangeListener();
+            };
+            source._history ? source._history.group(assignFields) : assignFields();
+            source._syncedData = {...source._syncedData, ...cloneDeep(writtenData)};
+        });
+    }
+}
+
+/* Model.edit() creates drafts, but Model can't import this module itself, because it depends on Model */
+Model.draftType = Draft;
@@ -44,11 +44,16 @@ export class LocalModel extends Model {
     }
 
     static createMergedModelClass(...modelClasses) {
-        class LocalizedModel extends LocalModel{}
+        class LocalizedModel extends this{}
+        /* Methods of this class and its superclasses up to Model, which shouldn't be replaced by those of the modelClasses */
+        let localMethodNames = [];
+        for(let prototype = this.prototype; prototype !== Model.prototype; prototype = Object.getPrototypeOf(prototype)){
+            localMethodNames.push(...Object.getOwnPropertyNames(prototype));
+        }
         for(let modelPrototype of modelClasses.map(({prototype}) => prototype)){
             /* Define the properties that was defined on the modelClass, but omit things that would mess up the construction */
             Object.defineProperties(LocalizedModel.prototype, omit(ObjectHelper.getMethodDescriptors(modelPrototype),
-                ['constructor', 'id', 'dataSource', 'priority', '_inheritable']));
+                ['constructor', 'id', 'dataSource', 'priority', '_inheritable', ...localMethodNames]));
         }
         return LocalizedModel;
     }
@@ -45,6 +45,12 @@ export class LocalPrioritisedArray extends PrioritisedArray {
     _buildFromDataSource() {
     }
 
+    /**
+     * Creates a local copy of the current contents of several PrioritisedArrays, which isn't updated afterwards.
+     * For a live union of PrioritisedArrays, use a MergedArray instead.
+     * @param {...PrioritisedArray} prioritisedArrays Arrays to copy the models of.
+     * @returns {LocalPrioritisedArray} Array containing local copies of the models.
+     */
     static mergePrioritisedArrays(...prioritisedArrays) {
         let LocalizedModel = LocalModel.createMergedModelClass(...prioritisedArrays.map((prioritisedArray) => prioritisedArray._dataType));
         let LocalisedPrioritisedArray = LocalPrioritisedArray.createMergedPrioritisedArrayClass(...prioritisedArrays);
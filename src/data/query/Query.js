@@ -0,0 +1,240 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import isEqual                      from 'lodash/isEqual.js';
+
+/* Operators that can be passed to where() */
+const OPERATORS = ['==', '!=', '<', '<=', '>', '>=', 'in'];
+
+/* The query that is currently being built by Query.build() */
+let pendingQuery = null;
+
+/**
+ * Describes which models of a PrioritisedArray to show, in which order, and how many. A query is compiled by the active
+ * DataSource (see DataSource.compileQuery()), which pushes as much of it as possible down to the backend. Whatever the
+ * backend can't evaluate is evaluated on the client, so the result is the same for every DataSource.
+ *
+ * @example
+ * let openTodos = Todos.query().where('status', '==', 'open').orderBy('createdAt', 'desc').limit(50).build();
+ */
+export class Query {
+
+    /**
+     * @param {Function} [arrayType] The PrioritisedArray subclass to build, used by build().
+     * @returns {Query} Query instance.
+     */
+    constructor(arrayType = null) {
+        this._arrayType = arrayType;
+        this.conditions = [];
+        this.order = null;
+        this.amount = undefined;
+    }
+
+    /**
+     * Only includes models whose field matches the given condition.
+     * @param {String} field Name of the field, or a path such as 'address/city'. 'id' refers to the model's id.
+     * @param {String} operator One of '==', '!=', '<', '<=', '>', '>=', or 'in'. For 'in', value is an array of allowed values.
+     * @param {*} value Value to compare with.
+     * @returns {Query} This query, for chaining.
+     */
+    where(field, operator, value) {
+        if (OPERATORS.indexOf(operator) === -1) {
+            throw new Error(`Unsupported query operator '${operator}', expected one of ${OPERATORS.join(', ')}`);
+        }
+        if (operator === 'in' && !(value instanceof Array)) {
+            throw new Error(`The 'in' operator requires an array of values`);
+        }
+        this.conditions.push({field, operator, value});
+        return this;
+    }
+
+    /**
+     * Orders the models by the given field. Without an order, models are ordered by their priority.
+     * @param {String} field Name of the field, or a path such as 'address/city'. 'id' refers to the model's id.
+     * @param {String} [direction] 'asc' (default) or 'desc'.
+     * @returns {Query} This query, for chaining.
+     */
+    orderBy(field, direction = 'asc') {
+        if (direction !== 'asc' && direction !== 'desc') {
+            throw new Error(`Unsupported order direction '${direction}', expected 'asc' or 'desc'`);
+        }
+        this.order = {field, descending: direction === 'desc'};
+        return this;
+    }
+
+    /**
+     * Only includes the first given amount of models.
+     * @param {Number} amount Maximum amount of models.
+     * @returns {Query} This query, for chaining.
+     */
+    limit(amount) {
+        this.amount = amount;
+        return this;
+    }
+
+    /**
+     * Creates a live PrioritisedArray containing the models matching this query.
+     * @param {...*} constructorArguments Arguments to pass to the constructor of the PrioritisedArray subclass.
+     * @returns {PrioritisedArray} New instance of the PrioritisedArray subclass this query was created by.
+     */
+    build(...constructorArguments) {
+        if (!this._arrayType) {
+            throw new Error('Query.build() can only be used on queries created by PrioritisedArray.query()');
+        }
+
+        /* Subclasses of PrioritisedArray have constructors with their own signatures, so the query can't be passed as
+         * an argument. Instead, the PrioritisedArray constructor picks it up through Query.takePendingQuery(). */
+        pendingQuery = this;
+        try {
+            return new this._arrayType(...constructorArguments);
+        } finally {
+            pendingQuery = null;
+        }
+    }
+
+    /**
+     * Returns the query that is being built by build(), so that only the first PrioritisedArray constructed by it uses the query.
+     * @returns {Query|null} Query, or null if no query is being built.
+     */
+    static takePendingQuery() {
+        let query = pendingQuery;
+        pendingQuery = null;
+        return query;
+    }
+
+    /**
+     * Returns a copy of this query with other conditions, e.g. the conditions that a DataSource couldn't evaluate.
+     * @param {Array} conditions Conditions of the new query.
+     * @returns {Query} New query.
+     */
+    withConditions(conditions) {
+        let query = new Query(this._arrayType);
+        query.conditions = conditions;
+        query.order = this.order;
+        query.amount = this.amount;
+        return query;
+    }
+
+    /**
+     * Returns whether a value satisfies all conditions of this query.
+     * @param {Object} value Data of a model.
+     * @param {String} key Id of the model.
+     * @returns {Boolean} True if the value matches.
+     */
+    matches(value, key) {
+        return this.conditions.every(({field, operator, value: conditionValue}) => {
+            let fieldValue = Query.getFieldValue(value, key, field);
+            switch (operator) {
+                case '==':
+                    return isEqual(fieldValue, conditionValue);
+                case '!=':
+                    return !isEqual(fieldValue, conditionValue);
+                case 'in':
+                    return conditionValue.some((allowedValue) => isEqual(fieldValue, allowedValue));
+                default:
+                    return Query._compare(fieldValue, operator, conditionValue);
+            }
+        });
+    }
+
+    /**
+     * Compiles this query to the options accepted by the Firebase-like DataSources (orderBy, startAt, endAt,
+     * limitToFirst, limitToLast). These can only express a range on a single field, so the conditions on other fields
+     * are left to be evaluated on the client, and the limit is only pushed down if nothing else is.
+     * @returns {{options: Object, residual: Query}} Options for DataSource.child(), and the part of the query to evaluate on the client.
+     */
+    toDataSourceOptions() {
+        let options = {};
+        let residualConditions = [];
+        let orderField = this.order ? this.order.field : null;
+        let rangeField = orderField;
+        if (!rangeField) {
+            let rangeCondition = this.conditions.find(({operator, value}) => ['==', '<', '<=', '>', '>='].indexOf(operator) !== -1 && value !== null);
+            rangeField = rangeCondition ? rangeCondition.field : null;
+        }
+
+        for (let condition of this.conditions) {
+            let {field, operator, value} = condition;
+            let canPushDown = field === rangeField && value !== null;
+            if (canPushDown && operator === '==' && options.startAt === undefined && options.endAt === undefined) {
+                options.startAt = options.endAt = value;
+            } else if (canPushDown && (operator === '>=' || operator === '>') && options.startAt === undefined) {
+                options.startAt = value;
+                /* The DataSource includes the boundary, so exclusive conditions still have to be checked */
+                operator === '>' && residualConditions.push(condition);
+            } else if (canPushDown && (operator === '<=' || operator === '<') && options.endAt === undefined) {
+                options.endAt = value;
+                operator === '<' && residualConditions.push(condition);
+            } else {
+                residualConditions.push(condition);
+            }
+        }
+
+        options.orderBy = rangeField || '.priority';
+
+        /* Limits apply to the order of the DataSource, so they can only be pushed down if that order is the one the client uses */
+        let isOrderedByDataSource = rangeField === orderField;
+        if (this.amount !== undefined && !residualConditions.length && isOrderedByDataSource) {
+            if (this.order && this.order.descending) {
+                options.limitToLast = this.amount;
+            } else {
+                options.limitToFirst = this.amount;
+            }
+        }
+
+        return {options, residual: this.withConditions(residualConditions)};
+    }
+
+    /**
+     * Converts this query to the query options of a MemoryStore view, which evaluates it on the client.
+     * @returns {Object} Query options for MemoryStore.getView().
+     */
+    toMemoryQuery() {
+        return {
+            orderBy: this.order ? this.order.field : '.priority',
+            descending: this.order ? this.order.descending : false,
+            filter: this.conditions.length ? (value, key) => this.matches(value, key) : undefined,
+            limitToFirst: this.amount
+        };
+    }
+
+    /**
+     * Reads a field from the data of a model.
+     * @param {Object} value Data of a model.
+     * @param {String} key Id of the model.
+     * @param {String} field Name of the field, a path such as 'address/city', or 'id'.
+     * @returns {*} Value of the field, or null if it isn't present.
+     */
+    static getFieldValue(value, key, field) {
+        if (field === 'id') {
+            return key;
+        }
+        for (let segment of field.split('/')) {
+            value = (value && typeof value === 'object' && value[segment] !== undefined) ? value[segment] : null;
+        }
+        return value;
+    }
+
+    static _compare(fieldValue, operator, conditionValue) {
+        if (fieldValue === null || typeof fieldValue !== typeof conditionValue) {
+            return false;
+        }
+        switch (operator) {
+            case '<':
+                return fieldValue < conditionValue;
+            case '<=':
+                return fieldValue <= conditionValue;
+            case '>':
+                return fieldValue > conditionValue;
+            case '>=':
+                return fieldValue >= conditionValue;
+            default:
+                return false;
+        }
+    }
+}
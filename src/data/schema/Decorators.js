@@ -0,0 +1,176 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import {Schema}                     from './Schema.js';
+
+function defineField(type, options) {
+    return function (prototype, name, descriptor) {
+        Schema.defineField(prototype, name, {...options, type});
+        return descriptor;
+    };
+}
+
+function defineRelation(kind, type, options, defaults = () => ({})) {
+    return function (prototype, name, descriptor) {
+        Schema.defineRelation(prototype, name, {...defaults(name), ...options, kind, type});
+        return descriptor;
+    };
+}
+
+/**
+ * Decorators that declare the type and constraints of a Model field. The options are described in the Schema constructor.
+ *
+ * @example
+ * export class Box extends Model {
+ *  @field.number({required: true, min: 0})
+ *  get weight() {}
+ * }
+ */
+export const field = {
+
+    /**
+     * Declares a field containing a string. min and max apply to its length.
+     * @param {Object} [options] Field options: default, required, min, max, enum, validate.
+     * @returns {Function} A decorator function
+     */
+    string: function (options = {}) {
+        return defineField('string', options);
+    },
+
+    /**
+     * Declares a field containing a number.
+     * @param {Object} [options] Field options: default, required, min, max, enum, validate.
+     * @returns {Function} A decorator function
+     */
+    number: function (options = {}) {
+        return defineField('number', options);
+    },
+
+    /**
+     * Declares a field containing a boolean.
+     * @param {Object} [options] Field options: default, required, validate.
+     * @returns {Function} A decorator function
+     */
+    boolean: function (options = {}) {
+        return defineField('boolean', options);
+    },
+
+    /**
+     * Declares a field containing an object.
+     * @param {Object} [options] Field options: default, required, validate.
+     * @returns {Function} A decorator function
+     */
+    object: function (options = {}) {
+        return defineField('object', options);
+    },
+
+    /**
+     * Declares a field containing an array. min and max apply to its length.
+     * @param {Object} [options] Field options: default, required, min, max, validate.
+     * @returns {Function} A decorator function
+     */
+    array: function (options = {}) {
+        return defineField('array', options);
+    },
+
+    /**
+     * Declares a field that can contain any type of value.
+     * @param {Object} [options] Field options: default, required, enum, validate.
+     * @returns {Function} A decorator function
+     */
+    any: function (options = {}) {
+        return defineField('any', options);
+    }
+};
+
+/**
+ * Decorators that declare relations between models. Relations resolve lazily to live instances the first time they
+ * are read. The related model type is passed as a function, so models can refer to each other regardless of the order
+ * in which they are defined. Paths of collections and indexes are relative to the root of the DataSource.
+ *
+ * @example
+ * export class Order extends Model {
+ *  @relation.belongsTo(() => Customer, {index: 'CustomerOrders'})
+ *  get customer() {}
+ *  @relation.hasMany(() => OrderLine, {cascade: true})
+ *  get lines() {}
+ *  @relation.manyToMany(() => Tag, {index: 'OrderTags', inverse: 'TagOrders'})
+ *  get tags() {}
+ * }
+ *
+ * export class Customer extends Model {
+ *  @relation.hasMany(() => Order, {index: 'CustomerOrders'})
+ *  get orders() {}
+ * }
+ */
+export const relation = {
+
+    /**
+     * Declares a reference to a model that this model belongs to, by storing its id in a field of this model.
+     * Assigning a model (or null) to the relation stores its id.
+     * @param {Function} type Function returning the Model subclass that is referred to.
+     * @param {Object} [options] Relation options.
+     * @param {String} [options.key] Field containing the id. Defaults to the relation name followed by 'Id'.
+     * @param {String} [options.path] Path of the collection containing the referred models. Defaults to the model name followed by 's'.
+     * @param {String} [options.index] Path of a reverse index, that is kept up to date with an entry
+     *                                 <index>/<referred id>/<own id> for every model referring to another.
+     * @param {Boolean} [options.lookup] Whether the field is a SharePoint lookup column, which stores {id, value} instead of an id.
+     * @returns {Function} A decorator function
+     */
+    belongsTo: function (type, options = {}) {
+        return defineRelation('belongsTo', type, options, (name) => ({key: `${name}Id`}));
+    },
+
+    /**
+     * Declares a reference to a model that this model owns, by storing its id in a field of this model. The referred
+     * model can be removed together with this model.
+     * @param {Function} type Function returning the Model subclass that is referred to.
+     * @param {Object} [options] Relation options.
+     * @param {String} [options.key] Field containing the id. Defaults to the relation name followed by 'Id'.
+     * @param {String} [options.path] Path of the collection containing the referred models. Defaults to the model name followed by 's'.
+     * @param {Boolean} [options.lookup] Whether the field is a SharePoint lookup column, which stores {id, value} instead of an id.
+     * @param {Boolean} [options.cascade] Whether to remove the referred model when this model is removed.
+     * @returns {Function} A decorator function
+     */
+    hasOne: function (type, options = {}) {
+        return defineRelation('hasOne', type, options, (name) => ({key: `${name}Id`}));
+    },
+
+    /**
+     * Declares a PrioritisedArray of models that belong to this model. Without an index, the models are stored in a
+     * branch of their own per model: <path>/<own id>. With an index, they are stored in their normal collection,
+     * and the index <index>/<own id> contains their ids, e.g. the reverse index of a belongsTo relation.
+     * @param {Function} type Function returning the Model subclass of the models in the array.
+     * @param {Object} [options] Relation options.
+     * @param {String} [options.path] Path of the collection containing the models. Defaults to the model name followed by 's'.
+     * @param {String} [options.index] Path of the index containing the ids of the models.
+     * @param {Boolean} [options.cascade] Whether to remove the models when this model is removed.
+     * @returns {Function} A decorator function
+     */
+    hasMany: function (type, options = {}) {
+        return defineRelation('hasMany', type, options);
+    },
+
+    /**
+     * Declares a PrioritisedArray of models that are linked to this model, and possibly to other models as well.
+     * Links are added and removed with model.link() and model.unlink(). They are stored either in an index branch,
+     * or in a field of this model containing an array of ids, such as a SharePoint LookupMulti column.
+     * @param {Function} type Function returning the Model subclass of the linked models.
+     * @param {Object} [options] Relation options.
+     * @param {String} [options.path] Path of the collection containing the models. Defaults to the model name followed by 's'.
+     * @param {String} [options.index] Path of the index that contains an entry <index>/<own id>/<linked id> for every link.
+     * @param {String} [options.inverse] Path of the index that contains an entry <inverse>/<linked id>/<own id> for every link.
+     * @param {String} [options.key] Field containing the array of linked ids, used instead of an index.
+     * @param {Boolean} [options.lookup] Whether the field is a SharePoint LookupMulti column, which stores {id, value} objects instead of ids.
+     * @param {Boolean} [options.cascade] Whether to remove the linked models when this model is removed.
+     * @returns {Function} A decorator function
+     */
+    manyToMany: function (type, options = {}) {
+        return defineRelation('manyToMany', type, options);
+    }
+};
@@ -0,0 +1,381 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import {JoinDataSource}             from '../datasources/JoinDataSource.js';
+import {MemoryDataSource}           from '../datasources/MemoryDataSource.js';
+import {MemoryStore}                from '../datasources/Memory/MemoryStore.js';
+
+/**
+ * Resolves the relations of a single model, declared with the relation decorators, and keeps the indexes of those
+ * relations up to date when the model is written or removed.
+ */
+export class Relations {
+
+    /**
+     * @param {Model} model Model to resolve the relations of.
+     * @param {Object} definitions Relation definitions by relation name, from the schema of the model.
+     * @returns {Relations} Relations instance.
+     */
+    constructor(model, definitions) {
+        this._model = model;
+        this._definitions = definitions;
+        /* Resolved models and PrioritisedArrays, by relation name */
+        this._resolved = {};
+        /* Ids that the reverse indexes of belongsTo relations currently contain for this model, by relation name */
+        this._indexedIds = {};
+        /* Local indexes of manyToMany relations that store their links in a field of the model, by relation name */
+        this._fieldIndexes = {};
+        /* Root of the backend of the model, which the indexes are stored in. Resolved once it is needed */
+        this._root = null;
+    }
+
+    /**
+     * Names of all relations.
+     * @returns {Array.<String>} Relation names.
+     */
+    get names() {
+        return Object.keys(this._definitions);
+    }
+
+    /**
+     * Names of the fields of the model that relations store ids in.
+     * @returns {Array.<String>} Field names.
+     */
+    get keyFields() {
+        return this.names.map((name) => this._definitions[name].key).filter((key) => key);
+    }
+
+    /**
+     * Gets the id from the value of a field referring to another model, which is either the id itself, or an {id, value}
+     * object in case of SharePoint lookup columns.
+     * @param {*} value Value of the field.
+     * @returns {String|null} Id, or null if the field doesn't refer to a model.
+     */
+    static getId(value) {
+        if (value === undefined || value === null) {
+            return null;
+        }
+        return typeof value === 'object' ? value.id : value;
+    }
+
+    /**
+     * Resolves a relation.
+     * @param {String} name Name of the relation.
+     * @returns {Model|PrioritisedArray|null} The referred model of a belongsTo or hasOne relation (or null if there
+     *                                        is none), or a PrioritisedArray of the models of a hasMany or manyToMany relation.
+     */
+    get(name) {
+        let definition = this._definitions[name];
+        if (definition.kind === 'belongsTo' || definition.kind === 'hasOne') {
+            return this._getReferredModel(name, definition);
+        }
+        if (!this._resolved[name]) {
+            this._resolved[name] = this._createArray(name, definition);
+        }
+        return this._resolved[name];
+    }
+
+    /**
+     * Makes a belongsTo or hasOne relation refer to another model, by storing its id in the key field of the model.
+     * @param {String} name Name of the relation.
+     * @param {Model|null} relatedModel Model to refer to, or null to clear the reference.
+     * @returns {void}
+     */
+    set(name, relatedModel) {
+        let definition = this._definitions[name];
+        if (definition.kind !== 'belongsTo' && definition.kind !== 'hasOne') {
+            throw new Error(`Can't assign to the ${definition.kind} relation '${name}', use link() and unlink() or its PrioritisedArray instead`);
+        }
+        this._resolved[name] = relatedModel || null;
+        this._model[definition.key] = relatedModel ? this._toKeyValue(definition, relatedModel.id) : null;
+    }
+
+    /**
+     * Links another model to a manyToMany relation, or to a hasMany relation with an index.
+     * @param {String} name Name of the relation.
+     * @param {Model} relatedModel Model to link.
+     * @returns {Promise} Resolves when the link is written.
+     */
+    link(name, relatedModel) {
+        let definition = this._getIndexedDefinition(name);
+        if (definition.key) {
+            let items = this._getLinkedItems(definition);
+            if (items.map(Relations.getId).indexOf(relatedModel.id) === -1) {
+                this._model[definition.key] = [...items, this._toKeyValue(definition, relatedModel.id)];
+            }
+            return this._model.synced();
+        }
+        let root = this._getRoot();
+        let writes = [root.child(`${definition.index}/${this._model.id}/${relatedModel.id}`).set(true)];
+        if (definition.inverse) {
+            writes.push(root.child(`${definition.inverse}/${relatedModel.id}/${this._model.id}`).set(true));
+        }
+        return Promise.all(writes);
+    }
+
+    /**
+     * Removes the link to another model from a manyToMany relation, or from a hasMany relation with an index.
+     * The other model itself is not removed.
+     * @param {String} name Name of the relation.
+     * @param {Model} relatedModel Model to unlink.
+     * @returns {Promise} Resolves when the link is removed.
+     */
+    unlink(name, relatedModel) {
+        let definition = this._getIndexedDefinition(name);
+        if (definition.key) {
+            let items = this._getLinkedItems(definition);
+            this._model[definition.key] = items.filter((item) => Relations.getId(item) !== relatedModel.id);
+            return this._model.synced();
+        }
+        let root = this._getRoot();
+        let removals = [root.child(`${definition.index}/${this._model.id}/${relatedModel.id}`).remove()];
+        if (definition.inverse) {
+            removals.push(root.child(`${definition.inverse}/${relatedModel.id}/${this._model.id}`).remove());
+        }
+        return Promise.all(removals);
+    }
+
+    /**
+     * Updates the reverse indexes of belongsTo relations whose id changed. Called when the model is written.
+     * @param {Object} [record] Data that is written. Defaults to the data of the model.
+     * @param {String} [id] Id of the model. Defaults to the id of the model.
+     * @returns {Promise} Resolves when the indexes are written.
+     */
+    synchronizeIndexes(record = this._model, id = this._model.id) {
+        if (!this.names.length) {
+            return Promise.resolve();
+        }
+        let root = this._getRoot();
+        let writes = [];
+        for (let name in this._definitions) {
+            let definition = this._definitions[name];
+            if (definition.kind === 'belongsTo' && definition.index) {
+                let relatedId = Relations.getId((record || {})[definition.key]);
+                let previousId = this._indexedIds[name] === undefined ? null : this._indexedIds[name];
+                if (relatedId !== previousId) {
+                    if (previousId !== null) {
+                        writes.push(root.child(`${definition.index}/${previousId}/${id}`).remove());
+                    }
+                    if (relatedId !== null) {
+                        writes.push(root.child(`${definition.index}/${relatedId}/${id}`).set(true));
+                    }
+                    this._indexedIds[name] = relatedId;
+                }
+            }
+        }
+        this._updateFieldIndexes();
+        return Promise.all(writes);
+    }
+
+    /**
+     * Remembers which ids the indexes contain for this model. Called when the data of the model is received from the dataSource.
+     * @returns {void}
+     */
+    onDataReceived() {
+        if (!this.names.length) {
+            return;
+        }
+        for (let name in this._definitions) {
+            let definition = this._definitions[name];
+            if (definition.kind === 'belongsTo' && definition.index) {
+                this._indexedIds[name] = Relations.getId(this._model[definition.key]);
+            }
+        }
+        this._updateFieldIndexes();
+    }
+
+    /**
+     * Removes the entries of this model from all indexes, and the related models of relations that cascade.
+     * Called when the model is removed.
+     * @returns {Promise} Resolves when everything is removed.
+     */
+    remove() {
+        if (!this.names.length) {
+            return Promise.resolve();
+        }
+        let root = this._getRoot();
+        let id = this._model.id;
+        let removals = [];
+        for (let name in this._definitions) {
+            let definition = this._definitions[name];
+            switch (definition.kind) {
+                case 'belongsTo': {
+                    let relatedId = Relations.getId(this._model[definition.key]);
+                    if (definition.index && relatedId !== null) {
+                        removals.push(root.child(`${definition.index}/${relatedId}/${id}`).remove());
+                    }
+                    break;
+                }
+                case 'hasOne': {
+                    let relatedId = Relations.getId(this._model[definition.key]);
+                    if (definition.cascade && relatedId !== null) {
+                        removals.push(Relations._removeModel(definition, relatedId));
+                    }
+                    break;
+                }
+                case 'hasMany':
+                    if (!definition.index) {
+                        /* The models are stored in a branch of their own, which can be removed at once */
+                        definition.cascade && removals.push(root.child(`${Relations._getCollectionPath(definition)}/${id}`).remove());
+                    } else {
+                        removals.push(this._removeIndex(definition));
+                    }
+                    break;
+                case 'manyToMany':
+                    if (definition.key) {
+                        if (definition.cascade) {
+                            removals.push(...this._getLinkedItems(definition).map((item) => Relations._removeModel(definition, Relations.getId(item))));
+                        }
+                    } else {
+                        removals.push(this._removeIndex(definition));
+                    }
+                    break;
+            }
+        }
+        return Promise.all(removals);
+    }
+
+    /**
+     * Returns the root of the backend that the model is stored in, so that its indexes are stored alongside it.
+     * @returns {DataSource} Root dataSource.
+     * @private
+     */
+    _getRoot() {
+        if (!this._root) {
+            this._root = this._model.dataSource.rootDataSource();
+        }
+        return this._root;
+    }
+
+    static _getCollectionPath(definition) {
+        let type = definition.type();
+        return definition.path || `${type._name || type.name}s`;
+    }
+
+    /**
+     * Removes a related model through a model instance, so that its own relations are removed as well.
+     * @param {Object} definition Relation definition.
+     * @param {String} id Id of the related model.
+     * @returns {Promise} Resolves when the model is removed.
+     * @private
+     */
+    static _removeModel(definition, id) {
+        let RelatedModel = definition.type();
+        let relatedModel = new RelatedModel(id, null, {path: Relations._getCollectionPath(definition)});
+        return relatedModel.once('ready').then(() => relatedModel.remove());
+    }
+
+    /**
+     * Removes the index branch of this model, the inverse entries of the linked models, and the linked models themselves
+     * if the relation cascades.
+     * @param {Object} definition Relation definition.
+     * @returns {Promise} Resolves when everything is removed.
+     * @private
+     */
+    _removeIndex(definition) {
+        let root = this._getRoot();
+        let id = this._model.id;
+        let index = root.child(`${definition.index}/${id}`);
+        return index.once('value').then((snapshot) => {
+            let removals = [];
+            for (let relatedId of Object.keys(snapshot.val() || {})) {
+                if (definition.inverse) {
+                    removals.push(root.child(`${definition.inverse}/${relatedId}/${id}`).remove());
+                }
+                if (definition.cascade) {
+                    removals.push(Relations._removeModel(definition, relatedId));
+                }
+            }
+            removals.push(index.remove());
+            return Promise.all(removals);
+        });
+    }
+
+    _getReferredModel(name, definition) {
+        let id = Relations.getId(this._model[definition.key]);
+        if (id === null) {
+            return null;
+        }
+        let resolved = this._resolved[name];
+        if (!resolved || resolved.id !== id) {
+            let RelatedModel = definition.type();
+            resolved = this._resolved[name] = new RelatedModel(id, null, {path: Relations._getCollectionPath(definition)});
+        }
+        return resolved;
+    }
+
+    _createArray(name, definition) {
+        if (!Relations.arrayType) {
+            throw new Error(`The PrioritisedArray module must be loaded to resolve the ${definition.kind} relation '${name}'`);
+        }
+        let root = this._getRoot();
+        let collection = root.child(Relations._getCollectionPath(definition));
+        let dataSource;
+        if (definition.kind === 'hasMany' && !definition.index) {
+            dataSource = collection.child(this._model.id);
+        } else if (definition.kind === 'hasMany') {
+            dataSource = new JoinDataSource(collection, root.child(`${definition.index}/${this._model.id}`));
+        } else {
+            let index = definition.key ? this._getFieldIndex(name) : root.child(`${definition.index}/${this._model.id}`);
+            dataSource = new JoinDataSource(collection, index, {link: (id) => this.link(name, {id})});
+        }
+        return new Relations.arrayType(definition.type(), dataSource);
+    }
+
+    _getIndexedDefinition(name) {
+        let definition = this._definitions[name];
+        if (definition.kind !== 'manyToMany' && !(definition.kind === 'hasMany' && definition.index)) {
+            throw new Error(`Only manyToMany relations and hasMany relations with an index can be linked, '${name}' is neither`);
+        }
+        return definition;
+    }
+
+    _toKeyValue(definition, id) {
+        /* The display value of a lookup is ignored by SharePoint when writing, but must not be empty */
+        return definition.lookup ? {id, value: `${id}`} : id;
+    }
+
+    _getLinkedItems(definition) {
+        let value = this._model[definition.key];
+        if (!value) {
+            return [];
+        }
+        if (value instanceof Array) {
+            return value;
+        }
+        /* SharePoint returns a LookupMulti column containing a single value as an object instead of an array */
+        return value.id !== undefined ? [value] : Object.keys(value).map((key) => value[key]);
+    }
+
+    /**
+     * Returns a local index of the ids in the key field of a manyToMany relation, that a JoinDataSource can follow.
+     * @param {String} name Name of the relation.
+     * @returns {MemoryDataSource} Index.
+     * @private
+     */
+    _getFieldIndex(name) {
+        if (!this._fieldIndexes[name]) {
+            this._fieldIndexes[name] = new MemoryDataSource('', {store: new MemoryStore()});
+            this._updateFieldIndexes();
+        }
+        return this._fieldIndexes[name];
+    }
+
+    _updateFieldIndexes() {
+        for (let name in this._fieldIndexes) {
+            let ids = {};
+            for (let item of this._getLinkedItems(this._definitions[name])) {
+                ids[Relations.getId(item)] = true;
+            }
+            this._fieldIndexes[name].set(ids);
+        }
+    }
+}
+
+/* The PrioritisedArray class, set by the PrioritisedArray module. It can't be imported here, because PrioritisedArray depends on Model */
+Relations.arrayType = null;
@@ -0,0 +1,222 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import isEqual                      from 'lodash/isEqual.js';
+
+/* Field definitions per prototype, as declared with the field decorators */
+let fieldDefinitions = new Map();
+
+/* Relation definitions per prototype, as declared with the relation decorators */
+let relationDefinitions = new Map();
+
+/* Schemas per prototype, including the field definitions of the prototypes it inherits from */
+let schemas = new Map();
+
+/* Checks whether a value is of the type that a field is declared with */
+const TYPE_CHECKS = {
+    string: (value) => typeof value === 'string',
+    number: (value) => typeof value === 'number' && !isNaN(value),
+    boolean: (value) => typeof value === 'boolean',
+    object: (value) => typeof value === 'object' && !(value instanceof Array),
+    array: (value) => value instanceof Array,
+    any: () => true
+};
+
+/**
+ * The field definitions of a Model, used to validate its data and to fill in defaults for new records.
+ * Fields are declared with the field decorators:
+ *
+ * @example
+ * export class Box extends Model {
+ *  @field.string({required: true})
+ *  get label() {}
+ *  @field.number({min: 0, default: 1})
+ *  get amount() {}
+ *  @field.string({enum: ['open', 'shipped']})
+ *  get status() {}
+ * }
+ */
+export class Schema {
+
+    /**
+     * @param {Object} fields Field definitions by field name. A definition can contain:
+     *                        type: One of 'string', 'number', 'boolean', 'object', 'array' or 'any'.
+     *                        default: Value of the field in new records, or a function returning it.
+     *                        required: Whether the field must have a value.
+     *                        min, max: Bounds of a number, or of the length of a string or array.
+     *                        enum: Array of allowed values.
+     *                        validate: Function(value, record) returning false or an error message if the value is invalid.
+     * @param {Object} [relations] Relation definitions by relation name, see the relation decorators.
+     * @returns {Schema} Schema instance.
+     */
+    constructor(fields = {}, relations = {}) {
+        this.fields = fields;
+        this.relations = relations;
+    }
+
+    /**
+     * Names of all declared fields.
+     * @returns {Array.<String>} Field names.
+     */
+    get fieldNames() {
+        return Object.keys(this.fields);
+    }
+
+    /**
+     * Declares a field on a prototype, merging the definition with any earlier declaration of the same field.
+     * Used by the field decorators.
+     * @param {Object} prototype Prototype of a Model subclass.
+     * @param {String} name Name of the field.
+     * @param {Object} definition Field definition, see the constructor.
+     * @returns {void}
+     */
+    static defineField(prototype, name, definition) {
+        if (!fieldDefinitions.has(prototype)) {
+            fieldDefinitions.set(prototype, {});
+        }
+        let definitions = fieldDefinitions.get(prototype);
+        definitions[name] = {...definitions[name], ...definition};
+        schemas.clear();
+    }
+
+    /**
+     * Declares a relation on a prototype. Used by the relation decorators.
+     * @param {Object} prototype Prototype of a Model subclass.
+     * @param {String} name Name of the relation.
+     * @param {Object} definition Relation definition.
+     * @returns {void}
+     */
+    static defineRelation(prototype, name, definition) {
+        if (!relationDefinitions.has(prototype)) {
+            relationDefinitions.set(prototype, {});
+        }
+        relationDefinitions.get(prototype)[name] = definition;
+        schemas.clear();
+    }
+
+    /**
+     * Returns the schema of a prototype, combining the fields and relations declared on it and on the prototypes it inherits from.
+     * @param {Object} prototype Prototype of a Model subclass.
+     * @returns {Schema} Schema of the prototype, which has no fields if none were declared.
+     */
+    static forPrototype(prototype) {
+        let schema = schemas.get(prototype);
+        if (!schema) {
+            let fields = {}, relations = {};
+            /* Walk the prototype chain from the top, so subclasses can override the definitions of their superclasses */
+            let chain = [];
+            for (let current = prototype; current; current = Object.getPrototypeOf(current)) {
+                chain.unshift(current);
+            }
+            for (let current of chain) {
+                let definitions = fieldDefinitions.get(current) || {};
+                for (let name in definitions) {
+                    fields[name] = {...fields[name], ...definitions[name]};
+                }
+                Object.assign(relations, relationDefinitions.get(current));
+            }
+            schema = new Schema(fields, relations);
+            schemas.set(prototype, schema);
+        }
+        return schema;
+    }
+
+    /**
+     * Creates the error that synced() and transaction() reject with when validation fails.
+     * @param {Array.<Object>} errors Validation errors, as returned by validate().
+     * @returns {Error} Error with code 'validation_failed', and the validation errors in its errors property.
+     */
+    static createValidationError(errors) {
+        let error = new Error(`Validation failed: ${errors.map(({message}) => message).join(', ')}`);
+        error.code = 'validation_failed';
+        error.errors = errors;
+        return error;
+    }
+
+    /**
+     * Fills in the defaults of all fields that have no value yet.
+     * @param {Object} data Data of a new record. Can be null.
+     * @param {Object} [existing] Record whose values take precedence over the defaults, e.g. the model the data is written to.
+     * @returns {Object} Copy of the data with defaults, or the data itself if no defaults apply.
+     */
+    applyDefaults(data, existing = {}) {
+        let result = data;
+        for (let name in this.fields) {
+            let definition = this.fields[name];
+            let hasValue = (data && data[name] !== undefined) || existing[name] !== undefined;
+            if (!hasValue && definition.default !== undefined) {
+                result = {...result};
+                result[name] = typeof definition.default === 'function' ? definition.default() : definition.default;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Validates all fields of a record.
+     * @param {Object} record Model or plain data to validate. Can be null.
+     * @returns {Array.<Object>} Validation errors, or an empty array if the record is valid. Each error contains the
+     *                           field, the rule that failed ('required', 'type', 'min', 'max', 'enum' or 'validate'),
+     *                           the value, and a message.
+     */
+    validate(record) {
+        record = record || {};
+        let errors = [];
+        for (let name in this.fields) {
+            errors.push(...this.validateField(name, record[name], record));
+        }
+        return errors;
+    }
+
+    /**
+     * Validates a single field.
+     * @param {String} name Name of the field.
+     * @param {*} value Value of the field.
+     * @param {Object} [record] The record the value belongs to, which is passed to custom validators.
+     * @returns {Array.<Object>} Validation errors of the field, see validate().
+     */
+    validateField(name, value, record = {}) {
+        let definition = this.fields[name];
+        if (!definition) {
+            return [];
+        }
+        let createError = (rule, message) => ({field: name, rule, value, message: `${name} ${message}`});
+
+        if (value === undefined || value === null) {
+            return definition.required ? [createError('required', 'is required')] : [];
+        }
+        /* Server-side placeholders such as timestamps are resolved by the backend, so their type can't be checked yet */
+        if (typeof value === 'object' && value['.sv'] !== undefined) {
+            return [];
+        }
+
+        let type = definition.type || 'any';
+        if (!TYPE_CHECKS[type](value)) {
+            return [createError('type', `must be of type ${type}`)];
+        }
+
+        let errors = [];
+        let size = typeof value === 'number' ? value : value.length;
+        if (definition.min !== undefined && size < definition.min) {
+            errors.push(createError('min', typeof value === 'number' ? `must be at least ${definition.min}` : `must have a length of at least ${definition.min}`));
+        }
+        if (definition.max !== undefined && size > definition.max) {
+            errors.push(createError('max', typeof value === 'number' ? `must be at most ${definition.max}` : `must have a length of at most ${definition.max}`));
+        }
+        if (definition.enum && !definition.enum.some((allowedValue) => isEqual(allowedValue, value))) {
+            errors.push(createError('enum', `must be one of ${definition.enum.join(', ')}`));
+        }
+        if (definition.validate) {
+            let result = definition.validate(value, record);
+            if (result !== true && result !== undefined) {
+                errors.push(createError('validate', typeof result === 'string' ? result : 'is invalid'));
+            }
+        }
+        return errors;
+    }
+}
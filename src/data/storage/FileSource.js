@@ -6,19 +6,25 @@ export class FileSource {
 
     /**
      * @param {String} path Full path to resource in remote data storage.
+     * @param {Object} [options] Optional: options to construct the FileSource with.
+     * @param {Function} [options.isOnline] Optional, function returning whether the remote store is reachable.
+     *                                      Uploads interrupted while offline are resumed when the connection is back.
+     *                                      Defaults to navigator.onLine.
      * @return {DataSource} DataSource instance.
      **/
-    constructor(path) {
+    constructor(path, options = {}) {
         this._dataReference = null;
+        this.options = options;
     }
 
     /**
      * Uploads a new file to the remote store.
      *
      * @param {File|Blob} file
-     * @returns {Promise.<void>}
+     * @param {Object} [metadata] Optional metadata of the file, e.g. {contentType: 'image/png', customMetadata: {owner: 'john'}}.
+     * @returns {UploadTask} The upload, which resolves with the download URL of the uploaded file.
      */
-    async push(file) {
+    async push(file, metadata) {
         (console.warn || console.log)(`${this.constructor.name}.push() is not yet implemented`);
     }
 
@@ -35,9 +41,10 @@ export class FileSource {
      * Uploads and overwrites a new picture to an existing location.
      * @param {String} fileName Existing file name, and also the name under which the new file will be saved.
      * @param file
-     * @returns {Promise.Boolean}
+     * @param {Object} [metadata] Optional metadata of the file.
+     * @returns {UploadTask} The upload, which resolves with true.
      */
-    async set(fileName, file) {
+    async set(fileName, file, metadata) {
         (console.warn || console.log)(`${this.constructor.name}.set() is not yet implemented`);
     }
 
@@ -49,4 +56,41 @@ export class FileSource {
     async remove(fileName) {
         (console.warn || console.log)(`${this.constructor.name}.remove() is not yet implemented`);
     }
+
+    /**
+     * Lists the names of the files in the store path.
+     * @returns {Promise.<Array.<String>>}
+     */
+    async list() {
+        (console.warn || console.log)(`${this.constructor.name}.list() is not yet implemented`);
+    }
+
+    /**
+     * Gets the metadata of a file.
+     * @param {String} fileName
+     * @returns {Promise.<Object>} The metadata, {name, fullPath, size, contentType, timeCreated, updated, customMetadata},
+     *                             or null if the file doesn't exist.
+     */
+    async getMetadata(fileName) {
+        (console.warn || console.log)(`${this.constructor.name}.getMetadata() is not yet implemented`);
+    }
+
+    /**
+     * Updates the content type and custom metadata of a file. Custom fields that aren't given are kept.
+     * @param {String} fileName
+     * @param {Object} metadata e.g. {contentType: 'application/pdf', customMetadata: {reviewed: 'true'}}.
+     * @returns {Promise.<Object>} The updated metadata.
+     */
+    async setMetadata(fileName, metadata) {
+        (console.warn || console.log)(`${this.constructor.name}.setMetadata() is not yet implemented`);
+    }
+
+    /**
+     * Gets a URL the file can be downloaded from, e.g. to show an image.
+     * @param {String} fileName
+     * @returns {Promise.<String>} The URL, or null if the file doesn't exist.
+     */
+    async getDownloadURL(fileName) {
+        (console.warn || console.log)(`${this.constructor.name}.getDownloadURL() is not yet implemented`);
+    }
 }
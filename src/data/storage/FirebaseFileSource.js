@@ -2,40 +2,179 @@
  * Created by tom on 07/02/2017.
  */
 
-export class FirebaseFileSource {
+import firebase             from 'firebase';
+import {FileSource}         from './FileSource.js';
+import {UploadTask}         from './UploadTask.js';
+
+/* Code of the errors Firebase Storage rejects with when a file doesn't exist */
+const OBJECT_NOT_FOUND = 'storage/object-not-found';
+
+export class FirebaseFileSource extends FileSource {
 
     /**
      * @param {String} path Full path to resource in remote data storage.
-     * @return {DataSource} DataSource instance.
+     * @param {Object} [options] Optional: options to construct the FileSource with.
+     * @param {Object} [options.customFirebase] Optional, the firebase instance to use instead of the imported one.
+     * @param {Function} [options.isOnline] Optional, function returning whether Firebase Storage is reachable.
+     *                                      Defaults to navigator.onLine.
+     * @return {FirebaseFileSource} FirebaseFileSource instance.
      **/
-    constructor(path) {
+    constructor(path, options = {}) {
+        super(path, options);
         this.path = path;
-        this.storage = firebase.storage();
+        this._firebase = options.customFirebase || firebase;
+        this.storage = this._firebase.storage();
         this.storageRef = this.storage.ref(this.path);
     }
 
     /**
-     * Uploads a new file to the remote store.
+     * Uploads a new file to the remote store. The file name is prefixed with the current time, so it doesn't
+     * replace an existing file.
      *
      * @param {File|Blob} file
-     * @returns {Promise.<void>}
-     */
-    async push(file) {
-        return new Promise((resolve, reject) => {
-            let fileRef = this.storageRef.child(`${Date.now()}-${file.name}`);
-            let uploadTask = fileRef.put(file);
-
-            uploadTask.on('state_changed', function (snapshot) {
-                /* Progress is available here */
-            }, function (error) {
-                reject(error);
-            }, function () {
-                if(uploadTask.snapshot && uploadTask.snapshot.downloadURL) {
-                    resolve(uploadTask.snapshot.downloadURL);
-                } else {
-                    reject('No downloadURL in response');
-                }
+     * @param {Object} [metadata] Optional metadata of the file, e.g. {contentType: 'image/png', customMetadata: {owner: 'john'}}.
+     * @returns {UploadTask} The upload, which resolves with the download URL of the uploaded file.
+     */
+    push(file, metadata) {
+        return this._upload(this.storageRef.child(`${Date.now()}-${file.name}`), file, metadata);
+    }
+
+    /**
+     * Downloads an existing file from the remote store.
+     * @param {String} fileName file name without the preceeding store path (.e.g picture.jpg).
+     * @returns {Promise.<Blob>} The contents of the file, or null if it doesn't exist.
+     */
+    async get(fileName) {
+        let url = await this.getDownloadURL(fileName);
+        if (!url) {
+            return null;
+        }
+        let response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Downloading ${fileName} failed: ${response.statusText}`);
+        }
+        return response.blob();
+    }
+
+    /**
+     * Uploads and overwrites a file at an existing location.
+     * @param {String} fileName Existing file name, and also the name under which the new file will be saved.
+     * @param {File|Blob} file
+     * @param {Object} [metadata] Optional metadata of the file.
+     * @returns {UploadTask} The upload, which resolves with true.
+     */
+    set(fileName, file, metadata) {
+        return this._upload(this.storageRef.child(fileName), file, metadata, () => true);
+    }
+
+    /**
+     * Removes the file with the given name, if present.
+     * @param {String} fileName
+     * @returns {Promise.<Boolean>} Whether the file existed.
+     */
+    async remove(fileName) {
+        return this.storageRef.child(fileName).delete()
+            .then(() => true, (error) => FirebaseFileSource._ifNotFound(error, false));
+    }
+
+    /**
+     * Lists the names of the files in the store path. Listing was added to Firebase Storage in version 6.1 of the
+     * Firebase SDK, so this rejects with code 'not_supported' on older versions.
+     * @returns {Promise.<Array.<String>>}
+     */
+    async list() {
+        if (!this.storageRef.listAll) {
+            let error = new Error('Listing files requires version 6.1 or later of the Firebase SDK');
+            error.code = 'not_supported';
+            throw error;
+        }
+        let {items} = await this.storageRef.listAll();
+        return items.map(({name}) => name);
+    }
+
+    /**
+     * Gets the metadata of a file.
+     * @param {String} fileName
+     * @returns {Promise.<Object>} The metadata, {name, fullPath, size, contentType, timeCreated, updated, customMetadata},
+     *                             or null if the file doesn't exist.
+     */
+    async getMetadata(fileName) {
+        return this.storageRef.child(fileName).getMetadata()
+            .then(FirebaseFileSource._normalizeMetadata, (error) => FirebaseFileSource._ifNotFound(error, null));
+    }
+
+    /**
+     * Updates the content type and custom metadata of a file. Custom fields that aren't given are kept, and
+     * custom fields set to null are removed.
+     * @param {String} fileName
+     * @param {Object} metadata e.g. {contentType: 'application/pdf', customMetadata: {reviewed: 'true'}}.
+     * @returns {Promise.<Object>} The updated metadata.
+     */
+    async setMetadata(fileName, {contentType, customMetadata}) {
+        let update = {};
+        if (contentType !== undefined) {
+            update.contentType = contentType;
+        }
+        if (customMetadata !== undefined) {
+            update.customMetadata = customMetadata;
+        }
+        return FirebaseFileSource._normalizeMetadata(await this.storageRef.child(fileName).updateMetadata(update));
+    }
+
+    /**
+     * Gets a URL the file can be downloaded from, e.g. to show an image.
+     * @param {String} fileName
+     * @returns {Promise.<String>} The URL, or null if the file doesn't exist.
+     */
+    async getDownloadURL(fileName) {
+        return this.storageRef.child(fileName).getDownloadURL()
+            .then((url) => url, (error) => FirebaseFileSource._ifNotFound(error, null));
+    }
+
+    /**
+     * Uploads through a Firebase upload task, which can be paused and resumed without starting over.
+     * @param {Object} fileRef Firebase Storage reference to upload to.
+     * @param {File|Blob} file
+     * @param {Object} [metadata] Optional metadata of the file.
+     * @param {Function} [getResult] Optional, function returning the result of the upload given the download URL.
+     * @returns {UploadTask} The upload.
+     * @private
+     */
+    _upload(fileRef, file, metadata, getResult = (url) => url) {
+        return new UploadTask(({onProgress}) => {
+            let uploadTask = fileRef.put(file, metadata);
+            let promise = new Promise((resolve, reject) => {
+                uploadTask.on('state_changed', function (snapshot) {
+                    onProgress(snapshot.bytesTransferred);
+                }, function (error) {
+                    reject(error);
+                }, function () {
+                    if(uploadTask.snapshot && uploadTask.snapshot.downloadURL) {
+                        resolve(uploadTask.snapshot.downloadURL);
+                    } else {
+                        /* Newer versions of the SDK no longer include the download URL in the snapshot */
+                        fileRef.getDownloadURL().then(resolve, () => reject('No downloadURL in response'));
+                    }
+                });
             });
-        });
+            return {
+                promise: promise.then(getResult),
+                abort: () => uploadTask.cancel(),
+                pause: () => uploadTask.pause(),
+                resume: () => uploadTask.resume()
+            };
+        }, {totalBytes: file.size, isOnline: this.options.isOnline});
+    }
+
+    static _normalizeMetadata({name, fullPath, size, contentType, timeCreated, updated, customMetadata}) {
+        return {name, fullPath, size, contentType, timeCreated, updated, customMetadata: customMetadata || {}};
+    }
+
+    /* Resolves with the given value if the error is about a file that doesn't exist, and rethrows it otherwise */
+    static _ifNotFound(error, value) {
+        if (error && error.code === OBJECT_NOT_FOUND) {
+            return value;
+        }
+        throw error;
     }
 }
@@ -0,0 +1,239 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import {FileSource}         from './FileSource.js';
+import {UploadTask}         from './UploadTask.js';
+
+/* The files of all MemoryFileSources that aren't given a store explicitly, by their full path */
+let defaultStore = new Map();
+
+/**
+ * A FileSource that keeps its files in memory. It behaves like the FirebaseFileSource, which makes it suitable for
+ * unit tests and offline demos of code that uploads and downloads files.
+ *
+ * @example
+ * let photos = new MemoryFileSource('users/john/photos');
+ * let url = await photos.push(file, {customMetadata: {album: 'Holiday'}});
+ */
+export class MemoryFileSource extends FileSource {
+
+    /**
+     * Returns the store that is used by MemoryFileSources which aren't constructed with an explicit store.
+     * @returns {Map} Default store.
+     */
+    static get defaultStore() {
+        return defaultStore;
+    }
+
+    static set defaultStore(value) {
+        defaultStore = value;
+    }
+
+    /**
+     * @param {String} path Path of the folder the files are stored in, e.g. 'users/john/photos'.
+     * @param {Object} [options] Optional: options to construct the FileSource with.
+     * @param {Map} [options.store] Optional, the store to keep the files in. Defaults to MemoryFileSource.defaultStore.
+     * @param {Number} [options.chunkSize] Optional, number of bytes that are stored at a time, like an upload that
+     *                                     reports its progress. Defaults to 262144.
+     * @param {Function} [options.isOnline] Optional, function returning whether the store is reachable, to simulate
+     *                                      interrupted uploads. Defaults to always being online.
+     * @return {MemoryFileSource} MemoryFileSource instance.
+     */
+    constructor(path = '', options = {}) {
+        super(path, {chunkSize: 256 * 1024, isOnline: () => true, ...options});
+        this.path = path.split('/').filter((segment) => segment).join('/');
+        this._store = options.store || defaultStore;
+    }
+
+    /**
+     * Stores a new file. The file name is prefixed with the current time, so it doesn't replace an existing file.
+     * @param {File|Blob} file
+     * @param {Object} [metadata] Optional metadata of the file, e.g. {contentType: 'image/png', customMetadata: {owner: 'john'}}.
+     * @returns {UploadTask} The upload, which resolves with the download URL of the file.
+     */
+    push(file, metadata) {
+        return this._upload(`${Date.now()}-${file.name}`, file, metadata, ({url}) => url);
+    }
+
+    /**
+     * @param {String} fileName
+     * @returns {Promise.<Blob>} The contents of the file, or null if it doesn't exist.
+     */
+    async get(fileName) {
+        let entry = this._store.get(this._getFullPath(fileName));
+        return entry ? entry.file : null;
+    }
+
+    /**
+     * Stores a file, replacing the file with the same name if there is one.
+     * @param {String} fileName
+     * @param {File|Blob} file
+     * @param {Object} [metadata] Optional metadata of the file.
+     * @returns {UploadTask} The upload, which resolves with true.
+     */
+    set(fileName, file, metadata) {
+        return this._upload(fileName, file, metadata, () => true);
+    }
+
+    /**
+     * @param {String} fileName
+     * @returns {Promise.<Boolean>} Whether the file existed.
+     */
+    async remove(fileName) {
+        let fullPath = this._getFullPath(fileName);
+        let entry = this._store.get(fullPath);
+        if (!entry) {
+            return false;
+        }
+        MemoryFileSource._revokeUrl(entry.url);
+        this._store.delete(fullPath);
+        return true;
+    }
+
+    /**
+     * Lists the names of the files in the path, without those in its subfolders.
+     * @returns {Promise.<Array.<String>>}
+     */
+    async list() {
+        let prefix = this.path ? `${this.path}/` : '';
+        return [...this._store.keys()]
+            .filter((fullPath) => fullPath.startsWith(prefix) && fullPath.indexOf('/', prefix.length) === -1)
+            .map((fullPath) => fullPath.substring(prefix.length))
+            .sort();
+    }
+
+    /**
+     * @param {String} fileName
+     * @returns {Promise.<Object>} The metadata, {name, fullPath, size, contentType, timeCreated, updated, customMetadata},
+     *                             or null if the file doesn't exist.
+     */
+    async getMetadata(fileName) {
+        let entry = this._store.get(this._getFullPath(fileName));
+        return entry ? MemoryFileSource._copyMetadata(entry.metadata) : null;
+    }
+
+    /**
+     * Updates the content type and custom metadata of a file. Custom fields that aren't given are kept, and
+     * custom fields set to null are removed.
+     * @param {String} fileName
+     * @param {Object} metadata e.g. {contentType: 'application/pdf', customMetadata: {reviewed: 'true'}}.
+     * @returns {Promise.<Object>} The updated metadata.
+     */
+    async setMetadata(fileName, {contentType, customMetadata = {}}) {
+        let entry = this._store.get(this._getFullPath(fileName));
+        if (!entry) {
+            let error = new Error(`File '${fileName}' does not exist`);
+            error.code = 'storage/object-not-found';
+            throw error;
+        }
+        let {metadata} = entry;
+        if (contentType !== undefined) {
+            metadata.contentType = contentType;
+        }
+        for (let key of Object.keys(customMetadata)) {
+            if (customMetadata[key] === null) {
+                delete metadata.customMetadata[key];
+            } else {
+                metadata.customMetadata[key] = customMetadata[key];
+            }
+        }
+        metadata.updated = new Date().toISOString();
+        return MemoryFileSource._copyMetadata(metadata);
+    }
+
+    /**
+     * @param {String} fileName
+     * @returns {Promise.<String>} The URL, or null if the file doesn't exist.
+     */
+    async getDownloadURL(fileName) {
+        let entry = this._store.get(this._getFullPath(fileName));
+        return entry ? entry.url : null;
+    }
+
+    /**
+     * Transfers the file a chunk at a time, continuing where an earlier transfer stopped. The file is stored once
+     * all chunks are transferred.
+     * @param {String} fileName
+     * @param {File|Blob} file
+     * @param {Object} [metadata] Optional metadata of the file.
+     * @param {Function} getResult Function returning the result of the upload given the stored entry.
+     * @returns {UploadTask} The upload.
+     * @private
+     */
+    _upload(fileName, file, metadata, getResult) {
+        let {chunkSize, isOnline} = this.options;
+        return new UploadTask(({offset, onProgress}) => {
+            let timer = null;
+            let promise = new Promise((resolve, reject) => {
+                let transferChunk = (bytesTransferred) => {
+                    timer = setTimeout(() => {
+                        if (!isOnline()) {
+                            return reject(new Error('Network Error'));
+                        }
+                        let nextBytesTransferred = Math.min(bytesTransferred + chunkSize, file.size);
+                        onProgress(nextBytesTransferred);
+                        if (nextBytesTransferred < file.size) {
+                            transferChunk(nextBytesTransferred);
+                        } else {
+                            resolve(getResult(this._write(fileName, file, metadata)));
+                        }
+                    }, 0);
+                };
+                transferChunk(offset);
+            });
+            return {promise, abort: () => clearTimeout(timer)};
+        }, {totalBytes: file.size, isOnline});
+    }
+
+    _write(fileName, file, {contentType, customMetadata = {}} = {}) {
+        let fullPath = this._getFullPath(fileName);
+        let existingEntry = this._store.get(fullPath);
+        let now = new Date().toISOString();
+        if (existingEntry) {
+            MemoryFileSource._revokeUrl(existingEntry.url);
+        }
+
+        let entry = {
+            file,
+            url: MemoryFileSource._createUrl(file, fullPath),
+            metadata: {
+                name: fileName,
+                fullPath,
+                size: file.size,
+                contentType: contentType || file.type || 'application/octet-stream',
+                timeCreated: existingEntry ? existingEntry.metadata.timeCreated : now,
+                updated: now,
+                customMetadata: {...customMetadata}
+            }
+        };
+        this._store.set(fullPath, entry);
+        return entry;
+    }
+
+    _getFullPath(fileName) {
+        return this.path ? `${this.path}/${fileName}` : fileName;
+    }
+
+    /* Object URLs can be used like the download URLs of remote files, e.g. as the source of an image */
+    static _createUrl(file, fullPath) {
+        if (typeof URL !== 'undefined' && URL.createObjectURL) {
+            return URL.createObjectURL(file);
+        }
+        return `memory:///${fullPath}`;
+    }
+
+    static _revokeUrl(url) {
+        if (url.startsWith('blob:')) {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    static _copyMetadata(metadata) {
+        return {...metadata, customMetadata: {...metadata.customMetadata}};
+    }
+}
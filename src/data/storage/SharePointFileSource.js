@@ -0,0 +1,358 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import {FileSource}         from './FileSource.js';
+import {UploadTask}         from './UploadTask.js';
+import {EndPoint}           from '../datasources/SharePoint/SPSoapAdapter/EndPoint.js';
+import {CamlQuery}          from '../datasources/SharePoint/CamlQuery.js';
+import {PostRequest}        from '../../utils/request/RequestClient.js';
+import xml2js                   from 'xml2js';
+
+/**
+ * Stores files in SharePoint through its SOAP web services. A path ending in the id of a list item, such as
+ * 'https://example.com/sites/app/Orders/12', stores the files as attachments of that item. Any other path refers to a
+ * document library, or a folder in it, such as 'https://example.com/sites/app/Documents/Invoices'. The site, list and
+ * item are detected the same way the SharePointDataSource detects them.
+ *
+ * @example
+ * let attachments = new SharePointFileSource('https://example.com/sites/app/Orders/12');
+ * let url = await attachments.push(file);
+ */
+export class SharePointFileSource extends FileSource {
+
+    /**
+     * @param {String} path Full path of a list item or a document library.
+     * @param {Object} [options] Optional: options to construct the FileSource with.
+     * @param {Function} [options.isOnline] Optional, function returning whether SharePoint is reachable.
+     *                                      Defaults to navigator.onLine.
+     * @returns {SharePointFileSource} SharePointFileSource instance.
+     */
+    constructor(path, options = {}) {
+        super(path, options);
+        this.path = path;
+        this.hasParsedSettings = false;
+    }
+
+    /**
+     * Uploads a new file. Its name is prefixed with the current time, so it doesn't replace an existing file.
+     * @param {File|Blob} file File to upload.
+     * @returns {UploadTask} The upload, which resolves with the URL of the uploaded file.
+     */
+    push(file) {
+        return this._upload(`${Date.now()}-${file.name}`, file, false);
+    }
+
+    /**
+     * Downloads a file.
+     * @param {String} fileName Name of the file.
+     * @returns {Promise.<Blob>} Resolves with the contents of the file, or null if it doesn't exist.
+     */
+    async get(fileName) {
+        let url = await this._getFileUrl(fileName);
+        return url ? this._download(url) : null;
+    }
+
+    /**
+     * Uploads a file, replacing the file with the same name if there is one. The existing file is kept if the upload
+     * fails.
+     * @param {String} fileName Name to save the file under.
+     * @param {File|Blob} file File to upload.
+     * @returns {UploadTask} The upload, which resolves with true.
+     */
+    set(fileName, file) {
+        return this._upload(fileName, file, true, () => true);
+    }
+
+    /**
+     * Removes a file.
+     * @param {String} fileName Name of the file.
+     * @returns {Promise.<Boolean>} Resolves with whether the file existed.
+     */
+    async remove(fileName) {
+        this._ensureSettings();
+        if (this.isAttachments) {
+            let url = await this._getFileUrl(fileName);
+            if (!url) {
+                return false;
+            }
+            await this._call('Lists', 'DeleteAttachment', {listName: this.listName, listItemID: this.itemId, url});
+            return true;
+        }
+
+        let response = await this._call('Lists', 'GetListItems', {
+            listName: this.listName,
+            query: {Query: {Where: {Eq: {FieldRef: {_Name: 'FileLeafRef'}, Value: {_Type: 'File', __text: fileName}}}}},
+            viewFields: {ViewFields: {FieldRef: [{_Name: 'ID'}, {_Name: 'FileRef'}]}},
+            rowLimit: 1,
+            queryOptions: {QueryOptions: {Folder: this._getFolderUrl()}}
+        });
+        let [row] = SharePointFileSource._findElements(response, 'z:row');
+        if (!row) {
+            return false;
+        }
+        /* Lookup-style values such as FileRef are prefixed with the id of the item */
+        let fileRef = row.attributes.ows_FileRef.replace(/^\d+;#/, '');
+        let result = await this._call('Lists', 'UpdateListItems', {
+            listName: this.listName,
+            updates: {
+                Batch: {
+                    _OnError: 'Return',
+                    Method: {
+                        _ID: 1,
+                        _Cmd: 'Delete',
+                        Field: [{_Name: 'ID', __text: row.attributes.ows_ID}, {_Name: 'FileRef', __text: fileRef}]
+                    }
+                }
+            }
+        });
+        let [errorCode] = SharePointFileSource._findElements(result, 'ErrorCode');
+        if (errorCode && errorCode.text !== '0x00000000') {
+            throw SharePointFileSource._createError(`Removing ${fileName} failed with error code ${errorCode.text}`);
+        }
+        return true;
+    }
+
+    /**
+     * Finds the site, list, and item or folder the path refers to, unless that's done already.
+     * @returns {void}
+     * @private
+     */
+    _ensureSettings() {
+        if (this.hasParsedSettings) {
+            return;
+        }
+        let {endPoint, listName, itemId, isChild, parts} = EndPoint.parse(this.path);
+        this.site = endPoint;
+        this.listName = listName;
+        this.isAttachments = isChild;
+        this.itemId = itemId;
+        this.folder = isChild ? '' : parts.join('/');
+        this.hasParsedSettings = true;
+    }
+
+    /**
+     * SharePoint can't continue an interrupted upload, so resuming a paused or interrupted upload starts it over.
+     * @param {String} fileName
+     * @param {File|Blob} file
+     * @param {Boolean} replaceExisting Whether to replace the file with the same name if there is one.
+     * @param {Function} [getResult] Optional, function returning the result of the upload given the URL of the file.
+     * @returns {UploadTask} The upload.
+     * @private
+     */
+    _upload(fileName, file, replaceExisting, getResult = (url) => url) {
+        return new UploadTask(({onProgress}) => {
+            /* Without AbortController, an aborted upload runs to completion, but its result is ignored */
+            let controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+            let requestOptions = {
+                signal: controller ? controller.signal : null,
+                /* The request body is the base64 encoded file in a SOAP envelope, so the progress is relative */
+                onUploadProgress: (loaded, total) => onProgress(Math.floor(file.size * loaded / total))
+            };
+            let promise = Promise.all([
+                SharePointFileSource._readAsBase64(file),
+                Promise.resolve().then(() => {
+                    this._ensureSettings();
+                    /* Attachments can't be overwritten, unlike files in document libraries */
+                    return replaceExisting && this.isAttachments ? this._getFileUrl(fileName) : null;
+                })
+            ]).then(([content, existingUrl]) => existingUrl ?
+                this._replaceAttachment(fileName, existingUrl, content, requestOptions) :
+                this._send(fileName, content, requestOptions)
+            ).then(getResult);
+            return {promise, abort: () => controller && controller.abort()};
+        }, {totalBytes: file.size, isOnline: this.options.isOnline});
+    }
+
+    /**
+     * Attachments can't be overwritten or renamed, so the file is uploaded under a temporary name first. The existing
+     * attachment is only removed once that upload succeeded, after which the file is added again under its own name.
+     * @param {String} fileName Name of the attachment.
+     * @param {String} existingUrl URL of the attachment that is replaced.
+     * @param {String} content Contents of the file, base64 encoded.
+     * @param {Object} requestOptions Options of the upload requests.
+     * @returns {Promise.<String>} Resolves with the URL of the attachment.
+     * @private
+     */
+    async _replaceAttachment(fileName, existingUrl, content, requestOptions) {
+        let temporaryUrl = await this._send(`${Date.now()}-${fileName}.tmp`, content, requestOptions);
+        await this._call('Lists', 'DeleteAttachment', {listName: this.listName, listItemID: this.itemId, url: existingUrl});
+        let url = await this._send(fileName, content, {signal: requestOptions.signal});
+        await this._call('Lists', 'DeleteAttachment', {listName: this.listName, listItemID: this.itemId, url: temporaryUrl});
+        return url;
+    }
+
+    /**
+     * @param {String} fileName Name of the file.
+     * @param {String} content Contents of the file, base64 encoded.
+     * @param {Object} requestOptions Options of the upload request.
+     * @returns {Promise.<String>} Resolves with the URL of the uploaded file.
+     * @private
+     */
+    async _send(fileName, content, requestOptions) {
+        if (this.isAttachments) {
+            let response = await this._call('Lists', 'AddAttachment', {
+                listName: this.listName,
+                listItemID: this.itemId,
+                fileName,
+                attachment: content
+            }, requestOptions);
+            let [result] = SharePointFileSource._findElements(response, 'AddAttachmentResult');
+            if (!result) {
+                throw SharePointFileSource._createError(`Uploading ${fileName} failed: no result`);
+            }
+            return result.text;
+        }
+
+        let url = `${this._getFolderUrl()}/${fileName}`;
+        let response = await this._call('Copy', 'CopyIntoItems', {
+            SourceUrl: url,
+            DestinationUrls: {string: url},
+            Fields: {},
+            Stream: content
+        }, requestOptions);
+        let [copyResult] = SharePointFileSource._findElements(response, 'CopyResult');
+        if (!copyResult || copyResult.attributes.ErrorCode !== 'Success') {
+            let message = copyResult ? copyResult.attributes.ErrorMessage : 'no result';
+            throw SharePointFileSource._createError(`Uploading ${fileName} failed: ${message}`);
+        }
+        return url;
+    }
+
+    /**
+     * @param {String} fileName Name of the file.
+     * @returns {Promise.<String>} Resolves with the URL of the file, or null if there is no attachment with that name.
+     * @private
+     */
+    async _getFileUrl(fileName) {
+        this._ensureSettings();
+        if (!this.isAttachments) {
+            return `${this._getFolderUrl()}/${fileName}`;
+        }
+        let response = await this._call('Lists', 'GetAttachmentCollection', {listName: this.listName, listItemID: this.itemId});
+        let attachment = SharePointFileSource._findElements(response, 'Attachment')
+            .find(({text}) => decodeURIComponent(text).split('/').pop() === fileName);
+        return attachment ? attachment.text : null;
+    }
+
+    _getFolderUrl() {
+        return `${this.site}/${this.folder}`;
+    }
+
+    /**
+     * Calls a method of a SharePoint web service.
+     * @param {String} service Name of the service, e.g. 'Lists'.
+     * @param {String} method Name of the method.
+     * @param {Object} params Parameters of the method, in the JSON notation of CamlQuery.toXml().
+     * @param {Object} [requestOptions] Optional, other options of the request, e.g. onUploadProgress.
+     * @returns {Promise.<Object>} Resolves with the response, as parsed by xml2js.
+     * @private
+     */
+    async _call(service, method, params, requestOptions = {}) {
+        let result = await this._request({
+            ...requestOptions,
+            url: `${this.site}/_vti_bin/${service}.asmx`,
+            headers: new Map([
+                ['SOAPAction', `http://schemas.microsoft.com/sharepoint/soap/${method}`],
+                ['Content-Type', 'text/xml']
+            ]),
+            data: '<?xml version="1.0" encoding="utf-8"?>' +
+            '<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+            'xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+            `<soap:Body><${method} xmlns="http://schemas.microsoft.com/sharepoint/soap/">${CamlQuery.toXml(params)}</${method}></soap:Body>` +
+            '</soap:Envelope>'
+        });
+        return new Promise((resolve, reject) => xml2js.parseString(result.response, (error, response) => error ?
+            reject(SharePointFileSource._createError(`Calling ${method} failed: the response is not valid XML`)) :
+            resolve(response)));
+    }
+
+    _request(configuration) {
+        return PostRequest(configuration);
+    }
+
+    /**
+     * @param {String} url URL of the file.
+     * @returns {Promise.<Blob>} Resolves with the contents of the file, or null if it doesn't exist.
+     * @private
+     */
+    _download(url) {
+        return new Promise((resolve, reject) => {
+            let request = new XMLHttpRequest();
+            request.open('GET', url, true);
+            request.responseType = 'blob';
+            request.withCredentials = true;
+            request.onload = () => {
+                if (request.status === 200) {
+                    resolve(request.response);
+                } else if (request.status === 404) {
+                    resolve(null);
+                } else {
+                    reject(SharePointFileSource._createError(`Downloading ${url} failed: ${request.statusText}`));
+                }
+            };
+            request.onerror = () => reject(SharePointFileSource._createError(`Downloading ${url} failed: Network Error`));
+            request.send();
+        });
+    }
+
+    /**
+     * Finds the elements with a tag name in a response parsed by xml2js.
+     * @param {Object} node Parsed response, or an element in it.
+     * @param {String} tagName Tag name, including its namespace prefix if it has one, e.g. 'z:row'.
+     * @param {Array} [elements] Array to add the elements to.
+     * @returns {Array.<{attributes: Object, text: String}>} The attributes and text content of the elements.
+     * @private
+     */
+    static _findElements(node, tagName, elements = []) {
+        if (!node || typeof node !== 'object') {
+            return elements;
+        }
+        for (let key of Object.keys(node).filter((key) => key !== '$' && key !== '_')) {
+            for (let child of [].concat(node[key])) {
+                if (key === tagName) {
+                    /* Elements without attributes or children are parsed to their text */
+                    elements.push(typeof child === 'object' ?
+                        {attributes: child.$ || {}, text: child._ || ''} : {attributes: {}, text: child});
+                }
+                SharePointFileSource._findElements(child, tagName, elements);
+            }
+        }
+        return elements;
+    }
+
+    /**
+     * @param {File|Blob} file File to read.
+     * @returns {Promise.<String>} Resolves with the contents of the file, base64 encoded.
+     * @private
+     */
+    static _readAsBase64(file) {
+        if (typeof FileReader === 'undefined') {
+            return file.arrayBuffer().then((buffer) => {
+                let binary = '';
+                let bytes = new Uint8Array(buffer);
+                for (let index = 0; index < bytes.length; index++) {
+                    binary += String.fromCharCode(bytes[index]);
+                }
+                return btoa(binary);
+            });
+        }
+        return new Promise((resolve, reject) => {
+            let reader = new FileReader();
+            /* The result is a data URL, of which the part after the comma is the base64 encoded content */
+            reader.onload = () => resolve(reader.result.substring(reader.result.indexOf(',') + 1));
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    static _createError(message) {
+        let error = new Error(message);
+        error.code = 'storage_failed';
+        return error;
+    }
+}
@@ -0,0 +1,198 @@
+/**
+
+
+ @license NPOSL-3.0
+ @copyright Bizboard, 2017
+
+ */
+
+import EventEmitter                 from 'eventemitter3';
+import {ObjectHelper}               from '../../utils/ObjectHelper.js';
+
+/**
+ * An upload started by FileSource.push() or FileSource.set(). It can be paused, resumed and cancelled, and is
+ * resumed automatically when the connection comes back after the upload was interrupted by going offline.
+ * The task is a thenable, so it can be awaited like the promise that push() and set() used to return.
+ *
+ * Emits 'progress' with {bytesTransferred, totalBytes} while uploading, and 'state_changed' with the new state,
+ * which is one of UploadTask.states.
+ *
+ * @example
+ * let task = fileSource.push(file);
+ * task.on('progress', ({bytesTransferred, totalBytes}) => progressBar.setProgress(bytesTransferred / totalBytes));
+ * let url = await task;
+ */
+export class UploadTask extends EventEmitter {
+
+    static get states() {
+        return {
+            running: 'running',
+            paused: 'paused',
+            /* Waiting for the connection to come back */
+            interrupted: 'interrupted',
+            success: 'success',
+            cancelled: 'cancelled',
+            error: 'error'
+        };
+    }
+
+    /**
+     * @param {Function} transfer Function starting the actual upload, which is called with {offset, onProgress}.
+     *                            It uploads the file from the given byte offset if it is able to, and calls onProgress
+     *                            with the number of bytes of the file that are transferred. It returns
+     *                            {promise, abort(), pause(), resume()}, of which pause() and resume() are optional.
+     *                            If they're absent, pausing aborts the transfer, and resuming starts a new one.
+     * @param {Object} [options] Options.
+     * @param {Number} [options.totalBytes] Size of the file.
+     * @param {Function} [options.isOnline] Function returning whether the connection is up. Defaults to navigator.onLine.
+     * @returns {UploadTask} UploadTask instance.
+     */
+    constructor(transfer, options = {}) {
+        super();
+        this.totalBytes = options.totalBytes || 0;
+        this.bytesTransferred = 0;
+        this.state = UploadTask.states.running;
+
+        this._transfer = transfer;
+        this._isOnline = options.isOnline || (() => typeof navigator === 'undefined' || navigator.onLine !== false);
+        this._currentTransfer = null;
+        this._isPausedNatively = false;
+        this._promise = new Promise((resolve, reject) => {
+            this._resolve = resolve;
+            this._reject = reject;
+        });
+        /* Failures are reported to whoever awaits the task, and shouldn't be reported as unhandled otherwise */
+        this._promise.catch(() => {});
+
+        /* Bind all local methods to the current object instance, so we can refer to "this"
+         * in the methods as expected, even when they're called from event handlers. */
+        ObjectHelper.bindAllMethods(this, this);
+
+        this._start();
+    }
+
+    then(onFulfilled, onRejected) {
+        return this._promise.then(onFulfilled, onRejected);
+    }
+
+    catch(onRejected) {
+        return this._promise.catch(onRejected);
+    }
+
+    /**
+     * Pauses the upload, if it is running.
+     * @returns {Boolean} Whether the upload was paused.
+     */
+    pause() {
+        if (this.state !== UploadTask.states.running) {
+            return false;
+        }
+        let transfer = this._currentTransfer;
+        if (transfer.pause) {
+            transfer.pause();
+            this._isPausedNatively = true;
+        } else {
+            this._currentTransfer = null;
+            transfer.abort();
+        }
+        this._setState(UploadTask.states.paused);
+        return true;
+    }
+
+    /**
+     * Resumes the upload if it is paused, or if it was interrupted and the connection is back.
+     * @returns {Boolean} Whether the upload was resumed.
+     */
+    resume() {
+        let {paused, interrupted} = UploadTask.states;
+        if (this.state === interrupted && this._isOnline()) {
+            this._stopWaitingForConnection();
+            this._start();
+            return true;
+        }
+        if (this.state !== paused) {
+            return false;
+        }
+        if (this._isPausedNatively) {
+            this._isPausedNatively = false;
+            this._currentTransfer.resume();
+            this._setState(UploadTask.states.running);
+        } else {
+            this._start();
+        }
+        return true;
+    }
+
+    /**
+     * Cancels the upload. Awaiting the task then rejects with an error with code 'cancelled'.
+     * @returns {Boolean} Whether the upload was cancelled, which isn't possible anymore once it has finished.
+     */
+    cancel() {
+        let {running, paused, interrupted} = UploadTask.states;
+        if (![running, paused, interrupted].includes(this.state)) {
+            return false;
+        }
+        let transfer = this._currentTransfer;
+        this._currentTransfer = null;
+        if (transfer) {
+            transfer.abort();
+        }
+        this._stopWaitingForConnection();
+        this._setState(UploadTask.states.cancelled);
+
+        let error = new Error('The upload was cancelled');
+        error.code = 'cancelled';
+        this._reject(error);
+        return true;
+    }
+
+    _start() {
+        let transfer = this._currentTransfer = this._transfer({offset: this.bytesTransferred, onProgress: (bytesTransferred) => {
+            if (transfer === this._currentTransfer) {
+                this.bytesTransferred = bytesTransferred;
+                this.emit('progress', {bytesTransferred, totalBytes: this.totalBytes});
+            }
+        }});
+        this._setState(UploadTask.states.running);
+
+        transfer.promise.then((result) => {
+            if (transfer === this._currentTransfer) {
+                this._currentTransfer = null;
+                this._setState(UploadTask.states.success);
+                this._resolve(result);
+            }
+        }, (error) => {
+            /* Results of transfers that were aborted by pausing or cancelling are ignored */
+            if (transfer !== this._currentTransfer) {
+                return;
+            }
+            this._currentTransfer = null;
+            if (!this._isOnline()) {
+                this._setState(UploadTask.states.interrupted);
+                this._waitForConnection();
+            } else {
+                this._setState(UploadTask.states.error);
+                this._reject(error);
+            }
+        });
+    }
+
+    _waitForConnection() {
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('online', this.resume);
+        }
+    }
+
+    _stopWaitingForConnection() {
+        if (typeof window !== 'undefined' && window.removeEventListener) {
+            window.removeEventListener('online', this.resume);
+        }
+    }
+
+    _setState(state) {
+        if (this.state !== state) {
+            this.state = state;
+            this.emit('state_changed', state);
+        }
+    }
+}
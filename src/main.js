@@ -11,11 +11,34 @@ export * from './core/Controller.js';
 export * from './data/Snapshot.js';
 export * from './data/DataSource.js';
 export * from './data/PrioritisedArray.js';
+export * from './data/DerivedArray.js';
+export * from './data/MergedArray.js';
+export * from './data/Aggregation.js';
 export * from './data/PrioritisedObject.js';
+export * from './data/local/Draft.js';
+export * from './data/History.js';
+export * from './data/query/Query.js';
+export * from './data/schema/Schema.js';
+export * from './data/schema/Decorators.js';
+export * from './data/schema/Relations.js';
 export * from './data/datasources/FirebaseDataSource.js';
+export * from './data/datasources/MemoryDataSource.js';
+export * from './data/datasources/OfflineDataSource.js';
+export * from './data/datasources/RestDataSource.js';
+export * from './data/datasources/SocketDataSource.js';
+export * from './data/datasources/QueryDataSource.js';
+export * from './data/datasources/JoinDataSource.js';
 export * from './data/datasources/SharePointDataSource.js';
 export * from './data/datasources/SharePoint/DataModelGenerator.js';
 export * from './data/datasources/SharePoint/SharePointSnapshot.js';
+export * from './data/datasources/SharePoint/CamlQuery.js';
+export * from './data/datasources/Memory/MemoryStore.js';
+export * from './data/datasources/Memory/MemorySnapshot.js';
+export * from './data/datasources/Offline/OfflineCache.js';
+export * from './data/datasources/Offline/StorageAdapters.js';
+export * from './data/datasources/Rest/RestConnection.js';
+export * from './data/datasources/Socket/SocketConnection.js';
+export * from './data/datasources/Socket/JsonPatch.js';
 export * from './layout/Decorators.js';
 export * from './routers/ArvaRouter.js';
 export * from './utils/di/Decorators.js';
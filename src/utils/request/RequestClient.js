@@ -10,9 +10,10 @@
 /**
  * Prepares a GET request and initiates the communication.
  * @param {String} url
+ * @param {Object} [options] Optional, provide properties: { headers: <Map> }
  * @returns {Promise} Returns an asynchronous response object which can be managed to read the response in an chaining proces.
  */
-export function GetRequest(url) {
+export function GetRequest(url, options = {}) {
 
     // Return a new promise.
     return new Promise(function (resolve, reject) {
@@ -20,6 +21,11 @@ export function GetRequest(url) {
         var req = new XMLHttpRequest();
         req.open('GET', url, true);
 
+        if (options.headers) {
+            for (var entry of options.headers.entries())
+                req.setRequestHeader(entry[0], entry[1]);
+        }
+
         req.onload = function () {
             // This is called even on 404 etc
             // so check the status
@@ -44,8 +50,11 @@ export function GetRequest(url) {
 }
 
 /**
- * Prepares a POST request and initiates the communication.
- * @param {Object} options Provide properties: { headers: <Map>, data: <string>, url: <string> }
+ * Prepares a POST request and initiates the communication. Other methods that send data (e.g. PUT, PATCH, DELETE) can be
+ * used by providing the method property.
+ * @param {Object} options Provide properties: { headers: <Map>, data: <string>, url: <string>, method: <string> }
+ * Optionally provide onUploadProgress: <function(loaded, total)> to follow the upload of the data, and
+ * signal: <AbortSignal> to abort the request, which rejects with an error with code 'aborted'.
  * @returns {Promise} Returns an asynchronous response object which can be managed to read the response in an chaining proces.
  */
 export function PostRequest(options) {
@@ -65,7 +74,7 @@ export function PostRequest(options) {
     return new Promise((resolve, reject)=> {
 
         var req = new XMLHttpRequest();
-        req.open('POST', options.url, true);
+        req.open(options.method || 'POST', options.url, true);
 
         for (var entry of options.headers.entries())
             req.setRequestHeader(entry[0], entry[1]);
@@ -73,8 +82,8 @@ export function PostRequest(options) {
 
         req.onload = function () {
             // This is called even on 404 etc
-            // so check the status
-            if (req.status === 200) {
+            // so check the status. Other methods than POST may also respond with 201 Created or 204 No Content
+            if (req.status === 200 || (options.method && req.status >= 200 && req.status < 300)) {
                 // Resolve the promise with the response text
                 let responseDate = req.getResponseHeader('Date');
                 resolve({response: req.response, timestamp: responseDate});
@@ -91,6 +100,23 @@ export function PostRequest(options) {
             reject(Error('Network Error'));
         };
 
+        if (options.onUploadProgress && req.upload) {
+            req.upload.onprogress = function (event) {
+                options.onUploadProgress(event.loaded, event.total);
+            };
+        }
+
+        if (options.signal) {
+            req.onabort = function () {
+                let error = Error('Aborted');
+                error.code = 'aborted';
+                reject(error);
+            };
+            options.signal.addEventListener('abort', function () {
+                req.abort();
+            });
+        }
+
         req.send(options.data);
     });
 
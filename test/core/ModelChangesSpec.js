@@ -0,0 +1,130 @@
+import chai                         from 'chai';
+import sinon                        from 'sinon';
+import {loadDependencies}           from '../meta/TestBootstrap.js';
+
+let should = chai.should();
+
+describe('Model changes', () => {
+    let imports = {};
+    let store, Box;
+
+    before(() => {
+        return loadDependencies({
+            field: System.normalizeSync('./src/data/schema/Decorators.js'),
+            DataSource: System.normalizeSync('./src/data/DataSource.js'),
+            MemoryDataSource: System.normalizeSync('./src/data/datasources/MemoryDataSource.js'),
+            MemoryStore: System.normalizeSync('./src/data/datasources/Memory/MemoryStore.js'),
+            Injection: System.normalizeSync('./src/utils/Injection.js'),
+            Model: System.normalizeSync('./src/core/Model.js')
+        }).then((importedObjects) => {
+            imports = importedObjects;
+            let {field} = imports;
+
+            Box = class Box extends imports.Model {
+                get label() {}
+
+                @field.number({min: 0})
+                get amount() {}
+
+                get tags() {}
+            };
+        });
+    });
+
+    beforeEach(() => {
+        store = new imports.MemoryStore({Boxs: {a: {label: 'Existing', amount: 3, tags: {first: true}}}});
+        imports.Injection.provide(imports.DataSource, new imports.MemoryDataSource('/', {store}));
+    });
+
+    let loadBox = () => {
+        let box = new Box('a');
+        return box.once('ready').then(() => box);
+    };
+
+    describe('#getChanges', () => {
+        it('lists changed fields relative to the dataSource, including invalid and in-place changes', () => {
+            return loadBox().then((box) => {
+                box.isDirty().should.equal(false);
+                box.getChanges().should.deep.equal({});
+
+                box.amount = -1;
+                box.tags.second = true;
+                box.isDirty().should.equal(true);
+                box.getChanges().should.deep.equal({
+                    amount: {oldValue: 3, newValue: -1},
+                    tags: {oldValue: {first: true}, newValue: {first: true, second: true}}
+                });
+                store.get('/Boxs/a/amount').should.equal(3);
+            });
+        });
+
+        it('is clean once the changes are written', () => {
+            return loadBox().then((box) => {
+                box.label = 'Renamed';
+                return box.synced().then(() => box);
+            }).then((box) => {
+                box.isDirty().should.equal(false);
+            });
+        });
+    });
+
+    describe('#revert', () => {
+        it('resets changed fields to their value in the dataSource', () => {
+            return loadBox().then((box) => {
+                let onChanged = sinon.spy();
+                box.on('changed', onChanged);
+                box.amount = -1;
+                box.label = 'Renamed';
+                onChanged.reset();
+
+                box.revert();
+                box.amount.should.equal(3);
+                box.label.should.equal('Existing');
+                box.isDirty().should.equal(false);
+                onChanged.calledOnce.should.equal(true);
+                return box.synced();
+            });
+        });
+    });
+
+    describe('#events', () => {
+        it('emits field change events with the new and old value, for local and remote changes', () => {
+            return loadBox().then((box) => {
+                let onLabelChanged = sinon.spy();
+                box.on('value', () => {});
+                box.on('changed:label', onLabelChanged);
+                box.amount = 4;
+                box.label = 'Renamed';
+                onLabelChanged.calledOnce.should.equal(true);
+                onLabelChanged.calledWith('Renamed', 'Existing').should.equal(true);
+
+                return new imports.MemoryDataSource('/', {store}).child('Boxs/a/label').set('Remote').then(() => {
+                    onLabelChanged.calledTwice.should.equal(true);
+                    onLabelChanged.secondCall.args.should.deep.equal(['Remote', 'Renamed']);
+                    box.isDirty().should.equal(false);
+                });
+            });
+        });
+    });
+
+    describe('#update', () => {
+        it('only writes the fields that changed', () => {
+            return loadBox().then((box) => {
+                store.set(['Boxs', 'a', 'notes'], 'Written elsewhere');
+                let dataSource = box._dataSource;
+                let update = sinon.spy(dataSource, 'update');
+                let setWithPriority = sinon.spy(dataSource, 'setWithPriority');
+                box.transaction(() => {
+                    box.label = 'Renamed';
+                    box.amount = null;
+                });
+                return box.synced().then(() => {
+                    setWithPriority.called.should.equal(false);
+                    update.calledOnce.should.equal(true);
+                    update.firstCall.args[0].should.deep.equal({label: 'Renamed', amount: null});
+                    store.get('/Boxs/a').should.deep.equal({label: 'Renamed', tags: {first: true}, notes: 'Written elsewhere'});
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,101 @@
+import chai                         from 'chai';
+import sinon                        from 'sinon';
+import {loadDependencies}           from '../meta/TestBootstrap.js';
+
+let should = chai.should();
+
+describe('Aggregation', () => {
+    let imports = {};
+    let store, Invoice, Invoices;
+
+    before(() => {
+        return loadDependencies({
+            aggregator: System.normalizeSync('./src/data/Aggregation.js'),
+            DataSource: System.normalizeSync('./src/data/DataSource.js'),
+            MemoryDataSource: System.normalizeSync('./src/data/datasources/MemoryDataSource.js'),
+            MemoryStore: System.normalizeSync('./src/data/datasources/Memory/MemoryStore.js'),
+            Injection: System.normalizeSync('./src/utils/Injection.js'),
+            Model: System.normalizeSync('./src/core/Model.js'),
+            PrioritisedArray: System.normalizeSync('./src/data/PrioritisedArray.js')
+        }).then((importedObjects) => {
+            imports = importedObjects;
+            Invoice = class Invoice extends imports.Model {
+                get amount() {}
+
+                get status() {}
+            };
+            Invoices = class Invoices extends imports.PrioritisedArray {
+                constructor() {
+                    super(Invoice);
+                }
+            };
+        });
+    });
+
+    beforeEach(() => {
+        store = new imports.MemoryStore({
+            Invoices: {
+                a: {amount: 100, status: 'open'},
+                b: {amount: 250, status: 'paid'},
+                c: {amount: 50, status: 'open'}
+            }
+        });
+        imports.Injection.provide(imports.DataSource, new imports.MemoryDataSource('/', {store}));
+    });
+
+    let flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+    let loadInvoices = () => {
+        let invoices = new Invoices();
+        return invoices.once('ready').then(() => invoices);
+    };
+
+    it('aggregates the models of an array, and updates incrementally on every change', () => {
+        let {aggregator} = imports;
+        let onChanged = sinon.spy();
+        let invoices, stats;
+        return loadInvoices().then((loadedInvoices) => {
+            invoices = loadedInvoices;
+            stats = invoices.aggregate({
+                count: true,
+                total: aggregator.sum('amount'),
+                average: aggregator.average('amount'),
+                smallest: aggregator.min('amount'),
+                largest: aggregator.max('amount'),
+                byStatus: aggregator.groupBy('status', {total: aggregator.sum('amount')})
+            });
+            stats.result.should.deep.equal({
+                count: 3, total: 400, average: 400 / 3, smallest: 50, largest: 250,
+                byStatus: {open: {total: 150}, paid: {total: 250}}
+            });
+            stats.on('changed', onChanged);
+
+            invoices[0].status = 'paid';
+            invoices.add({amount: 500, status: 'draft'});
+            store.set('/Invoices/c', null);
+            return flush();
+        }).then(() => {
+            stats.result.should.deep.equal({
+                count: 3, total: 850, average: 850 / 3, smallest: 100, largest: 500,
+                byStatus: {paid: {total: 350}, draft: {total: 500}}
+            });
+            onChanged.lastCall.args[0].should.equal(stats.result);
+        });
+    });
+
+    it('aggregates derived arrays, and stops updating when destroyed', () => {
+        return loadInvoices().then((invoices) => {
+            let stats = invoices.liveFilter((invoice) => invoice.status === 'open').aggregate({count: true, byStatus: imports.aggregator.groupBy('status')});
+            stats.result.should.deep.equal({count: 2, byStatus: {open: 2}});
+
+            invoices[1].status = 'open';
+            return flush().then(() => {
+                stats.result.should.deep.equal({count: 3, byStatus: {open: 3}});
+                stats.destroy();
+                invoices[0].status = 'paid';
+                return flush();
+            }).then(() => {
+                stats.result.count.should.equal(3);
+            });
+        });
+    });
+});
@@ -0,0 +1,118 @@
+import chai                         from 'chai';
+import sinon                        from 'sinon';
+import {loadDependencies}           from '../meta/TestBootstrap.js';
+
+let should = chai.should();
+
+describe('DerivedArray', () => {
+    let imports = {};
+    let store, Todo, Todos;
+
+    before(() => {
+        return loadDependencies({
+            DerivedArray: System.normalizeSync('./src/data/DerivedArray.js'),
+            DataSource: System.normalizeSync('./src/data/DataSource.js'),
+            MemoryDataSource: System.normalizeSync('./src/data/datasources/MemoryDataSource.js'),
+            MemoryStore: System.normalizeSync('./src/data/datasources/Memory/MemoryStore.js'),
+            Injection: System.normalizeSync('./src/utils/Injection.js'),
+            Model: System.normalizeSync('./src/core/Model.js'),
+            PrioritisedArray: System.normalizeSync('./src/data/PrioritisedArray.js')
+        }).then((importedObjects) => {
+            imports = importedObjects;
+            Todo = class Todo extends imports.Model {
+                get title() {}
+
+                get done() {}
+
+                get rank() {}
+            };
+            Todos = class Todos extends imports.PrioritisedArray {
+                constructor() {
+                    super(Todo);
+                }
+            };
+        });
+    });
+
+    beforeEach(() => {
+        store = new imports.MemoryStore({
+            Todos: {
+                a: {title: 'Write', done: false, rank: 3},
+                b: {title: 'Test', done: true, rank: 1},
+                c: {title: 'Ship', done: false, rank: 2}
+            }
+        });
+        imports.Injection.provide(imports.DataSource, new imports.MemoryDataSource('/', {store}));
+    });
+
+    let flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+    let loadTodos = () => {
+        let todos = new Todos();
+        return todos.once('ready').then(() => todos);
+    };
+    let ids = (array) => array.map(({id}) => id);
+
+    describe('#liveFilter', () => {
+        it('contains the matching models in the order of the source, and follows their changes', () => {
+            let events = [];
+            return loadTodos().then((todos) => {
+                let openTodos = todos.liveFilter((todo) => !todo.done);
+                openTodos.should.be.an.instanceof(imports.DerivedArray);
+                ids(openTodos).should.deep.equal(['a', 'c']);
+                openTodos.findById('c').should.equal(todos[2]);
+                todos.filter((todo) => !todo.done).should.not.be.an.instanceof(imports.DerivedArray);
+                openTodos.map(({title}) => title).should.deep.equal(['Write', 'Ship']);
+
+                openTodos.on('child_added', (todo, previousSiblingId) => events.push(['added', todo.id, previousSiblingId]));
+                openTodos.on('child_removed', (todo) => events.push(['removed', todo.id]));
+                events.splice(0);
+
+                todos[1].done = false;
+                todos[0].done = true;
+                todos.add({title: 'Celebrate', done: false});
+                return flush().then(() => {
+                    ids(openTodos).should.deep.equal(['b', 'c', todos[3].id]);
+                    events.should.deep.equal([['added', 'b', 'a'], ['removed', 'a'], ['added', todos[3].id, 'c']]);
+                });
+            });
+        });
+    });
+
+    describe('#liveSortBy', () => {
+        it('orders by a derived value, moves changed models, and can be chained with liveMap', () => {
+            let onMoved = sinon.spy();
+            return loadTodos().then((todos) => {
+                let titles = todos.liveSortBy((todo) => todo.rank, 'desc').liveMap((todo) => todo.title.toUpperCase());
+                Array.from(titles).should.deep.equal(['WRITE', 'SHIP', 'TEST']);
+                titles.on('child_moved', onMoved);
+
+                todos[1].rank = 5;
+                todos[2].title = 'Release';
+                return flush().then(() => {
+                    Array.from(titles).should.deep.equal(['TEST', 'WRITE', 'RELEASE']);
+                    onMoved.calledWith('TEST', null).should.equal(true);
+
+                    store.set('/Todos/a', null);
+                    return flush();
+                }).then(() => {
+                    Array.from(titles).should.deep.equal(['TEST', 'RELEASE']);
+                    titles.findIndexById('c').should.equal(1);
+                });
+            });
+        });
+    });
+
+    describe('#destroy', () => {
+        it('is read-only, and stops following its source when destroyed', () => {
+            return loadTodos().then((todos) => {
+                let openTodos = todos.liveFilter((todo) => !todo.done);
+                (() => openTodos.add({title: 'Nope'})).should.throw(Error);
+                openTodos.destroy();
+                todos[1].done = false;
+                return flush().then(() => {
+                    ids(openTodos).should.deep.equal(['a', 'c']);
+                });
+            });
+        });
+    });
+});
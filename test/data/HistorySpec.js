@@ -0,0 +1,161 @@
+import chai                         from 'chai';
+import sinon                        from 'sinon';
+import {loadDependencies}           from '../meta/TestBootstrap.js';
+
+let should = chai.should();
+
+describe('History', () => {
+    let imports = {};
+    let store, history, Todo, Todos;
+
+    before(() => {
+        return loadDependencies({
+            History: System.normalizeSync('./src/data/History.js'),
+            DataSource: System.normalizeSync('./src/data/DataSource.js'),
+            MemoryDataSource: System.normalizeSync('./src/data/datasources/MemoryDataSource.js'),
+            MemoryStore: System.normalizeSync('./src/data/datasources/Memory/MemoryStore.js'),
+            Injection: System.normalizeSync('./src/utils/Injection.js'),
+            Model: System.normalizeSync('./src/core/Model.js'),
+            PrioritisedArray: System.normalizeSync('./src/data/PrioritisedArray.js')
+        }).then((importedObjects) => {
+            imports = importedObjects;
+            Todo = class Todo extends imports.Model {
+                get title() {}
+
+                get done() {}
+            };
+            Todos = class Todos extends imports.PrioritisedArray {
+                constructor() {
+                    super(Todo);
+                }
+            };
+        });
+    });
+
+    beforeEach(() => {
+        store = new imports.MemoryStore({
+            Todos: {a: {title: 'Write', done: false}, b: {title: 'Test', done: false}, c: {title: 'Ship', done: false}}
+        });
+        imports.Injection.provide(imports.DataSource, new imports.MemoryDataSource('/', {store}));
+        history = new imports.History();
+    });
+
+    let flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+    let loadTodo = () => {
+        let todo = new Todo('a');
+        return todo.once('ready').then(() => todo);
+    };
+    let loadTodos = () => {
+        let todos = new Todos();
+        return todos.once('ready').then(() => {
+            history.track(todos);
+            return todos;
+        });
+    };
+
+    describe('#undo', () => {
+        it('undoes and redoes field changes, grouped by transaction', () => {
+            let onChange = sinon.spy();
+            history.on('change', onChange);
+            return loadTodo().then((todo) => {
+                history.track(todo);
+                history.canUndo().should.equal(false);
+                todo.title = 'Rewrite';
+                todo.transaction(() => {
+                    todo.title = 'Review';
+                    todo.done = true;
+                });
+                history.canUndo().should.equal(true);
+                onChange.callCount.should.equal(2);
+
+                return history.undo().then(() => {
+                    todo.title.should.equal('Rewrite');
+                    todo.done.should.equal(false);
+                    store.get('/Todos/a').should.deep.equal({title: 'Rewrite', done: false});
+                    history.canRedo().should.equal(true);
+                    return history.undo();
+                }).then(() => {
+                    store.get('/Todos/a/title').should.equal('Write');
+                    history.canUndo().should.equal(false);
+                    return history.redo();
+                }).then(() => {
+                    todo.title.should.equal('Rewrite');
+                    todo.title = 'Other';
+                    history.canRedo().should.equal(false);
+                });
+            });
+        });
+
+        it('keeps recording changes after undoing fails', () => {
+            return loadTodo().then((todo) => {
+                history.track(todo);
+                todo.title = 'Rewrite';
+                sinon.stub(todo, 'transaction').throws(new Error('Failed'));
+                (() => history.undo()).should.throw('Failed');
+                todo.transaction.restore();
+
+                history.canUndo().should.equal(false);
+                todo.title = 'Other';
+                history.canUndo().should.equal(true);
+            });
+        });
+
+        it('undoes local changes of PrioritisedArrays', () => {
+            return loadTodos().then((todos) => {
+                history.group(() => {
+                    todos.remove(0);
+                    todos._moveItem(1, 0, todos[1]);
+                });
+                todos.map(({id}) => id).should.deep.equal(['c', 'b']);
+                todos[0].done = true;
+                history.undo();
+                return history.undo().then(() => {
+                    todos.map(({id}) => id).should.deep.equal(['a', 'b', 'c']);
+                    todos[2].done.should.equal(false);
+                    history.redo();
+                    todos.map(({id}) => id).should.deep.equal(['c', 'b']);
+                });
+            });
+        });
+
+        it('removes added models, and restores them with the same id', () => {
+            let todos, added;
+            return loadTodos().then((loadedTodos) => {
+                todos = loadedTodos;
+                added = todos.add({title: 'Celebrate', done: false});
+                added.title = 'Party';
+                return added.synced();
+            }).then(() => history.undo()).then(() => history.undo()).then(() => flush()).then(() => {
+                should.not.exist(store.get(`/Todos/${added.id}`));
+                todos.length.should.equal(3);
+                history.canRedo().should.equal(true);
+                return history.redo();
+            }).then(() => history.redo()).then(() => flush()).then(() => {
+                store.get(`/Todos/${added.id}`).should.deep.equal({title: 'Party', done: false});
+                todos.findById(added.id).title.should.equal('Party');
+            });
+        });
+    });
+
+    describe('#rebase', () => {
+        it('forgets changes that are overwritten by the dataSource, without recording remote changes', () => {
+            return loadTodos().then((todos) => {
+                todos[0].title = 'Rewrite';
+                todos[1].title = 'Retest';
+                return todos[0].synced().then(() => {
+                    store.set(['Todos', 'a', 'title'], 'Remote');
+                    store.set(['Todos', 'c'], null);
+                    return flush();
+                }).then(() => {
+                    todos.map(({id}) => id).should.deep.equal(['a', 'b']);
+                    todos[0].title.should.equal('Remote');
+                    return history.undo();
+                }).then(() => {
+                    store.get('/Todos/b/title').should.equal('Test');
+                    store.get('/Todos/a/title').should.equal('Remote');
+                    history.canUndo().should.equal(false);
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,83 @@
+import chai                         from 'chai';
+import sinon                        from 'sinon';
+import {loadDependencies}           from '../meta/TestBootstrap.js';
+
+let should = chai.should();
+
+describe('MergedArray', () => {
+    let imports = {};
+    let firstStore, secondStore, Task, Issue, Tasks, Issues;
+
+    before(() => {
+        return loadDependencies({
+            MergedArray: System.normalizeSync('./src/data/MergedArray.js'),
+            DataSource: System.normalizeSync('./src/data/DataSource.js'),
+            MemoryDataSource: System.normalizeSync('./src/data/datasources/MemoryDataSource.js'),
+            MemoryStore: System.normalizeSync('./src/data/datasources/Memory/MemoryStore.js'),
+            Injection: System.normalizeSync('./src/utils/Injection.js'),
+            Model: System.normalizeSync('./src/core/Model.js'),
+            PrioritisedArray: System.normalizeSync('./src/data/PrioritisedArray.js')
+        }).then((importedObjects) => {
+            imports = importedObjects;
+            Task = class Task extends imports.Model {
+                get title() {}
+
+                get due() {}
+            };
+            Issue = class Issue extends imports.Model {
+                get title() {}
+
+                get due() {}
+            };
+            Tasks = class Tasks extends imports.PrioritisedArray {
+                constructor() {
+                    super(Task, new imports.MemoryDataSource('/Tasks', {store: firstStore}));
+                }
+            };
+            Issues = class Issues extends imports.PrioritisedArray {
+                constructor() {
+                    super(Issue, new imports.MemoryDataSource('/Issues', {store: secondStore}));
+                }
+            };
+        });
+    });
+
+    beforeEach(() => {
+        firstStore = new imports.MemoryStore({Tasks: {a: {title: 'Plan', due: 3}, b: {title: 'Build', due: 5}}});
+        secondStore = new imports.MemoryStore({Issues: {b: {title: 'Build (copy)', due: 5}, x: {title: 'Fix', due: 1}}});
+        imports.Injection.provide(imports.DataSource, new imports.MemoryDataSource('/', {store: firstStore}));
+    });
+
+    let flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+    let titles = (array) => array.map(({title}) => title);
+
+    it('merges arrays of different types in the order of the sources, without duplicate ids', () => {
+        let onReady = sinon.spy();
+        let merged = new imports.MergedArray([new Tasks(), new Issues()]);
+        merged.on('ready', onReady);
+        return merged.once('ready').then(() => {
+            onReady.callCount.should.equal(1);
+            titles(merged).should.deep.equal(['Plan', 'Build', 'Fix']);
+            merged[2].should.be.an.instanceof(Issue);
+        });
+    });
+
+    it('keeps a global order, and falls back to the next source when a model is removed', () => {
+        let tasks = new Tasks();
+        let merged = new imports.MergedArray([tasks, new Issues()], {compare: (task, otherTask) => task.due - otherTask.due});
+        let onChanged = sinon.spy();
+        return merged.once('ready').then(() => {
+            titles(merged).should.deep.equal(['Fix', 'Plan', 'Build']);
+            merged.on('child_changed', onChanged);
+
+            secondStore.set('/Issues/y', {title: 'Review', due: 4});
+            tasks[0].due = 6;
+            firstStore.set('/Tasks/b', null);
+            return flush();
+        }).then(() => {
+            titles(merged).should.deep.equal(['Fix', 'Review', 'Build (copy)', 'Plan']);
+            merged.findById('b').should.be.an.instanceof(Issue);
+            onChanged.calledWith(merged[2], 'y').should.equal(true);
+        });
+    });
+});
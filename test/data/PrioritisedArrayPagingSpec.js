@@ -0,0 +1,121 @@
+import chai                         from 'chai';
+import sinon                        from 'sinon';
+import {loadDependencies}           from '../meta/TestBootstrap.js';
+
+let should = chai.should();
+
+describe('PrioritisedArray paging', () => {
+    let imports = {};
+    let store, Todo, Todos;
+
+    before(() => {
+        return loadDependencies({
+            DataSource: System.normalizeSync('./src/data/DataSource.js'),
+            MemoryDataSource: System.normalizeSync('./src/data/datasources/MemoryDataSource.js'),
+            MemoryStore: System.normalizeSync('./src/data/datasources/Memory/MemoryStore.js'),
+            Injection: System.normalizeSync('./src/utils/Injection.js'),
+            Model: System.normalizeSync('./src/core/Model.js'),
+            PrioritisedArray: System.normalizeSync('./src/data/PrioritisedArray.js')
+        }).then((importedObjects) => {
+            imports = importedObjects;
+            Todo = class Todo extends imports.Model {
+                get title() {}
+
+                get rank() {}
+            };
+            Todos = class Todos extends imports.PrioritisedArray {
+                constructor(options) {
+                    super(Todo, null, null, options);
+                }
+            };
+        });
+    });
+
+    beforeEach(() => {
+        store = new imports.MemoryStore({
+            Todos: {
+                a: {title: 'First', rank: 1},
+                b: {title: 'Second', rank: 2},
+                c: {title: 'Third', rank: 2},
+                d: {title: 'Fourth', rank: 3},
+                e: {title: 'Fifth', rank: 4}
+            }
+        });
+        imports.Injection.provide(imports.DataSource, new imports.MemoryDataSource('/', {store}));
+    });
+
+    let flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+    let loadTodos = (options) => {
+        let todos = new Todos(options);
+        return todos.once('ready').then(() => todos);
+    };
+    let ids = (todos) => todos.map((todo) => todo.id);
+
+    describe('#loadMore', () => {
+        it('loads the next models in the order of the dataSource, until there are no more', () => {
+            let onPageLoaded = sinon.spy();
+            return loadTodos({orderBy: 'rank', limitToFirst: 2}).then((todos) => {
+                ids(todos).should.deep.equal(['a', 'b']);
+                todos.hasMore.should.equal(true);
+                todos.hasPrevious.should.equal(false);
+                todos.on('page_loaded', onPageLoaded);
+
+                return todos.loadMore(2).then((loadedModels) => {
+                    ids(loadedModels).should.deep.equal(['c', 'd']);
+                    ids(todos).should.deep.equal(['a', 'b', 'c', 'd']);
+                    todos.hasMore.should.equal(true);
+                    return todos.loadMore(2);
+                }).then((loadedModels) => {
+                    ids(loadedModels).should.deep.equal(['e']);
+                    ids(todos).should.deep.equal(['a', 'b', 'c', 'd', 'e']);
+                    todos.hasMore.should.equal(false);
+                    onPageLoaded.callCount.should.equal(2);
+                    todos[4].should.be.an.instanceof(Todo);
+                });
+            });
+        });
+
+        it('keeps receiving updates of all loaded models', () => {
+            let todos;
+            return loadTodos({orderBy: 'rank', limitToFirst: 2}).then((loadedTodos) => {
+                todos = loadedTodos;
+                return todos.loadMore(1);
+            }).then(() => {
+                store.update('/Todos/c', {title: 'Changed'});
+                store.set('/Todos/a', null);
+                return flush();
+            }).then(() => {
+                /* The dataSource keeps the amount of models that were loaded, so the next one takes the place of the removed one */
+                ids(todos).should.deep.equal(['b', 'c', 'd']);
+                todos[1].title.should.equal('Changed');
+            });
+        });
+
+        it('rejects with a not_supported error for dataSources that can not be paged', () => {
+            let todos = Todos.query().where('rank', '>', 1).build();
+            return todos.once('ready').then(() => todos.loadMore(2)).then(() => should.fail(), (error) => {
+                error.code.should.equal('not_supported');
+                ids(todos).should.deep.equal(['b', 'c', 'd', 'e']);
+            });
+        });
+    });
+
+    describe('#loadPrevious', () => {
+        it('loads the models before the first one when ordered from the end', () => {
+            return loadTodos({orderBy: 'rank', limitToLast: 2}).then((todos) => {
+                ids(todos).should.deep.equal(['d', 'e']);
+                todos.hasPrevious.should.equal(true);
+                todos.hasMore.should.equal(false);
+
+                return todos.loadPrevious(2).then((loadedModels) => {
+                    ids(loadedModels).should.deep.equal(['b', 'c']);
+                    ids(todos).should.deep.equal(['b', 'c', 'd', 'e']);
+                    return todos.loadPrevious(2);
+                }).then(() => {
+                    ids(todos).should.deep.equal(['a', 'b', 'c', 'd', 'e']);
+                    todos.hasPrevious.should.equal(false);
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,230 @@
+import chai                         from 'chai';
+import {loadDependencies}           from '../../meta/TestBootstrap.js';
+
+let should = chai.should();
+
+describe('AuthService', () => {
+    let imports = {};
+    let storage, provider, services;
+
+    before(() => {
+        return loadDependencies({
+            AuthService: System.normalizeSync('./src/data/auth/AuthService.js'),
+            LocalAuthProvider: System.normalizeSync('./src/data/auth/LocalAuthProvider.js'),
+            DataSource: System.normalizeSync('./src/data/DataSource.js'),
+            MemoryDataSource: System.normalizeSync('./src/data/datasources/MemoryDataSource.js'),
+            RestConnection: System.normalizeSync('./src/data/datasources/Rest/RestConnection.js'),
+            SocketConnection: System.normalizeSync('./src/data/datasources/Socket/SocketConnection.js'),
+            StorageAdapters: System.normalizeSync('./src/data/datasources/Offline/StorageAdapters.js')
+        }).then((importedObjects) => {
+            imports = importedObjects;
+        });
+    });
+
+    beforeEach(() => {
+        services = [];
+        storage = new imports.StorageAdapters.MemoryStorageAdapter();
+        provider = new imports.LocalAuthProvider({users: [
+            {uid: 'john', email: 'john@example.com', password: 'secret', roles: ['admin'], claims: {tenant: 'acme'}}
+        ]});
+    });
+
+    afterEach(() => services.forEach((service) => service.dispose()));
+
+    let createService = (options = {}) => {
+        let service = new imports.AuthService({providers: {local: provider}, storage, ...options});
+        services.push(service);
+        return service;
+    };
+    let signIn = (service) => service.signIn('local', {email: 'john@example.com', password: 'secret'});
+    let wait = (milliseconds) => new Promise((resolve) => setTimeout(resolve, milliseconds));
+
+    describe('#signIn', () => {
+        it('signs users in and out, and exposes their roles and claims', () => {
+            let service = createService();
+            let states = [];
+            service.onAuthStateChanged((user) => states.push(user && user.uid));
+
+            return service.signIn('local', {email: 'john@example.com', password: 'wrong'}).then(() => should.fail(), (error) => {
+                error.code.should.equal('invalid_credentials');
+                return signIn(service);
+            }).then((user) => {
+                user.should.deep.equal({uid: 'john', email: 'john@example.com', displayName: null, roles: ['admin'], claims: {tenant: 'acme'}});
+                service.currentUser.should.equal(user);
+                service.hasRole('admin').should.equal(true);
+                service.hasRole('editor').should.equal(false);
+                service.getClaim('tenant').should.equal('acme');
+                provider.verifyToken(service.credentials.token).should.equal('john');
+                return service.signOut();
+            }).then(() => {
+                should.not.exist(service.currentUser);
+                service.roles.should.deep.equal([]);
+                states.should.deep.equal([null, 'john', null]);
+                return service.signIn('unknown', {}).then(() => should.fail(), (error) => error.code.should.equal('invalid_argument'));
+            });
+        });
+    });
+
+    describe('#persistence', () => {
+        it('restores the session, and refreshes credentials that are about to expire', () => {
+            let service = createService();
+            let states = [];
+            let token;
+            return signIn(service).then(() => {
+                token = service.credentials.token;
+                let restoredService = createService();
+                restoredService.onAuthStateChanged((user) => states.push(user && user.uid));
+                return restoredService.getAuth();
+            }).then((user) => {
+                user.uid.should.equal('john');
+                services[1].credentials.token.should.equal(token);
+                states.should.deep.equal(['john']);
+
+                /* Credentials that expire within the refresh margin are refreshed when the session is restored */
+                return createService({refreshMargin: provider.tokenLifetime + 1000}).getAuth();
+            }).then((user) => {
+                user.uid.should.equal('john');
+                let renewedToken = services[2].credentials.token;
+                renewedToken.should.not.equal(token);
+                provider.verifyToken(renewedToken).should.equal('john');
+                return createService({persist: false}).getAuth();
+            }).then((user) => {
+                should.not.exist(user);
+            });
+        });
+    });
+
+    describe('#refresh', () => {
+        it('refreshes the credentials before they expire, and ends the session when that fails', () => {
+            provider.tokenLifetime = 40;
+            let service = createService({refreshMargin: 30});
+            let states = [];
+            let token;
+            return signIn(service).then(() => {
+                service.on('authStateChanged', (user) => states.push(user && user.uid));
+                token = service.credentials.token;
+                return wait(30);
+            }).then(() => {
+                service.credentials.token.should.not.equal(token);
+                states.should.deep.equal([]);
+
+                /* Revokes the refresh token */
+                return provider.signOut({refreshToken: service._session.refreshToken});
+            }).then(() => service.refresh()).then(() => should.fail(), (error) => {
+                error.code.should.equal('session_expired');
+                should.not.exist(service.currentUser);
+                states.should.deep.equal([null]);
+            });
+        });
+    });
+
+    describe('#dataSources', () => {
+        let originalXMLHttpRequest = global.XMLHttpRequest;
+        after(() => global.XMLHttpRequest = originalXMLHttpRequest);
+
+        it('provides the credentials to all DataSources', () => {
+            let headers = {};
+            global.XMLHttpRequest = class {
+                open() {}
+                setRequestHeader(name, value) {
+                    headers[name] = value;
+                }
+                send() {
+                    this.status = 200;
+                    this.response = '[]';
+                    this.onload();
+                }
+            };
+
+            createService({useForDataSources: false});
+            should.not.exist(imports.DataSource.authService);
+            let service = createService();
+            imports.DataSource.authService.should.equal(service);
+
+            let connection = new imports.RestConnection('https://example.com/api');
+            let token;
+            return signIn(service).then(() => imports.DataSource.getCredentials()).then((credentials) => {
+                credentials.should.equal(service.credentials);
+                token = credentials.token;
+                return connection.request('GET', ['Todos']);
+            }).then(() => {
+                headers.Authorization.should.equal(`Bearer ${token}`);
+
+                /* Credentials that are about to expire are refreshed before they are sent */
+                service._session.expiresAt = Date.now();
+                return connection.request('GET', ['Todos']);
+            }).then(() => {
+                headers.Authorization.should.not.equal(`Bearer ${token}`);
+                headers.Authorization.should.equal(`Bearer ${service.credentials.token}`);
+                provider.verifyToken(service.credentials.token).should.equal('john');
+                service.dispose();
+                return imports.DataSource.getCredentials();
+            }).then((credentials) => {
+                should.not.exist(credentials);
+            });
+        });
+
+        it('signs in and out through the auth methods of DataSources', () => {
+            let dataSource = new imports.MemoryDataSource('/');
+            let service = createService();
+            let completions = [];
+            let onComplete = (user) => completions.push(user.uid);
+
+            return dataSource.authWithPassword({email: 'john@example.com', password: 'wrong'}, onComplete).then(() => should.fail(), (error) => {
+                error.code.should.equal('invalid_credentials');
+                return dataSource.authWithPassword({email: 'john@example.com', password: 'secret'}, onComplete);
+            }).then((user) => {
+                user.uid.should.equal('john');
+                service.currentUser.should.equal(user);
+                completions.should.deep.equal(['john']);
+                return dataSource.getAuth();
+            }).then((user) => {
+                user.uid.should.equal('john');
+                return dataSource.unauth();
+            }).then(() => {
+                should.not.exist(service.currentUser);
+                return dataSource.authWithOAuthToken('google', 'token');
+            }).then(() => should.fail(), (error) => {
+                error.code.should.equal('not_supported');
+                return dataSource.authWithOAuthToken('password', {email: 'john@example.com', password: 'secret'}, onComplete);
+            }).then(() => {
+                completions.should.deep.equal(['john', 'john']);
+                service.dispose();
+                return dataSource.authWithPassword({email: 'john@example.com', password: 'secret'});
+            }).then(() => should.fail(), (error) => {
+                error.code.should.equal('not_supported');
+            });
+        });
+
+        it('sends the token over socket connections when they open and when it changes', () => {
+            let messages = [];
+            class FakeWebSocket {
+                constructor() {
+                    Promise.resolve().then(() => this.onopen());
+                }
+
+                send(text) {
+                    messages.push(JSON.parse(text));
+                }
+
+                close() {}
+            }
+            let service = createService();
+            let connection = new imports.SocketConnection('ws://localhost', {WebSocket: FakeWebSocket});
+
+            return signIn(service).then(() => {
+                connection.track(['Todos']);
+                return wait(0);
+            }).then(() => {
+                messages.should.deep.equal([{type: 'auth', token: service.credentials.token}, {type: 'subscribe', path: '/Todos'}]);
+                return service.refresh();
+            }).then((credentials) => {
+                messages.pop().should.deep.equal({type: 'auth', token: credentials.token});
+                return service.signOut();
+            }).then(() => {
+                messages.pop().should.deep.equal({type: 'auth', token: null});
+                connection.close();
+            });
+        });
+    });
+});
@@ -0,0 +1,226 @@
+import chai                         from 'chai';
+import sinon                        from 'sinon';
+import {loadDependencies}           from '../../meta/TestBootstrap.js';
+
+let should = chai.should();
+
+describe('MemoryDataSource', () => {
+    let imports = {};
+    let store;
+
+    before(() => {
+        return loadDependencies({
+            MemoryDataSource: System.normalizeSync('./src/data/datasources/MemoryDataSource.js'),
+            MemoryStore: System.normalizeSync('./src/data/datasources/Memory/MemoryStore.js')
+        }).then((importedObjects) => {
+            imports = importedObjects;
+        });
+    });
+
+    beforeEach(() => {
+        store = new imports.MemoryStore({
+            Todos: {
+                a: {title: 'First', order: 3, '.priority': 1},
+                b: {title: 'Second', order: 1, '.priority': 2},
+                c: {title: 'Third', order: 2, '.priority': 3}
+            }
+        });
+    });
+
+    let createDataSource = (path = '/Todos', options = {}) => new imports.MemoryDataSource(path, {store, ...options});
+    let collectKeys = (snapshot) => {
+        let keys = [];
+        snapshot.forEach((child) => { keys.push(child.key); });
+        return keys;
+    };
+
+    describe('#constructor', () => {
+        it('constructs without exceptions', () => {
+            let instance = new imports.MemoryDataSource('', {});
+            should.exist(instance);
+        });
+    });
+
+    describe('#behaviour', () => {
+        it('has valid paths in path, child, parent, key, and toString methods', () => {
+            let instance = createDataSource('/parent/').child('child');
+            should.equal(instance.key(), 'child');
+            should.equal(instance.parent(), '/parent');
+            should.equal(instance.path(), '/parent/child');
+            should.equal(instance.toString(), '/parent/child');
+        });
+
+        it('reads and writes data through set(), update() and remove()', () => {
+            let instance = createDataSource('/Todos/a');
+            instance.set({title: 'Changed', done: false});
+            instance.update({done: true, 'tags/urgent': true});
+            store.get('/Todos/a').should.deep.equal({title: 'Changed', done: true, tags: {urgent: true}});
+
+            instance.child('tags').remove();
+            store.get('/Todos/a').should.deep.equal({title: 'Changed', done: true});
+        });
+
+        it('generates chronologically ordered keys in push()', () => {
+            let instance = createDataSource();
+            let keys = [instance.push({title: 'x'}).key(), instance.push({title: 'y'}).key()];
+            keys[0].should.be.below(keys[1]);
+            store.get(`/Todos/${keys[1]}`).should.deep.equal({title: 'y'});
+        });
+
+        it('orders children by priority, child, key, and limits them', () => {
+            let values = [];
+            createDataSource().once('value', (snapshot) => values.push(collectKeys(snapshot)));
+            createDataSource().orderByChild('order').once('value', (snapshot) => values.push(collectKeys(snapshot)));
+            createDataSource().orderByChild('order').limitToLast(2).once('value', (snapshot) => values.push(collectKeys(snapshot)));
+            createDataSource('/Todos', {orderBy: '.key', startAt: 'b'}).once('value', (snapshot) => values.push(collectKeys(snapshot)));
+
+            values.should.deep.equal([['a', 'b', 'c'], ['b', 'c', 'a'], ['c', 'a'], ['b', 'c']]);
+        });
+
+        it('starts and ends at cursors, using the key among children with the same value', () => {
+            store.set('/Todos/d', {title: 'Fourth', order: 2});
+            let values = [];
+            createDataSource().orderByChild('order').startAt(2, 'd').once('value', (snapshot) => values.push(collectKeys(snapshot)));
+            createDataSource().orderByChild('order').endAt(2, 'c').limitToLast(1).once('value', (snapshot) => values.push(collectKeys(snapshot)));
+            createDataSource().orderByChild('order').startAt(2).limitToFirst(2).once('value', (snapshot) => values.push(collectKeys(snapshot)));
+
+            values.should.deep.equal([['d', 'a'], ['c'], ['c', 'd']]);
+        });
+
+        it('resolves server timestamps when writing', () => {
+            let instance = createDataSource('/Todos/a/createdAt');
+            instance.set(instance.getTimestampSymbol());
+            store.get('/Todos/a/createdAt').should.be.a('number');
+        });
+
+        it('resolves the new value in atomicTransaction()', () => {
+            let instance = createDataSource('/Counter');
+            return instance.atomicTransaction((value) => (value || 0) + 1).then((newValue) => {
+                newValue.should.equal(1);
+            });
+        });
+    });
+
+    describe('#events', () => {
+        it('emits child_added for existing children with their previous sibling ids', () => {
+            let handler = sinon.stub();
+            createDataSource().on('child_added', handler);
+            handler.args.map(([snapshot, previousSiblingId]) => [snapshot.key, previousSiblingId])
+                .should.deep.equal([['a', null], ['b', 'a'], ['c', 'b']]);
+        });
+
+        it('emits child_changed, child_moved and value when the priority of a child changes', () => {
+            let instance = createDataSource();
+            let changed = sinon.stub(), moved = sinon.stub(), value = sinon.stub();
+            instance.on('child_changed', changed);
+            instance.on('child_moved', moved);
+            instance.on('value', value);
+
+            instance.child('a').setWithPriority({title: 'First'}, 4);
+
+            changed.callCount.should.equal(1);
+            moved.callCount.should.equal(1);
+            moved.args[0][0].key.should.equal('a');
+            should.equal(moved.args[0][1], 'c');
+            value.callCount.should.equal(2);
+            collectKeys(value.args[1][0]).should.deep.equal(['b', 'c', 'a']);
+        });
+
+        it('emits child_removed and child_added when a child leaves and enters a limited query', () => {
+            let instance = createDataSource().limitToFirst(2);
+            let added = sinon.stub(), removed = sinon.stub();
+            instance.on('child_added', added);
+            instance.on('child_removed', removed);
+
+            instance.child('a').remove();
+
+            removed.args[0][0].key.should.equal('a');
+            added.lastCall.args[0].key.should.equal('c');
+            added.lastCall.args[1].should.equal('b');
+        });
+
+        it('stops emitting after off() and once()', () => {
+            let instance = createDataSource();
+            let handler = sinon.stub(), onceHandler = sinon.stub();
+            instance.on('child_changed', handler);
+            instance.once('child_changed', onceHandler);
+            instance.child('a/title').set('One');
+            instance.off('child_changed', handler);
+            instance.child('a/title').set('Two');
+
+            handler.callCount.should.equal(1);
+            onceHandler.callCount.should.equal(1);
+        });
+    });
+
+    describe('#batch', () => {
+        it('commits the writes of a batch at once', () => {
+            let root = createDataSource('/');
+            let value = sinon.stub();
+            root.child('Todos').on('value', value);
+
+            let written = root.batch(() => {
+                root.child('Todos/a').update({title: 'One'});
+                root.child('Todos/d').setWithPriority({title: 'Fourth'}, 4);
+                root.child('Todos/d/done').set(true);
+                root.child('Todos/b').remove();
+                root.child('Index/d').set(true);
+                return 'result';
+            });
+
+            value.callCount.should.equal(1);
+            should.not.exist(store.get('/Todos/d'));
+            return written.then((result) => {
+                result.should.equal('result');
+                value.callCount.should.equal(2);
+                collectKeys(value.args[1][0]).should.deep.equal(['a', 'c', 'd']);
+                store.get('/Todos/a/title').should.equal('One');
+                store.get('/Todos/d').should.deep.equal({title: 'Fourth', done: true, '.priority': 4});
+                store.get('/Index').should.deep.equal({d: true});
+            });
+        });
+
+        it('commits the writes to each backend through a dataSource of that backend', () => {
+            let otherStore = new imports.MemoryStore();
+            let committed = [];
+            class OtherDataSource extends imports.MemoryDataSource {
+                _getBatchBackend() {
+                    return 'other';
+                }
+
+                _commitBatch(operations) {
+                    committed.push(operations.map(({dataSource}) => dataSource.path()));
+                    return super._commitBatch(operations);
+                }
+            }
+            let root = createDataSource('/');
+
+            return root.batch(() => {
+                root.child('Todos/a/title').set('One');
+                new OtherDataSource('/Index/a', {store: otherStore}).set(true);
+                new imports.MemoryDataSource('/Todos', {store: otherStore}).child('b').set({title: 'Other'});
+            }).then(() => {
+                committed.should.deep.equal([['/Index/a']]);
+                store.get('/Todos/a/title').should.equal('One');
+                otherStore.get('/').should.deep.equal({Index: {a: true}, Todos: {b: {title: 'Other'}}});
+            });
+        });
+
+        it('writes nothing when the method throws', () => {
+            let root = createDataSource('/');
+            let write;
+            return root.batch(() => {
+                write = root.child('Todos/a/title').set('One');
+                throw new Error('Failed');
+            }).then(() => {
+                throw new Error('The batch should have been rejected');
+            }, (error) => {
+                error.message.should.equal('Failed');
+                store.get('/Todos/a/title').should.equal('First');
+                return write.then(() => {
+                    throw new Error('The write should have been rejected');
+                }, (writeError) => writeError.should.equal(error));
+            });
+        });
+    });
+});
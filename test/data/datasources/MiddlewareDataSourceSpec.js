@@ -0,0 +1,137 @@
+import chai                         from 'chai';
+import sinon                        from 'sinon';
+import {loadDependencies}           from '../../meta/TestBootstrap.js';
+
+let should = chai.should();
+
+describe('MiddlewareDataSource', () => {
+    let imports = {};
+    let store;
+
+    before(() => {
+        return loadDependencies({
+            MiddlewareDataSource: System.normalizeSync('./src/data/datasources/MiddlewareDataSource.js'),
+            MemoryDataSource: System.normalizeSync('./src/data/datasources/MemoryDataSource.js'),
+            MemoryStore: System.normalizeSync('./src/data/datasources/Memory/MemoryStore.js')
+        }).then((importedObjects) => {
+            imports = importedObjects;
+        });
+    });
+
+    beforeEach(() => {
+        store = new imports.MemoryStore({
+            Todos: {
+                a: {title: 'First', tenant: 'x', '.priority': 1},
+                b: {title: 'Second', tenant: 'y', '.priority': 2},
+                c: {title: 'Third', tenant: 'x', '.priority': 3}
+            }
+        });
+    });
+
+    let createDataSource = (middleware = []) =>
+        new imports.MiddlewareDataSource(new imports.MemoryDataSource('/', {store, orderBy: '.priority'}), {middleware});
+    let stampUpdatedAt = {
+        write: (operation) => (operation.type === 'remove' || operation.type === 'setPriority') ? undefined :
+            {...operation, data: {...operation.data, updatedAt: 42}}
+    };
+
+    describe('#constructor', () => {
+        it('constructs without exceptions', () => {
+            should.exist(createDataSource());
+        });
+    });
+
+    describe('#writes', () => {
+        it('passes writes of the dataSource and its children through the middleware', () => {
+            let dataSource = createDataSource([stampUpdatedAt]);
+            let todos = dataSource.child('Todos');
+            todos.child('a').update({title: 'Changed'});
+            todos.child('b').setWithPriority({title: 'Moved'}, 5);
+            let pushed = todos.push({title: 'New'});
+
+            pushed.should.be.an.instanceof(imports.MiddlewareDataSource);
+            store.get('/Todos/a').should.deep.equal({title: 'Changed', tenant: 'x', updatedAt: 42, '.priority': 1});
+            store.get('/Todos/b').should.deep.equal({title: 'Moved', updatedAt: 42, '.priority': 5});
+            store.get(pushed.path()).should.deep.equal({title: 'New', updatedAt: 42});
+        });
+
+        it('rejects writes that the middleware vetoes, without writing them', () => {
+            let write = sinon.spy((operation) => {
+                if (operation.type === 'remove') {
+                    throw new Error('Removing is not allowed');
+                }
+            });
+            let dataSource = createDataSource([{write}]);
+            return dataSource.child('Todos/a').remove().then(() => {
+                throw new Error('The write should have been rejected');
+            }, (error) => {
+                error.message.should.equal('Removing is not allowed');
+                write.firstCall.args[0].path.should.equal('/Todos/a');
+                store.get('/Todos/a/title').should.equal('First');
+                (() => dataSource.child('Todos').push({title: 'New'})).should.not.throw();
+            });
+        });
+
+        it('applies middleware that is added later to existing children, until it is removed', () => {
+            let dataSource = createDataSource();
+            let todo = dataSource.child('Todos/a');
+            let removeMiddleware = dataSource.use(stampUpdatedAt);
+            todo.update({title: 'One'});
+            removeMiddleware();
+            todo.child('done').set(true);
+
+            store.get('/Todos/a').should.deep.equal({title: 'One', tenant: 'x', updatedAt: 42, done: true, '.priority': 1});
+        });
+    });
+
+    describe('#reads', () => {
+        let scopeToTenant = {
+            read: (operation) => {
+                if (operation.event === 'value' && operation.key === 'Todos') {
+                    let data = {};
+                    for (let key of Object.keys(operation.data || {}).filter((key) => operation.data[key].tenant === 'x')) {
+                        data[key] = operation.data[key];
+                    }
+                    return {...operation, data};
+                }
+                if (operation.event !== 'value' && operation.data.tenant !== 'x') {
+                    return null;
+                }
+            }
+        };
+
+        it('passes value snapshots through the middleware, keeping the order of the children', () => {
+            let dataSource = createDataSource([scopeToTenant]);
+            let keys = [];
+            return dataSource.child('Todos').once('value').then((snapshot) => {
+                snapshot.forEach((child) => {
+                    keys.push(child.key);
+                });
+                keys.should.deep.equal(['a', 'c']);
+                snapshot.numChildren().should.equal(2);
+                snapshot.child('c').val().title.should.equal('Third');
+                should.equal(snapshot.child('b').val(), null);
+                snapshot.ref.path().should.equal('/Todos');
+            });
+        });
+
+        it('drops child events, and gives the other snapshots a wrapped dataSource', () => {
+            let dataSource = createDataSource([scopeToTenant]);
+            let added = sinon.stub(), changed = sinon.stub();
+            let todos = dataSource.child('Todos');
+            todos.on('child_added', added);
+            todos.on('child_changed', changed);
+            todos.child('b/title').set('Changed');
+            todos.child('c/title').set('Changed');
+            todos.off('child_changed', changed);
+            todos.child('a/title').set('Changed');
+
+            added.args.map(([snapshot, previousSiblingId]) => [snapshot.key, previousSiblingId])
+                .should.deep.equal([['a', null], ['c', 'b']]);
+            changed.callCount.should.equal(1);
+            changed.args[0][0].key.should.equal('c');
+            changed.args[0][0].ref.should.be.an.instanceof(imports.MiddlewareDataSource);
+            changed.args[0][0].ref.path().should.equal('/Todos/c');
+        });
+    });
+});
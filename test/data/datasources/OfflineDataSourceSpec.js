@@ -0,0 +1,131 @@
+import chai                         from 'chai';
+import sinon                        from 'sinon';
+import {loadDependencies}           from '../../meta/TestBootstrap.js';
+
+let should = chai.should();
+
+describe('OfflineDataSource', () => {
+    let imports = {};
+    let remoteStore, storage, isOnline;
+
+    before(() => {
+        return loadDependencies({
+            OfflineDataSource: System.normalizeSync('./src/data/datasources/OfflineDataSource.js'),
+            MemoryDataSource: System.normalizeSync('./src/data/datasources/MemoryDataSource.js'),
+            MemoryStore: System.normalizeSync('./src/data/datasources/Memory/MemoryStore.js'),
+            MemoryStorageAdapter: System.normalizeSync('./src/data/datasources/Offline/StorageAdapters.js')
+        }).then((importedObjects) => {
+            imports = importedObjects;
+        });
+    });
+
+    beforeEach(() => {
+        remoteStore = new imports.MemoryStore({Todos: {a: {title: 'First'}, b: {title: 'Second'}}});
+        storage = new imports.MemoryStorageAdapter();
+        isOnline = true;
+    });
+
+    let createDataSource = (options = {}) => new imports.OfflineDataSource(
+        new imports.MemoryDataSource('/', {store: remoteStore}),
+        {storage, isOnline: () => isOnline, ...options}
+    );
+    let nextValue = (dataSource) => dataSource.once('value').then((snapshot) => snapshot.val());
+
+    describe('#constructor', () => {
+        it('constructs without exceptions', () => {
+            should.exist(createDataSource());
+        });
+    });
+
+    describe('#behaviour', () => {
+        it('emits the data of the wrapped DataSource and follows its changes', () => {
+            let todos = createDataSource().child('Todos');
+            let handler = sinon.stub();
+            todos.on('child_changed', handler);
+            return nextValue(todos).then((value) => {
+                value.should.deep.equal({a: {title: 'First'}, b: {title: 'Second'}});
+                remoteStore.set('/Todos/a/title', 'Changed');
+                handler.callCount.should.equal(1);
+                handler.args[0][0].val().should.deep.equal({title: 'Changed'});
+            });
+        });
+
+        it('applies writes locally while offline and replays them in order when back online', () => {
+            let dataSource = createDataSource();
+            let todos = dataSource.child('Todos');
+            return nextValue(todos).then(() => {
+                isOnline = false;
+                let writes = [todos.child('a/title').set('Offline'), todos.push({title: 'New'}).synced(), todos.child('b').remove()];
+
+                dataSource.cache.getQueuedWrites().length.should.equal(3);
+                should.equal(remoteStore.get('/Todos/b/title'), 'Second');
+                return nextValue(todos).then((value) => {
+                    value.a.title.should.equal('Offline');
+                    should.not.exist(value.b);
+                    Object.keys(value).length.should.equal(2);
+
+                    isOnline = true;
+                    dataSource.cache.replay();
+                    return Promise.all(writes);
+                });
+            }).then(() => {
+                dataSource.cache.getQueuedWrites().length.should.equal(0);
+                let remoteTodos = remoteStore.get('/Todos');
+                remoteTodos.a.title.should.equal('Offline');
+                should.not.exist(remoteTodos.b);
+                Object.keys(remoteTodos).length.should.equal(2);
+            });
+        });
+
+        it('restores cached data and queued writes from storage after a restart', () => {
+            let todos = createDataSource().child('Todos');
+            return nextValue(todos).then(() => {
+                isOnline = false;
+                todos.child('a/title').set('Offline');
+
+                /* Simulates a new session in which the wrapped DataSource never responds */
+                sinon.stub(imports.MemoryDataSource.prototype, '_subscribe').returns(new Promise(() => {}));
+                let restartedDataSource = createDataSource();
+                return nextValue(restartedDataSource.child('Todos')).then((value) => {
+                    value.should.deep.equal({a: {title: 'Offline'}, b: {title: 'Second'}});
+                    restartedDataSource.cache.getQueuedWrites().length.should.equal(1);
+                });
+            }).then(() => imports.MemoryDataSource.prototype._subscribe.restore(),
+                (error) => { imports.MemoryDataSource.prototype._subscribe.restore(); throw error; });
+        });
+
+        it('keeps the queued writes of a previous session when writing before they are loaded', () => {
+            isOnline = false;
+            let todos = createDataSource().child('Todos');
+            todos.child('a/title').set('First offline');
+            let restartedDataSource;
+            return todos.cache._queueLoaded.then(() => {
+                restartedDataSource = createDataSource();
+                restartedDataSource.child('Todos/b/title').set('Second offline');
+                return restartedDataSource.cache._queueLoaded;
+            }).then(() => storage.getItem(restartedDataSource.cache._getQueueStorageKey())).then((queue) => {
+                queue.map(({path, data}) => [path, data]).should.deep.equal([['/Todos/a/title', 'First offline'], ['/Todos/b/title', 'Second offline']]);
+                isOnline = true;
+                return restartedDataSource.cache.replay();
+            }).then(() => {
+                remoteStore.get('/Todos').should.deep.equal({a: {title: 'First offline'}, b: {title: 'Second offline'}});
+            });
+        });
+
+        it('rejects writes and emits write_failed when the wrapped DataSource refuses them', () => {
+            let dataSource = createDataSource();
+            let failed = sinon.stub();
+            dataSource.cache.on('write_failed', failed);
+            sinon.stub(imports.MemoryDataSource.prototype, 'set').returns(Promise.reject(new Error('Permission denied')));
+
+            return dataSource.child('Todos/a/title').set('Refused').then(() => {
+                throw new Error('Write should have been rejected');
+            }, (error) => {
+                error.message.should.equal('Permission denied');
+                failed.callCount.should.equal(1);
+                dataSource.cache.getQueuedWrites().length.should.equal(0);
+            }).then(() => imports.MemoryDataSource.prototype.set.restore(),
+                (error) => { imports.MemoryDataSource.prototype.set.restore(); throw error; });
+        });
+    });
+});
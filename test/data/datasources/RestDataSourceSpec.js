@@ -0,0 +1,122 @@
+import chai                         from 'chai';
+import sinon                        from 'sinon';
+import {loadDependencies}           from '../../meta/TestBootstrap.js';
+
+let should = chai.should();
+
+describe('RestDataSource', () => {
+    let imports = {};
+    let backend, requests, dataSource;
+
+    before(() => {
+        return loadDependencies({
+            RestDataSource: System.normalizeSync('./src/data/datasources/RestDataSource.js')
+        }).then((importedObjects) => {
+            imports = importedObjects;
+        });
+    });
+
+    beforeEach(() => {
+        backend = {Todos: [{id: 'a', title: 'First'}, {id: 'b', title: 'Second'}]};
+        requests = [];
+        dataSource = new imports.RestDataSource('/', {baseUrl: 'https://example.com/api/', pollInterval: 60000});
+        sinon.stub(dataSource.connection, 'request', (method, segments, data) => {
+            requests.push([method, dataSource.connection.getUrl(segments), data]);
+            return method === 'GET' ? Promise.resolve(JSON.parse(JSON.stringify(backend[segments[0]] || null))) : Promise.resolve(null);
+        });
+    });
+
+    describe('#constructor', () => {
+        it('constructs without exceptions', () => {
+            should.exist(new imports.RestDataSource('', {baseUrl: 'https://example.com'}));
+        });
+    });
+
+    describe('#behaviour', () => {
+        it('builds URLs from child paths', () => {
+            let instance = dataSource.child('Todos').child('a');
+            instance.toString().should.equal('https://example.com/api/Todos/a');
+            instance.key().should.equal('a');
+        });
+
+        it('converts fetched collections to keyed children, and emits the differences between polls', () => {
+            let todos = dataSource.child('Todos');
+            let added = sinon.stub(), changed = sinon.stub(), removed = sinon.stub();
+            todos.on('child_added', added);
+            todos.on('child_changed', changed);
+            todos.on('child_removed', removed);
+
+            return todos.once('value').then((snapshot) => {
+                snapshot.val().should.deep.equal({a: {id: 'a', title: 'First'}, b: {id: 'b', title: 'Second'}});
+                added.callCount.should.equal(2);
+
+                backend.Todos = [{id: 'a', title: 'Changed'}, {id: 'c', title: 'Third'}];
+                return dataSource.connection.refresh();
+            }).then(() => {
+                changed.args.map(([snapshot]) => snapshot.key).should.deep.equal(['a']);
+                removed.args.map(([snapshot]) => snapshot.key).should.deep.equal(['b']);
+                added.lastCall.args[0].key.should.equal('c');
+                todos.off();
+            });
+        });
+
+        it('emits an empty value and fetch_failed when the first fetch fails', () => {
+            dataSource.connection.request.restore();
+            sinon.stub(dataSource.connection, 'request').returns(Promise.reject(new Error('Not Found')));
+            let failed = sinon.stub();
+            dataSource.connection.on('fetch_failed', failed);
+            let todos = dataSource.child('Todos');
+
+            return todos.once('value').then((snapshot) => {
+                should.equal(snapshot.val(), null);
+                failed.callCount.should.equal(1);
+                failed.args[0][0].message.should.equal('Not Found');
+                failed.args[0][1].should.equal('/Todos');
+                todos.off();
+            });
+        });
+
+        it('maps writes to PUT, PATCH, POST and DELETE requests', () => {
+            let todos = dataSource.child('Todos');
+            let pushed = todos.push({title: 'New'});
+            return Promise.all([
+                todos.child('a').set({title: 'Set'}),
+                todos.child('a').update({'tags/urgent': true}),
+                pushed.synced(),
+                todos.child('b').remove()
+            ]).then(() => {
+                requests.should.deep.equal([
+                    ['POST', 'https://example.com/api/Todos', {title: 'New', id: pushed.key()}],
+                    ['PUT', 'https://example.com/api/Todos/a', {title: 'Set'}],
+                    ['PATCH', 'https://example.com/api/Todos/a', {tags: {urgent: true}}],
+                    ['DELETE', 'https://example.com/api/Todos/b', undefined]
+                ]);
+                dataSource.connection.store.get('/Todos/a').should.deep.equal({title: 'Set', tags: {urgent: true}});
+            });
+        });
+
+        it('reverts a local write when the backend rejects it', () => {
+            let todos = dataSource.child('Todos');
+            let value = sinon.stub();
+            todos.on('value', value);
+            return todos.once('value').then(() => {
+                dataSource.connection.request.restore();
+                sinon.stub(dataSource.connection, 'request', (method) =>
+                    method === 'GET' ? Promise.resolve(JSON.parse(JSON.stringify(backend.Todos))) : Promise.reject(new Error('Forbidden')));
+
+                let write = todos.child('a/title').set('Refused');
+                dataSource.connection.store.get('/Todos/a/title').should.equal('Refused');
+                return write;
+            }).then(() => {
+                throw new Error('Write should have been rejected');
+            }, (error) => {
+                error.message.should.equal('Forbidden');
+                return dataSource.connection.refresh();
+            }).then(() => {
+                dataSource.connection.store.get('/Todos/a/title').should.equal('First');
+                value.lastCall.args[0].val().a.title.should.equal('First');
+                todos.off();
+            });
+        });
+    });
+});
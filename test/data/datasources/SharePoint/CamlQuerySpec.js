@@ -0,0 +1,101 @@
+import chai                         from 'chai';
+import {loadDependencies}           from '../../../meta/TestBootstrap.js';
+
+let should = chai.should();
+
+describe('CamlQuery', () => {
+    let imports = {};
+
+    before(() => {
+        return loadDependencies({
+            CamlQuery: System.normalizeSync('./src/data/datasources/SharePoint/CamlQuery.js'),
+            Query: System.normalizeSync('./src/data/query/Query.js')
+        }).then((importedObjects) => {
+            imports = importedObjects;
+        });
+    });
+
+    describe('#compile', () => {
+        it('compiles conditions, order and limit to CAML', () => {
+            let query = new imports.Query()
+                .where('Status', '==', 'open')
+                .where('Priority', '>=', 2)
+                .where('Owner', '==', null)
+                .orderBy('id', 'desc')
+                .limit(20);
+            let {options, residual} = imports.CamlQuery.compile(query);
+
+            options.should.deep.equal({
+                query: {
+                    Query: {
+                        Where: {
+                            And: {
+                                Eq: {FieldRef: {_Name: 'Status'}, Value: {_Type: 'Text', __text: 'open'}},
+                                And: {
+                                    Geq: {FieldRef: {_Name: 'Priority'}, Value: {_Type: 'Number', __text: '2'}},
+                                    IsNull: {FieldRef: {_Name: 'Owner'}}
+                                }
+                            }
+                        },
+                        OrderBy: {FieldRef: {_Name: 'ID', _Ascending: 'FALSE'}}
+                    }
+                },
+                limit: 20
+            });
+            residual.conditions.should.deep.equal([]);
+            residual.order.should.deep.equal({field: 'id', descending: true});
+        });
+
+        it('repeats elements of the same type within an And element', () => {
+            let query = new imports.Query().where('Priority', '>', 1).where('Priority', '<', 5);
+            let {options} = imports.CamlQuery.compile(query);
+            options.query.Query.Where.And.should.deep.equal({
+                Gt: {FieldRef: {_Name: 'Priority'}, Value: {_Type: 'Number', __text: '1'}},
+                Lt: {FieldRef: {_Name: 'Priority'}, Value: {_Type: 'Number', __text: '5'}}
+            });
+
+            let {options: sameTypeOptions} = imports.CamlQuery.compile(new imports.Query().where('Tag', 'in', ['a', true]).where('Owner', '!=', null).where('Done', '!=', null));
+            let where = sameTypeOptions.query.Query.Where;
+            where.And.In.Values.Value.should.deep.equal([{_Type: 'Text', __text: 'a'}, {_Type: 'Boolean', __text: '1'}]);
+            where.And.And.IsNotNull.should.deep.equal([{FieldRef: {_Name: 'Owner'}}, {FieldRef: {_Name: 'Done'}}]);
+            should.not.exist(sameTypeOptions.limit);
+        });
+    });
+
+    describe('#withCursor', () => {
+        it('combines a cursor on the ordered field and the ID with the conditions of the query', () => {
+            let {options} = imports.CamlQuery.compile(new imports.Query().where('Status', '==', 'open').orderBy('Priority', 'desc'));
+            let where = imports.CamlQuery.withCursor(options, true, 3, '12').query.Query.Where;
+            where.And.Eq.should.deep.equal({FieldRef: {_Name: 'Status'}, Value: {_Type: 'Text', __text: 'open'}});
+            where.And.Or.should.deep.equal({
+                Lt: {FieldRef: {_Name: 'Priority'}, Value: {_Type: 'Number', __text: '3'}},
+                And: {
+                    Eq: {FieldRef: {_Name: 'Priority'}, Value: {_Type: 'Number', __text: '3'}},
+                    Leq: {FieldRef: {_Name: 'ID'}, Value: {_Type: 'Counter', __text: '12'}}
+                }
+            });
+        });
+
+        it('uses the ID as cursor when the items are not ordered', () => {
+            let options = imports.CamlQuery.withCursor({limit: 10}, false, null, '7');
+            options.should.deep.equal({
+                limit: 10,
+                query: {Query: {Where: {Leq: {FieldRef: {_Name: 'ID'}, Value: {_Type: 'Counter', __text: '7'}}}}}
+            });
+        });
+    });
+
+    describe('#toXml', () => {
+        it('serializes attributes, text and repeated elements, and escapes their values', () => {
+            imports.CamlQuery.toXml({
+                Where: {
+                    Eq: {FieldRef: {_Name: 'Title'}, Value: {_Type: 'Text', __text: 'Fish & <Chips>'}}
+                },
+                OrderBy: {FieldRef: [{_Name: 'Priority', _Ascending: 'FALSE'}, {_Name: 'ID'}]}
+            }).should.equal(
+                '<Where><Eq><FieldRef Name="Title"></FieldRef><Value Type="Text">Fish &amp; &lt;Chips&gt;</Value></Eq></Where>' +
+                '<OrderBy><FieldRef Name="Priority" Ascending="FALSE"></FieldRef><FieldRef Name="ID"></FieldRef></OrderBy>'
+            );
+        });
+    });
+});
@@ -1,4 +1,5 @@
 import chai                         from 'chai';
+import sinon                        from 'sinon';
 import {loadDependencies}           from '../../../meta/TestBootstrap.js';
 
 let should = chai.should();
@@ -20,4 +21,138 @@ describe('DataModelGenerator', () => {
             should.exist(instance);
         });
     });
-});
\ No newline at end of file
+
+    describe('#Deploy', () => {
+        let createInstance = () => new imports.DataModelGenerator('https://example.com/sites/app', {
+            Prefix: 'App',
+            Version: 2,
+            Schema: {
+                Orders: [
+                    {name: 'Title', type: 'Text'},
+                    {name: 'Reference', type: 'Text', renamedFrom: 'Code'},
+                    {name: 'Amount', type: 'Number'},
+                    {name: 'Customer', type: 'Lookup', source: 'Customers'},
+                    {name: 'Notes', type: 'Note'}
+                ],
+                Customers: [
+                    {name: 'Title', type: 'Text'},
+                    {name: 'Name', type: 'Text'}
+                ]
+            }
+        });
+        let appliedSchema = {version: '1', schema: {Orders: [{name: 'Title', type: 'Text'}, {name: 'Code', type: 'Text'}]}};
+        let stubSite = (instance) => {
+            sinon.stub(instance, '_GetAppliedSchema').returns(Promise.resolve(appliedSchema));
+            sinon.stub(instance, '_GetExistingFields', (listName) => Promise.resolve(listName === 'Orders' ? {
+                Title: {type: 'Text'},
+                Modified: {type: 'DateTime'},
+                __id: {type: 'Integer'},
+                App_Code: {type: 'Text'},
+                App_Amount: {type: 'Text'},
+                App_Customer: {type: 'Lookup', list: '{AAAA}', showField: 'ID'},
+                App_Obsolete: {type: 'Text'}
+            } : null));
+            sinon.stub(instance, '_GetListID').returns(Promise.resolve('{BBBB}'));
+        };
+
+        it('plans migrations and deployment operations without executing them in a dry run', () => {
+            let instance = createInstance();
+            stubSite(instance);
+            let executeOperation = sinon.stub(instance, '_ExecuteOperation').returns(Promise.resolve());
+
+            return instance.Deploy({migrate: true, dryRun: true}).then((report) => {
+                report.map(({operation: {type, list, field, from}, status}) => [type, list, field, from, status]).should.deep.equal([
+                    ['renameField', 'Orders', 'App_Reference', 'App_Code', 'planned'],
+                    ['changeField', 'Orders', 'App_Amount', 'Text', 'planned'],
+                    ['changeLookup', 'Orders', 'App_Customer', undefined, 'planned'],
+                    ['removeField', 'Orders', 'App_Obsolete', undefined, 'planned'],
+                    ['updateList', 'Orders', undefined, undefined, 'planned'],
+                    ['addField', 'Orders', 'App_Notes', undefined, 'planned'],
+                    ['updateDefaultView', 'Orders', undefined, undefined, 'planned'],
+                    ['createList', 'Customers', undefined, undefined, 'planned'],
+                    ['updateList', 'Customers', undefined, undefined, 'planned'],
+                    ['addField', 'Customers', 'App_Name', undefined, 'planned'],
+                    ['updateDefaultView', 'Customers', undefined, undefined, 'planned'],
+                    ['recordSchemaVersion', 'App_SchemaVersions', undefined, undefined, 'planned']
+                ]);
+                report[4].operation.addIdField.should.equal(false);
+                report[8].operation.addIdField.should.equal(true);
+                instance._GetListID.calledWith('Customers').should.equal(true);
+                executeOperation.called.should.equal(false);
+            });
+        });
+
+        it('reports failed operations, and skips the operations that depend on them', () => {
+            let instance = createInstance();
+            stubSite(instance);
+            let error = new Error('Access denied');
+            sinon.stub(instance, '_ExecuteOperation', ({type, list}) =>
+                type === 'createList' && list === 'Customers' ? Promise.reject(error) : Promise.resolve());
+
+            return instance.Deploy({migrate: true}).then((report) => {
+                report.filter(({status}) => status === 'succeeded').length.should.equal(7);
+                report[7].should.deep.equal({operation: {type: 'createList', list: 'Customers'}, status: 'failed', error});
+                report.slice(8).map(({operation: {type}, status}) => [type, status]).should.deep.equal([
+                    ['updateList', 'skipped'],
+                    ['addField', 'skipped'],
+                    ['updateDefaultView', 'skipped'],
+                    ['recordSchemaVersion', 'skipped']
+                ]);
+            });
+        });
+    });
+
+    describe('#_AddField', () => {
+        let originalXMLHttpRequest = global.XMLHttpRequest;
+        after(() => global.XMLHttpRequest = originalXMLHttpRequest);
+
+        it('rejects when SharePoint reports that a field failed, even though the request succeeded', () => {
+            global.XMLHttpRequest = class {
+                open() {}
+                setRequestHeader() {}
+                getResponseHeader() {
+                    return null;
+                }
+                send() {
+                    this.status = 200;
+                    this.response = '<UpdateListResult/>';
+                    this.onload();
+                }
+            };
+            let instance = new imports.DataModelGenerator('https://example.com/sites/app', {Schema: {}});
+            sinon.stub(instance, '_ResolveErrorCodes').returns(['0x81020014']);
+
+            return instance._AddField('Orders', 'App_Amount', {type: 'Number'}).then(() => {
+                throw new Error('_AddField() should have rejected');
+            }, (error) => {
+                error.code.should.equal('update_failed');
+                error.message.should.contain('0x81020014');
+            });
+        });
+    });
+
+    describe('#Seed', () => {
+        it('adds the seeded items to lists without items', () => {
+            let instance = new imports.DataModelGenerator('https://example.com/sites/app', {
+                Schema: {},
+                Seed: {
+                    Colors: [{Title: 'Red'}, {Title: 'Blue', Parent: {id: 1, value: 'Red'}}],
+                    Sizes: [{Title: 'Large'}]
+                }
+            });
+            sinon.stub(instance, '_GetListItems', (listName) => Promise.resolve(listName === 'Sizes' ? [{ID: '1'}] : []));
+            let updateListItems = sinon.stub(instance, '_UpdateListItems').returns(Promise.resolve());
+
+            return instance.Seed().then((seeded) => {
+                seeded.should.deep.equal({Colors: 2, Sizes: 0});
+                updateListItems.calledOnce.should.equal(true);
+                updateListItems.firstCall.args.should.deep.equal(['Colors', [
+                    {_ID: 1, _Cmd: 'New', Field: [{_Name: 'ID', __text: 'New'}, {_Name: 'Title', __text: 'Red'}]},
+                    {_ID: 2, _Cmd: 'New', Field: [
+                        {_Name: 'ID', __text: 'New'}, {_Name: 'Title', __text: 'Blue'}, {_Name: 'Parent', __text: '1;#'}
+                    ]}
+                ]]);
+            });
+        });
+    });
+});
@@ -0,0 +1,102 @@
+import chai                         from 'chai';
+import {loadDependencies}           from '../../../meta/TestBootstrap.js';
+
+let should = chai.should();
+
+describe('Polling', () => {
+    let imports = {};
+
+    before(() => {
+        return loadDependencies({
+            Polling: System.normalizeSync('./src/data/datasources/SharePoint/Polling.js')
+        }).then((importedObjects) => {
+            imports = importedObjects.Polling;
+        });
+    });
+
+    let wait = (milliseconds) => new Promise((resolve) => setTimeout(resolve, milliseconds));
+
+    /* Creates a scheduler of which the refreshes are resolved by hand */
+    let createScheduler = (options, listName) => {
+        let refreshes = [];
+        let scheduler = new imports.PollingScheduler(() => new Promise((resolve) => refreshes.push(resolve)), options, listName);
+        return {scheduler, refreshes};
+    };
+
+    describe('#pollingStrategies', () => {
+        it('backs off adaptively while nothing changes, up to the maximum interval', () => {
+            let strategy = imports.pollingStrategies.adaptive({interval: 1000, maxInterval: 5000});
+            [false, false, false, false].map(strategy.getDelay).should.deep.equal([1000, 2000, 4000, 5000]);
+            strategy.getDelay(true).should.equal(1000);
+            strategy.getDelay(false).should.equal(1000);
+            strategy.getDelay(false).should.equal(2000);
+            strategy.reset();
+            strategy.getDelay(false).should.equal(1000);
+        });
+    });
+
+    describe('#PollingScheduler', () => {
+        it('applies the options of the list, and rejects unknown strategies', () => {
+            let {scheduler} = createScheduler({strategy: 'adaptive', interval: 5000, lists: {Messages: {interval: 500}}}, 'Messages');
+            scheduler.options.should.deep.equal({strategy: 'adaptive', refreshAfterWrite: true, pauseWhenHidden: true, interval: 500});
+            scheduler.strategy.getDelay(false).should.equal(500);
+            (() => new imports.PollingScheduler(() => {}, {strategy: 'sometimes'})).should.throw(/Unknown polling strategy/);
+        });
+
+        it('refreshes after writes without overlapping refreshes, and stops when stopped', () => {
+            let {scheduler, refreshes} = createScheduler({interval: 60000});
+            scheduler.start();
+            return wait(0).then(() => {
+                refreshes.length.should.equal(1);
+                scheduler.onWrite();
+                scheduler.onWrite();
+                return wait(0);
+            }).then(() => {
+                refreshes.length.should.equal(1);
+                refreshes[0](true);
+                return wait(0);
+            }).then(() => {
+                /* The writes during the first refresh are picked up by a single refresh */
+                refreshes.length.should.equal(2);
+                refreshes[1](false);
+                scheduler.onWrite();
+                return wait(0);
+            }).then(() => {
+                refreshes.length.should.equal(3);
+                scheduler.stop();
+                refreshes[2](false);
+                scheduler.onWrite();
+                return wait(0);
+            }).then(() => {
+                refreshes.length.should.equal(3);
+            });
+        });
+
+        it('pauses while the app is hidden, and refreshes when it is shown again', () => {
+            let {scheduler, refreshes} = createScheduler({interval: 5});
+            scheduler.start();
+            return wait(0).then(() => {
+                refreshes[0](false);
+                scheduler.setHidden(true);
+                return wait(20);
+            }).then(() => {
+                refreshes.length.should.equal(1);
+                scheduler.setHidden(false);
+                return wait(0);
+            }).then(() => {
+                refreshes.length.should.equal(2);
+                scheduler.stop();
+                let {scheduler: alwaysOn, refreshes: alwaysOnRefreshes} = createScheduler({interval: 5, pauseWhenHidden: false});
+                alwaysOn.start();
+                alwaysOn.setHidden(true);
+                return wait(0).then(() => {
+                    alwaysOnRefreshes[0](false);
+                    return wait(20);
+                }).then(() => {
+                    alwaysOnRefreshes.length.should.equal(2);
+                    alwaysOn.stop();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,140 @@
+import chai                         from 'chai';
+import {loadDependencies}           from '../../../meta/TestBootstrap.js';
+import {SharePointRestMockServer}   from '../../../meta/SharePointRestMockServer.js';
+
+let should = chai.should();
+
+describe('SharePointRestClient', () => {
+    let imports = {};
+    let server, site, clients;
+
+    before(() => {
+        return loadDependencies({
+            SharePointRestClient: System.normalizeSync('./src/data/datasources/SharePoint/SPRestAdapter/SharePointRestClient.js'),
+            Settings: System.normalizeSync('./src/data/datasources/SharePoint/SPSoapAdapter/Settings.js')
+        }).then((importedObjects) => {
+            imports = importedObjects;
+        });
+    });
+
+    beforeEach(() => {
+        clients = [];
+        server = new SharePointRestMockServer({Todos: [{Title: 'First'}, {Title: 'Second'}]});
+        return server.start().then((url) => site = url);
+    });
+
+    afterEach(() => {
+        clients.forEach((client) => client.dispose());
+        return server.stop();
+    });
+
+    let createClient = (path, options = {}) => {
+        let client = new imports.SharePointRestClient({endPoint: `${site}/${path}`, polling: {interval: 10}, ...options});
+        client.init();
+        clients.push(client);
+        return client;
+    };
+    let nextMessage = (client, event) => new Promise((resolve) => {
+        let onMessage = (message) => {
+            if (message.event === event) {
+                client.removeListener('message', onMessage);
+                resolve(message);
+            }
+        };
+        client.on('message', onMessage);
+    });
+
+    describe('#subscribeToChanges', () => {
+        it('emits the items of the list, and the differences between refreshes', () => {
+            let client = createClient('Todos', {limit: 10});
+            let [first, second] = server.lists.Todos;
+            let messages = [];
+            let value = nextMessage(client, 'value');
+            client.subscribeToChanges();
+
+            return value.then(({result}) => {
+                result.should.deep.equal([
+                    {id: '1', remoteId: '1', Title: 'First'},
+                    {id: '2', remoteId: '2', Title: 'Second'}
+                ]);
+                server.requests.find(({url}) => url.endsWith('/GetItems')).data.query.ViewXml.should.equal('<View Scope="RecursiveAll"><Query></Query><RowLimit>10</RowLimit></View>');
+
+                client.on('message', (message) => message.event !== 'value' && messages.push(message));
+                first.Title = 'Changed';
+                server.lists.Todos = [first, {...second, ID: 3}];
+                return nextMessage(client, 'value');
+            }).then(() => {
+                messages.should.deep.equal([
+                    {event: 'child_removed', result: {id: '2', remoteId: '2', Title: 'Second'}},
+                    {event: 'child_changed', result: {id: '1', remoteId: '1', Title: 'Changed'}, previousSiblingId: null},
+                    {event: 'child_added', result: {id: '3', remoteId: '3', Title: 'Second'}, previousSiblingId: '1'}
+                ]);
+            });
+        });
+    });
+
+    describe('#set', () => {
+        it('creates items, and writes to them through their temporary id', () => {
+            let client = createClient('Todos');
+            let temporaryId = `${imports.Settings.localKeyPrefix}1`;
+            let changed = nextMessage(client, 'child_changed');
+
+            return client.set({'_temporary-identifier': temporaryId, Title: 'Third', Done: false}).then(() => changed).then(({result}) => {
+                result.should.deep.equal({'_temporary-identifier': temporaryId, Title: 'Third', Done: false, id: temporaryId, remoteId: '3'});
+                server.requests.find(({url}) => url.endsWith('/items')).data.should.deep.equal({
+                    __metadata: {type: 'SP.Data.TodosListItem'}, Title: 'Third', Done: false
+                });
+
+                return createClient(`Todos/${temporaryId}`).set({id: temporaryId, Done: true, Modified: imports.Settings.timestampSymbol});
+            }).then(() => {
+                let [, , third] = server.lists.Todos;
+                third.Done.should.equal(true);
+                isNaN(Date.parse(third.Modified)).should.equal(false);
+                return createClient('Todos').remove({id: temporaryId});
+            }).then(() => {
+                server.lists.Todos.map(({ID}) => ID).should.deep.equal([1, 2]);
+            });
+        });
+
+        it('rejects with, and emits, the error of a failed write', () => {
+            let errors = [];
+            let client = createClient('Missing');
+            client.on('error', (error) => errors.push(error.status));
+            return client.set({Title: 'Lost'}).then(() => should.fail(), (error) => {
+                error.status.should.equal(404);
+                let todos = createClient('Todos');
+                todos.on('error', (error) => errors.push(error.status));
+                return todos.remove({id: '5'});
+            }).then(() => should.fail(), (error) => {
+                error.status.should.equal(404);
+                errors.should.deep.equal([404, 404]);
+            });
+        });
+    });
+
+    describe('#setWithVersion', () => {
+        it('reports a conflict when the item changed since it was read', () => {
+            let client = createClient('Todos/1');
+            return client.getItem().then(({item, version}) => {
+                item.should.deep.equal({id: '1', Title: 'First'});
+                version.should.equal('"1"');
+                server.lists.Todos[0].__metadata.etag = '"2"';
+                return client.setWithVersion({Title: 'Changed'}, version);
+            }).then((result) => {
+                result.should.deep.equal({isConflict: true});
+                return client.setWithVersion({Title: 'Changed'}, '"2"');
+            }).then(({isConflict, item}) => {
+                isConflict.should.equal(false);
+                item.should.deep.equal({id: '1', Title: 'Changed'});
+            });
+        });
+    });
+
+    describe('#batch', () => {
+        it('is only supported by the SOAP adapter', () => {
+            return imports.SharePointRestClient.batch([]).then(() => should.fail(), (error) => {
+                error.code.should.equal('not_supported');
+            });
+        });
+    });
+});
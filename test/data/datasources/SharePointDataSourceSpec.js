@@ -135,4 +135,27 @@ describe('SharePointDataSource', () => {
             should.equal(on.calledWith('child_removed'), true);
         });
     });
+
+    describe('#atomicTransaction', () => {
+        it('retries the transaction when the version of the item changed in the meantime', () => {
+            let instance = new imports.SharePointDataSource('http://somedomain.org/site/List/1');
+            let getItem = sinon.stub(instance._dataReference, 'getItem');
+            getItem.onFirstCall().returns(Promise.resolve({item: {id: '1', count: 1}, version: 3}));
+            getItem.onSecondCall().returns(Promise.resolve({item: {id: '1', count: 2}, version: 4}));
+            let setWithVersion = sinon.stub(instance._dataReference, 'setWithVersion');
+            setWithVersion.onFirstCall().returns(Promise.resolve({isConflict: true}));
+            setWithVersion.onSecondCall().returns(Promise.resolve({isConflict: false, item: {id: '1', count: 3}}));
+
+            return instance.atomicTransaction((item) => ({...item, count: item.count + 1})).then((result) => {
+                result.should.deep.equal({id: '1', count: 3});
+                setWithVersion.args[0].should.deep.equal([{id: '1', count: 2}, 3]);
+                setWithVersion.args[1].should.deep.equal([{id: '1', count: 3}, 4]);
+            });
+        });
+
+        it('returns a server timestamp placeholder', () => {
+            let instance = new imports.SharePointDataSource('http://somedomain.org/site/List/1');
+            instance.getTimestampSymbol().should.deep.equal({'.sv': 'timestamp'});
+        });
+    });
 });
\ No newline at end of file
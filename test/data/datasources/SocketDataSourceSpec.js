@@ -0,0 +1,139 @@
+import chai                         from 'chai';
+import sinon                        from 'sinon';
+import {loadDependencies}           from '../../meta/TestBootstrap.js';
+
+let should = chai.should();
+
+describe('SocketDataSource', () => {
+    let imports = {};
+    let server, sockets, dataSource;
+
+    before(() => {
+        return loadDependencies({
+            SocketDataSource: System.normalizeSync('./src/data/datasources/SocketDataSource.js'),
+            JsonPatch: System.normalizeSync('./src/data/datasources/Socket/JsonPatch.js'),
+            ReferenceServer: System.normalizeSync('./server/socket/ReferenceServer.js')
+        }).then((importedObjects) => {
+            imports = importedObjects;
+        });
+    });
+
+    /* Connects to the reference server without a network, delivering messages asynchronously like a real WebSocket */
+    class FakeWebSocket {
+        constructor() {
+            this.client = server.addClient((text) => Promise.resolve().then(() => this.onmessage && this.onmessage({data: text})));
+            sockets.push(this);
+            Promise.resolve().then(() => this.onopen());
+        }
+
+        send(text) {
+            Promise.resolve().then(() => server.handleMessage(this.client, text));
+        }
+
+        close() {
+            server.removeClient(this.client);
+            Promise.resolve().then(() => this.onclose());
+        }
+    }
+
+    let nextValue = (instance) => instance.once('value').then((snapshot) => snapshot.val());
+    let flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+    beforeEach(() => {
+        server = new imports.ReferenceServer({Todos: {a: {title: 'First', '.priority': 1}, b: {title: 'Second', '.priority': 2}}});
+        sockets = [];
+        dataSource = new imports.SocketDataSource('/', {url: 'ws://localhost', WebSocket: FakeWebSocket, reconnectInterval: 0});
+    });
+
+    afterEach(() => {
+        dataSource.connection.close();
+    });
+
+    describe('#JsonPatch', () => {
+        it('creates patches that turn one value into another', () => {
+            let previous = {a: {title: 'First'}, b: {title: 'Second'}, 'c/d': 1};
+            let next = {a: {title: 'Changed'}, 'c/d': 1, e: true};
+            let operations = imports.JsonPatch.create(previous, next);
+            operations.should.deep.equal([
+                {op: 'remove', path: '/b'},
+                {op: 'replace', path: '/a/title', value: 'Changed'},
+                {op: 'add', path: '/e', value: true}
+            ]);
+            imports.JsonPatch.apply(previous, operations).should.deep.equal(next);
+        });
+    });
+
+    describe('#behaviour', () => {
+        it('uses a single connection for all subscriptions', () => {
+            return Promise.all([nextValue(dataSource.child('Todos')), nextValue(dataSource.child('Todos/a'))]).then(([todos, todo]) => {
+                todos.should.deep.equal({a: {title: 'First'}, b: {title: 'Second'}});
+                todo.should.deep.equal({title: 'First'});
+                sockets.length.should.equal(1);
+            });
+        });
+
+        it('translates patches pushed by the server into child events', () => {
+            let todos = dataSource.child('Todos');
+            let added = sinon.stub(), changed = sinon.stub(), moved = sinon.stub(), removed = sinon.stub();
+            todos.on('child_added', added);
+            todos.on('child_changed', changed);
+            todos.on('child_moved', moved);
+            todos.on('child_removed', removed);
+
+            return nextValue(todos).then(() => {
+                server.store.update('/Todos', {'a/title': 'Changed', 'a/.priority': 3, c: {title: 'Third', '.priority': 0}});
+                server.store.set('/Todos/b', null);
+                return flush();
+            }).then(() => {
+                added.args.map(([snapshot, previousSiblingId]) => [snapshot.key, previousSiblingId])
+                    .should.deep.equal([['a', null], ['b', 'a'], ['c', null]]);
+                changed.args.map(([snapshot]) => snapshot.val()).should.deep.equal([{title: 'Changed'}]);
+                moved.args.map(([snapshot]) => snapshot.key).should.deep.equal(['a']);
+                removed.args.map(([snapshot]) => snapshot.key).should.deep.equal(['b']);
+                todos.off();
+            });
+        });
+
+        it('writes to the server, and shows the write locally before it is acknowledged', () => {
+            let todo = dataSource.child('Todos/a');
+            return nextValue(todo).then(() => {
+                let write = todo.update({done: true});
+                dataSource.connection.store.get('/Todos/a/done').should.equal(true);
+                should.not.exist(server.store.get('/Todos/a/done'));
+                return write;
+            }).then(() => {
+                server.store.get('/Todos/a').should.deep.equal({title: 'First', done: true, '.priority': 1});
+            });
+        });
+
+        it('retries atomicTransaction() when another client changed the value', () => {
+            let counter = dataSource.child('Counter');
+            let calls = 0;
+            return counter.atomicTransaction((value) => {
+                if (calls++ === 0) {
+                    server.store.set('/Counter', 5);
+                }
+                return (value || 0) + 1;
+            }).then((newValue) => {
+                newValue.should.equal(6);
+                calls.should.equal(2);
+                server.store.get('/Counter').should.equal(6);
+            });
+        });
+
+        it('resubscribes after reconnecting', () => {
+            let todos = dataSource.child('Todos');
+            let value = sinon.stub();
+            todos.on('value', value);
+            return nextValue(todos).then(() => {
+                sockets[0].close();
+                server.store.set('/Todos/b', null);
+                return new Promise((resolve) => setTimeout(resolve, 10));
+            }).then(() => {
+                sockets.length.should.equal(2);
+                value.lastCall.args[0].val().should.deep.equal({a: {title: 'First'}});
+                todos.off();
+            });
+        });
+    });
+});
@@ -0,0 +1,165 @@
+import chai                         from 'chai';
+import {loadDependencies}           from '../../meta/TestBootstrap.js';
+
+let should = chai.should();
+
+describe('Draft', () => {
+    let imports = {};
+    let store, Box;
+
+    before(() => {
+        return loadDependencies({
+            field: System.normalizeSync('./src/data/schema/Decorators.js'),
+            DataSource: System.normalizeSync('./src/data/DataSource.js'),
+            MemoryDataSource: System.normalizeSync('./src/data/datasources/MemoryDataSource.js'),
+            MemoryStore: System.normalizeSync('./src/data/datasources/Memory/MemoryStore.js'),
+            Injection: System.normalizeSync('./src/utils/Injection.js'),
+            Model: System.normalizeSync('./src/core/Model.js'),
+            Draft: System.normalizeSync('./src/data/local/Draft.js')
+        }).then((importedObjects) => {
+            imports = importedObjects;
+            let {field} = imports;
+
+            Box = class Box extends imports.Model {
+                @field.string({required: true})
+                get label() {}
+
+                get amount() {}
+
+                get size() {}
+            };
+        });
+    });
+
+    beforeEach(() => {
+        store = new imports.MemoryStore({Boxs: {a: {label: 'Existing', amount: 3, size: {width: 1, height: 2}}}});
+        imports.Injection.provide(imports.DataSource, new imports.MemoryDataSource('/', {store}));
+    });
+
+    let loadBox = () => {
+        let box = new Box('a');
+        return box.once('ready').then(() => box);
+    };
+
+    describe('#edit', () => {
+        it('creates a copy that is edited without syncing', () => {
+            return loadBox().then((box) => {
+                let draft = box.edit();
+                draft.should.be.an.instanceof(imports.Draft);
+                draft.amount.should.equal(3);
+                draft.isDirty().should.equal(false);
+
+                draft.label = 'Draft';
+                draft.size.width = 5;
+                draft.getChanges().should.deep.equal({
+                    label: {oldValue: 'Existing', newValue: 'Draft'},
+                    size: {oldValue: {width: 1, height: 2}, newValue: {width: 5, height: 2}}
+                });
+                box.label.should.equal('Existing');
+                box.size.width.should.equal(1);
+                store.get('/Boxs/a/label').should.equal('Existing');
+
+                draft.discard();
+                draft.isDirty().should.equal(false);
+                draft.size.width.should.equal(1);
+            });
+        });
+
+        it('reuses the draft class of a model class', () => {
+            return loadBox().then((box) => {
+                box.edit().constructor.should.equal(box.edit().constructor);
+            });
+        });
+    });
+
+    describe('#commit', () => {
+        it('writes the changed fields to the model in one update', () => {
+            let box;
+            return loadBox().then((loadedBox) => {
+                box = loadedBox;
+                let draft = box.edit();
+                draft.label = 'Draft';
+                draft.amount = 4;
+                store.set(['Boxs', 'a', 'size', 'width'], 8);
+                return draft.commit().then((committedModel) => {
+                    committedModel.should.equal(box);
+                    draft.isDirty().should.equal(false);
+                });
+            }).then(() => {
+                box.label.should.equal('Draft');
+                store.get('/Boxs/a').should.deep.equal({label: 'Draft', amount: 4, size: {width: 8, height: 2}});
+            });
+        });
+
+        it('detects conflicting changes in the dataSource', () => {
+            let box, draft;
+            return loadBox().then((loadedBox) => {
+                box = loadedBox;
+                draft = box.edit();
+                draft.label = 'Draft';
+                draft.amount = 5;
+                store.set(['Boxs', 'a', 'label'], 'Remote');
+                store.set(['Boxs', 'a', 'amount'], 5);
+                return draft.commit();
+            }).then(() => {
+                throw new Error('commit() should have rejected');
+            }, (error) => {
+                error.code.should.equal('conflict');
+                error.conflicts.should.deep.equal([{field: 'label', baseValue: 'Existing', serverValue: 'Remote', draftValue: 'Draft'}]);
+                store.get('/Boxs/a/label').should.equal('Remote');
+                store.get('/Boxs/a/amount').should.equal(5);
+                return draft.commit({force: true});
+            }).then(() => {
+                store.get('/Boxs/a/label').should.equal('Draft');
+            });
+        });
+
+        it('checks for conflicts in the transaction that writes the changes', () => {
+            let draft, newValues = [];
+            return loadBox().then((box) => {
+                draft = box.edit();
+                draft.label = 'Draft';
+                let dataSource = box.dataSource;
+                let atomicTransaction = dataSource.atomicTransaction;
+                /* Changes the data after the transaction function was called, like a transaction that is retried */
+                dataSource.atomicTransaction = (transactionFunction) => {
+                    transactionFunction(store.get('/Boxs/a'));
+                    store.set(['Boxs', 'a', 'label'], 'Remote');
+                    return atomicTransaction((currentData) => {
+                        let newData = transactionFunction(currentData);
+                        newValues.push(newData);
+                        return newData;
+                    });
+                };
+                return draft.commit();
+            }).then(() => {
+                throw new Error('commit() should have rejected');
+            }, (error) => {
+                error.code.should.equal('conflict');
+                store.get('/Boxs/a/label').should.equal('Remote');
+                /* The transaction isn't aborted, since Firebase retries transactions that aren't committed */
+                newValues.length.should.equal(1);
+                newValues[0].label.should.equal('Remote');
+            });
+        });
+
+        it('rejects invalid drafts, and commits nested drafts into their draft', () => {
+            return loadBox().then((box) => {
+                let draft = box.edit();
+                let nestedDraft = draft.edit();
+                nestedDraft.label = 'Nested';
+                return nestedDraft.commit().then(() => {
+                    draft.label.should.equal('Nested');
+                    box.label.should.equal('Existing');
+                    draft.label = null;
+                    return draft.commit();
+                }).then(() => {
+                    throw new Error('commit() should have rejected');
+                }, (error) => {
+                    error.code.should.equal('validation_failed');
+                    store.get('/Boxs/a/label').should.equal('Existing');
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,113 @@
+import chai                         from 'chai';
+import {loadDependencies}           from '../../meta/TestBootstrap.js';
+
+let should = chai.should();
+
+describe('Query', () => {
+    let imports = {};
+    let store;
+
+    before(() => {
+        return loadDependencies({
+            Query: System.normalizeSync('./src/data/query/Query.js'),
+            DataSource: System.normalizeSync('./src/data/DataSource.js'),
+            MemoryDataSource: System.normalizeSync('./src/data/datasources/MemoryDataSource.js'),
+            MemoryStore: System.normalizeSync('./src/data/datasources/Memory/MemoryStore.js'),
+            Injection: System.normalizeSync('./src/utils/Injection.js'),
+            Model: System.normalizeSync('./src/core/Model.js'),
+            PrioritisedArray: System.normalizeSync('./src/data/PrioritisedArray.js')
+        }).then((importedObjects) => {
+            imports = importedObjects;
+        });
+    });
+
+    beforeEach(() => {
+        store = new imports.MemoryStore({
+            Todos: {
+                a: {title: 'First', status: 'open', createdAt: 3},
+                b: {title: 'Second', status: 'done', createdAt: 1},
+                c: {title: 'Third', status: 'open', createdAt: 2}
+            }
+        });
+        imports.Injection.provide(imports.DataSource, new imports.MemoryDataSource('/', {store}));
+    });
+
+    let createArrayType = () => {
+        class Todo extends imports.Model {
+            get title() {}
+            get status() {}
+            get createdAt() {}
+        }
+        return class Todos extends imports.PrioritisedArray {
+            constructor() {
+                super(Todo);
+            }
+        };
+    };
+    let flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+    describe('#where', () => {
+        it('rejects unknown operators', () => {
+            (() => new imports.Query().where('status', 'like', 'open')).should.throw(/Unsupported query operator/);
+            (() => new imports.Query().where('status', 'in', 'open')).should.throw(/requires an array/);
+        });
+
+        it('matches values on fields, paths and ids', () => {
+            let query = new imports.Query().where('address/city', 'in', ['Amsterdam', 'Utrecht']).where('id', '!=', 'b');
+            query.matches({address: {city: 'Utrecht'}}, 'a').should.equal(true);
+            query.matches({address: {city: 'Utrecht'}}, 'b').should.equal(false);
+            query.matches({address: {city: 'Rotterdam'}}, 'a').should.equal(false);
+        });
+    });
+
+    describe('#toDataSourceOptions', () => {
+        it('pushes down a range on the order field, and leaves other conditions to the client', () => {
+            let query = new imports.Query().where('createdAt', '>', 1).where('status', '==', 'open').orderBy('createdAt').limit(10);
+            let {options, residual} = query.toDataSourceOptions();
+            options.should.deep.equal({startAt: 1, orderBy: 'createdAt'});
+            residual.conditions.map(({field}) => field).should.deep.equal(['createdAt', 'status']);
+            residual.amount.should.equal(10);
+        });
+
+        it('pushes down the limit if all conditions are pushed down', () => {
+            let {options, residual} = new imports.Query().where('createdAt', '<=', 5).orderBy('createdAt', 'desc').limit(10).toDataSourceOptions();
+            options.should.deep.equal({endAt: 5, orderBy: 'createdAt', limitToLast: 10});
+            residual.conditions.should.deep.equal([]);
+        });
+    });
+
+    describe('#build', () => {
+        it('builds a live array of the matching models in the order of the query', () => {
+            let Todos = createArrayType();
+            let todos = Todos.query().where('status', '==', 'open').orderBy('createdAt', 'desc').build();
+            return flush().then(() => {
+                todos.map((todo) => todo.id).should.deep.equal(['a', 'c']);
+                store.set('/Todos/b/status', 'open');
+                store.set('/Todos/a/status', 'done');
+                return flush();
+            }).then(() => {
+                todos.map((todo) => todo.id).should.deep.equal(['c', 'b']);
+            });
+        });
+
+        it('writes changes of models to the original DataSource', () => {
+            let Todos = createArrayType();
+            let todos = Todos.query().where('status', '==', 'open').limit(1).build();
+            return flush().then(() => {
+                todos.length.should.equal(1);
+                todos[0].title = 'Changed';
+                store.get(`/Todos/${todos[0].id}/title`).should.equal('Changed');
+            });
+        });
+
+        it('only passes the query to the array it builds', () => {
+            let Todos = createArrayType();
+            Todos.query().where('status', '==', 'done').build();
+            let todos = new Todos();
+            return flush().then(() => {
+                todos.length.should.equal(3);
+                should.not.exist(imports.Query.takePendingQuery());
+            });
+        });
+    });
+});
@@ -0,0 +1,214 @@
+import chai                         from 'chai';
+import {loadDependencies}           from '../../meta/TestBootstrap.js';
+
+let should = chai.should();
+
+describe('Relations', () => {
+    let imports = {};
+    let store, Customer, Order, OrderLine, Address, Tag;
+
+    before(() => {
+        return loadDependencies({
+            relation: System.normalizeSync('./src/data/schema/Decorators.js'),
+            DataSource: System.normalizeSync('./src/data/DataSource.js'),
+            MemoryDataSource: System.normalizeSync('./src/data/datasources/MemoryDataSource.js'),
+            MemoryStore: System.normalizeSync('./src/data/datasources/Memory/MemoryStore.js'),
+            JoinDataSource: System.normalizeSync('./src/data/datasources/JoinDataSource.js'),
+            Injection: System.normalizeSync('./src/utils/Injection.js'),
+            Model: System.normalizeSync('./src/core/Model.js'),
+            PrioritisedArray: System.normalizeSync('./src/data/PrioritisedArray.js')
+        }).then((importedObjects) => {
+            imports = importedObjects;
+            let {relation, Model} = imports;
+
+            Customer = class Customer extends Model {
+                get name() {}
+
+                @relation.hasMany(() => Order, {index: 'CustomerOrders'})
+                get orders() {}
+
+                @relation.hasOne(() => Address, {cascade: true})
+                get address() {}
+            };
+            Order = class Order extends Model {
+                get title() {}
+
+                @relation.belongsTo(() => Customer, {index: 'CustomerOrders'})
+                get customer() {}
+
+                @relation.hasMany(() => OrderLine, {cascade: true})
+                get lines() {}
+
+                @relation.manyToMany(() => Tag, {index: 'OrderTags', inverse: 'TagOrders'})
+                get tags() {}
+
+                @relation.manyToMany(() => Tag, {key: 'Labels', lookup: true})
+                get labels() {}
+            };
+            OrderLine = class OrderLine extends Model {
+                get amount() {}
+            };
+            Address = class Address extends Model {
+                get city() {}
+            };
+            Tag = class Tag extends Model {
+                get label() {}
+            };
+        });
+    });
+
+    beforeEach(() => {
+        store = new imports.MemoryStore({
+            Customers: {c1: {name: 'Alice', addressId: 'a1'}, c2: {name: 'Bob'}},
+            Addresss: {a1: {city: 'Amsterdam'}},
+            Orders: {o1: {title: 'First', customerId: 'c1'}},
+            CustomerOrders: {c1: {o1: true}},
+            OrderLines: {o1: {l1: {amount: 2}}},
+            Tags: {t1: {label: 'Urgent'}, t2: {label: 'Gift'}}
+        });
+        imports.Injection.provide(imports.DataSource, new imports.MemoryDataSource('/', {store}));
+    });
+
+    let flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+    let loadOrder = (id = 'o1') => {
+        let order = new Order(id);
+        return order.once('ready').then(() => order);
+    };
+
+    describe('#belongsTo', () => {
+        it('resolves lazily to the referred model, and stores the id of an assigned model', () => {
+            return loadOrder().then((order) => {
+                order.customer.should.be.an.instanceof(Customer);
+                order.customer.id.should.equal('c1');
+                order.customer.should.equal(order.customer);
+                should.not.exist(Object.keys(order).find((key) => key === 'customer'));
+
+                order.customer = new Customer('c2');
+                return order.synced();
+            }).then(() => {
+                store.get('/Orders/o1').should.deep.equal({title: 'First', customerId: 'c2'});
+            });
+        });
+
+        it('keeps the reverse index up to date, which resolves to a live hasMany array', () => {
+            let bob = new Customer('c2');
+            let orders = bob.orders;
+            return loadOrder().then((order) => {
+                order.customerId = 'c2';
+                let newOrder = new Order(null, {title: 'Second', customerId: 'c2'});
+                return Promise.all([order.synced(), newOrder.synced()]).then(() => newOrder);
+            }).then((newOrder) => {
+                store.get('/CustomerOrders').should.deep.equal({c2: {o1: true, [newOrder.id]: true}});
+                return flush();
+            }).then(() => {
+                orders.map((order) => order.title).sort().should.deep.equal(['First', 'Second']);
+                orders[0].should.be.an.instanceof(Order);
+            });
+        });
+
+        it('stores the reverse index in the backend of the model', () => {
+            let otherStore = new imports.MemoryStore({});
+            let otherRoot = new imports.MemoryDataSource('/', {store: otherStore});
+            let order = new Order(null, {title: 'Elsewhere', customerId: 'c2'}, {dataSource: otherRoot.child('Orders')});
+            return order.synced().then(() => {
+                otherStore.get('/CustomerOrders').should.deep.equal({c2: {[order.id]: true}});
+                store.get('/CustomerOrders').should.deep.equal({c1: {o1: true}});
+            });
+        });
+    });
+
+    describe('#batch', () => {
+        it('writes models and their indexes in a single batch', () => {
+            let root = imports.Injection.get(imports.DataSource);
+            let values = [];
+            root.on('value', (snapshot) => values.push(snapshot.val()));
+            let newOrder;
+            return loadOrder().then((order) => root.batch(() => {
+                order.title = 'Changed';
+                newOrder = new Order(null, {title: 'Second', customerId: 'c1'});
+            })).then(() => {
+                let [, data] = values;
+                values.length.should.equal(2);
+                data.Orders.o1.title.should.equal('Changed');
+                data.Orders[newOrder.id].should.deep.equal({title: 'Second', customerId: 'c1'});
+                data.CustomerOrders.should.deep.equal({c1: {o1: true, [newOrder.id]: true}});
+                return newOrder.synced();
+            }).then(() => {
+                newOrder.title.should.equal('Second');
+            });
+        });
+    });
+
+    describe('#manyToMany', () => {
+        it('links and unlinks models through an index and its inverse', () => {
+            let order, tags;
+            return loadOrder().then((loadedOrder) => {
+                order = loadedOrder;
+                tags = order.tags;
+                return Promise.all([order.link('tags', new Tag('t1')), order.link('tags', new Tag('t2'))]);
+            }).then(() => {
+                store.get('/TagOrders').should.deep.equal({t1: {o1: true}, t2: {o1: true}});
+                return flush();
+            }).then(() => {
+                tags.map((tag) => tag.label).should.deep.equal(['Urgent', 'Gift']);
+                return order.unlink('tags', tags[0]);
+            }).then(() => flush()).then(() => {
+                store.get('/OrderTags').should.deep.equal({o1: {t2: true}});
+                should.not.exist(store.get('/TagOrders/t1'));
+                tags.map((tag) => tag.id).should.deep.equal(['t2']);
+            });
+        });
+
+        it('refuses writes to the join itself, which exists when its index has entries', () => {
+            let root = imports.Injection.get(imports.DataSource);
+            let join = new imports.JoinDataSource(root.child('Tags'), root.child('OrderTags/o1'));
+            (() => join.set({t1: {label: 'Changed'}})).should.throw(/can not be written/);
+            (() => join.update({t1: {label: 'Changed'}})).should.throw(/can not be written/);
+            (() => join.remove()).should.throw(/can not be removed/);
+            return join.dataExists().then((exists) => {
+                exists.should.equal(false);
+                join.push({label: 'New'});
+                return join.dataExists();
+            }).then((exists) => {
+                exists.should.equal(true);
+                store.get('/Tags/t1').should.deep.equal({label: 'Urgent'});
+            });
+        });
+
+        it('stores links in a SharePoint LookupMulti field', () => {
+            let order, labels;
+            return loadOrder().then((loadedOrder) => {
+                order = loadedOrder;
+                labels = order.labels;
+                return order.link('labels', new Tag('t2'));
+            }).then(() => {
+                /* Like Firebase, the store keeps arrays as objects with numeric keys */
+                store.get('/Orders/o1/Labels').should.deep.equal({0: {id: 't2', value: 't2'}});
+                return flush();
+            }).then(() => {
+                labels.map((tag) => tag.label).should.deep.equal(['Gift']);
+            });
+        });
+    });
+
+    describe('#remove', () => {
+        it('removes index entries and cascades to owned models', () => {
+            return loadOrder().then((order) => {
+                return order.link('tags', new Tag('t1')).then(() => order.remove());
+            }).then(() => {
+                should.not.exist(store.get('/Orders/o1'));
+                should.not.exist(store.get('/OrderLines/o1'));
+                should.not.exist(store.get('/CustomerOrders'));
+                should.not.exist(store.get('/OrderTags'));
+                should.not.exist(store.get('/TagOrders'));
+                store.get('/Tags/t1').should.deep.equal({label: 'Urgent'});
+
+                let alice = new Customer('c1');
+                return alice.once('ready').then(() => alice.remove());
+            }).then(() => {
+                should.not.exist(store.get('/Addresss/a1'));
+                store.get('/Customers').should.deep.equal({c2: {name: 'Bob'}});
+            });
+        });
+    });
+});
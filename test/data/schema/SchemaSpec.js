@@ -0,0 +1,118 @@
+import chai                         from 'chai';
+import {loadDependencies}           from '../../meta/TestBootstrap.js';
+
+let should = chai.should();
+
+describe('Schema', () => {
+    let imports = {};
+    let store, Box;
+
+    before(() => {
+        return loadDependencies({
+            Schema: System.normalizeSync('./src/data/schema/Schema.js'),
+            field: System.normalizeSync('./src/data/schema/Decorators.js'),
+            DataSource: System.normalizeSync('./src/data/DataSource.js'),
+            MemoryDataSource: System.normalizeSync('./src/data/datasources/MemoryDataSource.js'),
+            MemoryStore: System.normalizeSync('./src/data/datasources/Memory/MemoryStore.js'),
+            Injection: System.normalizeSync('./src/utils/Injection.js'),
+            Model: System.normalizeSync('./src/core/Model.js')
+        }).then((importedObjects) => {
+            imports = importedObjects;
+            let {field} = imports;
+
+            Box = class Box extends imports.Model {
+                @field.string({required: true, min: 2})
+                get label() {}
+
+                @field.number({min: 0, default: 1})
+                get amount() {}
+
+                @field.string({enum: ['open', 'shipped'], default: () => 'open'})
+                get status() {}
+
+                @field.array({validate: (tags, box) => tags.length <= box.amount || 'can not have more tags than the amount'})
+                get tags() {}
+
+                get notes() {}
+            };
+        });
+    });
+
+    beforeEach(() => {
+        store = new imports.MemoryStore({Boxs: {a: {label: 'Existing', amount: 3}}});
+        imports.Injection.provide(imports.DataSource, new imports.MemoryDataSource('/', {store}));
+    });
+
+    describe('#validate', () => {
+        it('reports structured errors for every rule', () => {
+            let schema = imports.Schema.forPrototype(Box.prototype);
+            schema.validate({amount: -1, status: 'lost', tags: ['a', 'b']}).map(({field, rule}) => [field, rule]).should.deep.equal([
+                ['label', 'required'],
+                ['amount', 'min'],
+                ['status', 'enum'],
+                ['tags', 'validate']
+            ]);
+            let [error] = schema.validate({label: 5});
+            error.should.deep.equal({field: 'label', rule: 'type', value: 5, message: 'label must be of type string'});
+            schema.validate({label: 'Box', amount: 2, tags: ['a']}).should.deep.equal([]);
+        });
+
+        it('inherits field declarations', () => {
+            let {field} = imports;
+            class LargeBox extends Box {
+                @field.number({min: 10})
+                get amount() {}
+            }
+            let schema = imports.Schema.forPrototype(LargeBox.prototype);
+            schema.fieldNames.should.deep.equal(['label', 'amount', 'status', 'tags']);
+            schema.fields.amount.should.deep.equal({type: 'number', min: 10, default: 1});
+        });
+    });
+
+    describe('#Model', () => {
+        it('writes defaults for new records', () => {
+            let box = new Box(null, {label: 'New'});
+            return box.synced().then(() => {
+                store.get(`/Boxs/${box.id}`).should.deep.equal({label: 'New', amount: 1, status: 'open'});
+                box.validate().should.deep.equal([]);
+            });
+        });
+
+        it('does not push new records with invalid data', () => {
+            let box = new Box(null, {label: 'New', amount: 'many'});
+            return box.synced().then(() => {
+                throw new Error('synced() should have rejected');
+            }, (error) => {
+                error.code.should.equal('validation_failed');
+                error.errors.map(({field}) => field).should.deep.equal(['amount']);
+                should.not.exist(store.get(`/Boxs/${box.id}`));
+            });
+        });
+
+        it('rejects invalid assignments and transactions, and writes them once corrected', () => {
+            let box = new Box('a');
+            return box.once('value').then(() => {
+                box.amount = -5;
+                box.validate().map(({rule}) => rule).should.deep.equal(['min']);
+                store.get('/Boxs/a/amount').should.equal(3);
+                return box.synced().then(() => {
+                    throw new Error('synced() should have rejected');
+                }, (error) => {
+                    error.errors[0].field.should.equal('amount');
+                    return box.transaction(() => {
+                        box.amount = 4;
+                        box.label = '';
+                    });
+                }).then(() => {
+                    throw new Error('transaction() should have rejected');
+                }, (error) => {
+                    error.errors.map(({field, rule}) => [field, rule]).should.deep.equal([['label', 'min']]);
+                    box.label = 'Fixed';
+                    return box.synced();
+                });
+            }).then(() => {
+                store.get('/Boxs/a').should.deep.equal({label: 'Fixed', amount: 4});
+            });
+        });
+    });
+});
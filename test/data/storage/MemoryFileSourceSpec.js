@@ -0,0 +1,87 @@
+import chai                         from 'chai';
+import {loadDependencies}           from '../../meta/TestBootstrap.js';
+
+let should = chai.should();
+
+describe('MemoryFileSource', () => {
+    let imports = {};
+    let store, photos;
+
+    before(() => {
+        return loadDependencies({
+            MemoryFileSource: System.normalizeSync('./src/data/storage/MemoryFileSource.js')
+        }).then((importedObjects) => {
+            imports = importedObjects;
+        });
+    });
+
+    beforeEach(() => {
+        store = new Map();
+        photos = new imports.MemoryFileSource('/users/john/photos/', {store});
+    });
+
+    describe('#files', () => {
+        it('stores, replaces, downloads and removes files', () => {
+            let url;
+            return photos.push(new File(['first'], 'a.png', {type: 'image/png'})).then((result) => {
+                url = result;
+                url.should.be.a('string');
+                return photos.list();
+            }).then(([name]) => {
+                name.should.match(/^\d+-a\.png$/);
+                return Promise.all([photos.get(name), photos.getDownloadURL(name)]);
+            }).then(([blob, downloadUrl]) => {
+                downloadUrl.should.equal(url);
+                return blob.text();
+            }).then((text) => {
+                text.should.equal('first');
+                return photos.set('b.png', new File(['second'], 'b.png'));
+            }).then(() => photos.set('b.png', new File(['third'], 'b.png'))).then((result) => {
+                result.should.equal(true);
+                return photos.get('b.png');
+            }).then((blob) => blob.text()).then((text) => {
+                text.should.equal('third');
+                return photos.remove('b.png');
+            }).then((isRemoved) => {
+                isRemoved.should.equal(true);
+                return Promise.all([photos.remove('b.png'), photos.get('b.png'), photos.getDownloadURL('b.png'), photos.list()]);
+            }).then(([isRemoved, blob, downloadUrl, names]) => {
+                isRemoved.should.equal(false);
+                should.not.exist(blob);
+                should.not.exist(downloadUrl);
+                names.length.should.equal(1);
+            });
+        });
+
+        it('lists only the files in its own path', () => {
+            let albums = new imports.MemoryFileSource('users/john/photos/albums', {store});
+            return Promise.all([
+                photos.set('b.png', new File(['b'], 'b.png')),
+                photos.set('a.png', new File(['a'], 'a.png')),
+                albums.set('c.png', new File(['c'], 'c.png'))
+            ]).then(() => Promise.all([photos.list(), albums.list()])).then(([names, albumNames]) => {
+                names.should.deep.equal(['a.png', 'b.png']);
+                albumNames.should.deep.equal(['c.png']);
+                [...store.keys()].should.include('users/john/photos/albums/c.png');
+            });
+        });
+    });
+
+    describe('#metadata', () => {
+        it('keeps the content type and custom metadata, and merges updates', () => {
+            return photos.set('a.pdf', new File(['pdf'], 'a.pdf', {type: 'application/pdf'}), {customMetadata: {owner: 'john', draft: 'true'}})
+                .then(() => photos.getMetadata('a.pdf')).then((metadata) => {
+                    metadata.should.include({name: 'a.pdf', fullPath: 'users/john/photos/a.pdf', size: 3, contentType: 'application/pdf'});
+                    metadata.customMetadata.should.deep.equal({owner: 'john', draft: 'true'});
+                    return photos.setMetadata('a.pdf', {contentType: 'application/x-pdf', customMetadata: {draft: null, reviewed: 'true'}});
+                }).then((metadata) => {
+                    metadata.contentType.should.equal('application/x-pdf');
+                    metadata.customMetadata.should.deep.equal({owner: 'john', reviewed: 'true'});
+                    return Promise.all([photos.getMetadata('missing.pdf'), photos.setMetadata('missing.pdf', {}).catch((error) => error)]);
+                }).then(([metadata, error]) => {
+                    should.not.exist(metadata);
+                    error.code.should.equal('storage/object-not-found');
+                });
+        });
+    });
+});
@@ -0,0 +1,154 @@
+import chai                         from 'chai';
+import sinon                        from 'sinon';
+import {loadDependencies}           from '../../meta/TestBootstrap.js';
+
+let should = chai.should();
+
+describe('SharePointFileSource', () => {
+    let imports = {};
+    let site = 'https://example.com/sites/app';
+
+    before(() => {
+        return loadDependencies({
+            SharePointFileSource: System.normalizeSync('./src/data/storage/SharePointFileSource.js'),
+            EndPoint: System.normalizeSync('./src/data/datasources/SharePoint/SPSoapAdapter/EndPoint.js')
+        }).then((importedObjects) => {
+            imports = importedObjects;
+        });
+    });
+
+    /* Emulates the SOAP methods used by the file source, storing files by their URL */
+    let createEndpoint = (fileSource) => {
+        let files = {};
+        let calls = [];
+        let element = (data, name) => (data.match(new RegExp(`<${name}(?: [^>]*)?>([^<]*)</${name}>`)) || [])[1];
+        let respond = (method, content) => Promise.resolve({
+            response: '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"><soap:Body>' +
+            `<${method}Response xmlns="http://schemas.microsoft.com/sharepoint/soap/">${content}</${method}Response>` +
+            '</soap:Body></soap:Envelope>'
+        });
+        let attachmentFolder = `${site}/Lists/Orders/Attachments/12`;
+
+        sinon.stub(fileSource, '_request', ({url, headers, data}) => {
+            let method = headers.get('SOAPAction').split('/').pop();
+            calls.push({url, method, data});
+            switch (method) {
+                case 'AddAttachment': {
+                    let fileUrl = `${attachmentFolder}/${element(data, 'fileName')}`;
+                    files[fileUrl] = element(data, 'attachment');
+                    return respond(method, `<AddAttachmentResult>${fileUrl}</AddAttachmentResult>`);
+                }
+                case 'GetAttachmentCollection':
+                    return respond(method, `<GetAttachmentCollectionResult><Attachments>${Object.keys(files)
+                        .map((fileUrl) => `<Attachment>${fileUrl}</Attachment>`).join('')}</Attachments></GetAttachmentCollectionResult>`);
+                case 'DeleteAttachment':
+                    delete files[element(data, 'url')];
+                    return respond(method, '');
+                case 'CopyIntoItems':
+                    files[element(data, 'string')] = element(data, 'Stream');
+                    return respond(method, '<CopyIntoItemsResult>0</CopyIntoItemsResult><Results><CopyResult ErrorCode="Success" DestinationUrl="" /></Results>');
+                case 'GetListItems': {
+                    let fileName = element(data, 'Value');
+                    let fileUrl = Object.keys(files).find((key) => key.endsWith(`/${fileName}`));
+                    let row = fileUrl ? `<z:row ows_ID="4" ows_FileRef="4;#${fileUrl.replace('https://example.com/', '')}" />` : '';
+                    return respond(method, `<GetListItemsResult><listitems xmlns:rs="urn:schemas-microsoft-com:rowset" xmlns:z="#RowsetSchema"><rs:data>${row}</rs:data></listitems></GetListItemsResult>`);
+                }
+                case 'UpdateListItems': {
+                    let fileRef = data.match(/<Field Name="FileRef">([^<]*)<\/Field>/)[1];
+                    delete files[`https://example.com/${fileRef}`];
+                    return respond(method, '<Results><Result ID="1,Delete"><ErrorCode>0x00000000</ErrorCode></Result></Results>');
+                }
+            }
+        });
+        sinon.stub(fileSource, '_download', (url) => Promise.resolve(files[url] ? new Blob([atob(files[url])]) : null));
+        return {files, calls};
+    };
+
+    describe('#attachments', () => {
+        it('adds, reads, replaces and removes the attachments of a list item', () => {
+            let fileSource = new imports.SharePointFileSource(`${site}/Orders/12`);
+            let {files, calls} = createEndpoint(fileSource);
+            let url;
+
+            return fileSource.push(new File(['first'], 'a.txt')).then((result) => {
+                url = result;
+                url.should.match(new RegExp(`^${site}/Lists/Orders/Attachments/12/\\d+-a\\.txt$`));
+                calls[0].url.should.equal(`${site}/_vti_bin/Lists.asmx`);
+                calls[0].data.should.contain('<listName>Orders</listName><listItemID>12</listItemID>');
+                files[url].should.equal(btoa('first'));
+                return fileSource.get(url.split('/').pop());
+            }).then((blob) => blob.text()).then((text) => {
+                text.should.equal('first');
+                return fileSource.set('b.txt', new File(['second'], 'b.txt'));
+            }).then(() => fileSource.set('b.txt', new File(['third'], 'b.txt'))).then((result) => {
+                result.should.equal(true);
+                /* Attachments are replaced through a temporary attachment, which is removed along with the existing one */
+                calls.filter(({method}) => method === 'DeleteAttachment').length.should.equal(2);
+                Object.keys(files).length.should.equal(2);
+                return fileSource.get('b.txt');
+            }).then((blob) => blob.text()).then((text) => {
+                text.should.equal('third');
+                return fileSource.remove('b.txt');
+            }).then((isRemoved) => {
+                isRemoved.should.equal(true);
+                Object.keys(files).should.deep.equal([url]);
+                return Promise.all([fileSource.remove('b.txt'), fileSource.get('b.txt')]);
+            }).then(([isRemoved, blob]) => {
+                isRemoved.should.equal(false);
+                should.not.exist(blob);
+            });
+        });
+
+        it('keeps the existing attachment when uploading its replacement fails', () => {
+            let fileSource = new imports.SharePointFileSource(`${site}/Orders/12`);
+            let {files} = createEndpoint(fileSource);
+            let url = `${site}/Lists/Orders/Attachments/12/b.txt`;
+
+            return fileSource.set('b.txt', new File(['second'], 'b.txt')).then(() => {
+                let request = fileSource._request;
+                fileSource._request = (configuration) => configuration.headers.get('SOAPAction').endsWith('/AddAttachment') ?
+                    Promise.resolve({response: '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"><soap:Body /></soap:Envelope>'}) :
+                    request(configuration);
+                return fileSource.set('b.txt', new File(['third'], 'b.txt'));
+            }).then(() => {
+                throw new Error('set() should have rejected');
+            }, (error) => {
+                error.code.should.equal('storage_failed');
+                Object.keys(files).should.deep.equal([url]);
+                files[url].should.equal(btoa('second'));
+            });
+        });
+    });
+
+    describe('#documentLibrary', () => {
+        let parse;
+
+        before(() => {
+            parse = sinon.stub(imports.EndPoint, 'parse', () => ({
+                endPoint: site, listName: 'Documents', itemId: 'Invoices', isChild: false, parts: ['Documents', 'Invoices']
+            }));
+        });
+
+        after(() => parse.restore());
+
+        it('uploads to and removes from a folder in a document library', () => {
+            let fileSource = new imports.SharePointFileSource(`${site}/Documents/Invoices`);
+            let {files, calls} = createEndpoint(fileSource);
+            let url = `${site}/Documents/Invoices/invoice.txt`;
+
+            return fileSource.set('invoice.txt', new File(['paid'], 'invoice.txt')).then(() => {
+                calls[0].url.should.equal(`${site}/_vti_bin/Copy.asmx`);
+                calls[0].data.should.contain(`<SourceUrl>${url}</SourceUrl><DestinationUrls><string>${url}</string></DestinationUrls>`);
+                files[url].should.equal(btoa('paid'));
+                return fileSource.get('invoice.txt');
+            }).then((blob) => blob.text()).then((text) => {
+                text.should.equal('paid');
+                return fileSource.remove('invoice.txt');
+            }).then((isRemoved) => {
+                isRemoved.should.equal(true);
+                calls.pop().data.should.contain('<Method ID="1" Cmd="Delete"><Field Name="ID">4</Field><Field Name="FileRef">sites/app/Documents/Invoices/invoice.txt</Field></Method>');
+                files.should.deep.equal({});
+            });
+        });
+    });
+});
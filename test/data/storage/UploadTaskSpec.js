@@ -0,0 +1,135 @@
+import chai                         from 'chai';
+import {loadDependencies}           from '../../meta/TestBootstrap.js';
+
+let should = chai.should();
+
+describe('UploadTask', () => {
+    let imports = {};
+    let isOnline, files;
+
+    before(() => {
+        return loadDependencies({
+            UploadTask: System.normalizeSync('./src/data/storage/UploadTask.js'),
+            MemoryFileSource: System.normalizeSync('./src/data/storage/MemoryFileSource.js')
+        }).then((importedObjects) => {
+            imports = importedObjects;
+        });
+    });
+
+    beforeEach(() => {
+        isOnline = true;
+        files = new imports.MemoryFileSource('uploads', {store: new Map(), chunkSize: 2, isOnline: () => isOnline});
+    });
+
+    let wait = (milliseconds) => new Promise((resolve) => setTimeout(resolve, milliseconds));
+    /* Resolves once the task reports the given number of transferred bytes */
+    let progressTo = (task, bytes) => new Promise((resolve) => task.on('progress', ({bytesTransferred}) => bytesTransferred === bytes && resolve()));
+
+    describe('#progress', () => {
+        it('reports the progress of the upload, and resolves with its result', () => {
+            let task = files.push(new File(['abcde'], 'a.txt'));
+            let progress = [];
+            let states = [];
+            task.on('progress', (event) => progress.push(event));
+            task.on('state_changed', (state) => states.push(state));
+            task.state.should.equal('running');
+
+            return task.then((url) => {
+                url.should.be.a('string');
+                progress.should.deep.equal([
+                    {bytesTransferred: 2, totalBytes: 5},
+                    {bytesTransferred: 4, totalBytes: 5},
+                    {bytesTransferred: 5, totalBytes: 5}
+                ]);
+                states.should.deep.equal(['success']);
+                return files.set('b.txt', new File(['b'], 'b.txt'));
+            }).then((result) => {
+                result.should.equal(true);
+            });
+        });
+    });
+
+    describe('#pause', () => {
+        it('continues from where it was paused', () => {
+            let task = files.set('a.txt', new File(['abcdef'], 'a.txt'));
+            let progress = [];
+            task.on('progress', ({bytesTransferred}) => progress.push(bytesTransferred));
+
+            return progressTo(task, 2).then(() => {
+                task.pause().should.equal(true);
+                task.state.should.equal('paused');
+                return wait(10);
+            }).then(() => {
+                progress.should.deep.equal([2]);
+                task.resume().should.equal(true);
+                return task;
+            }).then(() => {
+                progress.should.deep.equal([2, 4, 6]);
+                task.resume().should.equal(false);
+            });
+        });
+
+        it('uses the pause and resume of the transfer when it has them', () => {
+            let calls = [];
+            let finish;
+            let task = new imports.UploadTask(({offset}) => {
+                calls.push(`start ${offset}`);
+                return {
+                    promise: new Promise((resolve) => finish = resolve),
+                    abort: () => calls.push('abort'),
+                    pause: () => calls.push('pause'),
+                    resume: () => calls.push('resume')
+                };
+            }, {totalBytes: 10});
+
+            task.pause();
+            task.resume();
+            finish('done');
+            return task.then((result) => {
+                result.should.equal('done');
+                calls.should.deep.equal(['start 0', 'pause', 'resume']);
+            });
+        });
+    });
+
+    describe('#cancel', () => {
+        it('rejects, and stores nothing', () => {
+            let task = files.set('a.txt', new File(['abcdef'], 'a.txt'));
+            return progressTo(task, 2).then(() => {
+                task.cancel().should.equal(true);
+                task.cancel().should.equal(false);
+                return task.then(() => should.fail(), (error) => error);
+            }).then((error) => {
+                error.code.should.equal('cancelled');
+                task.state.should.equal('cancelled');
+                return wait(10).then(() => files.get('a.txt'));
+            }).then((file) => {
+                should.not.exist(file);
+            });
+        });
+    });
+
+    describe('#interruption', () => {
+        it('waits for the connection when the upload is interrupted, and fails on other errors', () => {
+            let task = files.set('a.txt', new File(['abcdef'], 'a.txt'));
+            return progressTo(task, 2).then(() => {
+                isOnline = false;
+                return new Promise((resolve) => task.on('state_changed', (state) => state === 'interrupted' && resolve()));
+            }).then(() => {
+                task.resume().should.equal(false);
+                isOnline = true;
+                /* Called when the browser fires the online event */
+                task.resume().should.equal(true);
+                return task;
+            }).then(() => files.get('a.txt')).then((file) => file.text()).then((text) => {
+                text.should.equal('abcdef');
+
+                let failing = new imports.UploadTask(() => ({promise: Promise.reject(new Error('Forbidden')), abort: () => {}}));
+                return failing.then(() => should.fail(), (error) => {
+                    error.message.should.equal('Forbidden');
+                    failing.state.should.equal('error');
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,112 @@
+import http                         from 'http';
+
+/**
+ * A local HTTP server emulating the parts of the SharePoint REST API that SharePointRestClient uses: contextinfo,
+ * currentuser, the entity type of lists, GetItems, and creating, merging and deleting items. Lists are kept in memory,
+ * and every write increments the etag of the item. GetItems ignores the CAML query, apart from its RowLimit.
+ */
+export class SharePointRestMockServer {
+
+    /**
+     * @param {Object} lists Items by list name, without their ID.
+     * @returns {SharePointRestMockServer} SharePointRestMockServer instance.
+     */
+    constructor(lists = {}) {
+        this.lists = {};
+        this.requests = [];
+        this._nextId = 1;
+        for (let listName in lists) {
+            this.lists[listName] = lists[listName].map((fields) => this._createItem(listName, fields));
+        }
+        this._server = http.createServer(this._handleRequest.bind(this));
+    }
+
+    /**
+     * @returns {Promise} Resolves with the URL of the site when the server listens.
+     */
+    start() {
+        return new Promise((resolve) => this._server.listen(0, '127.0.0.1', () => {
+            this.url = `http://127.0.0.1:${this._server.address().port}/sites/test`;
+            resolve(this.url);
+        }));
+    }
+
+    stop() {
+        return new Promise((resolve) => this._server.close(resolve));
+    }
+
+    _createItem(listName, fields) {
+        return {...fields, ID: this._nextId++, __metadata: {type: `SP.Data.${listName}ListItem`, etag: '"1"'}};
+    }
+
+    _handleRequest(request, response) {
+        let body = '';
+        request.on('data', (chunk) => body += chunk);
+        request.on('end', () => {
+            let method = request.headers['x-http-method'] || request.method;
+            let url = decodeURIComponent(request.url);
+            let data = body ? JSON.parse(body) : null;
+            this.requests.push({method, url, data, headers: request.headers});
+
+            let [status, result] = this._route(method, url, data, request.headers);
+            response.writeHead(status, {'Content-Type': 'application/json;odata=verbose', 'Date': new Date().toUTCString()});
+            response.end(result === undefined ? '' : JSON.stringify(result));
+        });
+    }
+
+    _route(method, url, data, headers) {
+        if (url.endsWith('/_api/contextinfo')) {
+            return [200, {d: {GetContextWebInformation: {FormDigestValue: 'digest', FormDigestTimeoutSeconds: 1800}}}];
+        }
+        if (url.endsWith('/_api/web/currentuser')) {
+            return [200, {d: {Id: 7, Title: 'Test User', Email: 'test@example.com'}}];
+        }
+        if (method !== 'GET' && headers['x-requestdigest'] !== 'digest') {
+            return [403, {error: 'Invalid form digest'}];
+        }
+
+        let [, listName, rest] = url.match(/getbytitle\('(.*?)'\)(.*)$/) || [];
+        let list = this.lists[listName];
+        if (!list) {
+            return [404, {error: 'List does not exist'}];
+        }
+        if (rest === '?$select=ListItemEntityTypeFullName') {
+            return [200, {d: {ListItemEntityTypeFullName: `SP.Data.${listName}ListItem`}}];
+        }
+        if (rest === '/GetItems') {
+            let [, rowLimit] = data.query.ViewXml.match(/<RowLimit>(\d+)<\/RowLimit>/) || [];
+            return [200, {d: {results: rowLimit ? list.slice(0, +rowLimit) : list}}];
+        }
+        if (rest === '/items' && method === 'POST') {
+            let {__metadata, ...fields} = data;
+            let item = this._createItem(listName, fields);
+            list.push(item);
+            return [201, {d: item}];
+        }
+
+        let [, id] = rest.match(/^\/items\((\d+)\)$/) || [];
+        let index = list.findIndex((item) => item.ID === +id);
+        if (index < 0) {
+            return [404, {error: 'Item does not exist'}];
+        }
+        let item = list[index];
+        let etag = headers['if-match'];
+        if (method === 'GET') {
+            return [200, {d: item}];
+        }
+        if (etag && etag !== '*' && etag !== item.__metadata.etag) {
+            return [412, {error: 'The etag does not match'}];
+        }
+        if (method === 'MERGE') {
+            let {__metadata, ...fields} = data;
+            let version = +JSON.parse(item.__metadata.etag) + 1;
+            list[index] = {...item, ...fields, __metadata: {...item.__metadata, etag: `"${version}"`}};
+            return [204];
+        }
+        if (method === 'DELETE') {
+            list.splice(index, 1);
+            return [200];
+        }
+        return [400, {error: 'Unsupported request'}];
+    }
+}